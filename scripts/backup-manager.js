@@ -0,0 +1,593 @@
+/**
+ * 完整备份与恢复 - V1.6新增
+ * 将所有年份的数据、起始日期、存储方式和全局设置（标签、自定义主题、假日日历）打包为一个ZIP。
+ * 记录中的图片另存为单独的文件，年度数据中只保留文件路径，避免base64使JSON过大；
+ * 配色、主题和圆环设置随各年度数据保存。manifest.json列出每个文件的大小和SHA-256校验值。
+ * 恢复时先完整校验备份（校验值、数据格式、存储空间），预览确认后才覆盖现有数据
+ */
+
+class BackupManager {
+    constructor(storageManager) {
+        this.storageManager = storageManager;
+
+        this.modal = document.getElementById('backup-restore-modal');
+        this.pending = null; // 已校验、等待确认恢复的备份 {manifest, settings, years, warnings}
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * 备份格式标识和版本
+     * @returns {Object} {format, version}
+     */
+    static get FORMAT() {
+        return { format: 'year-circle-backup', version: 1 };
+    }
+
+    /**
+     * 图片MIME类型与文件扩展名的对应关系
+     * @returns {Object}
+     */
+    static get IMAGE_TYPES() {
+        return {
+            'image/jpeg': 'jpg',
+            'image/png': 'png',
+            'image/gif': 'gif',
+            'image/webp': 'webp',
+            'image/svg+xml': 'svg'
+        };
+    }
+
+    /**
+     * 设置事件监听
+     */
+    setupEventListeners() {
+        const exportBtn = document.getElementById('export-backup');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.download());
+        }
+
+        const importBtn = document.getElementById('import-backup');
+        if (importBtn) {
+            importBtn.addEventListener('click', () => this.selectFile());
+        }
+
+        if (!this.modal) return;
+
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        this.modal.querySelector('.cancel-btn').addEventListener('click', () => this.close());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+        this.modal.querySelector('#backup-restore-confirm').addEventListener('click', () => this.restore());
+    }
+
+    /**
+     * 是否为YYYY-MM-DD格式的日期（重置后的起始日期可能保存为"null"）
+     * @param {*} value - 值
+     * @returns {boolean}
+     */
+    isDateString(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    }
+
+    /**
+     * 计算SHA-256校验值
+     * @param {Uint8Array} bytes - 数据
+     * @returns {Promise<string>} 十六进制字符串
+     */
+    async sha256(bytes) {
+        if (!window.crypto || !window.crypto.subtle) {
+            throw new Error('当前浏览器环境不支持计算校验值，请通过https或本地文件打开页面');
+        }
+
+        const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * 生成完整备份
+     * @returns {Promise<Object>} {blob, years, imageCount}
+     */
+    async createBackup() {
+        // 先保存当前年份，确保未保存的修改也在备份中
+        if (window.app) {
+            await window.app.saveData();
+        }
+
+        const encoder = new TextEncoder();
+        const files = [];
+        const yearEntries = [];
+        const startDates = {};
+
+        const years = await this.storageManager.getAllSavedYears();
+        for (const year of years.sort((a, b) => a - b)) {
+            const data = await this.storageManager.loadYearData(year);
+            if (!data || !Array.isArray(data.records)) continue;
+
+            const images = [];
+            const yearData = { ...data, year, records: data.records.map(record => this.extractImage(record, year, images)) };
+            const path = `years/${year}.json`;
+            files.push({ name: path, data: encoder.encode(JSON.stringify(yearData, null, 2)) });
+            files.push(...images);
+            yearEntries.push({ year, file: path, recordCount: data.records.length, imageCount: images.length });
+
+            const startDate = this.storageManager.getStartDate(year);
+            if (this.isDateString(startDate)) {
+                startDates[year] = startDate;
+            }
+        }
+
+        if (yearEntries.length === 0) {
+            throw new Error('没有可备份的数据');
+        }
+
+        const settings = {
+            storagePreference: this.storageManager.preferFileStorage ? 'file' : 'browser',
+            currentYear: window.app ? window.app.currentYear : this.storageManager.getCurrentYear(),
+            startDates,
+            tags: window.tagManager ? window.tagManager.getTags() : [],
+            hiddenTags: window.tagManager ? [...window.tagManager.hiddenTags] : [],
+            customThemes: window.themeManager ? Array.from(window.themeManager.customThemes.values()) : [],
+            holidayCalendars: window.holidayManager ? window.holidayManager.getCalendars() : [],
+            holidaysVisible: window.holidayManager ? window.holidayManager.visible : true
+        };
+        files.push({ name: 'settings.json', data: encoder.encode(JSON.stringify(settings, null, 2)) });
+
+        const manifest = {
+            ...BackupManager.FORMAT,
+            app: '环形月份图画布',
+            createdAt: new Date().toISOString(),
+            years: yearEntries,
+            files: []
+        };
+        for (const file of files) {
+            manifest.files.push({ path: file.name, size: file.data.length, sha256: await this.sha256(file.data) });
+        }
+
+        return {
+            blob: ZipUtils.createZip([{ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) }, ...files]),
+            years: yearEntries.length,
+            imageCount: yearEntries.reduce((sum, entry) => sum + entry.imageCount, 0)
+        };
+    }
+
+    /**
+     * 将图片记录的内嵌图片取出为单独的文件
+     * @param {Object} record - 持久化格式的记录
+     * @param {number} year - 年份
+     * @param {Array<Object>} images - 图片文件列表，取出的图片追加到其中
+     * @returns {Object} 图片替换为文件路径（content.imageFile）后的记录
+     */
+    extractImage(record, year, images) {
+        const image = record.type === 'image' && record.content && ZipUtils.dataURLToBytes(record.content.imageData);
+        if (!image) return record;
+
+        const extension = BackupManager.IMAGE_TYPES[image.mimeType] || 'bin';
+        const id = String(record.id || images.length + 1).replace(/[^\w-]/g, '_');
+        const path = `images/${year}/${id}.${extension}`;
+        images.push({ name: path, data: image.bytes });
+
+        const { imageData, ...content } = record.content;
+        return { ...record, content: { ...content, imageFile: path, imageType: image.mimeType } };
+    }
+
+    /**
+     * 下载完整备份
+     */
+    async download() {
+        try {
+            const { blob, years, imageCount } = await this.createBackup();
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
+            FileUtils.downloadFile(blob, `年度记录_完整备份_${timestamp}.zip`, 'application/zip');
+            this.showMessage(`已备份${years}个年份的数据和${imageCount}张图片`, 'success');
+        } catch (error) {
+            console.error('[BackupManager] 生成备份失败:', error);
+            this.showMessage(`生成备份失败：${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 选择备份文件
+     */
+    selectFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.zip,application/zip';
+
+        input.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.load(file);
+            }
+        });
+
+        input.click();
+    }
+
+    /**
+     * 读取并校验备份文件，通过后打开恢复预览
+     * @param {File} file - 备份文件
+     */
+    async load(file) {
+        try {
+            this.pending = await this.validateBackup(await ZipUtils.readZip(file));
+
+            // 恢复只覆盖备份中的年份，其余现有年份保持不变，在预览中列出
+            const backupYears = new Set(this.pending.years.map(({ year }) => year));
+            this.pending.keptYears = (await this.storageManager.getAllSavedYears())
+                .filter(year => !backupYears.has(year))
+                .sort((a, b) => a - b);
+
+            this.renderPreview(file.name);
+            this.open();
+        } catch (error) {
+            console.error('[BackupManager] 备份校验失败:', error);
+            this.pending = null;
+            this.showMessage(`无法恢复该备份：${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 校验备份内容，任何一项不通过时抛出错误，不修改现有数据
+     * @param {Array<Object>} entries - ZIP中的文件 [{name, data}]
+     * @returns {Promise<Object>} {manifest, settings, years: [{year, data, recordCount, imageCount}], warnings}
+     */
+    async validateBackup(entries) {
+        const decoder = new TextDecoder();
+        const files = new Map(entries.map(entry => [entry.name, entry.data]));
+        const readJSON = (path) => {
+            try {
+                return JSON.parse(decoder.decode(files.get(path)));
+            } catch (error) {
+                throw new Error(`${path}不是有效的JSON`);
+            }
+        };
+
+        if (!files.has('manifest.json')) {
+            throw new Error('缺少manifest.json，不是完整备份文件');
+        }
+        const manifest = readJSON('manifest.json');
+        if (manifest.format !== BackupManager.FORMAT.format || !Array.isArray(manifest.files) || !Array.isArray(manifest.years)) {
+            throw new Error('不是完整备份文件');
+        }
+        if (!(manifest.version <= BackupManager.FORMAT.version)) {
+            throw new Error('备份由更新的版本生成，请先升级应用');
+        }
+
+        // 逐个核对文件大小和校验值
+        for (const entry of manifest.files) {
+            const data = files.get(entry.path);
+            if (!data) {
+                throw new Error(`缺少文件${entry.path}`);
+            }
+            if (data.length !== entry.size || await this.sha256(data) !== entry.sha256) {
+                throw new Error(`文件${entry.path}校验值不符，备份可能已损坏`);
+            }
+        }
+
+        const listed = new Set(['manifest.json', ...manifest.files.map(entry => entry.path)]);
+        const warnings = entries
+            .filter(entry => !listed.has(entry.name))
+            .map(entry => `忽略清单中没有的文件${entry.name}`);
+
+        if (!listed.has('settings.json')) {
+            throw new Error('缺少settings.json');
+        }
+        const settings = readJSON('settings.json');
+
+        const years = manifest.years.map(entry => {
+            if (!listed.has(entry.file)) {
+                throw new Error(`缺少${entry.year}年的数据文件`);
+            }
+
+            const data = readJSON(entry.file);
+            let imageCount = 0;
+            data.records = (Array.isArray(data.records) ? data.records : []).map(record => {
+                if (!record.content || !record.content.imageFile) return record;
+
+                const path = record.content.imageFile;
+                if (!listed.has(path)) {
+                    throw new Error(`缺少图片${path}`);
+                }
+                imageCount++;
+                const { imageFile, imageType, ...content } = record.content;
+                const mimeType = imageType || Object.keys(BackupManager.IMAGE_TYPES)
+                    .find(type => path.endsWith(`.${BackupManager.IMAGE_TYPES[type]}`)) || 'application/octet-stream';
+                return { ...record, content: { ...content, imageData: ZipUtils.bytesToDataURL(files.get(path), mimeType) } };
+            });
+
+            if (data.year !== entry.year || !this.storageManager.validateDataFormat(data)) {
+                throw new Error(`${entry.year}年的数据格式无效`);
+            }
+
+            return { year: entry.year, data, recordCount: data.records.length, imageCount };
+        });
+
+        if (years.length === 0) {
+            throw new Error('备份中没有年度数据');
+        }
+
+        // 恢复到浏览器存储时，提前检查每年的数据是否超过保存上限
+        if (!this.getTargetFileStorage(settings)) {
+            const tooLarge = years.filter(({ data }) => JSON.stringify(data).length > 5 * 1024 * 1024);
+            if (tooLarge.length > 0) {
+                throw new Error(`${tooLarge.map(({ year }) => year).join('、')}年的数据超过浏览器存储的5MB上限，请先选择存储目录改用文件存储后再恢复`);
+            }
+        }
+        if (settings.storagePreference === 'file' && !this.getTargetFileStorage(settings)) {
+            warnings.push('备份使用文件存储，但当前没有选择存储目录，数据将恢复到浏览器存储');
+        }
+
+        return { manifest, settings, years, warnings };
+    }
+
+    /**
+     * 判断恢复后是否使用文件存储：备份使用文件存储且当前已选择存储目录
+     * @param {Object} settings - 备份中的设置
+     * @returns {boolean}
+     */
+    getTargetFileStorage(settings) {
+        return settings.storagePreference === 'file' && !!window.fileStorageManager?.directoryHandle;
+    }
+
+    /**
+     * 渲染恢复预览
+     * @param {string} fileName - 备份文件名
+     */
+    renderPreview(fileName) {
+        const { manifest, settings, years, warnings, keptYears } = this.pending;
+        const createdAt = new Date(manifest.createdAt);
+
+        this.modal.querySelector('.backup-restore-summary').textContent =
+            `${fileName}：生成于${isNaN(createdAt) ? '未知时间' : createdAt.toLocaleString()}，包含${years.length}个年份，校验通过。`;
+
+        const list = this.modal.querySelector('.backup-restore-years');
+        list.innerHTML = '';
+        years.forEach(({ year, recordCount, imageCount }) => {
+            const startDate = settings.startDates && settings.startDates[year];
+            const text = `${year}年：${recordCount}条记录` +
+                (imageCount > 0 ? `，${imageCount}张图片` : '') +
+                (startDate ? `，起始日期${startDate}` : '');
+            list.appendChild(DOMUtils.createElement('li', {}, text));
+        });
+
+        const count = value => (Array.isArray(value) ? value.length : 0);
+        this.modal.querySelector('.backup-restore-settings').textContent =
+            `全局设置：${count(settings.tags)}个标签，${count(settings.customThemes)}个自定义主题，` +
+            `${count(settings.holidayCalendars)}个假日日历，存储方式为${this.getTargetFileStorage(settings) ? '文件存储' : '浏览器存储'}`;
+
+        const warningList = this.modal.querySelector('.backup-restore-warnings');
+        warningList.innerHTML = '';
+        warnings.forEach(warning => warningList.appendChild(DOMUtils.createElement('li', {}, warning)));
+
+        this.modal.querySelector('.backup-restore-hint').textContent = keptYears.length > 0
+            ? `恢复会与现有数据合并：覆盖以上年份的数据和全局设置，现有的${keptYears.map(year => `${year}年`).join('、')}不在备份中，会保留不变。完成后页面会重新加载。`
+            : '恢复将覆盖以上年份的数据和全局设置，完成后页面会重新加载。';
+    }
+
+    /**
+     * 用已校验的备份覆盖现有数据，完成后重新加载页面
+     * 写入前记录将被覆盖的数据，任何一步失败都回滚到恢复前的状态
+     */
+    async restore() {
+        if (!this.pending) return;
+
+        const { settings, years } = this.pending;
+        const confirmBtn = this.modal.querySelector('#backup-restore-confirm');
+        confirmBtn.disabled = true;
+
+        // 停止保存当前画布并遮住界面，避免恢复的数据被内存中的旧数据覆盖
+        const app = window.app;
+        this.storageManager.disableAutoSave();
+        if (app) {
+            app.appState.isRestoringBackup = true;
+            app.showLoading('正在从备份恢复...');
+        }
+
+        const useFileStorage = this.getTargetFileStorage(settings);
+        const writtenYears = [];
+        let snapshot = null;
+
+        try {
+            snapshot = await this.takeSnapshot(years);
+            this.storageManager.saveStoragePreference(useFileStorage);
+
+            for (const { year, data } of years) {
+                writtenYears.push(year);
+
+                const startDate = settings.startDates && settings.startDates[year];
+                const startDateSaved = this.isDateString(startDate)
+                    ? this.storageManager.saveStartDate(year, startDate)
+                    : this.storageManager.resetStartDate(year);
+                if (!startDateSaved || !await this.storageManager.saveYearData(year, data)) {
+                    throw new Error(`${year}年的数据保存失败`);
+                }
+            }
+
+            this.writeSettings(settings, years);
+        } catch (error) {
+            console.error('[BackupManager] 恢复备份失败:', error);
+            const rolledBack = snapshot ? await this.rollback(snapshot, writtenYears, settings, useFileStorage) : true;
+
+            this.storageManager.enableAutoSave(this.storageManager.saveCallback);
+            if (app) {
+                app.appState.isRestoringBackup = false;
+                app.hideLoading();
+            }
+            this.showMessage(rolledBack
+                ? `恢复备份失败：${error.message}，原有数据未改变`
+                : `恢复备份失败：${error.message}，部分原有数据未能还原，请检查后重试`, 'error');
+            confirmBtn.disabled = false;
+            return;
+        }
+
+        // 页面重新加载前不再提示未保存，也不再允许撤销到恢复前的状态
+        if (app) {
+            app.appState.hasUnsavedChanges = false;
+        }
+        this.storageManager.hasUnsavedChanges = false;
+        window.historyManager?.clear();
+
+        this.pending = null;
+        this.close();
+        this.showMessage(`已从备份恢复${years.length}个年份，页面即将重新加载`, 'success');
+        setTimeout(() => window.location.reload(), 1000);
+    }
+
+    /**
+     * 记录恢复会覆盖的现有数据
+     * @param {Array<Object>} years - 恢复的年份
+     * @returns {Promise<Object>} {preferFileStorage, currentYear, settings: Map, years: Map}
+     */
+    async takeSnapshot(years) {
+        const settings = new Map(this.getSettingsKeys().map(key => [key, localStorage.getItem(key)]));
+
+        const yearSnapshots = new Map();
+        for (const { year } of years) {
+            yearSnapshots.set(year, {
+                startDate: this.storageManager.getStartDate(year),
+                data: await this.storageManager.loadYearData(year)
+            });
+        }
+
+        return {
+            preferFileStorage: this.storageManager.preferFileStorage,
+            currentYear: this.storageManager.getCurrentYear(),
+            settings,
+            years: yearSnapshots
+        };
+    }
+
+    /**
+     * 回滚到恢复前的状态
+     * @param {Object} snapshot - takeSnapshot()的结果
+     * @param {Array<number>} writtenYears - 已开始写入的年份
+     * @param {Object} settings - 备份中的设置
+     * @param {boolean} useFileStorage - 恢复时是否写入了文件存储
+     * @returns {Promise<boolean>} 是否全部还原成功
+     */
+    async rollback(snapshot, writtenYears, settings, useFileStorage) {
+        let success = true;
+
+        try {
+            // 删除恢复时写入的文件，原有数据随后按原来的存储方式写回
+            if (useFileStorage) {
+                for (const year of writtenYears) {
+                    const startDate = settings.startDates && settings.startDates[year];
+                    await window.fileStorageManager.deleteFile(year, this.isDateString(startDate) ? startDate : null);
+                }
+            }
+
+            this.storageManager.saveStoragePreference(snapshot.preferFileStorage);
+
+            for (const year of writtenYears) {
+                const { startDate, data } = snapshot.years.get(year);
+                if (this.isDateString(startDate)) {
+                    this.storageManager.saveStartDate(year, startDate);
+                } else {
+                    this.storageManager.resetStartDate(year);
+                }
+
+                const restored = data
+                    ? await this.storageManager.saveYearData(year, data)
+                    : this.storageManager.deleteYearData(year);
+                if (!restored) {
+                    console.error(`[BackupManager] 还原${year}年的数据失败`);
+                    success = false;
+                }
+            }
+
+            snapshot.settings.forEach((value, key) => {
+                if (value === null) {
+                    localStorage.removeItem(key);
+                } else {
+                    localStorage.setItem(key, value);
+                }
+            });
+            this.storageManager.saveCurrentYear(snapshot.currentYear);
+        } catch (error) {
+            console.error('[BackupManager] 回滚失败:', error);
+            success = false;
+        }
+
+        return success;
+    }
+
+    /**
+     * 获取全局设置在localStorage中的键名
+     * @returns {Array<string>}
+     */
+    getSettingsKeys() {
+        const { tagManager, themeManager, holidayManager } = window;
+        return [
+            tagManager?.storageKey,
+            tagManager?.hiddenStorageKey,
+            themeManager?.storageKey,
+            holidayManager?.storageKey,
+            holidayManager?.visibleStorageKey
+        ].filter(Boolean);
+    }
+
+    /**
+     * 写入全局设置，页面重新加载后由各模块读取
+     * @param {Object} settings - 备份中的设置
+     * @param {Array<Object>} years - 恢复的年份
+     */
+    writeSettings(settings, years) {
+        const write = (key, value) => {
+            if (key && value !== undefined) {
+                localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+            }
+        };
+
+        const { tagManager, themeManager, holidayManager } = window;
+        write(tagManager?.storageKey, settings.tags);
+        write(tagManager?.hiddenStorageKey, settings.hiddenTags);
+        write(themeManager?.storageKey, settings.customThemes);
+        write(holidayManager?.storageKey, settings.holidayCalendars);
+        if (typeof settings.holidaysVisible === 'boolean') {
+            write(holidayManager?.visibleStorageKey, String(settings.holidaysVisible));
+        }
+
+        const currentYear = years.some(({ year }) => year === settings.currentYear) ? settings.currentYear : years[0].year;
+        this.storageManager.saveCurrentYear(currentYear);
+    }
+
+    /**
+     * 打开恢复预览
+     */
+    open() {
+        if (!this.modal) return;
+
+        this.modal.querySelector('#backup-restore-confirm').disabled = false;
+        this.modal.classList.add('active');
+        document.body.classList.add('modal-open');
+    }
+
+    /**
+     * 关闭恢复预览
+     */
+    close() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+
+    /**
+     * 显示提示消息
+     * @param {string} message - 消息内容
+     * @param {string} type - 消息类型
+     */
+    showMessage(message, type = 'info') {
+        if (window.app) {
+            window.app.showMessage(message, type);
+        }
+    }
+}
+
+// 导出到全局
+window.BackupManager = BackupManager;
@@ -4,8 +4,14 @@
  */
 
 class CircleRenderer {
-    constructor(svgElement) {
+    /**
+     * @param {SVGElement} svgElement - 包含各绘制分组的SVG元素
+     * @param {Object} options - 选项（V1.6新增）
+     * @param {boolean} options.readOnly - 只读模式：点击日期小点不触发dateSelected，用于年份对比等预览
+     */
+    constructor(svgElement, options = {}) {
         this.svg = svgElement;
+        this.readOnly = !!options.readOnly;
         this.centerX = 0;
         this.centerY = 0;
         this.radius = 0;
@@ -14,10 +20,11 @@ class CircleRenderer {
         this.currentYear = new Date().getFullYear();
         this.startDate = null; // 起始日期
         
-        // 获取SVG组元素
-        this.monthsGroup = this.svg.querySelector('#months-group');
-        this.datesGroup = this.svg.querySelector('#dates-group');
-        this.connectionsGroup = this.svg.querySelector('#connections-group');
+        // 获取SVG组元素（V1.6更新：按类名查找，同一页面可存在多个渲染器实例）
+        this.monthsGroup = this.svg.querySelector('.months-group');
+        this.datesGroup = this.svg.querySelector('.dates-group');
+        this.connectionsGroup = this.svg.querySelector('.connections-group');
+        this.rangesGroup = this.svg.querySelector('.ranges-group'); // V1.6新增：多日记录弧线
         
         // 月份数据
         this.monthNames = [
@@ -25,9 +32,23 @@ class CircleRenderer {
             '七月', '八月', '九月', '十月', '十一月', '十二月'
         ];
         
+        // V1.6新增：圆环模式（按月、ISO周、季度、13期财务历、4-4-5财务历）
+        this.ringModes = ['month', 'week', 'quarter', 'fiscal13', 'fiscal445'];
+        this.ringMode = 'month';
+        this.quarterNames = ['一季度', '二季度', '三季度', '四季度'];
+        this.fiscalWeekPattern = [4, 4, 5]; // 4-4-5财务历每个季度的周数
+        
+        // V1.6新增：按实际天数布局（每天占360/365或360/366度，周期起始日期旋转到12点位置）
+        this.trueTimeLayout = false;
+        this.rotation = 0; // 圆环旋转角度（度），每次渲染时计算
+        
+        // V1.6新增：在圆环内侧标注二十四节气和传统节日
+        this.lunarMarks = false;
+        
         // 存储日期小点的引用
-        this.dateDots = new Map(); // key: 'month-day', value: SVG element
+        this.dateDots = new Map(); // key: 'month-day', value: SVG element（按周模式下同一周的日期共用一个小点）
         this.monthElements = new Map(); // key: month, value: SVG element
+        this.recordedDates = new Set(); // V1.6新增：已标记记录的'month-day'，用于共用小点时判断是否取消标记
         
         this.initializeCanvas();
     }
@@ -45,9 +66,10 @@ class CircleRenderer {
         this.svg.setAttribute('viewBox', `0 0 ${containerRect.width} ${containerRect.height}`);
         
         // 计算中心点和半径
-        this.centerX = containerRect.width / 2;
-        this.centerY = containerRect.height / 2;
-        this.radius = Math.min(containerRect.width, containerRect.height) * 0.35;
+        const frame = CoordinateUtils.getCircleFrame(containerRect.width, containerRect.height);
+        this.centerX = frame.centerX;
+        this.centerY = frame.centerY;
+        this.radius = frame.radius;
         this.monthRadius = this.radius + 50; // 增加月份标签距离
         this.dateRadius = this.radius - 15; // 调整日期小点位置
         
@@ -69,17 +91,114 @@ class CircleRenderer {
         return this.startDate;
     }
 
+    /**
+     * 设置圆环模式 - V1.6新增
+     * 只更新模式，需调用render()重新绘制
+     * @param {string} mode - 圆环模式，未知模式回退为按月
+     * @returns {boolean} 模式是否发生变化
+     */
+    setRingMode(mode) {
+        const nextMode = this.ringModes.includes(mode) ? mode : 'month';
+        const changed = nextMode !== this.ringMode;
+        this.ringMode = nextMode;
+        return changed;
+    }
+
+    /**
+     * 获取圆环模式 - V1.6新增
+     * @returns {string} 圆环模式
+     */
+    getRingMode() {
+        return this.ringMode;
+    }
+
+    /**
+     * 设置是否按实际天数布局 - V1.6新增
+     * 只更新设置，需调用render()重新绘制
+     * @param {boolean} enabled - 是否启用
+     * @returns {boolean} 设置是否发生变化
+     */
+    setTrueTimeLayout(enabled) {
+        const changed = !!enabled !== this.trueTimeLayout;
+        this.trueTimeLayout = !!enabled;
+        return changed;
+    }
+
+    /**
+     * 是否按实际天数布局 - V1.6新增
+     * @returns {boolean}
+     */
+    isTrueTimeLayout() {
+        return this.trueTimeLayout;
+    }
+
+    /**
+     * 设置是否标注节气和节日 - V1.6新增
+     * 只更新设置，需调用render()重新绘制
+     * @param {boolean} enabled - 是否启用
+     * @returns {boolean} 设置是否发生变化
+     */
+    setLunarMarks(enabled) {
+        const changed = !!enabled !== this.lunarMarks;
+        this.lunarMarks = !!enabled;
+        return changed;
+    }
+
+    /**
+     * 是否标注节气和节日 - V1.6新增
+     * @returns {boolean}
+     */
+    hasLunarMarks() {
+        return this.lunarMarks;
+    }
+
+    /**
+     * 计算圆环旋转角度 - V1.6新增
+     * 按实际天数布局且设置了起始日期时，逆时针旋转圆环使周期起始日期位于12点位置
+     * @returns {number} 旋转角度（度），不旋转时为0
+     */
+    getRotation() {
+        if (!this.trueTimeLayout || !this.startDate) {
+            return 0;
+        }
+        
+        const days = this.getRingDays();
+        return (this.getCycleStartIndex(days) / days.length) * 360;
+    }
+
     /**
      * 渲染完整的环形图
      * @param {number} year - 年份
      */
     renderCircle(year) {
         this.currentYear = year;
+        this.rotation = this.getRotation();
         this.clearCanvas();
         this.drawBackground();
-        this.drawMonths();
-        this.drawDates();
         
+        if (this.ringMode === 'month') {
+            this.drawMonths();
+            this.drawDates();
+        } else {
+            // V1.6新增：按周、季度和财务历模式
+            const periods = this.getRingPeriods();
+            this.drawPeriods(periods);
+            if (this.ringMode === 'week') {
+                this.drawWeekDots(periods);
+            } else {
+                this.drawWeekTicks();
+                this.drawDates();
+            }
+        }
+        
+        if (this.lunarMarks) {
+            this.drawLunarMarks();
+        }
+        
+        // V1.6新增：通知其他模块圆环已重绘（如假日标记图层）
+        document.dispatchEvent(new CustomEvent('circleRendered', {
+            detail: { renderer: this, year }
+        }));
     }
 
     /**
@@ -96,8 +215,12 @@ class CircleRenderer {
         this.monthsGroup.innerHTML = '';
         this.datesGroup.innerHTML = '';
         this.connectionsGroup.innerHTML = '';
+        if (this.rangesGroup) {
+            this.rangesGroup.innerHTML = '';
+        }
         this.dateDots.clear();
         this.monthElements.clear();
+        this.recordedDates.clear();
     }
 
     /**
@@ -126,9 +249,10 @@ class CircleRenderer {
         });
         this.monthsGroup.appendChild(innerCircle);
 
-        // 月份分隔线 - 更精确的角度计算
-        for (let i = 0; i < 12; i++) {
-            const angle = (i * 30) - 90; // 从12点位置开始，每月30度
+        // 月份分隔线 - 更精确的角度计算（V1.6更新：其他圆环模式由drawPeriods绘制分隔线）
+        const monthAngles = this.getMonthAngles();
+        for (let i = 0; i < 12 && this.ringMode === 'month'; i++) {
+            const angle = monthAngles[i].separator;
             const startPoint = MathUtils.getPointOnCircle(
                 this.centerX, this.centerY, this.radius - 15, angle
             );
@@ -168,8 +292,10 @@ class CircleRenderer {
      * 绘制月份标签
      */
     drawMonths() {
+        const monthAngles = this.getMonthAngles();
+        
         for (let month = 1; month <= 12; month++) {
-            const angle = ((month - 1) * 30) - 90; // 从12点位置开始
+            const angle = monthAngles[month - 1].label;
             const position = MathUtils.getPointOnCircle(
                 this.centerX, this.centerY, this.monthRadius, angle
             );
@@ -220,8 +346,8 @@ class CircleRenderer {
             for (let day = 1; day <= daysInMonth; day++) {
                 currentDayOfYear++;
                 
-                // 更精确的角度计算，确保均匀分布
-                const angle = ((currentDayOfYear - 1) / yearDays) * 360 - 90; // 从12点位置开始
+                // 更精确的角度计算，确保均匀分布（V1.6更新：按实际天数布局时计入圆环旋转）
+                const angle = this.getRingAngle(currentDayOfYear - 1, yearDays);
                 
                 const position = MathUtils.getPointOnCircle(
                     this.centerX, this.centerY, this.dateRadius, angle
@@ -301,6 +427,423 @@ class CircleRenderer {
         }
     }
 
+    /**
+     * 获取圆环上按顺序排列的所有日期 - V1.6新增
+     * 与drawDates的排列一致：从12点位置的1月1日开始，设置起始日期时按实际年份计算
+     * @returns {Array} 日期数组 [{year, month, day}]，下标即圆环上的位置序号
+     */
+    getRingDays() {
+        const days = [];
+        
+        for (let month = 1; month <= 12; month++) {
+            const daysInMonth = DateUtils.getDaysInMonth(this.calculateActualYear(month, 1), month);
+            for (let day = 1; day <= daysInMonth; day++) {
+                days.push({ year: this.calculateActualYear(month, day), month, day });
+            }
+        }
+        
+        return days;
+    }
+
+    /**
+     * 获取圆环位置序号对应的角度 - V1.6新增
+     * @param {number} index - 位置序号（可为小数，如-0.5表示第一天之前的分隔位置）
+     * @param {number} total - 圆环总天数
+     * @returns {number} 角度（从12点位置开始，已计入圆环旋转）
+     */
+    getRingAngle(index, total) {
+        return (index / total) * 360 - 90 - this.rotation;
+    }
+
+    /**
+     * 获取周期起始日期在圆环上的位置序号 - V1.6新增
+     * @param {Array} days - 圆环日期数组
+     * @returns {number} 位置序号，未设置起始日期时为0
+     */
+    getCycleStartIndex(days) {
+        if (!this.startDate) {
+            return 0;
+        }
+        
+        return Math.max(0, days.findIndex(date => this.isStartDate(date.month, date.day)));
+    }
+
+    /**
+     * 获取月份分隔线和标签的角度 - V1.6新增
+     * 默认每月30度；按实际天数布局时分隔线位于真实的月份边界，标签位于月份中间
+     * @returns {Array} 按月份排列的角度 [{separator, label}]
+     */
+    getMonthAngles() {
+        const angles = [];
+        
+        if (!this.trueTimeLayout) {
+            for (let i = 0; i < 12; i++) {
+                const angle = (i * 30) - 90; // 从12点位置开始，每月30度
+                angles.push({ separator: angle, label: angle });
+            }
+            return angles;
+        }
+        
+        const total = this.calculateTotalDaysInCycle();
+        let index = 0;
+        for (let month = 1; month <= 12; month++) {
+            const daysInMonth = DateUtils.getDaysInMonth(this.calculateActualYear(month, 1), month);
+            angles.push({
+                separator: this.getRingAngle(index - 0.5, total),
+                label: this.getRingAngle(index + (daysInMonth - 1) / 2, total)
+            });
+            index += daysInMonth;
+        }
+        
+        return angles;
+    }
+
+    /**
+     * 计算当前圆环模式下的分段 - V1.6新增
+     * 按周模式使用ISO周；季度和财务历从周期起始日期（默认1月1日）开始划分，
+     * 财务历多出的1-2天计入最后一期
+     * @returns {Array} 分段数组 [{label, title, start, length, days}]，start为圆环位置序号
+     */
+    getRingPeriods() {
+        const days = this.getRingDays();
+        if (this.ringMode === 'week') {
+            return this.getWeekPeriods(days);
+        }
+        
+        const total = days.length;
+        const startIndex = this.getCycleStartIndex(days);
+        const periods = [];
+        let offset = 0;
+        
+        this.getPeriodLengths(days[startIndex], total).forEach((length, i) => {
+            const periodDays = [];
+            for (let j = 0; j < length; j++) {
+                periodDays.push(days[(startIndex + offset + j) % total]);
+            }
+            const name = this.ringMode === 'quarter' ? this.quarterNames[i] : `第${i + 1}期`;
+            
+            periods.push({
+                label: this.ringMode === 'quarter' ? name : `P${i + 1}`,
+                title: `${name}：${this.formatPeriodRange(periodDays)}`,
+                start: (startIndex + offset) % total,
+                length,
+                days: periodDays
+            });
+            offset += length;
+        });
+        
+        return periods;
+    }
+
+    /**
+     * 按ISO周划分圆环日期 - V1.6新增
+     * @param {Array} days - 圆环日期数组
+     * @returns {Array} 分段数组
+     */
+    getWeekPeriods(days) {
+        const periods = [];
+        
+        days.forEach((date, index) => {
+            const { year, week } = DateUtils.getISOWeek(date.year, date.month, date.day);
+            const last = periods[periods.length - 1];
+            
+            if (last && last.isoYear === year && last.week === week) {
+                last.length++;
+                last.days.push(date);
+            } else {
+                periods.push({ isoYear: year, week, label: String(week), start: index, length: 1, days: [date] });
+            }
+        });
+        
+        // 设置起始日期时周期首尾相连，跨越12点位置的同一周合并为一段
+        const first = periods[0];
+        const last = periods[periods.length - 1];
+        if (periods.length > 1 && first.isoYear === last.isoYear && first.week === last.week) {
+            last.length += first.length;
+            last.days.push(...first.days);
+            periods.shift();
+        }
+        
+        periods.forEach(period => {
+            period.title = `${period.isoYear}年第${period.week}周：${this.formatPeriodRange(period.days)}`;
+        });
+        
+        return periods;
+    }
+
+    /**
+     * 计算季度和财务历每一段的天数 - V1.6新增
+     * @param {Object} startDay - 周期起始日期 {year, month, day}
+     * @param {number} total - 周期总天数
+     * @returns {number[]} 各段天数，总和等于total
+     */
+    getPeriodLengths(startDay, total) {
+        let lengths;
+        
+        if (this.ringMode === 'quarter') {
+            const start = Date.UTC(startDay.year, startDay.month - 1, startDay.day);
+            const boundaries = [1, 2, 3].map(k =>
+                Math.round((Date.UTC(startDay.year, startDay.month - 1 + k * 3, startDay.day) - start) / 86400000)
+            );
+            lengths = [boundaries[0], boundaries[1] - boundaries[0], boundaries[2] - boundaries[1], 0];
+        } else if (this.ringMode === 'fiscal445') {
+            lengths = [];
+            for (let quarter = 0; quarter < 4; quarter++) {
+                this.fiscalWeekPattern.forEach(weeks => lengths.push(weeks * 7));
+            }
+        } else {
+            lengths = new Array(13).fill(28);
+        }
+        
+        // 剩余天数计入最后一段（季度模式的第四季度、财务历的第13期）
+        const used = lengths.slice(0, -1).reduce((sum, length) => sum + length, 0);
+        lengths[lengths.length - 1] = total - used;
+        
+        return lengths;
+    }
+
+    /**
+     * 格式化分段的日期范围 - V1.6新增
+     * @param {Array} days - 分段内的日期
+     * @returns {string} 如"2025-01-06 至 2025-01-12"
+     */
+    formatPeriodRange(days) {
+        const first = days[0];
+        const last = days[days.length - 1];
+        return `${DateUtils.formatDate(first.year, first.month, first.day)} 至 ${DateUtils.formatDate(last.year, last.month, last.day)}`;
+    }
+
+    /**
+     * 绘制分段分隔线和标签 - V1.6新增
+     * 季度和财务历标签与月份标签样式一致；周标签较多，空间不足时隔周显示
+     * @param {Array} periods - 分段数组
+     */
+    drawPeriods(periods) {
+        const total = this.calculateTotalDaysInCycle();
+        const isWeekMode = this.ringMode === 'week';
+        const separatorLength = isWeekMode ? 8 : 15;
+        const labelRadius = isWeekMode ? this.radius + 28 : this.monthRadius;
+        
+        // 相邻周标签之间至少保留24像素
+        const spacing = (2 * Math.PI * labelRadius) / periods.length;
+        const labelStep = isWeekMode ? Math.max(1, Math.ceil(24 / spacing)) : 1;
+        
+        periods.forEach((period, index) => {
+            const separatorAngle = this.getRingAngle(period.start - 0.5, total);
+            const startPoint = MathUtils.getPointOnCircle(
+                this.centerX, this.centerY, this.radius - separatorLength, separatorAngle
+            );
+            const endPoint = MathUtils.getPointOnCircle(
+                this.centerX, this.centerY, this.radius + separatorLength, separatorAngle
+            );
+            
+            this.monthsGroup.appendChild(DOMUtils.createSVGElement('line', {
+                x1: startPoint.x,
+                y1: startPoint.y,
+                x2: endPoint.x,
+                y2: endPoint.y,
+                class: 'month-separator period-separator'
+            }));
+            
+            if (index % labelStep !== 0) return;
+            
+            const labelAngle = this.getRingAngle(period.start + (period.length - 1) / 2, total);
+            const position = MathUtils.getPointOnCircle(
+                this.centerX, this.centerY, labelRadius, labelAngle
+            );
+            
+            if (!isWeekMode) {
+                this.monthsGroup.appendChild(DOMUtils.createSVGElement('circle', {
+                    cx: position.x,
+                    cy: position.y,
+                    r: 25,
+                    class: 'month-background'
+                }));
+            }
+            
+            const label = DOMUtils.createSVGElement('text', {
+                x: position.x,
+                y: position.y,
+                class: isWeekMode ? 'period-text week-text' : 'month-text period-text',
+                'data-period': index + 1,
+                'text-anchor': 'middle',
+                'dominant-baseline': 'central'
+            });
+            label.textContent = period.label;
+            
+            const title = DOMUtils.createSVGElement('title');
+            title.textContent = period.title;
+            label.appendChild(title);
+            
+            this.monthsGroup.appendChild(label);
+        });
+    }
+
+    /**
+     * 绘制周刻度 - V1.6新增
+     * 季度模式在每周一之前绘制刻度；财务历从周期起始日期起每7天一个刻度
+     */
+    drawWeekTicks() {
+        const days = this.getRingDays();
+        const total = days.length;
+        const startIndex = this.getCycleStartIndex(days);
+        
+        days.forEach((date, index) => {
+            const isTick = this.ringMode === 'quarter'
+                ? new Date(date.year, date.month - 1, date.day).getDay() === 1
+                : (index - startIndex + total) % 7 === 0;
+            if (!isTick) return;
+            
+            const angle = this.getRingAngle(index - 0.5, total);
+            const startPoint = MathUtils.getPointOnCircle(this.centerX, this.centerY, this.radius - 6, angle);
+            const endPoint = MathUtils.getPointOnCircle(this.centerX, this.centerY, this.radius + 6, angle);
+            
+            this.monthsGroup.appendChild(DOMUtils.createSVGElement('line', {
+                x1: startPoint.x,
+                y1: startPoint.y,
+                x2: endPoint.x,
+                y2: endPoint.y,
+                class: 'week-tick'
+            }));
+        });
+    }
+
+    /**
+     * 绘制节气和传统节日标注 - V1.6新增
+     * 在内圆环上以小圆点标出日期，节气和节日名称分两圈显示在内侧；
+     * 同一圈中相距过近的名称按优先级保留一个（如除夕和春节只显示春节），完整信息见圆点的提示
+     */
+    drawLunarMarks() {
+        if (typeof LunarCalendar === 'undefined') return;
+        
+        const days = this.getRingDays();
+        const total = days.length;
+        const markRadius = this.radius - 30;
+        const festivalOrder = LunarCalendar.FESTIVALS.map(festival => festival.name);
+        const layers = {
+            term: { radius: this.radius - 44, className: 'lunar-mark-text solar-term-text', labels: [] },
+            festival: { radius: this.radius - 60, className: 'lunar-mark-text festival-text', labels: [] }
+        };
+        
+        days.forEach((date, index) => {
+            const term = LunarCalendar.getSolarTerm(date.year, date.month, date.day);
+            const festivals = LunarCalendar.getFestivals(date.year, date.month, date.day);
+            if (!term && festivals.length === 0) return;
+            
+            const angle = this.getRingAngle(index, total);
+            const markPoint = MathUtils.getPointOnCircle(this.centerX, this.centerY, markRadius, angle);
+            
+            const mark = DOMUtils.createSVGElement('circle', {
+                cx: markPoint.x,
+                cy: markPoint.y,
+                r: 2.5,
+                class: festivals.length > 0 ? 'lunar-mark festival-mark' : 'lunar-mark solar-term-mark'
+            });
+            const title = DOMUtils.createSVGElement('title');
+            title.textContent = `${DateUtils.formatDateString(DateUtils.formatDate(date.year, date.month, date.day))} ` +
+                festivals.concat(term ? [term] : []).join(' ');
+            mark.appendChild(title);
+            this.monthsGroup.appendChild(mark);
+            
+            if (term) {
+                layers.term.labels.push({ text: term, angle, priority: 0 });
+            }
+            if (festivals.length > 0) {
+                // 未列入节日表的（除夕）优先级最低
+                const priority = Math.min(...festivals.map(name =>
+                    festivalOrder.includes(name) ? festivalOrder.indexOf(name) : festivalOrder.length));
+                layers.festival.labels.push({ text: festivals.join('·'), angle, priority });
+            }
+        });
+        
+        Object.values(layers).forEach(layer => {
+            // 相邻标签之间至少保留22像素
+            const minGap = (22 / layer.radius) * (180 / Math.PI);
+            const placed = [];
+            
+            layer.labels
+                .sort((a, b) => a.priority - b.priority)
+                .forEach(item => {
+                    const tooClose = placed.some(angle => {
+                        const gap = Math.abs(angle - item.angle) % 360;
+                        return Math.min(gap, 360 - gap) < minGap;
+                    });
+                    if (tooClose) return;
+                    placed.push(item.angle);
+                    
+                    const position = MathUtils.getPointOnCircle(this.centerX, this.centerY, layer.radius, item.angle);
+                    const label = DOMUtils.createSVGElement('text', {
+                        x: position.x,
+                        y: position.y,
+                        class: layer.className,
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'central'
+                    });
+                    label.textContent = item.text;
+                    this.monthsGroup.appendChild(label);
+                });
+        });
+    }
+
+    /**
+     * 绘制按周模式的小点 - V1.6新增
+     * 每周一个小点，位于该周在圆环上的中点；该周的每一天都映射到这个小点，
+     * 记录连接线因此锚定到所在的周，点击小点选中该周在周期内的第一天
+     * @param {Array} periods - 按ISO周划分的分段
+     */
+    drawWeekDots(periods) {
+        const total = this.calculateTotalDaysInCycle();
+        
+        periods.forEach(period => {
+            const angle = this.getRingAngle(period.start + (period.length - 1) / 2, total);
+            const position = MathUtils.getPointOnCircle(
+                this.centerX, this.centerY, this.dateRadius, angle
+            );
+            const first = period.days[0];
+            const isStartWeek = period.days.some(date => this.isStartDate(date.month, date.day));
+            
+            const weekDot = DOMUtils.createSVGElement('circle', {
+                cx: position.x,
+                cy: position.y,
+                r: isStartWeek ? 4.5 : 3.5,
+                class: isStartWeek ? 'date-dot week-dot start-date' : 'date-dot week-dot',
+                'data-year': first.year,
+                'data-month': first.month,
+                'data-day': first.day,
+                'data-date': DateUtils.formatDate(first.year, first.month, first.day),
+                'data-week': period.week,
+                'data-period-label': period.title
+            });
+            
+            if (isStartWeek) {
+                this.datesGroup.appendChild(DOMUtils.createSVGElement('circle', {
+                    cx: position.x,
+                    cy: position.y,
+                    r: 7.5,
+                    class: 'start-date-ring',
+                    fill: 'none',
+                    stroke: '#ff4757',
+                    'stroke-width': '2'
+                }));
+            }
+            
+            weekDot.addEventListener('click', (e) => {
+                this.handleDateClick(e, this.currentYear, first.month, first.day);
+            });
+            weekDot.addEventListener('mouseenter', (e) => {
+                this.showDateTooltip(e, this.currentYear, first.month, first.day);
+            });
+            weekDot.addEventListener('mouseleave', () => {
+                this.hideTooltip();
+            });
+            
+            this.datesGroup.appendChild(weekDot);
+            period.days.forEach(date => {
+                this.dateDots.set(`${date.month}-${date.day}`, weekDot);
+            });
+        });
+    }
+
     /**
      * 判断是否为起始日期
      * @param {number} month - 月份
@@ -342,6 +885,17 @@ class CircleRenderer {
         return this.currentYear + 1;
     }
 
+    /**
+     * 将记录日期换算为所在周期中的实际日期 - V1.6新增
+     * 旧数据中的日期可能只有月日与圆环对应，按起始日期重新确定年份
+     * @param {string} dateString - 日期字符串 (YYYY-MM-DD)
+     * @returns {string}
+     */
+    toCycleDate(dateString) {
+        const { month, day } = DateUtils.parseDate(dateString);
+        return DateUtils.formatDate(this.calculateActualYear(month, day), month, day);
+    }
+
     /**
      * 计算自定义周期的总天数
      * 考虑跨年情况下每个月份所在的实际年份
@@ -365,6 +919,54 @@ class CircleRenderer {
         return totalDays;
     }
 
+    /**
+     * 获取当前年度周期的起止日期 - V1.6新增
+     * @returns {Object} {start, end} 日期字符串 (YYYY-MM-DD格式)
+     */
+    getCycleRange() {
+        const start = this.startDate
+            ? DateUtils.parseDate(this.startDate)
+            : { month: 1, day: 1 };
+        const startDate = new Date(this.currentYear, start.month - 1, start.day);
+        const endDate = new Date(this.currentYear + 1, start.month - 1, start.day - 1);
+        
+        return {
+            start: DateUtils.formatDate(startDate.getFullYear(), startDate.getMonth() + 1, startDate.getDate()),
+            end: DateUtils.formatDate(endDate.getFullYear(), endDate.getMonth() + 1, endDate.getDate())
+        };
+    }
+
+    /**
+     * 获取日期在当前年度周期中的序号（从0开始） - V1.6新增
+     * @param {string} dateString - 日期字符串 (YYYY-MM-DD格式)
+     * @returns {number} 周期内序号，不在当前周期内时返回-1
+     */
+    getCycleDayIndex(dateString) {
+        const { start, end } = this.getCycleRange();
+        if (!dateString || dateString < start || dateString > end) {
+            return -1;
+        }
+        
+        const from = DateUtils.parseDate(start);
+        const to = DateUtils.parseDate(dateString);
+        const diff = Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day);
+        
+        return Math.round(diff / 86400000);
+    }
+
+    /**
+     * 判断日期范围是否有效：结束日期晚于开始日期，且两者都在当前周期内 - V1.6新增
+     * @param {string} startDate - 开始日期
+     * @param {string} endDate - 结束日期
+     * @returns {boolean}
+     */
+    isValidDateRange(startDate, endDate) {
+        const startIndex = this.getCycleDayIndex(startDate);
+        const endIndex = this.getCycleDayIndex(endDate);
+        
+        return startIndex >= 0 && endIndex > startIndex;
+    }
+
     /**
      * 获取年份范围显示文本
      * 根据是否设置起始日期返回不同的年份显示格式
@@ -391,8 +993,8 @@ class CircleRenderer {
     handleDateClick(event, year, month, day) {
         event.stopPropagation();
         
-        // 参数验证，防止undefined导致错误
-        if (year === undefined || month === undefined || day === undefined) {
+        // 参数验证，防止undefined导致错误（V1.6更新：只读模式不响应点击）
+        if (this.readOnly || year === undefined || month === undefined || day === undefined) {
             return;
         }
         
@@ -451,10 +1053,35 @@ class CircleRenderer {
         const hasRecord = dateDot && (dateDot.classList.contains('recorded') || dateDot.classList.contains('has-record'));
         const recordIndicator = hasRecord ? ' 📝' : '';
         
+        // V1.6新增：按周模式的小点显示所在周及日期范围
+        const periodLabel = dateDot && dateDot.getAttribute('data-period-label');
+        
+        // V1.6新增：假日图层写入的假日和纪念日名称
+        const holidays = dateDot && dateDot.getAttribute('data-holidays');
+        
+        // V1.6新增：显示农历日期、节气和节日（按周模式的小点代表一周，不显示）
+        let lunarLine = '';
+        if (!periodLabel && typeof LunarCalendar !== 'undefined') {
+            const lunarText = LunarCalendar.formatLunarDate(actualYear, month, day);
+            const term = LunarCalendar.getSolarTerm(actualYear, month, day);
+            const names = LunarCalendar.getFestivals(actualYear, month, day).concat(term ? [term] : []);
+            if (lunarText) {
+                lunarLine = `<div class="tooltip-lunar">农历${lunarText}${names.length ? ` · ${names.join(' ')}` : ''}</div>`;
+            }
+        }
+        
         tooltip.innerHTML = `
-            <div class="tooltip-date">${dateString}</div>
+            <div class="tooltip-date">${periodLabel || dateString}</div>
+            ${lunarLine}
             <div class="tooltip-info">${recordIndicator}</div>
         `;
+        if (holidays) {
+            // 名称来自导入的日历文件，以文本方式插入
+            tooltip.insertBefore(
+                DOMUtils.createElement('div', { className: 'tooltip-holiday' }, holidays),
+                tooltip.querySelector('.tooltip-info')
+            );
+        }
         
         // 使用固定偏移量避免因元素变换导致的位置抖动
         const fixedOffsetX = 15;
@@ -522,12 +1149,37 @@ class CircleRenderer {
         return tooltip;
     }
 
+    /**
+     * 高亮指定日期的小点，用于在多个圆环间同步悬停的日期 - V1.6新增
+     * @param {number} month - 月份
+     * @param {number} day - 日期
+     */
+    setHoverDate(month, day) {
+        this.clearHoverDate();
+        
+        const dateDot = this.dateDots.get(`${month}-${day}`);
+        if (dateDot) {
+            dateDot.classList.add('hover-sync');
+        }
+    }
+
+    /**
+     * 清除同步悬停的高亮 - V1.6新增
+     */
+    clearHoverDate() {
+        this.datesGroup.querySelectorAll('.date-dot.hover-sync').forEach(dot => {
+            dot.classList.remove('hover-sync');
+        });
+    }
+
     /**
      * 标记日期为有记录状态
      * @param {number} month - 月份
      * @param {number} day - 日期
      */
     markDateAsRecorded(month, day) {
+        this.recordedDates.add(`${month}-${day}`);
+        
         const dateDot = this.dateDots.get(`${month}-${day}`);
         if (dateDot) {
             dateDot.classList.add('recorded');
@@ -541,8 +1193,13 @@ class CircleRenderer {
      * @param {number} day - 日期
      */
     unmarkDateAsRecorded(month, day) {
-        const dateDot = this.dateDots.get(`${month}-${day}`);
-        if (dateDot) {
+        const key = `${month}-${day}`;
+        this.recordedDates.delete(key);
+        
+        const dateDot = this.dateDots.get(key);
+        // V1.6更新：按周模式下同一周的日期共用小点，仍有其他已记录日期时保留标记
+        const isShared = Array.from(this.recordedDates).some(other => this.dateDots.get(other) === dateDot);
+        if (dateDot && !isShared) {
             dateDot.classList.remove('recorded');
             dateDot.classList.remove('has-record'); // 移除兼容性类
         }
@@ -554,18 +1211,20 @@ class CircleRenderer {
      * @param {number} month - 月份
      * @param {number} day - 日期
      * @param {Object} recordPosition - 记录位置 {x, y, width, height}
+     * @param {Object} connectionLineData - 连接线自定义数据（可选）
+     * @param {Object} anchorPoint - 连接线起点（可选，V1.6新增：多日记录使用弧线中点）
      */
-    drawConnectionLine(recordId, month, day, recordPosition, connectionLineData = null) {
+    drawConnectionLine(recordId, month, day, recordPosition, connectionLineData = null, anchorPoint = null) {
         
         const dateDot = this.dateDots.get(`${month}-${day}`);
-        if (!dateDot) {
+        if (!dateDot && !anchorPoint) {
             console.warn(`[CircleRenderer] 未找到日期小点: ${month}-${day}`);
             return;
         }
 
         // 获取日期小点的SVG坐标
-        const dotSvgX = parseFloat(dateDot.getAttribute('cx'));
-        const dotSvgY = parseFloat(dateDot.getAttribute('cy'));
+        const dotSvgX = anchorPoint ? anchorPoint.x : parseFloat(dateDot.getAttribute('cx'));
+        const dotSvgY = anchorPoint ? anchorPoint.y : parseFloat(dateDot.getAttribute('cy'));
         
         // SVG坐标系与画布容器坐标系是1:1对应的（viewBox设置为容器尺寸）
         // 因此SVG内的坐标就是相对于画布容器的坐标，无需转换
@@ -725,6 +1384,11 @@ class CircleRenderer {
         if (line) {
             line.classList.add('highlighted');
         }
+        
+        const arc = this.rangesGroup?.querySelector(`[data-record-id="${recordId}"]`);
+        if (arc) {
+            arc.classList.add('highlighted');
+        }
     }
 
     /**
@@ -736,6 +1400,113 @@ class CircleRenderer {
         if (line) {
             line.classList.remove('highlighted');
         }
+        
+        const arc = this.rangesGroup?.querySelector(`[data-record-id="${recordId}"]`);
+        if (arc) {
+            arc.classList.remove('highlighted');
+        }
+    }
+
+    /**
+     * 淡化或恢复连接线及日期范围弧线 - V1.6新增：搜索筛选时淡化未命中的记录
+     * @param {string} recordId - 记录ID
+     * @param {boolean} dimmed - 是否淡化
+     */
+    setConnectionLineDimmed(recordId, dimmed) {
+        const line = this.connectionsGroup.querySelector(`[data-record-id="${recordId}"]`);
+        if (line) {
+            line.classList.toggle('dimmed', dimmed);
+        }
+        
+        const arc = this.rangesGroup?.querySelector(`[data-record-id="${recordId}"]`);
+        if (arc) {
+            arc.classList.toggle('dimmed', dimmed);
+        }
+    }
+
+    /**
+     * 隐藏或显示连接线及日期范围弧线 - V1.6新增：按标签隐藏记录
+     * @param {string} recordId - 记录ID
+     * @param {boolean} hidden - 是否隐藏连接线
+     * @param {boolean} arcHidden - 是否隐藏弧线，默认与连接线一致（分组共用连接线时两者可能不同）
+     */
+    setConnectionLineHidden(recordId, hidden, arcHidden = hidden) {
+        const line = this.connectionsGroup.querySelector(`[data-record-id="${recordId}"]`);
+        if (line) {
+            line.classList.toggle('tag-hidden', hidden);
+        }
+
+        const arc = this.rangesGroup?.querySelector(`[data-record-id="${recordId}"]`);
+        if (arc) {
+            arc.classList.toggle('tag-hidden', arcHidden);
+        }
+    }
+
+    /**
+     * 计算多日记录弧线的几何信息 - V1.6新增
+     * 弧线沿日期小点所在圆周从开始日期顺时针延伸到结束日期
+     * @param {string} startDate - 开始日期 (YYYY-MM-DD格式)
+     * @param {string} endDate - 结束日期 (YYYY-MM-DD格式)
+     * @returns {Object|null} {path, midpoint}，日期小点不存在时返回null
+     */
+    getRangeArcGeometry(startDate, endDate) {
+        const start = DateUtils.parseDate(startDate);
+        const end = DateUtils.parseDate(endDate);
+        const startPos = this.getDateDotPosition(start.month, start.day);
+        const endPos = this.getDateDotPosition(end.month, end.day);
+        
+        if (!startPos || !endPos) {
+            return null;
+        }
+        
+        const startAngle = MathUtils.radiansToDegrees(Math.atan2(startPos.y - this.centerY, startPos.x - this.centerX));
+        const endAngle = MathUtils.radiansToDegrees(Math.atan2(endPos.y - this.centerY, endPos.x - this.centerX));
+        const sweep = ((endAngle - startAngle) % 360 + 360) % 360;
+        const largeArc = sweep > 180 ? 1 : 0;
+        const r = this.dateRadius;
+        
+        return {
+            path: `M ${startPos.x} ${startPos.y} A ${r} ${r} 0 ${largeArc} 1 ${endPos.x} ${endPos.y}`,
+            midpoint: MathUtils.getPointOnCircle(this.centerX, this.centerY, r, startAngle + sweep / 2)
+        };
+    }
+
+    /**
+     * 绘制多日记录弧线 - V1.6新增
+     * @param {string} recordId - 记录ID
+     * @param {string} startDate - 开始日期
+     * @param {string} endDate - 结束日期
+     * @param {string} color - 弧线颜色（CSS颜色值）
+     * @returns {Object|null} 弧线几何信息
+     */
+    drawRangeArc(recordId, startDate, endDate, color) {
+        this.removeRangeArc(recordId);
+        
+        const geometry = this.getRangeArcGeometry(startDate, endDate);
+        if (!geometry || !this.rangesGroup) {
+            return null;
+        }
+        
+        const arc = DOMUtils.createSVGElement('path', {
+            d: geometry.path,
+            class: 'range-arc',
+            'data-record-id': recordId
+        });
+        arc.style.stroke = color;
+        
+        this.rangesGroup.appendChild(arc);
+        return geometry;
+    }
+
+    /**
+     * 移除多日记录弧线 - V1.6新增
+     * @param {string} recordId - 记录ID
+     */
+    removeRangeArc(recordId) {
+        const arc = this.rangesGroup?.querySelector(`[data-record-id="${recordId}"]`);
+        if (arc) {
+            arc.remove();
+        }
     }
 
     /**
@@ -758,20 +1529,35 @@ class CircleRenderer {
      * 响应窗口大小变化
      */
     handleResize() {
+        const previousFrame = this.getFrame();
+        
         this.initializeCanvas();
         this.renderCircle(this.currentYear);
         
-        // 触发重新渲染事件
+        // 触发重新渲染事件，附带旧坐标系供记录重新投影
         const resizeEvent = new CustomEvent('circleResized', {
             detail: {
                 centerX: this.centerX,
                 centerY: this.centerY,
-                radius: this.radius
+                radius: this.radius,
+                previousFrame: previousFrame
             }
         });
         document.dispatchEvent(resizeEvent);
     }
 
+    /**
+     * 获取当前圆环坐标系 - V1.6新增
+     * @returns {Object} 坐标系 {centerX, centerY, radius}
+     */
+    getFrame() {
+        return {
+            centerX: this.centerX,
+            centerY: this.centerY,
+            radius: this.radius
+        };
+    }
+
     /**
      * 获取画布信息
      * @returns {Object} 画布信息
@@ -960,10 +1746,12 @@ class CircleRenderer {
         // 解析起始日期
         const { year, month, day } = DateUtils.parseDate(this.startDate);
         
-        // 计算起始点在圆上的角度
+        // 计算起始点在圆上的角度（V1.6更新：按实际天数布局时起始点旋转到12点位置）
         const dayOfYear = DateUtils.getDayOfYear(year, month, day);
         const totalDays = DateUtils.getDaysInYear(year);
-        const angle = ((dayOfYear - 1) / totalDays) * 360 - 90; // 从12点位置开始
+        const angle = this.trueTimeLayout
+            ? -90
+            : ((dayOfYear - 1) / totalDays) * 360 - 90; // 从12点位置开始
         
         // 计算起始点在圆上的位置
         const startPoint = MathUtils.getPointOnCircle(
@@ -0,0 +1,315 @@
+/**
+ * 年份对比视图 - V1.6新增
+ * 使用两个只读的CircleRenderer实例并排或叠加显示两个年份，
+ * 悬停时在两个圆环上同步高亮同一日历日期，并按月份对比记录数量
+ */
+
+class ComparisonView {
+    constructor(storageManager, recordManager) {
+        this.storageManager = storageManager;
+        this.recordManager = recordManager;
+
+        this.view = document.getElementById('comparison-view');
+        this.isOpen = false;
+
+        this.years = [null, null]; // [对比年份, 参照年份]
+        this.mode = 'side'; // 'side' 并排 | 'overlay' 叠加
+        this.renderers = [];
+        this.records = [[], []];
+        this.dateIndex = [new Map(), new Map()]; // key: 'month-day', value: 该日的记录
+        this.maxPreviewLength = 20;
+
+        this.loadToken = 0; // 丢弃过期的异步加载结果
+
+        if (this.view) {
+            this.canvases = this.view.querySelector('.comparison-canvases');
+            this.panes = Array.from(this.view.querySelectorAll('.comparison-pane'));
+            this.setupEventListeners();
+        }
+    }
+
+    /**
+     * 设置事件监听
+     */
+    setupEventListeners() {
+        ['#comparison-year-a', '#comparison-year-b'].forEach((selector, slot) => {
+            this.view.querySelector(selector).addEventListener('change', (e) => {
+                const year = parseInt(e.target.value);
+                if (year >= 1900 && year <= 2100) {
+                    this.years[slot] = year;
+                    this.load();
+                } else {
+                    e.target.value = this.years[slot];
+                    this.showMessage('年份必须在1900-2100之间', 'warning');
+                }
+            });
+        });
+        this.view.querySelector('#comparison-mode').addEventListener('change', (e) => {
+            this.setMode(e.target.value);
+        });
+        this.view.querySelector('.comparison-close').addEventListener('click', () => this.close());
+        this.view.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+
+        // 悬停日期小点时同步高亮另一个圆环上的同一天
+        this.panes.forEach(pane => {
+            pane.addEventListener('mouseover', (e) => {
+                const dot = e.target.closest('.date-dot');
+                if (dot) {
+                    this.setHoverDate(parseInt(dot.getAttribute('data-month')), parseInt(dot.getAttribute('data-day')));
+                }
+            });
+            pane.addEventListener('mouseout', (e) => {
+                if (e.target.closest('.date-dot') && !(e.relatedTarget && e.relatedTarget.closest && e.relatedTarget.closest('.date-dot'))) {
+                    this.clearHoverDate();
+                }
+            });
+        });
+
+        document.addEventListener('themeChanged', () => {
+            if (this.isOpen) {
+                this.applyTheme();
+            }
+        });
+
+        window.addEventListener('resize', debounce(() => {
+            if (this.isOpen) {
+                this.render();
+            }
+        }, 250));
+
+        const openBtn = document.getElementById('open-comparison');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => this.open());
+        }
+    }
+
+    /**
+     * 打开对比视图，默认对比当前年份和上一年
+     * @param {number} year - 对比年份（可选）
+     * @param {number} baseYear - 参照年份（可选）
+     */
+    open(year = null, baseYear = null) {
+        if (!this.view) return;
+
+        const currentYear = window.app?.currentYear || new Date().getFullYear();
+        this.years = [year || currentYear, baseYear || (year || currentYear) - 1];
+        this.view.querySelector('#comparison-year-a').value = this.years[0];
+        this.view.querySelector('#comparison-year-b').value = this.years[1];
+
+        this.isOpen = true;
+        this.view.classList.add('active');
+        this.view.focus();
+        this.applyTheme();
+
+        // 圆环尺寸取决于容器，需在视图显示后再创建渲染器
+        if (this.renderers.length === 0) {
+            this.renderers = this.panes.map(pane =>
+                new CircleRenderer(pane.querySelector('svg'), { readOnly: true })
+            );
+        }
+
+        return this.load();
+    }
+
+    /**
+     * 关闭对比视图
+     */
+    close() {
+        if (!this.view) return;
+
+        this.isOpen = false;
+        this.loadToken++;
+        this.view.classList.remove('active');
+        if (this.renderers.length > 0) {
+            this.renderers[0].hideTooltip();
+        }
+    }
+
+    /**
+     * 切换并排或叠加显示
+     * @param {string} mode - 'side' | 'overlay'
+     */
+    setMode(mode) {
+        this.mode = mode === 'overlay' ? 'overlay' : 'side';
+        this.view.querySelector('#comparison-mode').value = this.mode;
+        this.canvases.classList.toggle('overlay', this.mode === 'overlay');
+        this.render();
+    }
+
+    /**
+     * 将当前画布主题应用到对比视图
+     */
+    applyTheme() {
+        if (window.themeManager) {
+            window.themeManager.applyVariables(this.canvases);
+        }
+    }
+
+    /**
+     * 加载两个年份的记录并重新绘制
+     * 当前年份使用内存中的最新记录，其他年份从存储读取
+     */
+    async load() {
+        const token = ++this.loadToken;
+        const currentYear = window.app?.currentYear;
+        const records = [];
+
+        for (const year of this.years) {
+            if (year === currentYear) {
+                records.push(this.recordManager.exportRecords());
+            } else {
+                const data = await this.storageManager.loadYearData(year);
+                records.push(data && Array.isArray(data.records) ? data.records : []);
+            }
+        }
+
+        if (token !== this.loadToken) return;
+
+        this.records = records;
+        this.dateIndex = records.map(list => {
+            const index = new Map();
+            list.filter(record => record && typeof record.date === 'string').forEach(record => {
+                const { month, day } = DateUtils.parseDate(record.date);
+                const key = `${month}-${day}`;
+                if (!index.has(key)) {
+                    index.set(key, []);
+                }
+                index.get(key).push(record);
+            });
+            return index;
+        });
+
+        this.render();
+    }
+
+    /**
+     * 绘制两个圆环和月度对比表
+     * 两个圆环使用当前画布的圆环模式、布局和节气节日标注，按日历年份显示以便逐日对比
+     */
+    render() {
+        const main = window.circleRenderer;
+
+        this.renderers.forEach((renderer, slot) => {
+            renderer.setStartDate(null);
+            renderer.setRingMode(main ? main.getRingMode() : 'month');
+            renderer.setTrueTimeLayout(main ? main.isTrueTimeLayout() : false);
+            renderer.setLunarMarks(main ? main.hasLunarMarks() : false);
+            renderer.initializeCanvas();
+            renderer.renderCircle(this.years[slot]);
+
+            this.dateIndex[slot].forEach((records, key) => {
+                const [month, day] = key.split('-').map(Number);
+                renderer.markDateAsRecorded(month, day);
+            });
+
+            this.panes[slot].querySelector('.comparison-pane-title').textContent =
+                `${this.years[slot]}年 · ${this.records[slot].length}条记录`;
+        });
+
+        this.renderStats();
+        this.clearHoverDate();
+    }
+
+    /**
+     * 渲染按月份的记录数量对比表
+     */
+    renderStats() {
+        const [current, base] = this.records.map(records => RecordManager.computeStatistics(records));
+        const monthNames = window.circleRenderer?.monthNames || [];
+
+        this.view.querySelector('.comparison-year-a-head').textContent = `${this.years[0]}年`;
+        this.view.querySelector('.comparison-year-b-head').textContent = `${this.years[1]}年`;
+
+        const tbody = this.view.querySelector('#comparison-stats-body');
+        tbody.innerHTML = '';
+
+        for (let month = 1; month <= 12; month++) {
+            tbody.appendChild(this.createStatsRow(
+                monthNames[month - 1] || `${month}月`,
+                current.monthlyStats[month] || 0,
+                base.monthlyStats[month] || 0
+            ));
+        }
+
+        const totalRow = this.createStatsRow('合计', current.total, base.total);
+        totalRow.classList.add('comparison-total');
+        tbody.appendChild(totalRow);
+    }
+
+    /**
+     * 创建对比表的一行
+     * @param {string} label - 行标题
+     * @param {number} current - 对比年份数量
+     * @param {number} base - 参照年份数量
+     * @returns {HTMLElement}
+     */
+    createStatsRow(label, current, base) {
+        const diff = current - base;
+        const row = DOMUtils.createElement('tr');
+        row.appendChild(DOMUtils.createElement('td', {}, label));
+        row.appendChild(DOMUtils.createElement('td', {}, String(current)));
+        row.appendChild(DOMUtils.createElement('td', {}, String(base)));
+
+        const diffCell = DOMUtils.createElement('td', {
+            className: diff > 0 ? 'comparison-diff up' : diff < 0 ? 'comparison-diff down' : 'comparison-diff'
+        }, diff > 0 ? `+${diff}` : String(diff));
+        row.appendChild(diffCell);
+
+        return row;
+    }
+
+    /**
+     * 在两个圆环上同步高亮同一日历日期，并显示两年该日的记录
+     * @param {number} month - 月份
+     * @param {number} day - 日期
+     */
+    setHoverDate(month, day) {
+        if (!month || !day) return;
+
+        this.renderers.forEach(renderer => renderer.setHoverDate(month, day));
+
+        const info = this.view.querySelector('.comparison-hover');
+        info.innerHTML = '';
+        info.appendChild(DOMUtils.createElement('strong', {}, `${month}月${day}日`));
+
+        this.years.forEach((year, slot) => {
+            const records = this.dateIndex[slot].get(`${month}-${day}`) || [];
+            const preview = records
+                .map(record => RecordManager.getRecordText(record).trim())
+                .filter(Boolean)
+                .map(text => text.length > this.maxPreviewLength ? `${text.slice(0, this.maxPreviewLength)}…` : text)
+                .join('；');
+            const line = DOMUtils.createElement('div', { className: `comparison-hover-line slot-${slot}` },
+                `${year}年：${records.length}条${preview ? ` — ${preview}` : ''}`);
+            info.appendChild(line);
+        });
+    }
+
+    /**
+     * 清除同步高亮
+     */
+    clearHoverDate() {
+        this.renderers.forEach(renderer => renderer.clearHoverDate());
+
+        const info = this.view.querySelector('.comparison-hover');
+        info.textContent = '悬停日期小点可对比两年同一天的记录';
+    }
+
+    /**
+     * 显示提示消息
+     * @param {string} message - 消息内容
+     * @param {string} type - 消息类型
+     */
+    showMessage(message, type = 'info') {
+        if (window.app && typeof window.app.showMessage === 'function') {
+            window.app.showMessage(message, type);
+        }
+    }
+}
+
+// 导出到全局
+window.ComparisonView = ComparisonView;
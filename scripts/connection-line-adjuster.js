@@ -145,7 +145,8 @@ class ConnectionLineAdjuster {
                 month, 
                 day, 
                 newPosition, 
-                connectionLineData
+                connectionLineData,
+                window.recordManager.getConnectionAnchor(record) // V1.6新增：多日记录连接到弧线中点
             );
         } 
     }
@@ -328,6 +329,9 @@ class ConnectionLineAdjuster {
             this.dragTarget = handle;
             
             const recordId = handle.getAttribute('data-record-id');
+            
+            // V1.6新增：保存调整前快照，用于撤销
+            const before = window.historyManager?.snapshot(recordId);
             const segmentIndex = parseInt(handle.getAttribute('data-segment-index'));
             const isHorizontal = handle.getAttribute('data-is-horizontal') === 'true';
             const isVertical = handle.getAttribute('data-is-vertical') === 'true';
@@ -368,6 +372,10 @@ class ConnectionLineAdjuster {
                     // 保存调整后的连接线数据
                     this.saveConnectionLineAdjustment(recordId);
                     
+                    if (window.historyManager) {
+                        window.historyManager.recordChange(before, window.historyManager.snapshot(recordId), '调整连接线');
+                    }
+                    
                     console.log('拖拽结束，保存连接线调整');
                 }
                 
@@ -531,8 +539,14 @@ class ConnectionLineAdjuster {
         if (window.recordManager) {
             const record = window.recordManager.getRecord(recordId);
             if (record && record.connectionLine) {
+                const before = window.historyManager?.snapshot(recordId);
+                
                 // 删除自定义连接线数据
                 delete record.connectionLine;
+                
+                if (window.historyManager) {
+                    window.historyManager.recordChange(before, window.historyManager.snapshot(recordId), '重置连接线');
+                }
                 record.updatedAt = new Date().toISOString();
                 
                 // 触发自动保存
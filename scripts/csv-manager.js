@@ -0,0 +1,626 @@
+/**
+ * 表格导入导出 - V1.6新增
+ * 将当前年份的记录导出为CSV，便于在电子表格中批量编辑后再导入；
+ * 导入时可调整表格列与记录字段的对应关系，先预演列出将新建、修改和拒绝的行，确认后整体作为一步撤销。
+ * 带有记录ID的行修改同ID的现有记录，ID不存在时按该ID新建，因此导出再导入不会改变记录ID；
+ * 位置和尺寸使用与年度数据相同的圆环相对坐标
+ */
+
+class CSVManager {
+    constructor(recordManager, circleRenderer) {
+        this.recordManager = recordManager;
+        this.circleRenderer = circleRenderer;
+
+        this.modal = document.getElementById('csv-import-modal');
+        this.fileName = '';
+        this.headers = [];
+        this.rows = [];
+        this.mapping = {}; // key: 字段key，value: 列序号（-1表示不导入）
+        this.entries = []; // 预演结果 [{rowNumber, status, reason, changes, before, after, record}]
+        this.maxPreviewRows = 200;
+        this.maxPreviewLength = 40;
+
+        if (this.modal) {
+            this.mappingContainer = this.modal.querySelector('.csv-column-mapping');
+            this.previewList = this.modal.querySelector('.csv-preview-list');
+            this.confirmBtn = this.modal.querySelector('#csv-import-confirm');
+        }
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * 表格列定义，顺序即导出的列顺序
+     * aliases用于导入时自动匹配表头（忽略大小写、空格和下划线）
+     * @returns {Array<Object>} [{key, label, aliases}]
+     */
+    static get FIELDS() {
+        return [
+            { key: 'id', label: '记录ID', aliases: ['记录id', 'recordid'] },
+            { key: 'date', label: '日期', aliases: ['开始日期', 'startdate', 'start'] },
+            { key: 'endDate', label: '结束日期', aliases: ['enddate', 'end'] },
+            { key: 'type', label: '类型', aliases: ['记录类型'] },
+            { key: 'text', label: '文字', aliases: ['内容', '文字内容', 'content'] },
+            { key: 'description', label: '图片描述', aliases: ['描述'] },
+            { key: 'colour', label: '边框颜色', aliases: ['color', '颜色', 'bordercolor'] },
+            { key: 'x', label: '位置X', aliases: ['positionx'] },
+            { key: 'y', label: '位置Y', aliases: ['positiony'] },
+            { key: 'width', label: '宽度', aliases: [] },
+            { key: 'height', label: '高度', aliases: [] }
+        ];
+    }
+
+    /**
+     * 预演结果的状态名称
+     * @returns {Object}
+     */
+    static get STATUS_LABELS() {
+        return {
+            create: '新建',
+            update: '修改',
+            unchanged: '无变化',
+            reject: '拒绝'
+        };
+    }
+
+    /**
+     * 设置事件监听
+     */
+    setupEventListeners() {
+        const exportBtn = document.getElementById('export-csv');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.downloadCSV());
+        }
+
+        const importBtn = document.getElementById('import-csv');
+        if (importBtn) {
+            importBtn.addEventListener('click', () => this.selectFile());
+        }
+
+        if (!this.modal) return;
+
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        this.modal.querySelector('.cancel-btn').addEventListener('click', () => this.close());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+
+        this.mappingContainer.addEventListener('change', () => {
+            this.readMapping();
+            this.updatePreview();
+        });
+        this.confirmBtn.addEventListener('click', () => this.applyImport());
+    }
+
+    /**
+     * 导出当前年份的记录为CSV文本，按日期排序
+     * @returns {string} CSV内容
+     */
+    exportToCSV() {
+        const palette = window.paletteManager;
+        const rows = this.recordManager.exportRecords()
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(record => {
+                const color = palette ? palette.getColor(palette.resolveKey(record.borderColor)) : null;
+                return [
+                    record.id,
+                    record.date,
+                    record.endDate || '',
+                    record.type,
+                    record.type === 'text' ? RecordManager.getRecordText(record) : '',
+                    record.type === 'image' ? RecordManager.getRecordText(record) : '',
+                    color ? color.name : (record.borderColor || ''),
+                    record.position.x,
+                    record.position.y,
+                    record.size.width,
+                    record.size.height
+                ];
+            });
+
+        return CSVUtils.stringify(CSVManager.FIELDS.map(field => field.key), rows);
+    }
+
+    /**
+     * 下载CSV文件
+     */
+    downloadCSV() {
+        if (this.recordManager.getAllRecords().length === 0) {
+            this.showMessage('当前年份没有可导出的记录', 'warning');
+            return;
+        }
+
+        try {
+            const year = this.circleRenderer.currentYear;
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
+            FileUtils.downloadFile(this.exportToCSV(), `年度记录_${year}_${timestamp}.csv`, 'text/csv;charset=utf-8');
+        } catch (error) {
+            console.error('[CSVManager] 导出表格失败:', error);
+            this.showMessage('导出表格失败，请重试', 'error');
+        }
+    }
+
+    /**
+     * 选择CSV文件
+     */
+    selectFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,.tsv,text/csv,text/tab-separated-values';
+
+        input.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.load(file);
+            }
+        });
+
+        input.click();
+    }
+
+    /**
+     * 读取CSV文件并打开导入对话框
+     * @param {File} file - CSV文件
+     */
+    async load(file) {
+        try {
+            const table = CSVUtils.parse(await file.text());
+            if (table.rows.length === 0) {
+                throw new Error('表格中只有表头，没有数据行');
+            }
+
+            this.fileName = file.name;
+            this.headers = table.headers;
+            this.rows = table.rows;
+            this.mapping = this.autoMapColumns(table.headers);
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+            return;
+        }
+
+        this.open();
+    }
+
+    /**
+     * 按表头自动匹配字段
+     * @param {Array<string>} headers - 表头
+     * @returns {Object} key: 字段key，value: 列序号
+     */
+    autoMapColumns(headers) {
+        const normalize = value => value.toLowerCase().replace(/[\s_]/g, '');
+        const normalized = headers.map(normalize);
+
+        const mapping = {};
+        CSVManager.FIELDS.forEach(field => {
+            const names = [field.key, field.label, ...field.aliases].map(normalize);
+            mapping[field.key] = normalized.findIndex(header => names.includes(header));
+        });
+        return mapping;
+    }
+
+    /**
+     * 打开导入对话框
+     */
+    open() {
+        if (!this.modal) return;
+
+        this.renderMapping();
+        this.updatePreview();
+
+        this.modal.classList.add('active');
+        document.body.classList.add('modal-open');
+    }
+
+    /**
+     * 关闭导入对话框
+     */
+    close() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+        this.rows = [];
+        this.entries = [];
+    }
+
+    /**
+     * 渲染列对应关系选择框
+     */
+    renderMapping() {
+        this.mappingContainer.innerHTML = '';
+
+        CSVManager.FIELDS.forEach(field => {
+            const label = DOMUtils.createElement('label', { className: 'csv-mapping-item' });
+            label.appendChild(DOMUtils.createElement('span', { className: 'csv-mapping-label' },
+                field.key === 'date' ? `${field.label}（必需）` : field.label));
+
+            const select = DOMUtils.createElement('select', { 'data-field': field.key });
+            select.appendChild(DOMUtils.createElement('option', { value: '-1' }, '（不导入）'));
+            this.headers.forEach((header, index) => {
+                select.appendChild(DOMUtils.createElement('option', { value: String(index) }, header || `第${index + 1}列`));
+            });
+            select.value = String(this.mapping[field.key]);
+
+            label.appendChild(select);
+            this.mappingContainer.appendChild(label);
+        });
+    }
+
+    /**
+     * 从选择框读取列对应关系
+     */
+    readMapping() {
+        this.mappingContainer.querySelectorAll('select[data-field]').forEach(select => {
+            this.mapping[select.dataset.field] = parseInt(select.value);
+        });
+    }
+
+    /**
+     * 预演导入并刷新预览
+     */
+    updatePreview() {
+        this.entries = this.planImport();
+        this.renderPreview();
+    }
+
+    /**
+     * 预演导入：逐行校验并计算将新建、修改或拒绝的记录，不修改任何数据
+     * @returns {Array<Object>} 每个数据行的预演结果
+     */
+    planImport() {
+        if (this.mapping.date < 0) {
+            return [];
+        }
+
+        const seenIds = new Set();
+        const defaultSize = CoordinateUtils.toRelativeSize(this.recordManager.defaultSize.text,
+            this.recordManager.getCoordinateFrame());
+
+        return this.rows.map((cells, index) => {
+            // 表头为第1行
+            const rowNumber = index + 2;
+            try {
+                return { rowNumber, ...this.planRow(cells, seenIds, defaultSize) };
+            } catch (error) {
+                return { rowNumber, status: 'reject', reason: error.message };
+            }
+        });
+    }
+
+    /**
+     * 预演单行，校验失败时抛出带原因的错误
+     * @param {Array<string>} cells - 行数据
+     * @param {Set} seenIds - 已出现的记录ID
+     * @param {Object} defaultSize - 新建文字记录的默认相对尺寸
+     * @returns {Object} {status, changes, before, after, record}
+     */
+    planRow(cells, seenIds, defaultSize) {
+        const get = key => this.mapping[key] >= 0 ? (cells[this.mapping[key]] || '').trim() : undefined;
+
+        // 记录ID写入DOM属性选择器，只允许安全字符
+        const id = get('id') || '';
+        if (id && !/^[\w-]{1,64}$/.test(id)) {
+            throw new Error('记录ID只能包含字母、数字、下划线和连字符');
+        }
+        if (id && seenIds.has(id)) {
+            throw new Error('记录ID与前面的行重复');
+        }
+        if (id) {
+            seenIds.add(id);
+        }
+
+        const existing = id ? this.recordManager.getRecord(id) : null;
+        const before = existing ? this.recordManager.serializeRecord(existing) : null;
+
+        // 日期
+        const dateCell = get('date');
+        const date = dateCell ? this.normalizeDate(dateCell) : before?.date;
+        if (!date) {
+            throw new Error(dateCell ? `日期"${dateCell}"无效，应为YYYY-MM-DD格式` : '缺少日期');
+        }
+        if (this.circleRenderer.getCycleDayIndex(date) < 0) {
+            const { start, end } = this.circleRenderer.getCycleRange();
+            throw new Error(`日期不在当前周期（${start} 至 ${end}）内`);
+        }
+
+        let endDate = before?.endDate || null;
+        const endCell = get('endDate');
+        if (endCell !== undefined) {
+            endDate = endCell ? this.normalizeDate(endCell) : null;
+            if (endCell && !endDate) {
+                throw new Error(`结束日期"${endCell}"无效，应为YYYY-MM-DD格式`);
+            }
+        }
+        if (endDate && !this.circleRenderer.isValidDateRange(date, endDate)) {
+            throw new Error('结束日期需晚于开始日期且在当前周期内');
+        }
+
+        // 类型和内容
+        const typeCell = get('type');
+        const type = typeCell ? this.normalizeType(typeCell) : (before?.type || 'text');
+        if (!type) {
+            throw new Error(`未知的记录类型"${typeCell}"`);
+        }
+        if (before && type !== before.type) {
+            throw new Error('不能修改已有记录的类型');
+        }
+        if (!before && type === 'image') {
+            throw new Error('表格中不包含图片，无法新建图片记录');
+        }
+
+        let content = before ? before.content : '';
+        if (type === 'text') {
+            const text = get('text');
+            if (text !== undefined) {
+                content = text;
+            }
+            if (typeof content !== 'string' || !content.trim()) {
+                throw new Error('文字记录的内容为空');
+            }
+        } else {
+            const description = get('description');
+            if (description !== undefined) {
+                content = { ...before.content, description };
+            }
+        }
+
+        // 边框颜色：可填写颜色名称或key，与显示效果相同时保留原值
+        let borderColor = before ? before.borderColor : undefined;
+        const colourCell = get('colour');
+        if (colourCell && window.paletteManager) {
+            const color = this.findColor(colourCell);
+            if (!color) {
+                throw new Error(`配色中没有名为"${colourCell}"的颜色`);
+            }
+            if (!before || window.paletteManager.resolveKey(before.borderColor) !== color.key) {
+                borderColor = color.key;
+            }
+        }
+
+        const position = this.readPair(get('x'), get('y'), 'x', 'y', '位置');
+        const size = this.readPair(get('width'), get('height'), 'width', 'height', '尺寸');
+        if (size && (size.width <= 0 || size.height <= 0)) {
+            throw new Error('宽度和高度必须大于0');
+        }
+
+        if (!before) {
+            // 未填写位置时由布局引擎安排，校验时以圆心占位
+            const candidate = {
+                id: id || 'new',
+                date,
+                type,
+                content,
+                position: position || { x: 0, y: 0 },
+                size: size || defaultSize,
+                ...(endDate ? { endDate } : {})
+            };
+            if (!window.storageManager.validateRecordFormat(candidate)) {
+                throw new Error('记录格式无效');
+            }
+
+            return {
+                status: 'create',
+                record: { id: id || null, date, endDate, type, content, borderColor, position, size }
+            };
+        }
+
+        const after = {
+            ...before,
+            date,
+            content,
+            borderColor,
+            position: position || before.position,
+            size: size || before.size
+        };
+        if (endDate) {
+            after.endDate = endDate;
+        } else {
+            delete after.endDate;
+        }
+        // 移动后自定义连接线不再适用，恢复为自动连接线
+        if (position && after.connectionLine?.isCustom &&
+            (position.x !== before.position.x || position.y !== before.position.y)) {
+            after.connectionLine = { isCustom: false, segments: [] };
+        }
+
+        if (!window.storageManager.validateRecordFormat(after)) {
+            throw new Error('记录格式无效');
+        }
+
+        const changes = this.getChangedFields(before, after);
+        return {
+            status: changes.length > 0 ? 'update' : 'unchanged',
+            changes,
+            before,
+            after
+        };
+    }
+
+    /**
+     * 规范化日期，兼容电子表格常见的YYYY/M/D格式
+     * @param {string} value - 日期文本
+     * @returns {string|null} YYYY-MM-DD，无效时返回null
+     */
+    normalizeDate(value) {
+        const match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/.exec(value);
+        if (!match) return null;
+
+        const [year, month, day] = match.slice(1).map(Number);
+        if (month < 1 || month > 12 || day < 1 || day > DateUtils.getDaysInMonth(year, month)) {
+            return null;
+        }
+        return DateUtils.formatDate(year, month, day);
+    }
+
+    /**
+     * 规范化记录类型
+     * @param {string} value - 类型文本
+     * @returns {string|null} 'text' | 'image'，无法识别时返回null
+     */
+    normalizeType(value) {
+        const type = value.toLowerCase();
+        if (type === 'text' || type === '文字') return 'text';
+        if (type === 'image' || type === '图片') return 'image';
+        return null;
+    }
+
+    /**
+     * 按key或名称查找配色中的颜色
+     * @param {string} value - 颜色key或名称
+     * @returns {Object|null}
+     */
+    findColor(value) {
+        const palette = window.paletteManager.getPalette();
+        return palette.find(entry => entry.key === value) ||
+            palette.find(entry => entry.name.toLowerCase() === value.toLowerCase()) ||
+            null;
+    }
+
+    /**
+     * 读取一对数值列（位置或尺寸），两列都为空时返回null
+     * @param {string|undefined} first - 第一列
+     * @param {string|undefined} second - 第二列
+     * @param {string} firstKey - 第一个属性名
+     * @param {string} secondKey - 第二个属性名
+     * @param {string} name - 错误提示中的名称
+     * @returns {Object|null}
+     */
+    readPair(first, second, firstKey, secondKey, name) {
+        if (!first && !second) {
+            return null;
+        }
+
+        const a = Number(first);
+        const b = Number(second);
+        if (!first || !second || !isFinite(a) || !isFinite(b)) {
+            throw new Error(`${name}需要同时填写两列有效数字`);
+        }
+        return { [firstKey]: a, [secondKey]: b };
+    }
+
+    /**
+     * 比较修改前后的记录，返回变化的字段名称
+     * @param {Object} before - 修改前
+     * @param {Object} after - 修改后
+     * @returns {Array<string>}
+     */
+    getChangedFields(before, after) {
+        const fields = [
+            ['date', '日期'],
+            ['endDate', '结束日期'],
+            ['content', '内容'],
+            ['borderColor', '边框颜色'],
+            ['position', '位置'],
+            ['size', '尺寸']
+        ];
+        return fields
+            .filter(([key]) => JSON.stringify(before[key] ?? null) !== JSON.stringify(after[key] ?? null))
+            .map(([, label]) => label);
+    }
+
+    /**
+     * 渲染预演结果：统计各状态的行数，并列出新建、修改和拒绝的行
+     */
+    renderPreview() {
+        const counts = { create: 0, update: 0, unchanged: 0, reject: 0 };
+        this.entries.forEach(entry => counts[entry.status]++);
+
+        const labels = CSVManager.STATUS_LABELS;
+        this.modal.querySelector('.csv-import-summary').textContent = this.mapping.date < 0
+            ? `${this.fileName}：共${this.rows.length}行，请为"日期"选择对应的列`
+            : `${this.fileName}：共${this.rows.length}行，` +
+                Object.keys(counts).map(status => `${labels[status]}${counts[status]}行`).join('，');
+
+        this.previewList.innerHTML = '';
+        const visible = this.entries.filter(entry => entry.status !== 'unchanged');
+        visible.slice(0, this.maxPreviewRows).forEach(entry => {
+            const item = DOMUtils.createElement('li', { className: `csv-preview-item ${entry.status}` });
+            item.appendChild(DOMUtils.createElement('span', { className: 'csv-preview-badge' }, labels[entry.status]));
+            item.appendChild(DOMUtils.createElement('span', { className: 'csv-preview-row' }, `第${entry.rowNumber}行`));
+
+            const record = entry.record || entry.after;
+            if (record) {
+                const text = RecordManager.getRecordText(record).replace(/\s+/g, ' ');
+                item.appendChild(DOMUtils.createElement('span', { className: 'csv-preview-text' },
+                    `${record.date} ${text.length > this.maxPreviewLength ? `${text.slice(0, this.maxPreviewLength)}…` : text}`));
+            }
+
+            const detail = entry.status === 'reject'
+                ? entry.reason
+                : entry.status === 'update' ? `修改${entry.changes.join('、')}` : '';
+            if (detail) {
+                item.appendChild(DOMUtils.createElement('span', { className: 'csv-preview-detail' }, detail));
+            }
+            this.previewList.appendChild(item);
+        });
+
+        if (visible.length > this.maxPreviewRows) {
+            this.previewList.appendChild(DOMUtils.createElement('li', { className: 'csv-preview-more' },
+                `还有${visible.length - this.maxPreviewRows}行未显示`));
+        }
+
+        const applicable = counts.create + counts.update;
+        this.confirmBtn.disabled = applicable === 0;
+        this.confirmBtn.textContent = applicable > 0 ? `应用${applicable}项更改` : '应用';
+    }
+
+    /**
+     * 按预演结果新建和修改记录，整体作为一步撤销
+     */
+    applyImport() {
+        const creations = this.entries.filter(entry => entry.status === 'create');
+        const updates = this.entries.filter(entry => entry.status === 'update');
+        if (creations.length === 0 && updates.length === 0) return;
+
+        const frame = this.recordManager.getCoordinateFrame();
+        const now = new Date().toISOString();
+        const changes = updates.map(entry => ({ before: entry.before, after: { ...entry.after, updatedAt: now } }));
+
+        const applyAll = () => {
+            changes.forEach(change => this.recordManager.restoreRecord(change.after));
+            return creations.map(({ record }) => this.recordManager.createRecord({
+                ...record,
+                position: record.position ? CoordinateUtils.toAbsolutePoint(record.position, frame) : null,
+                size: record.size ? CoordinateUtils.toAbsoluteSize(record.size, frame) : undefined
+            }));
+        };
+
+        try {
+            const history = window.historyManager;
+            const recordIds = history ? history.runSilently(applyAll) : applyAll();
+            if (history) {
+                history.recordBulkImport(recordIds, changes, '导入表格');
+            }
+
+            if (window.storageManager) {
+                window.storageManager.triggerAutoSave();
+            }
+
+            this.close();
+            this.showMessage(`已新建${recordIds.length}条、修改${changes.length}条记录（Ctrl+Z可撤销）`, 'success');
+        } catch (error) {
+            console.error('[CSVManager] 导入表格失败:', error);
+            this.showMessage('导入表格失败，请重试', 'error');
+        }
+    }
+
+    /**
+     * 显示提示消息
+     * @param {string} message - 消息内容
+     * @param {string} type - 消息类型
+     */
+    showMessage(message, type = 'info') {
+        if (window.app) {
+            window.app.showMessage(message, type);
+        }
+    }
+}
+
+// 导出到全局
+window.CSVManager = CSVManager;
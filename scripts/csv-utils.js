@@ -0,0 +1,159 @@
+/**
+ * CSV工具 - V1.6新增
+ * 按RFC 4180解析和生成CSV文本：字段可用双引号包含逗号、换行和转义的双引号（""）；
+ * 解析时自动识别逗号、分号或制表符分隔（部分地区的Excel默认使用分号）；
+ * 以公式字符开头的文字导出时加单引号前缀，防止表格软件将其当作公式执行，导入时再去掉
+ */
+
+class CSVUtils {
+    /**
+     * 可识别的分隔符
+     * @returns {Array} 分隔符数组
+     */
+    static get DELIMITERS() {
+        return [',', ';', '\t'];
+    }
+
+    /**
+     * 需要加单引号前缀的字段：以公式字符开头，或本身已是单引号加公式字符
+     * （后者同样加前缀，保证导入去掉一个单引号后与原文一致）
+     * @returns {RegExp}
+     */
+    static get FORMULA_PATTERN() {
+        return /^'*[=+\-@\t\r]/;
+    }
+
+    /**
+     * 解析CSV文本
+     * @param {string} text - CSV文件内容
+     * @returns {Object} {headers, rows}，rows为字符串数组的数组，已去除全部为空的行
+     */
+    static parse(text) {
+        if (typeof text !== 'string') {
+            throw new Error('不是有效的CSV文件');
+        }
+
+        const source = text.replace(/^\uFEFF/, '');
+        const delimiter = this.detectDelimiter(source);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && source[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('CSV文件格式错误：引号没有闭合');
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+        if (nonEmpty.length === 0) {
+            throw new Error('CSV文件为空');
+        }
+
+        return {
+            headers: nonEmpty[0].map(header => header.trim()),
+            rows: nonEmpty.slice(1).map(cells => cells.map(cell => this.unescapeFormula(cell)))
+        };
+    }
+
+    /**
+     * 根据首行识别分隔符（引号内的字符不计）
+     * @param {string} text - CSV文本
+     * @returns {string} 分隔符
+     */
+    static detectDelimiter(text) {
+        const counts = new Map(this.DELIMITERS.map(delimiter => [delimiter, 0]));
+        let inQuotes = false;
+
+        for (const char of text) {
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                break;
+            } else if (!inQuotes && counts.has(char)) {
+                counts.set(char, counts.get(char) + 1);
+            }
+        }
+
+        let best = ',';
+        counts.forEach((count, delimiter) => {
+            if (count > counts.get(best)) {
+                best = delimiter;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * 生成CSV文本，带UTF-8 BOM以便Excel正确识别中文
+     * @param {Array<string>} headers - 表头
+     * @param {Array<Array>} rows - 数据行
+     * @returns {string} 以CRLF换行的CSV内容
+     */
+    static stringify(headers, rows) {
+        const lines = [headers, ...rows].map(cells => cells.map(cell => this.escapeField(cell)).join(','));
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * 转义字段：以公式字符开头的文字加单引号前缀（数值除外）；
+     * 包含逗号、引号、换行或首尾空白时用双引号包含
+     * @param {*} value - 字段值
+     * @returns {string}
+     */
+    static escapeField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value !== 'number' && this.FORMULA_PATTERN.test(text)) {
+            text = `'${text}`;
+        }
+        if (/[",\r\n]/.test(text) || text !== text.trim()) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * 去掉导出时为防止公式执行而添加的单引号前缀
+     * @param {string} text - 字段值
+     * @returns {string}
+     */
+    static unescapeFormula(text) {
+        return text.startsWith("'") && this.FORMULA_PATTERN.test(text) ? text.slice(1) : text;
+    }
+}
+
+// 导出到全局
+window.CSVUtils = CSVUtils;
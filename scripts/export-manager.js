@@ -6,6 +6,7 @@
 class ExportManager {
     constructor() {
         this.isExporting = false;
+        this.isBatchExporting = false; // V1.6新增：批量导出进行中，期间应用会切换到其他年份
         this.exportOptions = {
             // 图片导出选项
             image: {
@@ -18,6 +19,29 @@ class ExportManager {
                 removeContainer: false, // 不移除容器
                 logging: false // 关闭日志减少性能开销
             },
+            // PDF导出选项（V1.6新增）
+            pdf: {
+                paper: 'A4', // 纸张：A4、A3、Letter
+                margin: 10, // 页边距（毫米）
+                bleed: false, // 是否加出血
+                bleedSize: 3, // 出血宽度（毫米）
+                includeDetails: true, // 是否包含逐月记录页
+                dpi: 200, // 页面渲染分辨率
+                quality: 0.92 // JPEG质量
+            },
+            // 分块打印选项（V1.6新增）
+            tiles: {
+                posterSize: 'A1', // 海报尺寸：A2、A1、A0或custom
+                customWidth: 100, // 自定义海报宽度（厘米）
+                sheet: 'A4', // 打印纸
+                sheetMargin: 10, // 打印纸边距（毫米），用于裁切标记和编号
+                overlap: 10, // 相邻分块重叠（毫米）
+                stitch: false, // 是否同时生成拼合后的整幅海报
+                dpi: 300, // 打印分辨率
+                quality: 0.92, // JPEG质量
+                maxCanvasSide: 16384, // 单块画布的最大边长（像素）
+                maxCanvasArea: 16777216 // 单块画布的最大面积（像素），取各浏览器中最严格的限制
+            },
             // 数据导出选项
             data: {
                 includeMetadata: true, // 包含元数据
@@ -83,9 +107,11 @@ class ExportManager {
                 throw new Error('html2canvas库未加载，请刷新页面重试');
             }
 
-            // 合并导出选项
+            // 合并导出选项（V1.6更新：默认使用当前主题的画布背景色）
+            const themeBackground = window.themeManager?.getExportBackground();
             const exportOptions = {
                 ...this.exportOptions.image,
+                ...(themeBackground ? { backgroundColor: themeBackground } : {}),
                 ...options
             };
 
@@ -236,6 +262,12 @@ class ExportManager {
      * @param {Object} options - 导出选项
      */
     async downloadPNG(filename = null, targetElement = null, options = {}) {
+        // 批量导出期间画布显示的是其他年份
+        if (this.isBatchExporting) {
+            alert('正在批量导出，请稍候...');
+            return;
+        }
+
         try {
             const dataURL = await this.exportToPNG(targetElement, options);
             
@@ -283,8 +315,26 @@ class ExportManager {
             // 应用数据
             currentYear: window.circleRenderer?.currentYear || new Date().getFullYear(),
             
-            // 记录数据
+            // 记录数据（V1.6更新：位置和尺寸为圆环相对坐标，多日记录带有endDate）
             records: window.recordManager?.exportRecords() || [],
+            coordinateSystem: CoordinateUtils.RELATIVE_SYSTEM,
+            
+            // 同日记录分组显示设置（V1.6新增）
+            dayGroups: window.recordManager?.exportDayGroups() || {},
+            
+            // 记录所用标签的定义（V1.6新增）
+            tags: window.tagManager?.exportTags() || [],
+            
+            // 边框配色（V1.6新增）
+            palette: window.paletteManager?.exportPalette() || [],
+            
+            // 画布主题（V1.6新增：使用自定义主题时附带customTheme定义）
+            ...(window.themeManager?.exportThemeData() || {}),
+            
+            // 圆环模式、布局和节气节日标注（V1.6新增）
+            ringMode: window.circleRenderer?.getRingMode() || 'month',
+            trueTimeLayout: window.circleRenderer?.isTrueTimeLayout() || false,
+            lunarMarks: window.circleRenderer?.hasLunarMarks() || false
         };
 
         // 包含元数据
@@ -293,7 +343,8 @@ class ExportManager {
                 userAgent: navigator.userAgent,
                 screenResolution: `${screen.width}x${screen.height}`,
                 canvasSize: this.getCanvasSize(),
-                recordCount: exportData.records.length
+                recordCount: exportData.records.length,
+                rangeRecordCount: exportData.records.filter(record => record.endDate).length
             };
         }
 
@@ -311,6 +362,11 @@ class ExportManager {
      * @param {Object} options - 导出选项
      */
     downloadJSON(filename = null, options = {}) {
+        if (this.isBatchExporting) {
+            alert('正在批量导出，请稍候...');
+            return;
+        }
+
         try {
             const data = this.exportToJSON(options);
             const exportOptions = {
@@ -347,6 +403,931 @@ class ExportManager {
         }
     }
 
+    /**
+     * 导出记录为iCalendar（.ics）文本 - V1.6新增
+     * 每条记录生成一个全天事件：首行文字为标题，其余文字为描述，边框颜色名称为分类；
+     * 多日记录的结束日期包含在事件内，图片记录导出其描述文字
+     * @param {Array<number>|null} years - 要导出的年份，为空时只导出当前年份
+     * @returns {Promise<Object>} {content, eventCount, years}
+     */
+    async exportToICS(years = null) {
+        if (this.isBatchExporting) {
+            throw new Error('正在批量导出，请稍候...');
+        }
+
+        const currentYear = window.circleRenderer?.currentYear || new Date().getFullYear();
+        const targetYears = [...new Set(years && years.length > 0 ? years : [currentYear])].sort((a, b) => a - b);
+
+        const events = [];
+        const uids = new Set();
+        for (const year of targetYears) {
+            let records;
+            let palette;
+            if (year === currentYear) {
+                // 当前年份使用内存中的最新数据，包括尚未保存的修改
+                records = window.recordManager?.exportRecords() || [];
+                palette = window.paletteManager?.getPalette();
+            } else {
+                const data = await window.storageManager?.loadYearData(year);
+                records = data && Array.isArray(data.records) ? data.records : [];
+                palette = data && Array.isArray(data.palette) && data.palette.length > 0
+                    ? data.palette
+                    : window.paletteManager?.defaultPalette;
+            }
+
+            records.forEach(record => {
+                const event = this.recordToICalEvent(record, palette);
+                // 同一记录被导入到多个年份时只保留一份
+                if (event && !uids.has(event.uid)) {
+                    uids.add(event.uid);
+                    events.push(event);
+                }
+            });
+        }
+
+        events.sort((a, b) => a.start.localeCompare(b.start));
+
+        const name = targetYears.length === 1
+            ? `年度记录 ${targetYears[0]}`
+            : `年度记录 ${targetYears[0]}-${targetYears[targetYears.length - 1]}`;
+
+        return {
+            content: ICalUtils.stringify({ name, events }),
+            eventCount: events.length,
+            years: targetYears
+        };
+    }
+
+    /**
+     * 将记录转换为全天事件 - V1.6新增
+     * @param {Object} record - 持久化格式的记录
+     * @param {Array<Object>} palette - 记录所在年份的配色，未知的颜色key按第一种颜色处理
+     * @returns {Object|null} ICalUtils.stringify使用的事件，日期无效时返回null
+     */
+    recordToICalEvent(record, palette = []) {
+        if (!record || !/^\d{4}-\d{2}-\d{2}$/.test(record.date)) {
+            return null;
+        }
+
+        const text = RecordManager.getRecordText(record).trim();
+        const [firstLine, ...rest] = text.split('\n');
+        const summary = firstLine.trim() || (record.type === 'image' ? '图片记录' : '记录');
+
+        const lastDate = record.endDate && record.endDate > record.date ? record.endDate : record.date;
+        const colors = palette || [];
+        const color = colors.find(entry => entry.key === record.borderColor) || colors[0];
+
+        return {
+            uid: `${record.id}@year-circle`,
+            summary,
+            description: rest.join('\n').trim(),
+            categories: color ? [color.name] : [],
+            start: record.date,
+            end: ICalUtils.fromDayNumber(ICalUtils.toDayNumber(lastDate) + 1),
+            created: record.createdAt,
+            lastModified: record.updatedAt
+        };
+    }
+
+    /**
+     * 下载.ics日历文件 - V1.6新增
+     * @param {Array<number>|null} years - 要导出的年份，为空时只导出当前年份
+     * @returns {Promise<number>} 导出的事件数量
+     */
+    async downloadICS(years = null) {
+        const result = await this.exportToICS(years);
+        if (result.eventCount === 0) {
+            return 0;
+        }
+
+        const range = result.years.length === 1
+            ? `${result.years[0]}`
+            : `${result.years[0]}-${result.years[result.years.length - 1]}`;
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
+        FileUtils.downloadFile(result.content, `年度记录_${range}_${timestamp}.ics`, 'text/calendar;charset=utf-8');
+
+        return result.eventCount;
+    }
+
+    /**
+     * 导出为SVG矢量图 - V1.6新增
+     * 圆环部分本身是SVG，记录卡片由SVGExporter转换为矢量元素，导出结果可按任意尺寸打印
+     * @param {HTMLElement} targetElement - 目标元素，默认为画布
+     * @returns {string} SVG文件内容
+     */
+    exportToSVG(targetElement = null) {
+        const element = targetElement || document.getElementById('year-circle-canvas');
+        return new SVGExporter().exportToSVG(element);
+    }
+
+    /**
+     * 下载SVG矢量图 - V1.6新增
+     * @param {string} filename - 文件名
+     * @param {HTMLElement} targetElement - 目标元素
+     */
+    downloadSVG(filename = null, targetElement = null) {
+        if (this.isBatchExporting) {
+            alert('正在批量导出，请稍候...');
+            return;
+        }
+
+        try {
+            const content = this.exportToSVG(targetElement);
+            FileUtils.downloadFile(content, filename || this.generateFilename('svg'), 'image/svg+xml;charset=utf-8');
+            console.log('SVG导出成功');
+        } catch (error) {
+            console.error('导出SVG失败:', error);
+            alert(`导出失败: ${error.message || '未知错误'}，请重试`);
+        }
+    }
+
+    /**
+     * 导出为多页PDF - V1.6新增
+     * 第一页为整张圆环海报，之后按月份列出记录的完整文字和原尺寸图片。
+     * 每页先绘制到画布再以JPEG写入PDF，中文不依赖PDF内置字体，完全离线生成
+     * @param {Object} options - 导出选项，见exportOptions.pdf
+     * @returns {Promise<Object>} {blob, pageCount}
+     */
+    async exportToPDF(options = {}) {
+        if (this.isExporting || this.isBatchExporting) {
+            throw new Error('正在导出中，请稍候...');
+        }
+
+        this.isExporting = true;
+
+        try {
+            const settings = { ...this.exportOptions.pdf, ...options };
+            const paper = PDFWriter.PAPER_SIZES[settings.paper] || PDFWriter.PAPER_SIZES.A4;
+            const bleed = settings.bleed ? PDFWriter.mmToPoints(settings.bleedSize) : 0;
+            const margin = PDFWriter.mmToPoints(settings.margin);
+            const layout = {
+                width: paper.width + bleed * 2,
+                height: paper.height + bleed * 2,
+                bleed,
+                margin,
+                content: {
+                    x: bleed + margin,
+                    y: bleed + margin,
+                    width: paper.width - margin * 2,
+                    height: paper.height - margin * 2
+                },
+                scale: settings.dpi / 72,
+                quality: settings.quality
+            };
+
+            const writer = new PDFWriter();
+            const range = window.circleRenderer?.getYearRangeText() || String(new Date().getFullYear());
+            writer.setInfo({ title: `${range} 年度记录`, creator: '环形月份图画布' });
+
+            this.showExportProgress('正在生成海报页...', 10);
+            await this.addPDFPosterPage(writer, layout);
+
+            if (settings.includeDetails) {
+                const months = this.groupRecordsByMonth();
+                for (let i = 0; i < months.length; i++) {
+                    const month = months[i];
+                    this.updateExportProgress(`正在生成${month.year}年${month.month}月...`, 20 + (i / months.length) * 70);
+                    await this.addPDFMonthPages(writer, layout, month);
+                }
+            }
+
+            this.updateExportProgress('正在写入文件...', 95);
+            const blob = writer.toBlob();
+            this.hideExportProgress();
+
+            return { blob, pageCount: writer.pageIds.length };
+        } catch (error) {
+            this.hideExportProgress();
+            throw error;
+        } finally {
+            this.isExporting = false;
+        }
+    }
+
+    /**
+     * 下载PDF - V1.6新增
+     * @param {Object} options - 导出选项
+     * @returns {Promise<number>} 页数
+     */
+    async downloadPDF(options = {}) {
+        const { blob, pageCount } = await this.exportToPDF(options);
+        FileUtils.downloadFile(blob, this.generateFilename('pdf'), 'application/pdf');
+        return pageCount;
+    }
+
+    /**
+     * 生成海报页：画布转换为SVG后按纸张缩放绘制，保持矢量清晰度 - V1.6新增
+     * @param {PDFWriter} writer - PDF生成器
+     * @param {Object} layout - 页面布局
+     */
+    async addPDFPosterPage(writer, layout) {
+        const root = new SVGExporter().createSVG(document.getElementById('year-circle-canvas'));
+        const width = parseFloat(root.getAttribute('width'));
+        const height = parseFloat(root.getAttribute('height'));
+        const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(root)], { type: 'image/svg+xml' }));
+
+        try {
+            const image = await this.loadImage(url);
+            if (!image) {
+                throw new Error('海报页生成失败');
+            }
+
+            // 背景铺满整页（含出血），圆环在版心内居中
+            const background = window.themeManager?.getExportBackground() || this.exportOptions.image.backgroundColor;
+            const { canvas, context } = this.createPDFPageCanvas(layout, background);
+            const { content } = layout;
+            const ratio = Math.min(content.width / width, content.height / height);
+            context.drawImage(
+                image,
+                content.x + (content.width - width * ratio) / 2,
+                content.y + (content.height - height * ratio) / 2,
+                width * ratio,
+                height * ratio
+            );
+
+            await this.addPDFPage(writer, layout, canvas);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * 生成一个月的记录页，内容超过一页时自动分页 - V1.6新增
+     * @param {PDFWriter} writer - PDF生成器
+     * @param {Object} layout - 页面布局
+     * @param {Object} month - {year, month, records: [{record, date}]}
+     */
+    async addPDFMonthPages(writer, layout, month) {
+        const { content } = layout;
+        const bottom = content.y + content.height;
+        const fontFamily = getComputedStyle(document.body).fontFamily || 'sans-serif';
+        const title = `${month.year}年${month.month}月`;
+        let page = null;
+        let y = 0;
+
+        const startPage = async (continued) => {
+            if (page) {
+                await this.addPDFPage(writer, layout, page.canvas);
+            }
+            page = this.createPDFPageCanvas(layout, '#ffffff');
+            const { context } = page;
+            context.textBaseline = 'top';
+
+            context.fillStyle = '#333333';
+            context.font = `bold 18px ${fontFamily}`;
+            const heading = continued ? `${title}（续）` : title;
+            context.fillText(heading, content.x, content.y);
+            if (!continued) {
+                context.fillStyle = '#999999';
+                context.font = `12px ${fontFamily}`;
+                context.fillText(`${month.records.length}条记录`, content.x + context.measureText(heading).width + 10, content.y + 5);
+            }
+
+            context.strokeStyle = '#dddddd';
+            context.lineWidth = 0.75;
+            context.beginPath();
+            context.moveTo(content.x, content.y + 28);
+            context.lineTo(content.x + content.width, content.y + 28);
+            context.stroke();
+
+            // 页码写在下边距中间，海报页为第1页
+            context.fillStyle = '#999999';
+            context.font = `8px ${fontFamily}`;
+            context.textAlign = 'center';
+            context.fillText(String(writer.pageIds.length + 1), content.x + content.width / 2, bottom + layout.margin / 2 - 4);
+            context.textAlign = 'left';
+
+            y = content.y + 40;
+        };
+
+        // 剩余空间不足时换页
+        const ensureSpace = async (height) => {
+            if (y + height > bottom) {
+                await startPage(true);
+            }
+        };
+
+        await startPage(false);
+
+        for (const { record, date } of month.records) {
+            // 图片按96 DPI换算为点，超出版心时等比缩小；日期行与图片放在同一页
+            let image = null;
+            let imageSize = null;
+            if (record.type === 'image' && record.content && record.content.imageData) {
+                image = await this.loadImage(record.content.imageData);
+                if (image) {
+                    const ratio = Math.min(
+                        1,
+                        content.width / (image.naturalWidth * 0.75),
+                        (content.height - 60) / (image.naturalHeight * 0.75)
+                    );
+                    imageSize = { width: image.naturalWidth * 0.75 * ratio, height: image.naturalHeight * 0.75 * ratio };
+                }
+            }
+
+            await ensureSpace(imageSize ? imageSize.height + 26 : 36);
+            const { context } = page;
+
+            // 日期行：边框颜色圆点 + 日期
+            context.fillStyle = window.paletteManager?.getColorValue(record.borderColor) || '#999999';
+            context.beginPath();
+            context.arc(content.x + 4, y + 5.5, 3.5, 0, Math.PI * 2);
+            context.fill();
+
+            let dateText = DateUtils.formatDayWithWeekday(date);
+            if (record.endDate) {
+                const endDate = window.circleRenderer.toCycleDate(record.endDate);
+                dateText += ` 至 ${DateUtils.formatDayWithWeekday(endDate)}`;
+            }
+            context.fillStyle = '#666666';
+            context.font = `bold 10px ${fontFamily}`;
+            context.fillText(dateText, content.x + 12, y);
+            y += 18;
+
+            if (imageSize) {
+                context.drawImage(image, content.x, y, imageSize.width, imageSize.height);
+                y += imageSize.height + 8;
+            } else if (record.type === 'image') {
+                context.fillStyle = '#999999';
+                context.font = `italic 10px ${fontFamily}`;
+                context.fillText('（图片无法加载）', content.x, y);
+                y += 16;
+            }
+
+            const text = RecordManager.getRecordText(record).trim();
+            if (text) {
+                page.context.font = `11px ${fontFamily}`;
+                const lines = this.wrapText(page.context, text, content.width);
+                for (const line of lines) {
+                    await ensureSpace(16);
+                    page.context.fillStyle = '#333333';
+                    page.context.font = `11px ${fontFamily}`;
+                    page.context.fillText(line, content.x, y);
+                    y += 16;
+                }
+            }
+
+            const tags = (record.tags || [])
+                .map(tagId => window.tagManager?.getTag(tagId)?.name)
+                .filter(Boolean);
+            if (tags.length > 0) {
+                await ensureSpace(14);
+                page.context.fillStyle = '#999999';
+                page.context.font = `9px ${fontFamily}`;
+                page.context.fillText(`标签：${tags.join('、')}`, content.x, y + 2);
+                y += 14;
+            }
+
+            y += 14;
+        }
+
+        await this.addPDFPage(writer, layout, page.canvas);
+    }
+
+    /**
+     * 创建页面画布，使用点为绘制单位 - V1.6新增
+     * @param {Object} layout - 页面布局
+     * @param {string} background - 背景色
+     * @returns {Object} {canvas, context}
+     */
+    createPDFPageCanvas(layout, background) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(layout.width * layout.scale);
+        canvas.height = Math.round(layout.height * layout.scale);
+
+        const context = canvas.getContext('2d');
+        context.scale(layout.scale, layout.scale);
+        context.fillStyle = background;
+        context.fillRect(0, 0, layout.width, layout.height);
+
+        return { canvas, context };
+    }
+
+    /**
+     * 将页面画布编码为JPEG并写入PDF - V1.6新增
+     * @param {PDFWriter} writer - PDF生成器
+     * @param {Object} layout - 页面布局
+     * @param {HTMLCanvasElement} canvas - 页面画布
+     */
+    async addPDFPage(writer, layout, canvas) {
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', layout.quality));
+        if (!blob) {
+            throw new Error('页面图片生成失败');
+        }
+
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const imageId = writer.addJPEG(bytes, canvas.width, canvas.height);
+        writer.addPage({
+            width: layout.width,
+            height: layout.height,
+            bleed: layout.bleed,
+            images: [{ id: imageId, x: 0, y: 0, width: layout.width, height: layout.height }]
+        });
+    }
+
+    /**
+     * 按年度周期顺序将当前年份的记录分组到月份 - V1.6新增
+     * @returns {Array<Object>} [{year, month, records: [{record, date}]}]
+     */
+    groupRecordsByMonth() {
+        const records = (window.recordManager?.exportRecords() || [])
+            .map(record => ({ record, date: window.circleRenderer.toCycleDate(record.date) }))
+            .sort((a, b) => a.date.localeCompare(b.date) ||
+                (a.record.createdAt || '').localeCompare(b.record.createdAt || ''));
+
+        const months = [];
+        records.forEach(item => {
+            const { year, month } = DateUtils.parseDate(item.date);
+            const last = months[months.length - 1];
+            if (last && last.year === year && last.month === month) {
+                last.records.push(item);
+            } else {
+                months.push({ year, month, records: [item] });
+            }
+        });
+        return months;
+    }
+
+
+    /**
+     * 按宽度折行，保留原有换行；英文单词尽量在空格处断开 - V1.6新增
+     * @param {CanvasRenderingContext2D} context - 已设置字体的绘图上下文
+     * @param {string} text - 文字
+     * @param {number} maxWidth - 最大行宽
+     * @returns {Array<string>} 行数组
+     */
+    wrapText(context, text, maxWidth) {
+        const lines = [];
+        text.split('\n').forEach(paragraph => {
+            let line = '';
+            Array.from(paragraph).forEach(char => {
+                if (line === '' && /\s/.test(char)) return;
+                if (context.measureText(line + char).width <= maxWidth || line === '') {
+                    line += char;
+                    return;
+                }
+
+                const breakAt = /[\x21-\x7e]/.test(char) ? line.lastIndexOf(' ') : -1;
+                if (breakAt > 0) {
+                    lines.push(line.slice(0, breakAt));
+                    line = line.slice(breakAt + 1) + char;
+                } else {
+                    lines.push(line);
+                    line = /\s/.test(char) ? '' : char;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    /**
+     * 加载图片，失败或超时返回null - V1.6新增
+     * @param {string} src - 图片地址
+     * @returns {Promise<HTMLImageElement|null>}
+     */
+    loadImage(src) {
+        return new Promise(resolve => {
+            const image = new Image();
+            const timer = setTimeout(() => resolve(null), 15000);
+            image.onload = () => {
+                clearTimeout(timer);
+                resolve(image);
+            };
+            image.onerror = () => {
+                clearTimeout(timer);
+                resolve(null);
+            };
+            // 外部图片需要允许跨域，否则绘制后画布无法导出
+            if (!/^(data|blob):/.test(src)) {
+                image.crossOrigin = 'anonymous';
+            }
+            image.src = src;
+        });
+    }
+
+    /**
+     * 计算分块打印方案 - V1.6新增
+     * 海报按选择的尺寸放大，分成若干张打印纸大小的分块，相邻分块之间保留重叠区域便于拼接；
+     * 打印纸横放和竖放中取分块较少的一种。所有尺寸单位为点
+     * @param {Object} options - 导出选项，见exportOptions.tiles
+     * @param {Object} contentSize - 画布内容尺寸（像素）{width, height}
+     * @returns {Object} {poster, placement, sheet, margin, overlap, tile, rows, cols}
+     */
+    planTiledPoster(options, contentSize) {
+        const settings = { ...this.exportOptions.tiles, ...options };
+        const landscape = contentSize.width > contentSize.height;
+
+        // 海报尺寸：按纸张时与内容同方向，画面在纸张内居中；自定义时按宽度等比计算高度
+        let poster;
+        if (settings.posterSize === 'custom') {
+            const width = PDFWriter.mmToPoints(MathUtils.clamp(settings.customWidth, 20, 500) * 10);
+            poster = { width, height: width * contentSize.height / contentSize.width };
+        } else {
+            const paper = PDFWriter.PAPER_SIZES[settings.posterSize] || PDFWriter.PAPER_SIZES.A1;
+            poster = landscape
+                ? { width: paper.height, height: paper.width }
+                : { width: paper.width, height: paper.height };
+        }
+
+        const ratio = Math.min(poster.width / contentSize.width, poster.height / contentSize.height);
+        const placement = {
+            width: contentSize.width * ratio,
+            height: contentSize.height * ratio
+        };
+        placement.x = (poster.width - placement.width) / 2;
+        placement.y = (poster.height - placement.height) / 2;
+
+        const margin = PDFWriter.mmToPoints(settings.sheetMargin);
+        const overlap = PDFWriter.mmToPoints(settings.overlap);
+        const paper = PDFWriter.PAPER_SIZES[settings.sheet] || PDFWriter.PAPER_SIZES.A4;
+
+        const plans = [
+            { name: paper.name, width: paper.width, height: paper.height, orientation: 'portrait' },
+            { name: paper.name, width: paper.height, height: paper.width, orientation: 'landscape' }
+        ].map(sheet => {
+            const tile = { width: sheet.width - margin * 2, height: sheet.height - margin * 2 };
+            return {
+                sheet,
+                tile,
+                cols: Math.max(1, Math.ceil((poster.width - overlap) / (tile.width - overlap))),
+                rows: Math.max(1, Math.ceil((poster.height - overlap) / (tile.height - overlap)))
+            };
+        });
+        const best = plans[1].rows * plans[1].cols < plans[0].rows * plans[0].cols ? plans[1] : plans[0];
+
+        return { poster, placement, margin, overlap, ...best };
+    }
+
+    /**
+     * 导出分块打印海报 - V1.6新增
+     * 画布先转换为SVG，再按300 DPI逐块绘制，单块画布不超过浏览器的尺寸限制。
+     * 生成的PDF第一页为拼接说明，之后每页一个分块，带裁切标记和编号；
+     * 选择拼合时另外生成一页整幅海报的PDF，由多个图片块拼成，不需要超大画布
+     * @param {Object} options - 导出选项，见exportOptions.tiles
+     * @returns {Promise<Object>} {files: [{name, blob}], rows, cols}
+     */
+    async exportTiledPoster(options = {}) {
+        if (this.isExporting || this.isBatchExporting) {
+            throw new Error('正在导出中，请稍候...');
+        }
+
+        this.isExporting = true;
+        let url = null;
+
+        try {
+            const settings = { ...this.exportOptions.tiles, ...options };
+            this.showExportProgress('正在准备海报...', 0);
+
+            const root = new SVGExporter().createSVG(document.getElementById('year-circle-canvas'));
+            const contentSize = {
+                width: parseFloat(root.getAttribute('width')),
+                height: parseFloat(root.getAttribute('height'))
+            };
+            url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(root)], { type: 'image/svg+xml' }));
+            const image = await this.loadImage(url);
+            if (!image) {
+                throw new Error('海报生成失败');
+            }
+
+            const plan = this.planTiledPoster(settings, contentSize);
+            const source = {
+                image,
+                ...plan.placement,
+                background: window.themeManager?.getExportBackground() || this.exportOptions.image.backgroundColor
+            };
+            const range = window.circleRenderer?.getYearRangeText() || String(new Date().getFullYear());
+            const total = plan.rows * plan.cols + (settings.stitch ? 1 : 0);
+
+            const writer = new PDFWriter();
+            writer.setInfo({ title: `${range} 年度记录（分块打印）`, creator: '环形月份图画布' });
+            await this.addTileInstructionPage(writer, plan, source);
+
+            for (let row = 0; row < plan.rows; row++) {
+                for (let col = 0; col < plan.cols; col++) {
+                    const index = row * plan.cols + col;
+                    this.updateExportProgress(`正在生成分块 ${this.getTileLabel(row, col)}...`, 5 + (index / total) * 85);
+                    await this.addTilePage(writer, plan, source, row, col, settings);
+                }
+            }
+
+            const files = [{ name: '分块打印.pdf', blob: writer.toBlob() }];
+
+            if (settings.stitch) {
+                this.updateExportProgress('正在拼合整幅海报...', 5 + ((total - 1) / total) * 85);
+                const poster = new PDFWriter();
+                poster.setInfo({ title: `${range} 年度记录`, creator: '环形月份图画布' });
+                const region = { x: 0, y: 0, width: plan.poster.width, height: plan.poster.height };
+                const chunks = await this.renderPosterRegion(source, region, settings);
+                poster.addPage({
+                    width: plan.poster.width,
+                    height: plan.poster.height,
+                    images: chunks.map(chunk => ({
+                        id: poster.addJPEG(chunk.bytes, chunk.pixelWidth, chunk.pixelHeight),
+                        x: chunk.x,
+                        y: plan.poster.height - chunk.y - chunk.height,
+                        width: chunk.width,
+                        height: chunk.height
+                    }))
+                });
+                files.push({ name: '整幅海报.pdf', blob: poster.toBlob() });
+            }
+
+            this.hideExportProgress();
+            return { files, rows: plan.rows, cols: plan.cols };
+        } catch (error) {
+            this.hideExportProgress();
+            throw error;
+        } finally {
+            if (url) {
+                URL.revokeObjectURL(url);
+            }
+            this.isExporting = false;
+        }
+    }
+
+    /**
+     * 下载分块打印海报，拼合时与整幅海报一起打包为ZIP - V1.6新增
+     * @param {Object} options - 导出选项
+     * @returns {Promise<Object>} {rows, cols}
+     */
+    async downloadTiledPoster(options = {}) {
+        const { files, rows, cols } = await this.exportTiledPoster(options);
+
+        if (files.length === 1) {
+            FileUtils.downloadFile(files[0].blob, this.generateFilename('pdf'), 'application/pdf');
+        } else {
+            const entries = [];
+            for (const file of files) {
+                entries.push({ name: file.name, data: new Uint8Array(await file.blob.arrayBuffer()) });
+            }
+            FileUtils.downloadFile(ZipUtils.createZip(entries), this.generateFilename('zip'), 'application/zip');
+        }
+
+        return { rows, cols };
+    }
+
+    /**
+     * 按分辨率绘制海报的一个区域，超过画布尺寸限制时拆成多个图片块 - V1.6新增
+     * @param {Object} source - 海报画面 {image, x, y, width, height, background}，单位为点
+     * @param {Object} region - 要绘制的海报区域 {x, y, width, height}
+     * @param {Object} settings - 导出选项，使用dpi、quality和画布限制
+     * @returns {Promise<Array<Object>>} [{bytes, pixelWidth, pixelHeight, x, y, width, height}]，位置相对于区域左上角
+     */
+    async renderPosterRegion(source, region, settings) {
+        const scale = settings.dpi / 72;
+        const totalWidth = Math.max(1, Math.round(region.width * scale));
+        const totalHeight = Math.max(1, Math.round(region.height * scale));
+        const chunkWidth = Math.min(totalWidth, settings.maxCanvasSide);
+        const chunkHeight = Math.min(totalHeight, settings.maxCanvasSide, Math.floor(settings.maxCanvasArea / chunkWidth));
+
+        const chunks = [];
+        for (let top = 0; top < totalHeight; top += chunkHeight) {
+            for (let left = 0; left < totalWidth; left += chunkWidth) {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.min(chunkWidth, totalWidth - left);
+                canvas.height = Math.min(chunkHeight, totalHeight - top);
+
+                const context = canvas.getContext('2d');
+                context.fillStyle = source.background;
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(
+                    source.image,
+                    (source.x - region.x) * scale - left,
+                    (source.y - region.y) * scale - top,
+                    source.width * scale,
+                    source.height * scale
+                );
+
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', settings.quality));
+                if (!blob) {
+                    throw new Error('分块图片生成失败');
+                }
+
+                chunks.push({
+                    bytes: new Uint8Array(await blob.arrayBuffer()),
+                    pixelWidth: canvas.width,
+                    pixelHeight: canvas.height,
+                    x: left / scale,
+                    y: top / scale,
+                    width: canvas.width / scale,
+                    height: canvas.height / scale
+                });
+
+                // 释放画布内存
+                canvas.width = 0;
+                canvas.height = 0;
+            }
+        }
+        return chunks;
+    }
+
+    /**
+     * 生成一个分块页面：画面位于版心，四角和重叠处绘制裁切标记，下边距写分块编号 - V1.6新增
+     * @param {PDFWriter} writer - PDF生成器
+     * @param {Object} plan - 分块方案
+     * @param {Object} source - 海报画面
+     * @param {number} row - 行序号
+     * @param {number} col - 列序号
+     * @param {Object} settings - 导出选项
+     */
+    async addTilePage(writer, plan, source, row, col, settings) {
+        const { sheet, tile, margin, overlap } = plan;
+        const region = {
+            x: col * (tile.width - overlap),
+            y: row * (tile.height - overlap)
+        };
+        region.width = Math.min(tile.width, plan.poster.width - region.x);
+        region.height = Math.min(tile.height, plan.poster.height - region.y);
+
+        const chunks = await this.renderPosterRegion(source, region, settings);
+        const images = chunks.map(chunk => ({
+            id: writer.addJPEG(chunk.bytes, chunk.pixelWidth, chunk.pixelHeight),
+            x: margin + chunk.x,
+            y: sheet.height - margin - chunk.y - chunk.height,
+            width: chunk.width,
+            height: chunk.height
+        }));
+
+        // 以下坐标原点在左上角，写入时换算为PDF坐标
+        const marks = [];
+        const markLength = PDFWriter.mmToPoints(5);
+        const gap = PDFWriter.mmToPoints(1);
+        const left = margin;
+        const top = margin;
+        const right = margin + region.width;
+        const bottom = margin + region.height;
+        const addVertical = (x, y1, y2) => marks.push({ x1: x, y1, x2: x, y2 });
+        const addHorizontal = (y, x1, x2) => marks.push({ x1, y1: y, x2, y2: y });
+
+        // 画面四角的裁切标记
+        [left, right].forEach(x => {
+            addVertical(x, top - gap, top - gap - markLength);
+            addVertical(x, bottom + gap, bottom + gap + markLength);
+        });
+        [top, bottom].forEach(y => {
+            addHorizontal(y, left - gap, left - gap - markLength);
+            addHorizontal(y, right + gap, right + gap + markLength);
+        });
+
+        // 重叠区域的对齐标记：右侧和下方相邻分块裁去白边后，裁切边对齐到这里
+        if (col < plan.cols - 1) {
+            addVertical(right - overlap, top - gap, top - gap - markLength);
+            addVertical(right - overlap, bottom + gap, bottom + gap + markLength);
+        }
+        if (row < plan.rows - 1) {
+            addHorizontal(bottom - overlap, left - gap, left - gap - markLength);
+            addHorizontal(bottom - overlap, right + gap, right + gap + markLength);
+        }
+
+        // 编号和说明绘制为小图片放在下边距，中文不依赖PDF字体
+        const labelHeight = Math.max(margin - markLength - gap * 2, 8);
+        const labelScale = settings.dpi / 72;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(tile.width * labelScale);
+        canvas.height = Math.round(labelHeight * labelScale);
+        const context = canvas.getContext('2d');
+        context.scale(labelScale, labelScale);
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, tile.width, labelHeight);
+        context.fillStyle = '#666666';
+        context.font = `${Math.min(7, labelHeight * 0.8)}px ${getComputedStyle(document.body).fontFamily || 'sans-serif'}`;
+        context.textBaseline = 'middle';
+        const hint = [col > 0 ? '裁去左侧白边' : '', row > 0 ? '裁去上方白边' : ''].filter(Boolean).join('，');
+        context.fillText(
+            `${this.getTileLabel(row, col)}　第${row + 1}行第${col + 1}列，共${plan.rows}行${plan.cols}列${hint ? `　${hint}` : ''}`,
+            0,
+            labelHeight / 2
+        );
+
+        const labelBlob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', settings.quality));
+        if (labelBlob) {
+            images.push({
+                id: writer.addJPEG(new Uint8Array(await labelBlob.arrayBuffer()), canvas.width, canvas.height),
+                x: margin,
+                y: gap,
+                width: tile.width,
+                height: labelHeight
+            });
+        }
+
+        writer.addPage({
+            width: sheet.width,
+            height: sheet.height,
+            images,
+            lines: marks.map(mark => ({
+                x1: mark.x1,
+                y1: sheet.height - mark.y1,
+                x2: mark.x2,
+                y2: sheet.height - mark.y2
+            }))
+        });
+    }
+
+    /**
+     * 生成拼接说明页：打印设置、拼接步骤和带编号的分块示意图 - V1.6新增
+     * @param {PDFWriter} writer - PDF生成器
+     * @param {Object} plan - 分块方案
+     * @param {Object} source - 海报画面
+     */
+    async addTileInstructionPage(writer, plan, source) {
+        const { sheet, margin } = plan;
+        const layout = {
+            width: sheet.width,
+            height: sheet.height,
+            bleed: 0,
+            scale: 150 / 72,
+            quality: this.exportOptions.tiles.quality
+        };
+        const { canvas, context } = this.createPDFPageCanvas(layout, '#ffffff');
+        const fontFamily = getComputedStyle(document.body).fontFamily || 'sans-serif';
+        const width = sheet.width - margin * 2;
+        const toCentimeters = points => (points * 2.54 / 72).toFixed(1);
+        let y = margin;
+
+        context.textBaseline = 'top';
+        context.fillStyle = '#333333';
+        context.font = `bold 18px ${fontFamily}`;
+        context.fillText('分块打印拼接说明', margin, y);
+        y += 32;
+
+        context.font = `11px ${fontFamily}`;
+        const lines = [
+            `海报尺寸：${toCentimeters(plan.poster.width)} × ${toCentimeters(plan.poster.height)} 厘米，` +
+                `共${plan.rows}行${plan.cols}列 ${plan.rows * plan.cols} 张${sheet.name}纸（${sheet.orientation === 'landscape' ? '横向' : '纵向'}）`,
+            `相邻分块重叠 ${(plan.overlap * 25.4 / 72).toFixed(0)} 毫米，分辨率 ${this.exportOptions.tiles.dpi} DPI`,
+            '',
+            '1. 打印时选择"实际大小"或缩放100%，不要选择"适合页面"，否则拼接后尺寸不准',
+            '2. 按编号排列分块：字母表示行，数字表示列，左上角为A1',
+            '3. 不是第一列的分块，沿左侧的裁切标记裁去左边的白边；不是第一行的分块，沿上方的裁切标记裁去上边的白边',
+            '4. 把裁好的分块压在左边和上边相邻的分块上，裁切边对齐相邻分块靠内的对齐标记，画面重合后从背面用胶带固定',
+            '5. 全部拼好后，沿最外圈的裁切标记裁去剩余的白边'
+        ];
+        lines.forEach(line => {
+            this.wrapText(context, line, width).forEach(wrapped => {
+                context.fillText(wrapped, margin, y);
+                y += 16;
+            });
+        });
+        y += 12;
+
+        // 示意图：缩小的海报，叠加分块边界和编号
+        const mapHeight = sheet.height - margin - y;
+        const ratio = Math.min(width / plan.poster.width, mapHeight / plan.poster.height);
+        const mapX = margin + (width - plan.poster.width * ratio) / 2;
+        const mapY = y;
+        context.fillStyle = source.background;
+        context.fillRect(mapX, mapY, plan.poster.width * ratio, plan.poster.height * ratio);
+        context.drawImage(
+            source.image,
+            mapX + source.x * ratio,
+            mapY + source.y * ratio,
+            source.width * ratio,
+            source.height * ratio
+        );
+
+        context.strokeStyle = 'rgba(231, 76, 60, 0.9)';
+        context.lineWidth = 0.75;
+        context.font = `bold 10px ${fontFamily}`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        for (let row = 0; row < plan.rows; row++) {
+            for (let col = 0; col < plan.cols; col++) {
+                const x = col * (plan.tile.width - plan.overlap);
+                const top = row * (plan.tile.height - plan.overlap);
+                const tileWidth = Math.min(plan.tile.width, plan.poster.width - x);
+                const tileHeight = Math.min(plan.tile.height, plan.poster.height - top);
+                context.strokeRect(mapX + x * ratio, mapY + top * ratio, tileWidth * ratio, tileHeight * ratio);
+
+                const label = this.getTileLabel(row, col);
+                const centerX = mapX + (x + tileWidth / 2) * ratio;
+                const centerY = mapY + (top + tileHeight / 2) * ratio;
+                context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+                context.fillRect(centerX - 12, centerY - 8, 24, 16);
+                context.fillStyle = '#e74c3c';
+                context.fillText(label, centerX, centerY);
+            }
+        }
+
+        await this.addPDFPage(writer, layout, canvas);
+    }
+
+    /**
+     * 分块编号：字母表示行，数字表示列，如B3 - V1.6新增
+     * @param {number} row - 行序号
+     * @param {number} col - 列序号
+     * @returns {string}
+     */
+    getTileLabel(row, col) {
+        let letters = '';
+        let value = row + 1;
+        while (value > 0) {
+            letters = String.fromCharCode(65 + (value - 1) % 26) + letters;
+            value = Math.floor((value - 1) / 26);
+        }
+        return `${letters}${col + 1}`;
+    }
+
     /**
      * 导出前预处理
      * @param {HTMLElement} element - 目标元素
@@ -518,6 +1499,11 @@ class ExportManager {
             elements.forEach(el => el.remove());
         });
         
+        // V1.6新增：锁定标记仅在编辑时显示，不出现在导出图片中
+        clonedDoc.querySelectorAll('.record-card.locked').forEach(card => {
+            card.classList.remove('locked');
+        });
+        
         // 确保字体加载
         const fontLinks = document.querySelectorAll('link[rel="stylesheet"]');
         fontLinks.forEach(link => {
@@ -748,59 +1734,84 @@ class ExportManager {
     }
 
     /**
-     * 批量导出
-     * @param {Array} years - 年份数组
+     * 批量导出多个年份，所有文件打包为一个ZIP - V1.6更新
+     * 逐年切换到该年份后导出；某一年失败时记录原因并继续导出其余年份，完成后切换回原来的年份。
+     * 开始前保存当前年份未保存的修改，之后切换年份不再保存，导出不会改写任何年份的数据
+     * @param {Array<number>} years - 年份数组
      * @param {string} format - 导出格式 ('png' | 'json' | 'both')
+     * @param {Function} onProgress - 进度回调 (year, status, message)，status为'running' | 'done' | 'failed'
+     * @returns {Promise<Object>} {blob, results: [{year, success, error}]}，没有成功导出的年份时blob为null
      */
-    async batchExport(years, format = 'both') {
-        if (this.isExporting) {
+    async batchExport(years, format = 'both', onProgress = () => {}) {
+        if (this.isExporting || this.isBatchExporting) {
             throw new Error('正在导出中，请稍候...');
         }
 
-        this.isExporting = true;
-        
+        const app = window.app;
+        if (!app) {
+            throw new Error('应用尚未初始化');
+        }
+
+        // 保存失败时若继续导出，切换回原年份后会丢失未保存的修改
+        if ((app.appState.hasUnsavedChanges || window.storageManager?.hasUnsavedChanges) && !await app.saveData()) {
+            throw new Error('当前年份的修改保存失败，已取消批量导出');
+        }
+
+        const originalYear = app.currentYear;
+        const files = [];
+        const results = [];
+        this.isBatchExporting = true;
+
         try {
-            this.showExportProgress('准备批量导出...', 0);
-            
-            for (let i = 0; i < years.length; i++) {
-                const year = years[i];
-                const progress = (i / years.length) * 100;
-                
-                this.updateExportProgress(`正在导出 ${year} 年...`, progress);
-                
-                // 切换到指定年份
-                if (window.circleRenderer) {
-                    window.circleRenderer.renderCircle(year);
-                }
-                
-                // 等待渲染完成
-                await new Promise(resolve => setTimeout(resolve, 500));
-                
-                // 导出文件
-                if (format === 'png' || format === 'both') {
-                    await this.downloadPNG(`年度记录_${year}.png`);
-                }
-                
-                if (format === 'json' || format === 'both') {
-                    this.downloadJSON(`年度记录_${year}.json`);
+            for (const year of years) {
+                onProgress(year, 'running');
+
+                try {
+                    // changeYear在圆环、起始日期和连接线都绘制完成后才返回
+                    if (!await app.changeYear(year, { save: false }) || app.currentYear !== year) {
+                        throw new Error('切换年份失败');
+                    }
+
+                    if (window.recordManager.getAllRecords().length === 0) {
+                        throw new Error('没有找到该年份的记录');
+                    }
+
+                    const yearFiles = [];
+                    if (format === 'png' || format === 'both') {
+                        const image = ZipUtils.dataURLToBytes(await this.exportToPNG());
+                        if (!image) {
+                            throw new Error('图片生成失败');
+                        }
+                        yearFiles.push({ name: `年度记录_${year}.png`, data: image.bytes });
+                    }
+
+                    if (format === 'json' || format === 'both') {
+                        const data = this.exportToJSON();
+                        yearFiles.push({
+                            name: `年度记录_${year}.json`,
+                            data: this.exportOptions.data.prettyFormat ? JSON.stringify(data, null, 2) : JSON.stringify(data)
+                        });
+                    }
+
+                    files.push(...yearFiles);
+                    results.push({ year, success: true });
+                    onProgress(year, 'done');
+                } catch (error) {
+                    console.error(`批量导出${year}年失败:`, error);
+                    results.push({ year, success: false, error: error.message });
+                    onProgress(year, 'failed', error.message);
                 }
-                
-                // 短暂延迟，避免浏览器阻塞
-                await new Promise(resolve => setTimeout(resolve, 200));
             }
-            
-            this.updateExportProgress('批量导出完成', 100);
-            
-            setTimeout(() => {
-                this.hideExportProgress();
-            }, 2000);
-            
-        } catch (error) {
-            this.hideExportProgress();
-            throw error;
         } finally {
-            this.isExporting = false;
+            // 不保存切换时不清空撤销历史，回到原年份后仍可撤销批量导出前的操作
+            await app.changeYear(originalYear, { save: false });
+            this.isBatchExporting = false;
         }
+
+        return {
+            blob: files.length > 0 ? ZipUtils.createZip(files) : null,
+            results
+        };
     }
 
     /**
@@ -460,6 +460,52 @@ class FileStorageManager {
         }
     }
 
+    /**
+     * 删除本地文件 - V1.6新增
+     * @param {number} year - 年份
+     * @param {string} startDate - 起始日期
+     * @returns {Promise<boolean>} 是否删除了文件
+     */
+    async deleteFile(year, startDate = null) {
+        if (!this.directoryHandle) {
+            return false;
+        }
+
+        try {
+            await this.directoryHandle.removeEntry(this.generateFileName(year, startDate));
+            return true;
+        } catch (error) {
+            if (error.name !== 'NotFoundError') {
+                console.error('[FileStorageManager] 文件删除失败:', error);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * 列出存储目录中的年度数据文件对应的年份 - V1.6新增
+     * @returns {Promise<Array<number>>} 年份列表（降序），没有存储目录或无法读取时返回空数组
+     */
+    async getSavedYears() {
+        if (!this.directoryHandle) {
+            return [];
+        }
+
+        const years = new Set();
+        try {
+            for await (const [name, handle] of this.directoryHandle.entries()) {
+                const match = handle.kind === 'file' && name.match(/^年度回顾_(\d{4})_\d{4}\.json$/);
+                if (match) {
+                    years.add(parseInt(match[1], 10));
+                }
+            }
+        } catch (error) {
+            console.warn('[FileStorageManager] 读取存储目录失败:', error);
+        }
+
+        return Array.from(years).sort((a, b) => b - a);
+    }
+
     /**
      * 降级保存到localStorage
      * @param {number} year - 年份
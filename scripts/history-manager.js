@@ -0,0 +1,302 @@
+/**
+ * 历史记录管理器 - V1.6新增
+ * 负责撤销/重做命令栈，覆盖记录的创建、编辑、删除、拖拽、缩放、
+ * 连接线调整、边框颜色修改、起始日期修改以及批量导入（日历、表格）
+ *
+ * 记录快照使用圆环相对坐标（见RecordManager.serializeRecord），
+ * 因此窗口尺寸变化后撤销仍能还原到正确位置。
+ * 命令栈只保存在内存中，自动保存不会清空历史；切换年份或导入数据时清空。
+ */
+
+class HistoryManager {
+    constructor(recordManager, maxSize = 100) {
+        this.recordManager = recordManager;
+        this.maxSize = maxSize;
+
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // 正在执行撤销/重做时为true，期间产生的变更不再入栈
+        this.isApplying = false;
+    }
+
+    /**
+     * 压入一条命令
+     * @param {Object} command - 命令对象 {label, undo: Function, redo: Function}
+     */
+    push(command) {
+        if (this.isApplying || !command) {
+            return;
+        }
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.maxSize) {
+            this.undoStack.shift();
+        }
+
+        // 新操作会使重做栈失效
+        this.redoStack = [];
+        this.notifyChange();
+    }
+
+    /**
+     * 撤销上一步操作
+     * @returns {Object|null} 被撤销的命令
+     * @throws {Error} 命令执行失败时抛出，命令仍留在撤销栈中
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            return null;
+        }
+
+        try {
+            this.apply(() => command.undo());
+        } catch (error) {
+            // 执行失败时命令放回原栈，两个栈保持一致，可以再次尝试
+            this.undoStack.push(command);
+            this.notifyChange();
+            throw error;
+        }
+        this.redoStack.push(command);
+        this.notifyChange();
+
+        return command;
+    }
+
+    /**
+     * 重做上一步被撤销的操作
+     * @returns {Object|null} 被重做的命令
+     * @throws {Error} 命令执行失败时抛出，命令仍留在重做栈中
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            return null;
+        }
+
+        try {
+            this.apply(() => command.redo());
+        } catch (error) {
+            // 执行失败时命令放回原栈，两个栈保持一致，可以再次尝试
+            this.redoStack.push(command);
+            this.notifyChange();
+            throw error;
+        }
+        this.undoStack.push(command);
+        this.notifyChange();
+
+        return command;
+    }
+
+    /**
+     * 执行撤销/重做动作，期间屏蔽新命令入栈
+     * @param {Function} action - 要执行的动作
+     */
+    apply(action) {
+        this.isApplying = true;
+        try {
+            action();
+        } finally {
+            this.isApplying = false;
+        }
+
+        // 撤销/重做后的状态同样需要持久化
+        if (window.storageManager) {
+            window.storageManager.triggerAutoSave();
+        }
+    }
+
+    /**
+     * 清空历史记录
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notifyChange();
+    }
+
+    /**
+     * 是否可以撤销
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * 是否可以重做
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * 获取记录快照（相对坐标的深拷贝）
+     * @param {string} recordId - 记录ID
+     * @returns {Object|null} 记录快照，记录不存在时返回null
+     */
+    snapshot(recordId) {
+        const record = this.recordManager.getRecord(recordId);
+        return record ? this.recordManager.serializeRecord(record) : null;
+    }
+
+    /**
+     * 记录一次创建操作
+     * @param {string} recordId - 新建记录的ID
+     * @param {string} label - 操作名称
+     */
+    recordCreation(recordId, label = '创建记录') {
+        const after = this.snapshot(recordId);
+        if (!after) return;
+
+        this.push({
+            label,
+            undo: () => this.recordManager.removeRecord(recordId),
+            redo: () => this.recordManager.restoreRecord(after)
+        });
+    }
+
+    /**
+     * 记录一次删除操作
+     * @param {Object} before - 删除前的记录快照
+     * @param {string} label - 操作名称
+     */
+    recordDeletion(before, label = '删除记录') {
+        if (!before) return;
+
+        this.push({
+            label,
+            undo: () => this.recordManager.restoreRecord(before),
+            redo: () => this.recordManager.removeRecord(before.id)
+        });
+    }
+
+    /**
+     * 记录一次修改操作（编辑、拖拽、缩放、连接线调整等）
+     * 前后快照相同时不入栈
+     * @param {Object} before - 修改前的记录快照
+     * @param {Object} after - 修改后的记录快照
+     * @param {string} label - 操作名称
+     */
+    recordChange(before, after, label = '修改记录') {
+        if (!before || !after || this.isSameSnapshot(before, after)) {
+            return;
+        }
+
+        this.push({
+            label,
+            undo: () => this.recordManager.restoreRecord(before),
+            redo: () => this.recordManager.restoreRecord(after)
+        });
+    }
+
+    /**
+     * 记录一组需要整体撤销的操作，例如清空全部记录
+     * @param {Array<Object>} commands - 命令数组
+     * @param {string} label - 操作名称
+     */
+    recordBatch(commands, label) {
+        if (!commands || commands.length === 0) return;
+
+        this.push({
+            label,
+            undo: () => [...commands].reverse().forEach(command => command.undo()),
+            redo: () => commands.forEach(command => command.redo())
+        });
+    }
+
+    /**
+     * 记录一次批量创建操作，例如从日历文件导入 - V1.6新增
+     * @param {Array<string>} recordIds - 新建记录的ID数组
+     * @param {string} label - 操作名称
+     */
+    recordBulkCreation(recordIds, label = '导入记录') {
+        this.recordBulkImport(recordIds, [], label);
+    }
+
+    /**
+     * 记录一次同时新建和修改记录的批量导入，例如从表格导入 - V1.6新增
+     * 撤销时先删除新建的记录，再还原被修改的记录
+     * @param {Array<string>} createdIds - 新建记录的ID数组
+     * @param {Array<Object>} changes - 修改的记录 [{before, after}]，均为记录快照
+     * @param {string} label - 操作名称
+     */
+    recordBulkImport(createdIds, changes, label = '导入记录') {
+        const updateCommands = (changes || []).map(({ before, after }) => ({
+            undo: () => this.recordManager.restoreRecord(before),
+            redo: () => this.recordManager.restoreRecord(after)
+        }));
+        const creationCommands = (createdIds || [])
+            .map(recordId => this.snapshot(recordId))
+            .filter(Boolean)
+            .map(after => ({
+                undo: () => this.recordManager.removeRecord(after.id),
+                redo: () => this.recordManager.restoreRecord(after)
+            }));
+
+        this.recordBatch([...updateCommands, ...creationCommands], label);
+    }
+
+    /**
+     * 执行一组操作且不逐条入栈，由调用方随后记录为一个整体命令 - V1.6新增
+     * @param {Function} action - 要执行的动作
+     * @returns {*} 动作的返回值
+     */
+    runSilently(action) {
+        const wasApplying = this.isApplying;
+        this.isApplying = true;
+        try {
+            return action();
+        } finally {
+            this.isApplying = wasApplying;
+        }
+    }
+
+    /**
+     * 记录一次批量删除操作，例如清空全部记录
+     * @param {Array<Object>} snapshots - 删除前的记录快照数组
+     * @param {string} label - 操作名称
+     */
+    recordBulkDeletion(snapshots, label = '清空记录') {
+        const commands = (snapshots || []).map(before => ({
+            undo: () => this.recordManager.restoreRecord(before),
+            redo: () => this.recordManager.removeRecord(before.id)
+        }));
+
+        this.recordBatch(commands, label);
+    }
+
+    /**
+     * 比较两个快照是否相同（忽略更新时间和连接线修改时间）
+     * @param {Object} a - 快照A
+     * @param {Object} b - 快照B
+     * @returns {boolean}
+     */
+    isSameSnapshot(a, b) {
+        const strip = snapshot => JSON.stringify({
+            ...snapshot,
+            updatedAt: null,
+            connectionLine: snapshot.connectionLine
+                ? { ...snapshot.connectionLine, lastModified: null }
+                : snapshot.connectionLine
+        });
+        return strip(a) === strip(b);
+    }
+
+    /**
+     * 通知历史状态变化
+     */
+    notifyChange() {
+        document.dispatchEvent(new CustomEvent('historyChanged', {
+            detail: {
+                canUndo: this.canUndo(),
+                canRedo: this.canRedo()
+            }
+        }));
+    }
+}
+
+// 导出到全局
+window.HistoryManager = HistoryManager;
@@ -0,0 +1,370 @@
+/**
+ * 假日与纪念日图层 - V1.6新增
+ * 从本地.ics文件导入公共假日和生日、纪念日等重复事件，在日期小点外绘制独立的标记图层；
+ * 日历为全局数据，重复事件在每次绘制圆环时按当前年份展开，切换年份后自动出现
+ */
+
+class HolidayManager {
+    constructor(circleRenderer) {
+        this.circleRenderer = circleRenderer;
+
+        // 日历为全局数据，不随年份切换
+        this.storageKey = 'year_circle_holiday_calendars';
+        this.visibleStorageKey = 'year_circle_holidays_visible';
+
+        this.calendars = new Map(); // key: calendarId, value: {id, name, color, events}
+        this.visible = true;
+
+        this.defaultColors = ['#c0392b', '#2e86c1', '#d68910', '#7d3c98', '#17a589', '#a04000'];
+
+        this.modal = document.getElementById('holiday-modal');
+        this.toggle = document.getElementById('holiday-toggle');
+
+        this.loadCalendars();
+        this.setupEventListeners();
+    }
+
+    /**
+     * 从localStorage加载日历和图层显示状态
+     */
+    loadCalendars() {
+        try {
+            const calendars = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            calendars.filter(calendar => this.isValidCalendar(calendar)).forEach(calendar => {
+                this.calendars.set(calendar.id, calendar);
+            });
+            this.visible = localStorage.getItem(this.visibleStorageKey) !== 'false';
+        } catch (error) {
+            console.error('[HolidayManager] 加载假日日历失败:', error);
+        }
+    }
+
+    /**
+     * 保存日历和图层显示状态到localStorage
+     */
+    saveCalendars() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.getCalendars()));
+            localStorage.setItem(this.visibleStorageKey, String(this.visible));
+        } catch (error) {
+            console.error('[HolidayManager] 保存假日日历失败:', error);
+            this.showMessage('保存假日日历失败，可能超出浏览器存储空间', 'error');
+        }
+    }
+
+    /**
+     * 验证日历数据格式
+     * @param {Object} calendar - 日历
+     * @returns {boolean}
+     */
+    isValidCalendar(calendar) {
+        return !!calendar && typeof calendar.id === 'string' && typeof calendar.name === 'string' &&
+            /^#[0-9a-fA-F]{6}$/.test(calendar.color) && Array.isArray(calendar.events);
+    }
+
+    /**
+     * 设置事件监听
+     */
+    setupEventListeners() {
+        // 圆环重绘（包括切换年份）后重新绘制标记图层
+        document.addEventListener('circleRendered', (e) => {
+            if (e.detail.renderer === this.circleRenderer) {
+                this.renderLayer();
+            }
+        });
+
+        if (this.toggle) {
+            this.toggle.checked = this.visible;
+            this.toggle.addEventListener('change', (e) => this.setVisible(e.target.checked));
+        }
+
+        document.querySelectorAll('.open-holiday-manager').forEach(button => {
+            button.addEventListener('click', () => this.openManager());
+        });
+
+        if (!this.modal) return;
+
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.closeManager());
+        this.modal.querySelector('.cancel-btn').addEventListener('click', () => this.closeManager());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.closeManager();
+            }
+        });
+
+        this.modal.querySelector('#holiday-import-btn').addEventListener('click', () => {
+            this.modal.querySelector('#holiday-file').click();
+        });
+        this.modal.querySelector('#holiday-file').addEventListener('change', async (e) => {
+            const file = e.target.files && e.target.files[0];
+            if (file) {
+                await this.handleImport(file);
+                e.target.value = '';
+            }
+        });
+
+        const list = this.modal.querySelector('.holiday-calendar-list');
+        list.addEventListener('change', (e) => {
+            if (e.target.matches('.holiday-color-input')) {
+                this.updateCalendarColor(e.target.closest('.holiday-calendar-item').dataset.calendarId, e.target.value);
+            }
+        });
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="remove"]');
+            if (!button) return;
+
+            const calendar = this.calendars.get(button.closest('.holiday-calendar-item').dataset.calendarId);
+            if (calendar && confirm(`确定删除日历"${calendar.name}"吗？`)) {
+                this.removeCalendar(calendar.id);
+            }
+        });
+    }
+
+    /**
+     * 获取所有日历
+     * @returns {Array<Object>}
+     */
+    getCalendars() {
+        return Array.from(this.calendars.values());
+    }
+
+    /**
+     * 从.ics文本添加日历
+     * @param {string} text - .ics文件内容
+     * @param {string} fallbackName - 文件中没有日历名称时使用的名称
+     * @returns {Object} 添加的日历
+     */
+    addCalendar(text, fallbackName = '假日') {
+        const parsed = ICalUtils.parse(text);
+        const events = parsed.events
+            .filter(event => event.summary)
+            .map(({ uid, summary, start, end, rrule, exdates }) => ({ uid, summary, start, end, rrule, exdates }));
+
+        if (events.length === 0) {
+            throw new Error('文件中没有可用的事件');
+        }
+
+        const calendar = {
+            id: generateId('calendar'),
+            name: parsed.name || fallbackName,
+            color: this.defaultColors[this.calendars.size % this.defaultColors.length],
+            events
+        };
+
+        this.calendars.set(calendar.id, calendar);
+        this.saveCalendars();
+        this.renderLayer();
+
+        return calendar;
+    }
+
+    /**
+     * 删除日历
+     * @param {string} calendarId - 日历ID
+     */
+    removeCalendar(calendarId) {
+        if (!this.calendars.delete(calendarId)) return;
+
+        this.saveCalendars();
+        this.renderLayer();
+        this.renderCalendarList();
+    }
+
+    /**
+     * 修改日历的标记颜色
+     * @param {string} calendarId - 日历ID
+     * @param {string} color - 十六进制颜色
+     */
+    updateCalendarColor(calendarId, color) {
+        const calendar = this.calendars.get(calendarId);
+        const normalized = ColorUtils.normalizeHex(color);
+        if (!calendar || !normalized) return;
+
+        calendar.color = normalized;
+        this.saveCalendars();
+        this.renderLayer();
+    }
+
+    /**
+     * 显示或隐藏标记图层
+     * @param {boolean} visible - 是否显示
+     */
+    setVisible(visible) {
+        this.visible = !!visible;
+        if (this.toggle) {
+            this.toggle.checked = this.visible;
+        }
+        this.saveCalendars();
+        this.renderLayer();
+    }
+
+    /**
+     * 获取日期范围内每天的假日和纪念日
+     * @param {string} rangeStart - 开始日期 (YYYY-MM-DD)
+     * @param {string} rangeEnd - 结束日期 (YYYY-MM-DD，含当天)
+     * @returns {Map} key: 日期字符串，value: [{name, color, calendar}]
+     */
+    getHolidays(rangeStart, rangeEnd) {
+        const holidays = new Map();
+
+        this.calendars.forEach(calendar => {
+            calendar.events.forEach(event => {
+                ICalUtils.expandEvent(event, rangeStart, rangeEnd).forEach(date => {
+                    if (!holidays.has(date)) {
+                        holidays.set(date, []);
+                    }
+                    holidays.get(date).push({ name: event.summary, color: calendar.color, calendar: calendar.name });
+                });
+            });
+        });
+
+        return holidays;
+    }
+
+    /**
+     * 绘制假日标记图层
+     * 标记为日期小点外的彩色圆环，按周模式下同一周的假日合并到该周的小点；
+     * 假日名称写入小点的data-holidays属性，由日期提示显示
+     */
+    renderLayer() {
+        const renderer = this.circleRenderer;
+        if (!renderer || !renderer.datesGroup) return;
+
+        const previousLayer = renderer.datesGroup.querySelector('.holiday-layer');
+        if (previousLayer) {
+            previousLayer.remove();
+        }
+        renderer.datesGroup.querySelectorAll('[data-holidays]').forEach(dot => {
+            dot.removeAttribute('data-holidays');
+            dot.classList.remove('holiday');
+        });
+
+        if (!this.visible || this.calendars.size === 0) return;
+
+        const days = renderer.getRingDays();
+        const dates = days.map(date => DateUtils.formatDate(date.year, date.month, date.day)).sort();
+        const holidays = this.getHolidays(dates[0], dates[dates.length - 1]);
+        if (holidays.size === 0) return;
+
+        // 按小点汇总（按周模式下多天共用一个小点）
+        const dotHolidays = new Map();
+        days.forEach(date => {
+            const items = holidays.get(DateUtils.formatDate(date.year, date.month, date.day));
+            const dot = renderer.dateDots.get(`${date.month}-${date.day}`);
+            if (!items || !dot) return;
+
+            if (!dotHolidays.has(dot)) {
+                dotHolidays.set(dot, []);
+            }
+            dotHolidays.get(dot).push(...items);
+        });
+
+        const layer = DOMUtils.createSVGElement('g', { class: 'holiday-layer' });
+        dotHolidays.forEach((items, dot) => {
+            const names = [...new Set(items.map(item => item.name))];
+            dot.setAttribute('data-holidays', names.join('、'));
+            dot.classList.add('holiday');
+
+            const marker = DOMUtils.createSVGElement('circle', {
+                cx: dot.getAttribute('cx'),
+                cy: dot.getAttribute('cy'),
+                r: parseFloat(dot.getAttribute('r') || 4) + 2,
+                class: 'holiday-marker',
+                stroke: items[0].color
+            });
+            layer.appendChild(marker);
+        });
+
+        // 图层位于日期小点之下，不影响点击
+        renderer.datesGroup.insertBefore(layer, renderer.datesGroup.firstChild);
+    }
+
+    /**
+     * 处理导入.ics文件
+     * @param {File} file - 文件
+     */
+    async handleImport(file) {
+        try {
+            const text = await file.text();
+            const calendar = this.addCalendar(text, file.name.replace(/\.ics$/i, ''));
+            this.renderCalendarList();
+            this.showMessage(`已导入日历"${calendar.name}"（${calendar.events.length}个事件）`, 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * 打开假日日历模态框
+     */
+    openManager() {
+        if (!this.modal) return;
+
+        this.renderCalendarList();
+        this.modal.classList.add('active');
+        document.body.classList.add('modal-open');
+    }
+
+    /**
+     * 关闭假日日历模态框
+     */
+    closeManager() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+
+    /**
+     * 渲染日历列表
+     */
+    renderCalendarList() {
+        const list = this.modal?.querySelector('.holiday-calendar-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (this.calendars.size === 0) {
+            list.appendChild(DOMUtils.createElement('li', { className: 'holiday-empty' }, '还没有导入日历'));
+            return;
+        }
+
+        this.getCalendars().forEach(calendar => {
+            const recurring = calendar.events.filter(event => event.rrule).length;
+            const item = DOMUtils.createElement('li', {
+                className: 'holiday-calendar-item',
+                'data-calendar-id': calendar.id
+            });
+
+            item.appendChild(DOMUtils.createElement('input', {
+                type: 'color',
+                className: 'holiday-color-input',
+                value: calendar.color,
+                title: '标记颜色'
+            }));
+            item.appendChild(DOMUtils.createElement('span', { className: 'holiday-calendar-name' }, calendar.name));
+            item.appendChild(DOMUtils.createElement('span', { className: 'holiday-calendar-count' },
+                `${calendar.events.length}个事件${recurring ? `，其中${recurring}个重复事件` : ''}`));
+            item.appendChild(DOMUtils.createElement('button', {
+                type: 'button',
+                className: 'btn btn-icon',
+                'data-action': 'remove',
+                title: '删除日历'
+            }, '🗑️'));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * 显示提示消息
+     * @param {string} message - 消息内容
+     * @param {string} type - 消息类型
+     */
+    showMessage(message, type = 'info') {
+        if (window.app) {
+            window.app.showMessage(message, type);
+        }
+    }
+}
+
+// 导出到全局
+window.HolidayManager = HolidayManager;
@@ -0,0 +1,280 @@
+/**
+ * iCalendar导入 - V1.6新增
+ * 读取.ics文件中的VEVENT，在对话框中预览当前年度周期内的事件，
+ * 勾选后批量创建文字记录（SUMMARY为首行，DESCRIPTION为正文），位置由布局引擎自动安排
+ */
+
+class ICalImporter {
+    constructor(recordManager, circleRenderer) {
+        this.recordManager = recordManager;
+        this.circleRenderer = circleRenderer;
+
+        this.modal = document.getElementById('ical-import-modal');
+        this.items = []; // 预览条目 [{date, endDate, content, summary, description, duplicate}]
+        this.fileName = '';
+        this.eventCount = 0;
+        this.maxPreviewLength = 60;
+
+        if (this.modal) {
+            this.list = this.modal.querySelector('.ical-import-list');
+            this.selectAll = this.modal.querySelector('#ical-select-all');
+            this.confirmBtn = this.modal.querySelector('#ical-import-confirm');
+            this.setupEventListeners();
+        }
+    }
+
+    /**
+     * 设置事件监听
+     */
+    setupEventListeners() {
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        this.modal.querySelector('.cancel-btn').addEventListener('click', () => this.close());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+
+        this.selectAll.addEventListener('change', (e) => {
+            this.list.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                checkbox.checked = e.target.checked;
+            });
+            this.updateSummary();
+        });
+        this.list.addEventListener('change', () => this.updateSummary());
+        this.confirmBtn.addEventListener('click', () => this.importSelected());
+
+        const importBtn = document.getElementById('import-ics');
+        if (importBtn) {
+            importBtn.addEventListener('click', () => this.selectFile());
+        }
+    }
+
+    /**
+     * 选择.ics文件
+     */
+    selectFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.ics,text/calendar';
+
+        input.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.load(file);
+            }
+        });
+
+        input.click();
+    }
+
+    /**
+     * 读取.ics文件并打开预览
+     * @param {File} file - .ics文件
+     */
+    async load(file) {
+        try {
+            const calendar = ICalUtils.parse(await file.text());
+            this.fileName = file.name;
+            this.eventCount = calendar.events.length;
+            this.items = this.buildItems(calendar.events);
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+            return;
+        }
+
+        if (this.items.length === 0) {
+            const { start, end } = this.circleRenderer.getCycleRange();
+            this.showMessage(`文件中没有位于当前周期（${start} 至 ${end}）内的事件`, 'warning');
+            return;
+        }
+
+        this.open();
+    }
+
+    /**
+     * 将事件展开为当前周期内的预览条目
+     * 重复事件的每次发生各为一条；跨多天的事件生成多日记录，结束日期超出周期时截至周期末尾
+     * @param {Array<Object>} events - ICalUtils.parse返回的事件
+     * @returns {Array<Object>} 按日期排序的条目
+     */
+    buildItems(events) {
+        const { start, end } = this.circleRenderer.getCycleRange();
+        const existing = new Set(this.recordManager.getAllRecords()
+            .map(record => `${record.date}|${RecordManager.getRecordText(record)}`));
+
+        const items = [];
+        events.forEach(event => {
+            const content = [event.summary, event.description].filter(Boolean).join('\n');
+            if (!content) return;
+
+            const duration = ICalUtils.getDurationDays(event);
+            ICalUtils.getOccurrences(event, start, end).forEach(date => {
+                let endDate = duration > 1
+                    ? ICalUtils.fromDayNumber(ICalUtils.toDayNumber(date) + duration - 1)
+                    : null;
+                if (endDate && endDate > end) {
+                    endDate = end;
+                }
+
+                items.push({
+                    date,
+                    endDate: endDate && endDate > date ? endDate : null,
+                    content,
+                    summary: event.summary,
+                    description: event.description,
+                    duplicate: existing.has(`${date}|${content}`)
+                });
+            });
+        });
+
+        return items.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * 打开预览对话框
+     */
+    open() {
+        if (!this.modal) return;
+
+        this.renderList();
+        if (window.paletteManager) {
+            window.paletteManager.renderBorderColorOptions(
+                window.paletteManager.getDefaultKey(),
+                this.modal.querySelector('.border-color-options'),
+                'ical-border-color'
+            );
+        }
+
+        this.modal.classList.add('active');
+        document.body.classList.add('modal-open');
+        this.confirmBtn.focus();
+    }
+
+    /**
+     * 关闭预览对话框
+     */
+    close() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+        this.items = [];
+    }
+
+    /**
+     * 渲染预览列表，已存在相同日期和内容的记录的条目默认不勾选
+     */
+    renderList() {
+        this.list.innerHTML = '';
+
+        this.items.forEach((item, index) => {
+            const row = DOMUtils.createElement('li', { className: `ical-import-item${item.duplicate ? ' duplicate' : ''}` });
+            const label = DOMUtils.createElement('label');
+            const checkbox = DOMUtils.createElement('input', { type: 'checkbox', 'data-index': index });
+            checkbox.checked = !item.duplicate;
+
+            const dateText = DateUtils.formatDateString(item.date) +
+                (item.endDate ? ` - ${DateUtils.formatDateString(item.endDate)}` : '');
+            const text = DOMUtils.createElement('span', { className: 'ical-import-text' });
+            text.appendChild(DOMUtils.createElement('span', { className: 'ical-import-date' }, dateText));
+            text.appendChild(DOMUtils.createElement('strong', {}, item.summary || '（无标题）'));
+            if (item.description) {
+                const preview = item.description.replace(/\s+/g, ' ');
+                text.appendChild(DOMUtils.createElement('span', { className: 'ical-import-description' },
+                    preview.length > this.maxPreviewLength ? `${preview.slice(0, this.maxPreviewLength)}…` : preview));
+            }
+            if (item.duplicate) {
+                text.appendChild(DOMUtils.createElement('span', { className: 'ical-import-badge' }, '已存在'));
+            }
+
+            label.appendChild(checkbox);
+            label.appendChild(text);
+            row.appendChild(label);
+            this.list.appendChild(row);
+        });
+
+        this.updateSummary();
+    }
+
+    /**
+     * 获取勾选的条目
+     * @returns {Array<Object>}
+     */
+    getSelectedItems() {
+        return Array.from(this.list.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(checkbox => this.items[parseInt(checkbox.dataset.index)])
+            .filter(Boolean);
+    }
+
+    /**
+     * 更新统计文字、全选框和导入按钮状态
+     */
+    updateSummary() {
+        const selected = this.getSelectedItems().length;
+        const total = this.items.length;
+
+        this.modal.querySelector('.ical-import-summary').textContent =
+            `${this.fileName}：共${this.eventCount}个事件，当前周期内${total}条，已选择${selected}条`;
+        this.selectAll.checked = selected === total;
+        this.selectAll.indeterminate = selected > 0 && selected < total;
+        this.confirmBtn.disabled = selected === 0;
+        this.confirmBtn.textContent = selected > 0 ? `导入${selected}条` : '导入';
+    }
+
+    /**
+     * 为勾选的条目批量创建文字记录，整体作为一步撤销
+     */
+    importSelected() {
+        const items = this.getSelectedItems();
+        if (items.length === 0) return;
+
+        const checked = this.modal.querySelector('input[name="ical-border-color"]:checked');
+        const borderColor = checked ? checked.value : undefined;
+
+        const createAll = () => items.map(item => this.recordManager.createRecord({
+            date: item.date,
+            endDate: item.endDate,
+            type: 'text',
+            content: item.content,
+            borderColor
+        }));
+
+        try {
+            const history = window.historyManager;
+            const recordIds = history ? history.runSilently(createAll) : createAll();
+            if (history) {
+                history.recordBulkCreation(recordIds, '导入日历');
+            }
+
+            if (window.storageManager) {
+                window.storageManager.triggerAutoSave();
+            }
+
+            this.close();
+            this.showMessage(`已导入${recordIds.length}条记录（Ctrl+Z可撤销）`, 'success');
+        } catch (error) {
+            console.error('[ICalImporter] 导入日历失败:', error);
+            this.showMessage('导入日历失败，请重试', 'error');
+        }
+    }
+
+    /**
+     * 显示提示消息
+     * @param {string} message - 消息内容
+     * @param {string} type - 消息类型
+     */
+    showMessage(message, type = 'info') {
+        if (window.app) {
+            window.app.showMessage(message, type);
+        }
+    }
+}
+
+// 导出到全局
+window.ICalImporter = ICalImporter;
@@ -0,0 +1,584 @@
+/**
+ * iCalendar工具 - V1.6新增
+ * 解析.ics文件中的VEVENT，并按RRULE展开重复事件的发生日期；也可将全天事件生成为.ics文本
+ * 支持常见的重复规则子集：FREQ=YEARLY/MONTHLY/WEEKLY/DAILY，配合INTERVAL、COUNT、UNTIL、
+ * BYMONTH、BYMONTHDAY、BYDAY（可带序号，如2SU、-1MO）和EXDATE
+ */
+
+class ICalUtils {
+    /**
+     * 星期代码，下标与Date.getUTCDay()一致
+     * @returns {Array} 星期代码数组
+     */
+    static get WEEKDAYS() {
+        return ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    }
+
+    /**
+     * 解析iCalendar文本
+     * @param {string} text - .ics文件内容
+     * @returns {Object} {name, events}，events中的日期均为YYYY-MM-DD格式：
+     *   {uid, summary, description, categories, start, end（不含当天）, allDay, time, rrule, exdates}
+     */
+    static parse(text) {
+        if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+            throw new Error('不是有效的iCalendar文件');
+        }
+
+        const calendar = { name: '', events: [] };
+        let event = null;
+        let depth = 0; // VEVENT内嵌套的组件（如VALARM）中的属性不属于事件本身
+
+        this.unfoldLines(text).forEach(line => {
+            const property = this.parseLine(line);
+            if (!property) return;
+
+            const { name, params, value } = property;
+            if (name === 'BEGIN') {
+                if (value.toUpperCase() === 'VEVENT' && !event) {
+                    event = { categories: [], exdates: [] };
+                } else if (event) {
+                    depth++;
+                }
+                return;
+            }
+            if (name === 'END') {
+                if (event && depth > 0) {
+                    depth--;
+                } else if (event && value.toUpperCase() === 'VEVENT') {
+                    const normalized = this.normalizeEvent(event);
+                    if (normalized) {
+                        calendar.events.push(normalized);
+                    }
+                    event = null;
+                }
+                return;
+            }
+
+            if (!event) {
+                if (name === 'X-WR-CALNAME') {
+                    calendar.name = this.unescapeText(value).trim();
+                }
+                return;
+            }
+            if (depth > 0) return;
+
+            switch (name) {
+                case 'UID':
+                    event.uid = value.trim();
+                    break;
+                case 'SUMMARY':
+                    event.summary = this.unescapeText(value);
+                    break;
+                case 'DESCRIPTION':
+                    event.description = this.unescapeText(value);
+                    break;
+                case 'CATEGORIES':
+                    event.categories.push(...this.splitList(value).map(item => this.unescapeText(item).trim()).filter(Boolean));
+                    break;
+                case 'DTSTART':
+                    event.start = this.parseDateValue(value, params);
+                    break;
+                case 'DTEND':
+                    event.end = this.parseDateValue(value, params);
+                    break;
+                case 'DURATION':
+                    event.duration = value.trim();
+                    break;
+                case 'RRULE':
+                    event.rrule = this.parseRRule(value);
+                    break;
+                case 'EXDATE':
+                    value.split(',').forEach(item => {
+                        const date = this.parseDateValue(item, params);
+                        if (date) {
+                            event.exdates.push(date.date);
+                        }
+                    });
+                    break;
+            }
+        });
+
+        return calendar;
+    }
+
+    /**
+     * 生成iCalendar文本，事件均为全天事件
+     * @param {Object} calendar - {name, events}，events: [{uid, summary, description, categories, start, end（不含当天）, created, lastModified}]
+     * @returns {string} 以CRLF换行的.ics文件内容
+     */
+    static stringify(calendar) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Year Circle//年度记录//ZH',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+        if (calendar.name) {
+            lines.push(`X-WR-CALNAME:${this.escapeText(calendar.name)}`);
+        }
+
+        const stamp = this.formatTimestamp(new Date().toISOString());
+        calendar.events.forEach(event => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.uid}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${this.formatDateValue(event.start)}`,
+                `DTEND;VALUE=DATE:${this.formatDateValue(event.end)}`,
+                `SUMMARY:${this.escapeText(event.summary || '')}`
+            );
+            if (event.description) {
+                lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+            }
+            if (event.categories && event.categories.length > 0) {
+                lines.push(`CATEGORIES:${event.categories.map(item => this.escapeText(item)).join(',')}`);
+            }
+            const created = event.created && this.formatTimestamp(event.created);
+            if (created) {
+                lines.push(`CREATED:${created}`);
+            }
+            const lastModified = event.lastModified && this.formatTimestamp(event.lastModified);
+            if (lastModified) {
+                lines.push(`LAST-MODIFIED:${lastModified}`);
+            }
+            lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * 折叠超过75个字节的内容行，不拆分多字节字符
+     * @param {string} line - 内容行
+     * @returns {string}
+     */
+    static foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let bytes = 0;
+        let limit = 75;
+
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            if (bytes + size > limit) {
+                parts.push(current);
+                current = '';
+                bytes = 0;
+                limit = 74; // 续行开头的空格占一个字节
+            }
+            current += char;
+            bytes += size;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * 日期字符串转换为DATE值
+     * @param {string} dateString - YYYY-MM-DD
+     * @returns {string} 如"20250101"
+     */
+    static formatDateValue(dateString) {
+        return dateString.replace(/-/g, '');
+    }
+
+    /**
+     * ISO时间字符串转换为UTC的DATE-TIME值
+     * @param {string} isoString - ISO时间字符串
+     * @returns {string} 如"20250101T090000Z"，无效时间返回空字符串
+     */
+    static formatTimestamp(isoString) {
+        const date = new Date(isoString);
+        if (isNaN(date.getTime())) return '';
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * 展开折叠行（以空格或制表符开头的行是上一行的续行）
+     * @param {string} text - .ics文件内容
+     * @returns {Array} 逻辑行数组
+     */
+    static unfoldLines(text) {
+        const lines = [];
+        text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+            if (/^[ \t]/.test(line) && lines.length > 0) {
+                lines[lines.length - 1] += line.slice(1);
+            } else if (line.trim()) {
+                lines.push(line);
+            }
+        });
+        return lines;
+    }
+
+    /**
+     * 解析内容行
+     * @param {string} line - 内容行，如"DTSTART;VALUE=DATE:20250101"
+     * @returns {Object|null} {name, params, value}
+     */
+    static parseLine(line) {
+        // 参数值可用双引号包含冒号和分号
+        let inQuotes = false;
+        let colonIndex = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') {
+                inQuotes = !inQuotes;
+            } else if (line[i] === ':' && !inQuotes) {
+                colonIndex = i;
+                break;
+            }
+        }
+        if (colonIndex <= 0) return null;
+
+        const [name, ...paramParts] = line.slice(0, colonIndex).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+        const params = {};
+        paramParts.forEach(part => {
+            const [key, ...rest] = part.split('=');
+            params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        });
+
+        return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+    }
+
+    /**
+     * 还原TEXT类型值中的转义字符
+     * @param {string} value - 原始值
+     * @returns {string}
+     */
+    static unescapeText(value) {
+        return value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+    }
+
+    /**
+     * 转义TEXT类型值，用于生成.ics文件
+     * @param {string} value - 文本
+     * @returns {string}
+     */
+    static escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * 按未转义的逗号拆分列表值
+     * @param {string} value - 列表值
+     * @returns {Array}
+     */
+    static splitList(value) {
+        return value.split(/(?<!\\),/);
+    }
+
+    /**
+     * 解析DATE或DATE-TIME值
+     * 带Z后缀的UTC时间换算为本地日期，其他时间按字面日期处理
+     * @param {string} value - 如"20250101"或"20250101T090000Z"
+     * @param {Object} params - 属性参数
+     * @returns {Object|null} {date: 'YYYY-MM-DD', time: 'HH:MM'|null}
+     */
+    static parseDateValue(value, params = {}) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+        if (!match) return null;
+
+        let [, year, month, day, hour, minute, , utc] = match;
+        if (hour === undefined || params.VALUE === 'DATE') {
+            return { date: `${year}-${month}-${day}`, time: null };
+        }
+
+        if (utc) {
+            const local = new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute));
+            year = local.getFullYear();
+            month = local.getMonth() + 1;
+            day = local.getDate();
+            hour = local.getHours();
+            minute = local.getMinutes();
+        }
+
+        return {
+            date: DateUtils.formatDate(+year, +month, +day),
+            time: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+        };
+    }
+
+    /**
+     * 解析RRULE
+     * @param {string} value - 如"FREQ=YEARLY;BYMONTH=5;BYDAY=2SU"
+     * @returns {Object|null} {freq, interval, count, until, byMonth, byMonthDay, byDay}，不支持的频率返回null
+     */
+    static parseRRule(value) {
+        const parts = {};
+        value.split(';').forEach(part => {
+            const [key, val] = part.split('=');
+            if (key && val !== undefined) {
+                parts[key.trim().toUpperCase()] = val.trim().toUpperCase();
+            }
+        });
+
+        if (!['YEARLY', 'MONTHLY', 'WEEKLY', 'DAILY'].includes(parts.FREQ)) {
+            return null;
+        }
+
+        const toNumbers = list => (list ? list.split(',').map(Number).filter(n => n && !isNaN(n)) : []);
+        const until = parts.UNTIL ? this.parseDateValue(parts.UNTIL) : null;
+
+        return {
+            freq: parts.FREQ,
+            interval: Math.max(1, parseInt(parts.INTERVAL) || 1),
+            count: parseInt(parts.COUNT) || null,
+            until: until ? until.date : null,
+            byMonth: toNumbers(parts.BYMONTH).filter(n => n >= 1 && n <= 12),
+            byMonthDay: toNumbers(parts.BYMONTHDAY).filter(n => Math.abs(n) <= 31),
+            byDay: (parts.BYDAY ? parts.BYDAY.split(',') : [])
+                .map(item => /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item))
+                .filter(Boolean)
+                .map(([, ordinal, weekday]) => ({ weekday: this.WEEKDAYS.indexOf(weekday), ordinal: parseInt(ordinal) || 0 }))
+        };
+    }
+
+    /**
+     * 整理解析出的事件，缺少开始日期的事件返回null
+     * @param {Object} event - 解析中的事件
+     * @returns {Object|null}
+     */
+    static normalizeEvent(event) {
+        if (!event.start) return null;
+
+        const startDay = this.toDayNumber(event.start.date);
+        let endDay = event.end ? this.toDayNumber(event.end.date) : null;
+
+        if (endDay === null && event.duration) {
+            const match = /^P(?:(\d+)W)?(?:(\d+)D)?/.exec(event.duration);
+            if (match) {
+                endDay = startDay + (parseInt(match[1]) || 0) * 7 + (parseInt(match[2]) || 0);
+            }
+        }
+        // 全天事件的DTEND不含当天；带时间的事件在结束日期当天仍算一天
+        if (endDay !== null && event.start.time) {
+            endDay += 1;
+        }
+        if (endDay === null || endDay <= startDay) {
+            endDay = startDay + 1;
+        }
+
+        return {
+            uid: event.uid || '',
+            summary: (event.summary || '').trim(),
+            description: (event.description || '').trim(),
+            categories: event.categories,
+            start: event.start.date,
+            end: this.fromDayNumber(endDay),
+            allDay: !event.start.time,
+            time: event.start.time,
+            rrule: event.rrule || null,
+            exdates: event.exdates
+        };
+    }
+
+    /**
+     * 展开事件在日期范围内覆盖的每一天（含重复事件和跨多天的事件）
+     * @param {Object} event - parse返回的事件
+     * @param {string} rangeStart - 范围开始日期 (YYYY-MM-DD)
+     * @param {string} rangeEnd - 范围结束日期 (YYYY-MM-DD，含当天)
+     * @returns {Array} 日期字符串数组，按时间排序
+     */
+    static expandEvent(event, rangeStart, rangeEnd) {
+        const startDay = this.toDayNumber(event.start);
+        const duration = this.getDurationDays(event);
+        const from = this.toDayNumber(rangeStart);
+        const to = this.toDayNumber(rangeEnd);
+        const days = [];
+
+        const addOccurrence = (day) => {
+            for (let d = Math.max(day, from); d < day + duration && d <= to; d++) {
+                days.push(d);
+            }
+        };
+
+        if (event.rrule) {
+            this.forEachOccurrence(event, to, addOccurrence);
+        } else {
+            addOccurrence(startDay);
+        }
+
+        return [...new Set(days)].sort((a, b) => a - b).map(day => this.fromDayNumber(day));
+    }
+
+    /**
+     * 获取事件在日期范围内每次发生的开始日期
+     * @param {Object} event - parse返回的事件
+     * @param {string} rangeStart - 范围开始日期 (YYYY-MM-DD)
+     * @param {string} rangeEnd - 范围结束日期 (YYYY-MM-DD，含当天)
+     * @returns {Array} 开始日期字符串数组，按时间排序
+     */
+    static getOccurrences(event, rangeStart, rangeEnd) {
+        const startDay = this.toDayNumber(event.start);
+        const from = this.toDayNumber(rangeStart);
+        const to = this.toDayNumber(rangeEnd);
+        const dates = [];
+
+        const collect = (day) => {
+            if (day >= from && day <= to) {
+                dates.push(this.fromDayNumber(day));
+            }
+        };
+
+        if (event.rrule) {
+            this.forEachOccurrence(event, to, collect);
+        } else {
+            collect(startDay);
+        }
+
+        return dates;
+    }
+
+    /**
+     * 获取事件持续的天数（全天事件按DTEND不含当天计算）
+     * @param {Object} event - parse返回的事件
+     * @returns {number} 天数，至少为1
+     */
+    static getDurationDays(event) {
+        if (!event.end) return 1;
+        return Math.max(1, this.toDayNumber(event.end) - this.toDayNumber(event.start));
+    }
+
+    /**
+     * 按重复规则依次生成发生日期，直到超过limitDay、UNTIL或COUNT
+     * @param {Object} event - 带rrule的事件
+     * @param {number} limitDay - 最晚的日序号
+     * @param {Function} callback - 回调，参数为发生日期的日序号
+     */
+    static forEachOccurrence(event, limitDay, callback) {
+        const rule = event.rrule;
+        const startDay = this.toDayNumber(event.start);
+        const start = DateUtils.parseDate(event.start);
+        const until = rule.until ? this.toDayNumber(rule.until) : Infinity;
+        const exdates = new Set((event.exdates || []).map(date => this.toDayNumber(date)));
+        let count = 0;
+
+        for (let period = 0; period < 100000; period++) {
+            const { periodStart, days } = this.getPeriodCandidates(rule, start, startDay, period * rule.interval);
+            if (periodStart > limitDay || periodStart > until) return;
+
+            for (const day of days) {
+                if (day < startDay) continue;
+                if (day > until || day > limitDay || (rule.count && count >= rule.count)) return;
+
+                // EXDATE排除的日期仍计入COUNT
+                count++;
+                if (!exdates.has(day)) {
+                    callback(day);
+                }
+            }
+        }
+    }
+
+    /**
+     * 获取重复规则第offset个周期内的候选日期
+     * @param {Object} rule - 重复规则
+     * @param {Object} start - 开始日期 {year, month, day}
+     * @param {number} startDay - 开始日期的日序号
+     * @param {number} offset - 周期偏移（已乘以INTERVAL）
+     * @returns {Object} {periodStart, days}，days为排序后的日序号数组
+     */
+    static getPeriodCandidates(rule, start, startDay, offset) {
+        if (rule.freq === 'DAILY') {
+            return { periodStart: startDay + offset, days: [startDay + offset] };
+        }
+
+        if (rule.freq === 'WEEKLY') {
+            // 以周一为一周的开始
+            const weekStart = startDay - (new Date(startDay * 86400000).getUTCDay() + 6) % 7 + offset * 7;
+            const weekdays = rule.byDay.length > 0
+                ? rule.byDay.map(item => item.weekday)
+                : [new Date(startDay * 86400000).getUTCDay()];
+            const days = [...new Set(weekdays)].map(weekday => weekStart + (weekday + 6) % 7);
+            return { periodStart: weekStart, days: days.sort((a, b) => a - b) };
+        }
+
+        let year = start.year + offset;
+        let months = rule.byMonth.length > 0 ? rule.byMonth : [start.month];
+        if (rule.freq === 'MONTHLY') {
+            const total = start.month - 1 + offset;
+            year = start.year + Math.floor(total / 12);
+            months = [total % 12 + 1];
+        }
+
+        const days = [];
+        months.forEach(month => {
+            this.getMonthCandidates(rule, start, year, month).forEach(day => {
+                days.push(this.toDayNumber(DateUtils.formatDate(year, month, day)));
+            });
+        });
+
+        return {
+            periodStart: this.toDayNumber(DateUtils.formatDate(year, Math.min(...months), 1)),
+            days: [...new Set(days)].sort((a, b) => a - b)
+        };
+    }
+
+    /**
+     * 获取某月中符合BYDAY或BYMONTHDAY的日期
+     * @param {Object} rule - 重复规则
+     * @param {Object} start - 开始日期 {year, month, day}
+     * @param {number} year - 年份
+     * @param {number} month - 月份
+     * @returns {Array} 日期数组（1-31）
+     */
+    static getMonthCandidates(rule, start, year, month) {
+        const daysInMonth = DateUtils.getDaysInMonth(year, month);
+
+        if (rule.byDay.length > 0) {
+            const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+            const days = [];
+            rule.byDay.forEach(({ weekday, ordinal }) => {
+                const first = 1 + (weekday - firstWeekday + 7) % 7;
+                const matches = [];
+                for (let day = first; day <= daysInMonth; day += 7) {
+                    matches.push(day);
+                }
+                if (ordinal === 0) {
+                    days.push(...matches);
+                } else {
+                    const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+                    if (day) days.push(day);
+                }
+            });
+            return days;
+        }
+
+        const monthDays = rule.byMonthDay.length > 0 ? rule.byMonthDay : [start.day];
+        // 不存在的日期（如非闰年的2月29日）跳过，与RFC 5545一致
+        return monthDays
+            .map(day => (day > 0 ? day : daysInMonth + day + 1))
+            .filter(day => day >= 1 && day <= daysInMonth);
+    }
+
+    /**
+     * 日期字符串转换为日序号（自1970-01-01起的天数）
+     * @param {string} dateString - YYYY-MM-DD
+     * @returns {number}
+     */
+    static toDayNumber(dateString) {
+        const { year, month, day } = DateUtils.parseDate(dateString);
+        return Math.round(Date.UTC(year, month - 1, day) / 86400000);
+    }
+
+    /**
+     * 日序号转换为日期字符串
+     * @param {number} dayNumber - 日序号
+     * @returns {string} YYYY-MM-DD
+     */
+    static fromDayNumber(dayNumber) {
+        const date = new Date(dayNumber * 86400000);
+        return DateUtils.formatDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+    }
+}
+
+// 导出到全局
+window.ICalUtils = ICalUtils;
@@ -79,7 +79,12 @@ class InteractionHandler {
      * @param {MouseEvent} e - 鼠标事件
      */
     handleMouseDown(e) {
-        const target = e.target.closest('.record-card');
+        // V1.6新增：点击合并卡片的标签页不触发拖拽
+        if (e.target.closest('.record-tab')) {
+            return;
+        }
+        
+        const target = this.resolveDragTarget(e.target.closest('.record-card'));
         const resizeHandle = e.target.closest('.resize-handle');
         
         if (resizeHandle) {
@@ -97,12 +102,33 @@ class InteractionHandler {
         }
     }
 
+    /**
+     * 获取实际拖拽的卡片 - V1.6新增
+     * 扇形展开的成员卡片随组首卡片整体移动
+     * @param {HTMLElement|null} card - 鼠标按下的卡片
+     * @returns {HTMLElement|null} 实际拖拽的卡片
+     */
+    resolveDragTarget(card) {
+        if (card && card.dataset.groupLeadId) {
+            return document.querySelector(`.record-card[data-record-id="${card.dataset.groupLeadId}"]`) || card;
+        }
+        return card;
+    }
+
     /**
      * 开始拖拽
      * @param {MouseEvent} e - 鼠标事件
      * @param {HTMLElement} target - 目标元素
      */
     startDrag(e, target) {
+        // V1.6新增：锁定的卡片只选中，不拖拽
+        const lockedRecord = this.recordManager.getRecord(target.dataset.recordId);
+        if (lockedRecord && lockedRecord.locked) {
+            this.recordManager.selectRecord(lockedRecord.id);
+            e.preventDefault();
+            return;
+        }
+        
         this.isDragging = true;
         this.dragTarget = target;
         
@@ -122,6 +148,9 @@ class InteractionHandler {
         const recordId = target.dataset.recordId;
         this.recordManager.selectRecord(recordId);
         
+        // V1.6新增：保存拖拽前快照，用于撤销
+        this.historySnapshot = window.historyManager?.snapshot(recordId) || null;
+        
         e.preventDefault();
     }
 
@@ -148,6 +177,9 @@ class InteractionHandler {
         // 添加缩放样式
         this.resizeTarget.classList.add('resizing');
         
+        // V1.6新增：保存缩放前快照，用于撤销
+        this.historySnapshot = window.historyManager?.snapshot(this.resizeTarget.dataset.recordId) || null;
+        
         // 根据方向设置光标
         const cursorMap = {
             'se': 'se-resize',
@@ -286,6 +318,8 @@ class InteractionHandler {
             
             this.dragTarget.classList.remove('dragging');
             this.dragTarget = null;
+            
+            this.recordHistoryChange(recordId, '移动记录');
         }
         
         this.isDragging = false;
@@ -330,6 +364,8 @@ class InteractionHandler {
                 // 更新记录位置数据，然后立即重绘连接线（类似endDrag的逻辑）
                 this.recordManager.updateRecordPosition(recordId, finalPosition, false);
                 
+                this.recordHistoryChange(recordId, '调整记录大小');
+                
             } else {
                 console.warn(`[InteractionHandler] 未找到记录，无法重绘连接线: ${recordId}`);
                 // 清理状态
@@ -351,6 +387,18 @@ class InteractionHandler {
         }
     }
 
+    /**
+     * 将拖拽/缩放前后的变化记录到撤销历史 - V1.6新增
+     * @param {string} recordId - 记录ID
+     * @param {string} label - 操作名称
+     */
+    recordHistoryChange(recordId, label) {
+        if (window.historyManager && this.historySnapshot) {
+            window.historyManager.recordChange(this.historySnapshot, window.historyManager.snapshot(recordId), label);
+        }
+        this.historySnapshot = null;
+    }
+
     /**
      * 调度连接线重绘，使用多重延迟确保DOM完全更新
      * @param {string} recordId - 记录ID
@@ -575,36 +623,35 @@ class InteractionHandler {
 
     /**
      * 设置边框颜色选择器事件处理
+     * V1.6更新：颜色选项由配色管理器动态生成，改为在容器上委托处理
      */
     setupBorderColorSelector() {
-        const borderColorOptions = document.querySelectorAll('.border-color-option');
+        const container = document.querySelector('#record-modal .border-color-options');
+        if (!container) return;
         
-        borderColorOptions.forEach(option => {
-            // 为整个选项区域添加点击事件
-            option.addEventListener('click', (e) => {
-                // 防止事件冒泡
-                e.stopPropagation();
-                
-                // 获取对应的radio按钮
-                const radioInput = option.querySelector('input[type="radio"]');
-                if (radioInput) {
-                    // 选中radio按钮
-                    radioInput.checked = true;
-                    
-                    // 触发change事件，确保其他逻辑能够响应
-                    radioInput.dispatchEvent(new Event('change', { bubbles: true }));
-                }
-            });
+        // 为整个选项区域添加点击事件
+        container.addEventListener('click', (e) => {
+            const option = e.target.closest('.border-color-option');
+            if (!option) return;
+            
+            // 防止事件冒泡
+            e.stopPropagation();
             
-            // 为radio按钮添加change事件处理
+            // 获取对应的radio按钮
             const radioInput = option.querySelector('input[type="radio"]');
-            if (radioInput) {
-                radioInput.addEventListener('change', () => {
-                    // 更新保存按钮状态（如果需要的话）
-                    this.updateSaveButtonState();
-                });
+            if (radioInput && !radioInput.checked) {
+                // 选中radio按钮
+                radioInput.checked = true;
+                
+                // 触发change事件，确保其他逻辑能够响应
+                radioInput.dispatchEvent(new Event('change', { bubbles: true }));
             }
         });
+        
+        // radio按钮变化时更新保存按钮状态（如果需要的话）
+        container.addEventListener('change', () => {
+            this.updateSaveButtonState();
+        });
     }
 
     /**
@@ -806,6 +853,15 @@ class InteractionHandler {
             dateElement.textContent = `选择的日期：${formattedDate}`;
         }
         
+        // V1.6新增：结束日期限定在开始日期之后、当前年度周期之内
+        const endDateInput = this.currentModal.querySelector('#record-end-date');
+        if (endDateInput && this.circleRenderer) {
+            const nextDate = new Date(`${date}T00:00:00`);
+            nextDate.setDate(nextDate.getDate() + 1);
+            endDateInput.min = DateUtils.formatDate(nextDate.getFullYear(), nextDate.getMonth() + 1, nextDate.getDate());
+            endDateInput.max = this.circleRenderer.getCycleRange().end;
+        }
+        
         // 更新模态框标题
         const titleElement = this.currentModal.querySelector('#modal-title');
         if (titleElement) {
@@ -859,6 +915,22 @@ class InteractionHandler {
             imageDescription.classList.remove('error');
         }
         
+        // V1.6新增：重置结束日期
+        const endDateInput = modal.querySelector('#record-end-date');
+        if (endDateInput) {
+            endDateInput.value = '';
+        }
+        
+        // V1.6新增：边框颜色重置为配色中的第一种颜色
+        if (window.paletteManager) {
+            window.paletteManager.renderBorderColorOptions(window.paletteManager.getDefaultKey());
+        }
+        
+        // V1.6新增：重置标签选择
+        if (window.tagManager) {
+            window.tagManager.renderTagChips([]);
+        }
+        
         // 重置文件上传
         const imageUpload = modal.querySelector('#image-upload');
         if (imageUpload) {
@@ -898,11 +970,20 @@ class InteractionHandler {
         modal.querySelector(`input[value="${record.type}"]`).checked = true;
         this.toggleRecordType(record.type);
         
-        // 设置边框颜色（如果记录中有边框颜色，否则使用默认值）
-        const borderColor = record.borderColor || 'classic';
-        const borderColorInput = modal.querySelector(`input[name="border-color"][value="${borderColor}"]`);
-        if (borderColorInput) {
-            borderColorInput.checked = true;
+        // 设置边框颜色（V1.6更新：配色中不存在的颜色选中第一种颜色）
+        if (window.paletteManager) {
+            window.paletteManager.renderBorderColorOptions(record.borderColor);
+        }
+        
+        // V1.6新增：多日记录填充结束日期
+        const endDateInput = modal.querySelector('#record-end-date');
+        if (endDateInput) {
+            endDateInput.value = record.endDate || '';
+        }
+        
+        // V1.6新增：选中记录已有的标签
+        if (window.tagManager) {
+            window.tagManager.renderTagChips(record.tags || []);
         }
         
         if (record.type === 'text') {
@@ -1178,6 +1259,13 @@ class InteractionHandler {
             }
         }
         
+        // V1.6新增：验证结束日期（可选）
+        const endDate = this.getModalEndDate();
+        if (isValid && endDate && !this.circleRenderer?.isValidDateRange(this.selectedDate, endDate)) {
+            validationMessage = '结束日期需晚于开始日期且位于当前年度周期内';
+            isValid = false;
+        }
+        
         // 验证失败时显示错误信息
         if (!isValid) {
             this.showMessage(validationMessage, 'error');
@@ -1228,7 +1316,9 @@ class InteractionHandler {
             date: this.selectedDate,
             type: recordType,
             content: content,
-            borderColor: borderColor // 添加边框颜色字段
+            borderColor: borderColor, // 添加边框颜色字段
+            endDate: this.getModalEndDate(), // V1.6新增：多日记录的结束日期
+            tags: this.getModalTags() // V1.6新增：标签ID列表
         };
         
         const recordId = this.recordManager.createRecord(recordData);
@@ -1261,15 +1351,46 @@ class InteractionHandler {
         const modal = this.currentModal;
         const borderColor = modal.querySelector('input[name="border-color"]:checked').value;
         
+        const before = window.historyManager?.snapshot(recordId);
+        
         // 更新记录数据
         record.type = recordType;
         record.content = content;
         record.borderColor = borderColor; // 添加边框颜色字段
+        
+        // V1.6新增：更新或清除结束日期
+        const endDate = this.getModalEndDate();
+        if (endDate) {
+            record.endDate = endDate;
+        } else {
+            delete record.endDate;
+        }
+        record.tags = this.getModalTags(); // V1.6新增：标签ID列表
         record.updatedAt = new Date().toISOString();
         
         // 重新渲染记录
-        this.recordManager.removeRecordElement(recordId);
-        this.recordManager.renderRecord(record);
+        this.recordManager.rerenderRecord(record);
+        
+        if (window.historyManager) {
+            window.historyManager.recordChange(before, window.historyManager.snapshot(recordId), '编辑记录');
+        }
+    }
+
+    /**
+     * 获取模态框中填写的结束日期 - V1.6新增
+     * @returns {string|null} 结束日期 (YYYY-MM-DD格式)，未填写时返回null
+     */
+    getModalEndDate() {
+        const endDateInput = this.currentModal?.querySelector('#record-end-date');
+        return endDateInput && endDateInput.value ? endDateInput.value : null;
+    }
+
+    /**
+     * 获取模态框中选中的标签 - V1.6新增
+     * @returns {Array<string>} 标签ID列表
+     */
+    getModalTags() {
+        return window.tagManager ? window.tagManager.getSelectedTagIds() : [];
     }
 
     /**
@@ -1439,6 +1560,8 @@ class InteractionHandler {
      */
     showContextMenu(e, target) {
         this.currentContextTarget = target;
+        this.updateDayGroupMenuItems(target);
+        this.updateLockMenuItem(target);
         this.contextMenu.style.display = 'block';
         
         // 计算菜单位置，确保不超出视窗
@@ -1463,6 +1586,37 @@ class InteractionHandler {
         this.contextMenu.style.top = `${y}px`;
     }
     
+    /**
+     * 根据当天记录数量显示同日分组菜单项，并标记当前显示方式 - V1.6新增
+     * @param {HTMLElement} target - 目标记录卡片
+     */
+    updateDayGroupMenuItems(target) {
+        const record = this.recordManager.getRecord(target.dataset.recordId);
+        const groupSize = record ? this.recordManager.getRecordsByDate(record.date).length : 0;
+        const mode = record ? this.recordManager.getDayGroupMode(record.date) : 'separate';
+        
+        this.contextMenu.querySelectorAll('.day-group-item').forEach(item => {
+            item.style.display = groupSize > 1 ? '' : 'none';
+            item.classList.toggle('active', item.dataset.action === `group-${mode}`);
+        });
+    }
+
+    /**
+     * 根据卡片锁定状态更新锁定菜单项文字 - V1.6新增
+     * @param {HTMLElement} target - 目标记录卡片
+     */
+    updateLockMenuItem(target) {
+        const item = this.contextMenu.querySelector('[data-action="toggle-lock"]');
+        if (!item) return;
+        
+        const lockTarget = this.resolveDragTarget(target);
+        const record = this.recordManager.getRecord(lockTarget.dataset.recordId);
+        const locked = !!(record && record.locked);
+        
+        item.querySelector('.context-menu-icon').textContent = locked ? '🔓' : '🔒';
+        item.querySelector('.context-menu-text').textContent = locked ? '解锁位置' : '锁定位置';
+    }
+
     /**
      * 隐藏右键菜单
      */
@@ -1477,12 +1631,27 @@ class InteractionHandler {
      * @param {HTMLElement} target - 目标记录卡片
      */
     handleContextMenuAction(action, target) {
-        const recordId = target.dataset.recordId;
+        // 合并卡片操作当前标签页对应的记录
+        const recordId = target.dataset.activeRecordId || target.dataset.recordId;
         const record = this.recordManager.getRecord(recordId);
         
         if (!record) return;
         
         switch (action) {
+            case 'group-separate':
+            case 'group-merged':
+            case 'group-fanned':
+                // V1.6新增：切换同日记录的显示方式
+                this.recordManager.setDayGroupMode(record.date, action.replace('group-', ''));
+                break;
+            case 'toggle-lock': {
+                // V1.6新增：锁定卡片位置（扇形展开时锁定整组，即组首卡片）
+                const lockRecord = this.recordManager.getRecord(this.resolveDragTarget(target).dataset.recordId);
+                if (lockRecord) {
+                    this.recordManager.setRecordLocked(lockRecord.id, !lockRecord.locked);
+                }
+                break;
+            }
             case 'edit':
                 // 打开编辑模态框
                 this.openModal(record.date, record);
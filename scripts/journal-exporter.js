@@ -0,0 +1,196 @@
+/**
+ * 年度回顾导出 - V1.6新增
+ * 将当前年份的记录写成Markdown文档：按年度周期的顺序逐月分组（设置了起始日期时按
+ * CircleRenderer.toCycleDate换算实际年份），同一天的记录放在同一个日期标题下。
+ * 图片记录的图片另存为单独的文件，与文档一起打包为ZIP；没有图片时直接下载.md文件
+ */
+
+class JournalExporter {
+    constructor(recordManager, circleRenderer) {
+        this.recordManager = recordManager;
+        this.circleRenderer = circleRenderer;
+
+        this.imageFolder = 'images';
+        this.imageExtensions = {
+            'image/jpeg': 'jpg',
+            'image/png': 'png',
+            'image/gif': 'gif',
+            'image/webp': 'webp',
+            'image/svg+xml': 'svg'
+        };
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * 设置事件监听
+     */
+    setupEventListeners() {
+        const exportBtn = document.getElementById('export-markdown');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.download());
+        }
+    }
+
+    /**
+     * 生成年度回顾文档
+     * @returns {Object} {markdown, files}，files为图片文件 [{name, data}]
+     */
+    buildJournal() {
+        const records = this.recordManager.exportRecords()
+            .map(record => ({ record, date: this.circleRenderer.toCycleDate(record.date) }))
+            .sort((a, b) => a.date.localeCompare(b.date) ||
+                (a.record.createdAt || '').localeCompare(b.record.createdAt || ''));
+
+        const { start, end } = this.circleRenderer.getCycleRange();
+        const lines = [
+            `# ${this.circleRenderer.getYearRangeText()} 年度记录`,
+            '',
+            `周期：${DateUtils.formatDateString(start)} 至 ${DateUtils.formatDateString(end)}，共${records.length}条记录`
+        ];
+        const files = [];
+
+        let currentMonth = null;
+        let currentDate = null;
+        records.forEach(({ record, date }) => {
+            const { year, month } = DateUtils.parseDate(date);
+            if (`${year}-${month}` !== currentMonth) {
+                currentMonth = `${year}-${month}`;
+                lines.push('', `## ${year}年${month}月`);
+            }
+            if (date !== currentDate) {
+                currentDate = date;
+                lines.push('', `### ${DateUtils.formatDayWithWeekday(date)}`);
+            }
+
+            lines.push('', ...this.formatRecord(record, date, files));
+        });
+
+        return { markdown: lines.join('\n') + '\n', files };
+    }
+
+    /**
+     * 将一条记录格式化为Markdown行
+     * @param {Object} record - 持久化格式的记录
+     * @param {string} date - 记录在周期中的实际日期
+     * @param {Array<Object>} files - 图片文件列表，图片记录的图片追加到其中
+     * @returns {Array<string>}
+     */
+    formatRecord(record, date, files) {
+        const lines = [];
+
+        if (record.endDate) {
+            const endDate = this.circleRenderer.toCycleDate(record.endDate);
+            lines.push(`*${DateUtils.formatDayWithWeekday(date)} 至 ${DateUtils.formatDayWithWeekday(endDate)}*`, '');
+        }
+
+        const text = RecordManager.getRecordText(record).trim();
+        if (record.type === 'image') {
+            const src = this.addImageFile(record, date, files);
+            if (src) {
+                const alt = text.replace(/\s+/g, ' ').replace(/[[\]\\]/g, '\\$&') || '图片';
+                lines.push(`![${alt}](${src})`);
+                if (text) {
+                    lines.push('');
+                }
+            }
+        }
+        if (text) {
+            lines.push(this.escapeMarkdown(text));
+        }
+
+        const tags = (record.tags || [])
+            .map(tagId => window.tagManager?.getTag(tagId)?.name)
+            .filter(Boolean);
+        if (tags.length > 0) {
+            lines.push('', `*标签：${tags.map(tag => this.escapeMarkdown(tag)).join('、')}*`);
+        }
+
+        return lines;
+    }
+
+    /**
+     * 将图片记录的图片加入文件列表
+     * @param {Object} record - 图片记录
+     * @param {string} date - 记录日期
+     * @param {Array<Object>} files - 文件列表
+     * @returns {string|null} 文档中引用图片的相对路径；不是内嵌图片时返回原地址
+     */
+    addImageFile(record, date, files) {
+        const source = record.content && record.content.imageData;
+        if (!source) return null;
+
+        const image = ZipUtils.dataURLToBytes(source);
+        if (!image) {
+            return `<${source.replace(/[<>\s]/g, encodeURIComponent)}>`;
+        }
+
+        const extension = this.imageExtensions[image.mimeType] || 'bin';
+        const index = files.filter(file => file.name.startsWith(`${this.imageFolder}/${date}`)).length + 1;
+        const name = `${this.imageFolder}/${date}-${index}.${extension}`;
+        files.push({ name, data: image.bytes });
+
+        return name;
+    }
+
+    /**
+     * 转义Markdown语法字符，保留记录中的换行
+     * @param {string} text - 记录文字
+     * @returns {string}
+     */
+    escapeMarkdown(text) {
+        return text.split('\n').map(line => {
+            // 去掉行首缩进，避免被当作代码块
+            const escaped = line.trim()
+                .replace(/[\\`*_[\]<>|~]/g, '\\$&')
+                .replace(/^[#+=-]/, '\\$&')
+                .replace(/^(\d+)([.)])/, '$1\\$2');
+            // 非空行以两个空格结尾表示换行，空行保留为段落分隔
+            return escaped ? `${escaped}  ` : '';
+        }).join('\n').replace(/ {2}$/, '');
+    }
+
+    /**
+     * 下载年度回顾，有图片时打包为ZIP
+     */
+    download() {
+        if (this.recordManager.getAllRecords().length === 0) {
+            this.showMessage('当前年份没有可导出的记录', 'warning');
+            return;
+        }
+
+        try {
+            const { markdown, files } = this.buildJournal();
+            const baseName = `年度记录_${this.circleRenderer.getYearRangeText()}`;
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
+
+            if (files.length === 0) {
+                FileUtils.downloadFile(markdown, `${baseName}_${timestamp}.md`, 'text/markdown;charset=utf-8');
+            } else {
+                const zip = ZipUtils.createZip([{ name: `${baseName}.md`, data: markdown }, ...files]);
+                FileUtils.downloadFile(zip, `${baseName}_${timestamp}.zip`, 'application/zip');
+            }
+
+            this.showMessage(files.length > 0
+                ? `已导出年度回顾和${files.length}张图片`
+                : '已导出年度回顾', 'success');
+        } catch (error) {
+            console.error('[JournalExporter] 导出年度回顾失败:', error);
+            this.showMessage('导出年度回顾失败，请重试', 'error');
+        }
+    }
+
+    /**
+     * 显示提示消息
+     * @param {string} message - 消息内容
+     * @param {string} type - 消息类型
+     */
+    showMessage(message, type = 'info') {
+        if (window.app) {
+            window.app.showMessage(message, type);
+        }
+    }
+}
+
+// 导出到全局
+window.JournalExporter = JournalExporter;
@@ -0,0 +1,501 @@
+/**
+ * 布局引擎 - V1.6新增
+ * 负责记录卡片的自动排列：将卡片放置在圆环外侧（或内侧）靠近其日期角度的位置，
+ * 避免卡片之间互相重叠以及连接线互相交叉，已锁定的卡片保持原位并作为障碍物参与计算
+ *
+ * 排列以"布局单元"为单位：普通卡片、合并卡片各为一个单元；
+ * 扇形展开的同日记录以组首卡片及其展开范围作为一个整体单元
+ */
+
+class LayoutEngine {
+    constructor(recordManager, circleRenderer) {
+        this.recordManager = recordManager;
+        this.circleRenderer = circleRenderer;
+
+        // 布局参数
+        this.cardGap = 12;           // 卡片之间的最小间距
+        this.canvasMargin = 10;      // 卡片与画布边缘的最小距离
+        this.outerClearance = 10;    // 圆环外侧卡片与月份标签的距离
+        this.innerClearance = 30;    // 圆环内侧卡片与日期小点的距离
+        this.centerClearance = 50;   // 圆环内侧卡片与中心年份文字的距离
+        this.angleStep = 3;          // 候选位置的角度步长（度）
+        this.maxAngleOffset = 60;    // 候选位置偏离日期角度的最大值（度）
+        this.radialStep = 20;        // 候选位置的径向步长
+        this.maxRadialSteps = 8;     // 候选位置的最大径向步数
+        this.animationDuration = 400; // 排列动画时长（毫秒，与CSS过渡时间一致）
+
+        // 代价权重：重叠 > 越界 > 连接线交叉 > 偏离日期角度
+        this.weights = {
+            overlap: 10000,
+            outOfBounds: 5000, // 超出画布或压在圆环上
+            crossing: 300,
+            angle: 2,
+            radial: 0.5
+        };
+    }
+
+    /**
+     * 自动排列所有未锁定的记录卡片
+     * @param {Object} options - 排列选项
+     * @param {boolean} options.inside - 是否排列到圆环内侧，默认为外侧
+     * @param {boolean} options.animate - 是否播放过渡动画，默认为true
+     * @returns {number} 位置发生变化的卡片数量
+     */
+    arrangeAll(options = {}) {
+        const { inside = false, animate = true } = options;
+        if (!this.isReady()) {
+            return 0;
+        }
+
+        const units = this.getLayoutUnits();
+        const obstacles = units.filter(unit => unit.record.locked);
+        const movable = units
+            .filter(unit => !unit.record.locked)
+            .sort((a, b) => a.angle - b.angle);
+
+        const placed = obstacles.map(unit => this.createPlacement(unit, unit.record.position));
+        const positions = new Map();
+
+        movable.forEach(unit => {
+            const position = this.locate(unit, placed, inside);
+            placed.push(this.createPlacement(unit, position));
+            positions.set(unit.record.id, position);
+        });
+
+        return this.applyPositions(positions, animate);
+    }
+
+    /**
+     * 为新记录计算位置（增量排列，已有卡片均视为障碍物）
+     * @param {Object} record - 记录对象（需要包含date和size）
+     * @param {Object} options - 排列选项 {inside}
+     * @returns {Object|null} 位置 {x, y}，无法计算时返回null
+     */
+    placeRecord(record, options = {}) {
+        if (!this.isReady()) {
+            return null;
+        }
+
+        const unit = this.createUnit(record);
+        if (!unit) {
+            return null;
+        }
+
+        const placed = this.getLayoutUnits()
+            .filter(other => other.record.id !== record.id)
+            .map(other => this.createPlacement(other, other.record.position));
+
+        return this.locate(unit, placed, !!options.inside);
+    }
+
+    /**
+     * 圆环是否已渲染完成
+     * @returns {boolean}
+     */
+    isReady() {
+        return !!(this.circleRenderer && this.circleRenderer.radius > 0 && this.circleRenderer.dateDots.size > 0);
+    }
+
+    /**
+     * 获取当前画布上的所有布局单元
+     * @returns {Array<Object>} 布局单元数组
+     */
+    getLayoutUnits() {
+        const units = [];
+
+        this.recordManager.getAllRecords().forEach(record => {
+            const groupInfo = this.recordManager.getDayGroupInfo(record);
+
+            // 合并卡片中的其他记录和扇形展开的成员卡片跟随组首卡片
+            if (groupInfo.mode !== 'separate' && groupInfo.index > 0) {
+                return;
+            }
+
+            const unit = this.createUnit(record, groupInfo);
+            if (unit) {
+                units.push(unit);
+            }
+        });
+
+        return units;
+    }
+
+    /**
+     * 创建布局单元
+     * @param {Object} record - 记录对象
+     * @param {Object} groupInfo - 同日分组信息（可选）
+     * @returns {Object|null} 布局单元 {record, anchor, angle, size}
+     */
+    createUnit(record, groupInfo = null) {
+        const anchor = this.getAnchor(record);
+        if (!anchor || !record.size) {
+            return null;
+        }
+
+        const size = { width: record.size.width, height: record.size.height };
+
+        // 扇形展开时单元范围需要覆盖所有错开的成员卡片
+        if (groupInfo && groupInfo.mode === 'fanned') {
+            const extra = groupInfo.group.length - 1;
+            size.width += record.size.width * this.recordManager.fanSpread * extra;
+            size.height += 6 * extra;
+        }
+
+        const { centerX, centerY } = this.circleRenderer;
+        const angle = MathUtils.radiansToDegrees(Math.atan2(anchor.y - centerY, anchor.x - centerX));
+
+        return { record, anchor, angle, size };
+    }
+
+    /**
+     * 获取记录连接线在圆环上的起点
+     * @param {Object} record - 记录对象
+     * @returns {Object|null} {x, y}
+     */
+    getAnchor(record) {
+        const rangeAnchor = this.recordManager.getConnectionAnchor(record);
+        if (rangeAnchor) {
+            return rangeAnchor;
+        }
+
+        const { month, day } = DateUtils.parseDate(record.date);
+        return this.circleRenderer.getDateDotPosition(month, day);
+    }
+
+    /**
+     * 根据单元和位置生成已放置的占位信息
+     * @param {Object} unit - 布局单元
+     * @param {Object} position - 卡片左上角位置 {x, y}
+     * @returns {Object} 占位信息 {rect, segment}
+     */
+    createPlacement(unit, position) {
+        const rect = {
+            x: position.x,
+            y: position.y,
+            width: unit.size.width,
+            height: unit.size.height
+        };
+
+        return { rect, segment: this.getConnectionSegment(unit.anchor, rect) };
+    }
+
+    /**
+     * 为布局单元选择位置：优先在日期角度附近搜索，附近没有空位时扩大到整个圆周
+     * @param {Object} unit - 布局单元
+     * @param {Array<Object>} placed - 已放置的占位信息
+     * @param {boolean} inside - 是否放置在圆环内侧
+     * @returns {Object} 卡片左上角位置 {x, y}
+     */
+    locate(unit, placed, inside) {
+        let best = this.findBestPosition(unit, placed, inside, this.maxAngleOffset);
+
+        if (best.cost >= this.weights.overlap) {
+            const fallback = this.findBestPosition(unit, placed, inside, 180);
+            if (fallback.cost < best.cost) {
+                best = fallback;
+            }
+        }
+
+        return best.position;
+    }
+
+    /**
+     * 在候选位置中选择代价最低的位置
+     * @param {Object} unit - 布局单元
+     * @param {Array<Object>} placed - 已放置的占位信息
+     * @param {boolean} inside - 是否放置在圆环内侧
+     * @param {number} maxOffset - 偏离日期角度的最大值（度）
+     * @returns {Object} {position, cost}
+     */
+    findBestPosition(unit, placed, inside, maxOffset) {
+        let best = null;
+
+        for (let offset = 0; offset <= maxOffset; offset += this.angleStep) {
+            const offsets = offset === 0 ? [0] : [offset, -offset];
+
+            for (const angleOffset of offsets) {
+                for (let step = 0; step <= this.maxRadialSteps; step++) {
+                    const position = this.getCandidatePosition(unit, unit.angle + angleOffset, step, inside);
+                    if (!position) continue;
+
+                    const cost = this.evaluate(unit, position, placed, inside) +
+                        offset * this.weights.angle +
+                        step * this.radialStep * this.weights.radial;
+
+                    if (!best || cost < best.cost) {
+                        best = { position, cost };
+                    }
+                }
+            }
+
+            // 已找到无冲突的位置时，更大的角度偏移不会更优
+            if (best && best.cost < (offset + this.angleStep) * this.weights.angle) {
+                break;
+            }
+        }
+
+        return best || { position: { ...unit.record.position }, cost: Infinity };
+    }
+
+    /**
+     * 计算指定方向上的候选位置（限制在画布范围内）
+     * 外侧：卡片最靠近圆心的点位于月份标签之外；内侧：卡片最远的角位于日期小点之内
+     * 画布上下方向空间有限，限制后的位置可能压在圆环上，由evaluate计入代价
+     * @param {Object} unit - 布局单元
+     * @param {number} angle - 方向角度（度）
+     * @param {number} step - 径向步数
+     * @param {boolean} inside - 是否放置在圆环内侧
+     * @returns {Object|null} 卡片左上角位置 {x, y}，方向上无法容纳时返回null
+     */
+    getCandidatePosition(unit, angle, step, inside) {
+        const { centerX, centerY } = this.circleRenderer;
+        const { width, height } = unit.size;
+        const radians = MathUtils.degreesToRadians(angle);
+        const dirX = Math.cos(radians);
+        const dirY = Math.sin(radians);
+
+        // 矩形在该方向上的半宽（支撑函数）
+        const extent = Math.abs(dirX) * width / 2 + Math.abs(dirY) * height / 2;
+        const bounds = this.getCanvasBounds();
+        const toPosition = distance => ({
+            x: MathUtils.clamp(centerX + dirX * distance - width / 2, bounds.left, Math.max(bounds.left, bounds.right - width)),
+            y: MathUtils.clamp(centerY + dirY * distance - height / 2, bounds.top, Math.max(bounds.top, bounds.bottom - height))
+        });
+
+        if (inside) {
+            const limit = this.getInnerLimit();
+            let distance = limit - extent - step * this.radialStep;
+            while (distance > 0 && this.getFarthestDistance(toPosition(distance), unit.size) > limit) {
+                distance -= 5;
+            }
+            return distance > 0 ? toPosition(distance) : null;
+        }
+
+        const limit = this.getOuterLimit();
+        const maxDistance = Math.hypot(bounds.right - bounds.left, bounds.bottom - bounds.top);
+        let distance = limit + extent + step * this.radialStep;
+        while (distance < maxDistance && this.getNearestDistance(toPosition(distance), unit.size) < limit) {
+            distance += 5;
+        }
+        return toPosition(distance);
+    }
+
+    /**
+     * 计算候选位置的冲突代价
+     * @param {Object} unit - 布局单元
+     * @param {Object} position - 卡片左上角位置
+     * @param {Array<Object>} placed - 已放置的占位信息
+     * @param {boolean} inside - 是否放置在圆环内侧
+     * @returns {number} 代价
+     */
+    evaluate(unit, position, placed, inside) {
+        const candidate = this.createPlacement(unit, position);
+        const { rect, segment } = candidate;
+        let cost = 0;
+
+        // 超出画布
+        const bounds = this.getCanvasBounds();
+        if (rect.x < bounds.left || rect.y < bounds.top ||
+            rect.x + rect.width > bounds.right || rect.y + rect.height > bounds.bottom) {
+            cost += this.weights.outOfBounds;
+        }
+
+        // 外侧卡片不能压在圆环上；内侧卡片不能超出日期小点，也不能遮挡中心年份文字
+        if (inside) {
+            if (this.getFarthestDistance(position, unit.size) > this.getInnerLimit() ||
+                this.getNearestDistance(position, unit.size) < this.centerClearance) {
+                cost += this.weights.outOfBounds;
+            }
+        } else if (this.getNearestDistance(position, unit.size) < this.getOuterLimit()) {
+            cost += this.weights.outOfBounds;
+        }
+
+        placed.forEach(other => {
+            if (this.rectsOverlap(rect, other.rect, this.cardGap)) {
+                cost += this.weights.overlap;
+            }
+            if (this.segmentsIntersect(segment, other.segment)) {
+                cost += this.weights.crossing;
+            }
+            if (this.segmentIntersectsRect(segment, other.rect) ||
+                this.segmentIntersectsRect(other.segment, rect)) {
+                cost += this.weights.crossing;
+            }
+        });
+
+        return cost;
+    }
+
+    /**
+     * 将计算结果应用到记录，并记录为一次可撤销的操作
+     * @param {Map<string, Object>} positions - 记录ID到新位置的映射
+     * @param {boolean} animate - 是否播放过渡动画
+     * @returns {number} 位置发生变化的卡片数量
+     */
+    applyPositions(positions, animate) {
+        const history = window.historyManager;
+        const moved = [...positions].filter(([recordId, position]) => {
+            const current = this.recordManager.getRecord(recordId).position;
+            return Math.abs(current.x - position.x) > 0.5 || Math.abs(current.y - position.y) > 0.5;
+        });
+
+        if (moved.length === 0) {
+            return 0;
+        }
+
+        // 扇形展开的成员卡片会跟随组首移动，因此对所有记录做快照
+        const before = new Map(this.recordManager.getAllRecords()
+            .map(record => [record.id, history?.snapshot(record.id)]));
+
+        if (animate) {
+            this.recordManager.container.classList.add('layout-animating');
+            setTimeout(() => {
+                this.recordManager.container.classList.remove('layout-animating');
+            }, this.animationDuration);
+        }
+
+        moved.forEach(([recordId, position]) => {
+            this.recordManager.updateRecordPosition(recordId, position);
+        });
+
+        if (history) {
+            const commands = [];
+            before.forEach((snapshot, recordId) => {
+                const after = history.snapshot(recordId);
+                if (snapshot && after && !history.isSameSnapshot(snapshot, after)) {
+                    commands.push({
+                        undo: () => this.recordManager.restoreRecord(snapshot),
+                        redo: () => this.recordManager.restoreRecord(after)
+                    });
+                }
+            });
+            history.recordBatch(commands, '自动排列');
+        }
+
+        return moved.length;
+    }
+
+    /**
+     * 圆环外侧卡片允许的最小半径（月份标签外缘）
+     * @returns {number}
+     */
+    getOuterLimit() {
+        return this.circleRenderer.monthRadius + 25 + this.outerClearance;
+    }
+
+    /**
+     * 圆环内侧卡片允许的最大半径（日期小点内缘）
+     * @returns {number}
+     */
+    getInnerLimit() {
+        return this.circleRenderer.dateRadius - this.innerClearance;
+    }
+
+    /**
+     * 获取卡片可放置的画布范围
+     * @returns {Object} {left, top, right, bottom}
+     */
+    getCanvasBounds() {
+        const rect = this.recordManager.container.getBoundingClientRect();
+        return {
+            left: this.canvasMargin,
+            top: this.canvasMargin,
+            right: rect.width - this.canvasMargin,
+            bottom: rect.height - this.canvasMargin
+        };
+    }
+
+    /**
+     * 圆心到卡片矩形的最近距离
+     * @param {Object} position - 卡片左上角位置
+     * @param {Object} size - 卡片尺寸
+     * @returns {number}
+     */
+    getNearestDistance(position, size) {
+        const { centerX, centerY } = this.circleRenderer;
+        const nearestX = MathUtils.clamp(centerX, position.x, position.x + size.width);
+        const nearestY = MathUtils.clamp(centerY, position.y, position.y + size.height);
+        return MathUtils.getDistance(centerX, centerY, nearestX, nearestY);
+    }
+
+    /**
+     * 圆心到卡片矩形的最远距离（最远的角）
+     * @param {Object} position - 卡片左上角位置
+     * @param {Object} size - 卡片尺寸
+     * @returns {number}
+     */
+    getFarthestDistance(position, size) {
+        const { centerX, centerY } = this.circleRenderer;
+        const dx = Math.max(Math.abs(position.x - centerX), Math.abs(position.x + size.width - centerX));
+        const dy = Math.max(Math.abs(position.y - centerY), Math.abs(position.y + size.height - centerY));
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * 计算连接线线段：从圆环上的起点到卡片边缘最近点
+     * @param {Object} anchor - 圆环上的起点 {x, y}
+     * @param {Object} rect - 卡片矩形
+     * @returns {Object} 线段 {x1, y1, x2, y2}
+     */
+    getConnectionSegment(anchor, rect) {
+        return {
+            x1: anchor.x,
+            y1: anchor.y,
+            x2: MathUtils.clamp(anchor.x, rect.x, rect.x + rect.width),
+            y2: MathUtils.clamp(anchor.y, rect.y, rect.y + rect.height)
+        };
+    }
+
+    /**
+     * 判断两个矩形是否重叠（含间距）
+     * @param {Object} a - 矩形A {x, y, width, height}
+     * @param {Object} b - 矩形B
+     * @param {number} gap - 最小间距
+     * @returns {boolean}
+     */
+    rectsOverlap(a, b, gap = 0) {
+        return a.x < b.x + b.width + gap &&
+            b.x < a.x + a.width + gap &&
+            a.y < b.y + b.height + gap &&
+            b.y < a.y + a.height + gap;
+    }
+
+    /**
+     * 判断两条线段是否相交（共享端点不算相交）
+     * @param {Object} s1 - 线段1 {x1, y1, x2, y2}
+     * @param {Object} s2 - 线段2
+     * @returns {boolean}
+     */
+    segmentsIntersect(s1, s2) {
+        const cross = (ax, ay, bx, by, cx, cy) => (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+
+        const d1 = cross(s2.x1, s2.y1, s2.x2, s2.y2, s1.x1, s1.y1);
+        const d2 = cross(s2.x1, s2.y1, s2.x2, s2.y2, s1.x2, s1.y2);
+        const d3 = cross(s1.x1, s1.y1, s1.x2, s1.y2, s2.x1, s2.y1);
+        const d4 = cross(s1.x1, s1.y1, s1.x2, s1.y2, s2.x2, s2.y2);
+
+        return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+            ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+    }
+
+    /**
+     * 判断线段是否穿过矩形内部
+     * @param {Object} segment - 线段 {x1, y1, x2, y2}
+     * @param {Object} rect - 矩形 {x, y, width, height}
+     * @returns {boolean}
+     */
+    segmentIntersectsRect(segment, rect) {
+        const { x, y, width, height } = rect;
+        const edges = [
+            { x1: x, y1: y, x2: x + width, y2: y },
+            { x1: x + width, y1: y, x2: x + width, y2: y + height },
+            { x1: x, y1: y + height, x2: x + width, y2: y + height },
+            { x1: x, y1: y, x2: x, y2: y + height }
+        ];
+
+        return edges.some(edge => this.segmentsIntersect(segment, edge));
+    }
+}
+
+// 导出到全局
+window.LayoutEngine = LayoutEngine;
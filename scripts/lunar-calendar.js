@@ -0,0 +1,377 @@
+/**
+ * 农历工具 - V1.6新增
+ * 离线计算1900-2100年的农历日期、二十四节气和传统节日
+ * 农历按年份数据表推算；节气按太阳视黄经计算，以北京时间（UTC+8）确定日期
+ */
+
+/**
+ * 1900-2100年农历数据，每年一个数值
+ * 低4位：闰月月份（0表示无闰月）；第5-16位：从高到低依次表示正月到腊月是否为大月（30天）；
+ * 第17位：闰月是否为大月
+ */
+const LUNAR_INFO = Object.freeze([
+    0x04bd8, 0x04ae0, 0x0a570, 0x054d5, 0x0d260, 0x0d950, 0x16554, 0x056a0, 0x09ad0, 0x055d2, // 1900-1909
+    0x04ae0, 0x0a5b6, 0x0a4d0, 0x0d250, 0x1d255, 0x0b540, 0x0d6a0, 0x0ada2, 0x095b0, 0x14977, // 1910-1919
+    0x04970, 0x0a4b0, 0x0b4b5, 0x06a50, 0x06d40, 0x1ab54, 0x02b60, 0x09570, 0x052f2, 0x04970, // 1920-1929
+    0x06566, 0x0d4a0, 0x0ea50, 0x16a95, 0x05ad0, 0x02b60, 0x186e3, 0x092e0, 0x1c8d7, 0x0c950, // 1930-1939
+    0x0d4a0, 0x1d8a6, 0x0b550, 0x056a0, 0x1a5b4, 0x025d0, 0x092d0, 0x0d2b2, 0x0a950, 0x0b557, // 1940-1949
+    0x06ca0, 0x0b550, 0x15355, 0x04da0, 0x0a5b0, 0x14573, 0x052b0, 0x0a9a8, 0x0e950, 0x06aa0, // 1950-1959
+    0x0aea6, 0x0ab50, 0x04b60, 0x0aae4, 0x0a570, 0x05260, 0x0f263, 0x0d950, 0x05b57, 0x056a0, // 1960-1969
+    0x096d0, 0x04dd5, 0x04ad0, 0x0a4d0, 0x0d4d4, 0x0d250, 0x0d558, 0x0b540, 0x0b6a0, 0x195a6, // 1970-1979
+    0x095b0, 0x049b0, 0x0a974, 0x0a4b0, 0x0b27a, 0x06a50, 0x06d40, 0x0af46, 0x0ab60, 0x09570, // 1980-1989
+    0x04af5, 0x04970, 0x064b0, 0x074a3, 0x0ea50, 0x06b58, 0x05ac0, 0x0ab60, 0x096d5, 0x092e0, // 1990-1999
+    0x0c960, 0x0d954, 0x0d4a0, 0x0da50, 0x07552, 0x056a0, 0x0abb7, 0x025d0, 0x092d0, 0x0cab5, // 2000-2009
+    0x0a950, 0x0b4a0, 0x0baa4, 0x0ad50, 0x055d9, 0x04ba0, 0x0a5b0, 0x15176, 0x052b0, 0x0a930, // 2010-2019
+    0x07954, 0x06aa0, 0x0ad50, 0x05b52, 0x04b60, 0x0a6e6, 0x0a4e0, 0x0d260, 0x0ea65, 0x0d530, // 2020-2029
+    0x05aa0, 0x076a3, 0x096d0, 0x04afb, 0x04ad0, 0x0a4d0, 0x1d0b6, 0x0d250, 0x0d520, 0x0dd45, // 2030-2039
+    0x0b5a0, 0x056d0, 0x055b2, 0x049b0, 0x0a577, 0x0a4b0, 0x0aa50, 0x1b255, 0x06d20, 0x0ada0, // 2040-2049
+    0x14b63, 0x09370, 0x049f8, 0x04970, 0x064b0, 0x168a6, 0x0ea50, 0x06b20, 0x1a6c4, 0x0aae0, // 2050-2059
+    0x092e0, 0x0d2e3, 0x0c960, 0x0d557, 0x0d4a0, 0x0da50, 0x05d55, 0x056a0, 0x0a6d0, 0x055d4, // 2060-2069
+    0x052d0, 0x0a9b8, 0x0a950, 0x0b4a0, 0x0b6a6, 0x0ad50, 0x055a0, 0x0aba4, 0x0a5b0, 0x052b0, // 2070-2079
+    0x0b273, 0x06930, 0x07337, 0x06aa0, 0x0ad50, 0x14b55, 0x04b60, 0x0a570, 0x054e4, 0x0d160, // 2080-2089
+    0x0e968, 0x0d520, 0x0daa0, 0x16aa6, 0x056d0, 0x04ae0, 0x0a9d4, 0x0a2d0, 0x0d150, 0x0f252, // 2090-2099
+    0x0d520 // 2100
+]);
+
+// 按公历年份缓存的节气日期，key: 年份，value: Map('month-day' => 节气名称)
+const SOLAR_TERM_CACHE = new Map();
+
+class LunarCalendar {
+    /**
+     * 支持的农历年份范围
+     * @returns {Object} {min, max}
+     */
+    static get YEAR_RANGE() {
+        return { min: 1900, max: 2100 };
+    }
+
+    /**
+     * 二十四节气名称，从小寒开始按公历年内的先后排列
+     * 小寒对应太阳视黄经285度，之后每个节气增加15度
+     * @returns {Array} 节气名称数组
+     */
+    static get SOLAR_TERMS() {
+        return [
+            '小寒', '大寒', '立春', '雨水', '惊蛰', '春分',
+            '清明', '谷雨', '立夏', '小满', '芒种', '夏至',
+            '小暑', '大暑', '立秋', '处暑', '白露', '秋分',
+            '寒露', '霜降', '立冬', '小雪', '大雪', '冬至'
+        ];
+    }
+
+    /**
+     * 传统节日（农历日期，不含闰月）
+     * 除夕为腊月最后一天，由getFestivals单独判断
+     * @returns {Array} 节日数组 [{name, month, day}]
+     */
+    static get FESTIVALS() {
+        return [
+            { name: '春节', month: 1, day: 1 },
+            { name: '元宵节', month: 1, day: 15 },
+            { name: '端午节', month: 5, day: 5 },
+            { name: '七夕节', month: 7, day: 7 },
+            { name: '中元节', month: 7, day: 15 },
+            { name: '中秋节', month: 8, day: 15 },
+            { name: '重阳节', month: 9, day: 9 },
+            { name: '腊八节', month: 12, day: 8 },
+            { name: '小年', month: 12, day: 23 }
+        ];
+    }
+
+    /**
+     * 获取农历年的总天数
+     * @param {number} lunarYear - 农历年份
+     * @returns {number} 天数
+     */
+    static getYearDays(lunarYear) {
+        const info = LUNAR_INFO[lunarYear - 1900];
+        let days = 348; // 12个月按29天计
+        for (let bit = 0x8000; bit > 0x8; bit >>= 1) {
+            if (info & bit) days++;
+        }
+        return days + this.getLeapMonthDays(lunarYear);
+    }
+
+    /**
+     * 获取农历年的闰月月份
+     * @param {number} lunarYear - 农历年份
+     * @returns {number} 闰月月份，0表示无闰月
+     */
+    static getLeapMonth(lunarYear) {
+        return LUNAR_INFO[lunarYear - 1900] & 0xf;
+    }
+
+    /**
+     * 获取农历年闰月的天数
+     * @param {number} lunarYear - 农历年份
+     * @returns {number} 天数，无闰月时为0
+     */
+    static getLeapMonthDays(lunarYear) {
+        if (!this.getLeapMonth(lunarYear)) return 0;
+        return (LUNAR_INFO[lunarYear - 1900] & 0x10000) ? 30 : 29;
+    }
+
+    /**
+     * 获取农历月份的天数
+     * @param {number} lunarYear - 农历年份
+     * @param {number} month - 农历月份 (1-12)
+     * @param {boolean} isLeap - 是否为闰月
+     * @returns {number} 天数（29或30）
+     */
+    static getMonthDays(lunarYear, month, isLeap = false) {
+        if (isLeap) {
+            return this.getLeapMonthDays(lunarYear);
+        }
+        return (LUNAR_INFO[lunarYear - 1900] & (0x10000 >> month)) ? 30 : 29;
+    }
+
+    /**
+     * 公历日期转换为农历日期
+     * @param {number} year - 公历年份
+     * @param {number} month - 公历月份 (1-12)
+     * @param {number} day - 公历日期
+     * @returns {Object|null} 农历日期 {year, month, day, isLeap, monthDays}，超出支持范围时返回null
+     */
+    static solarToLunar(year, month, day) {
+        const { min, max } = this.YEAR_RANGE;
+        // 1900年正月初一为公历1900年1月31日
+        let offset = Math.round((Date.UTC(year, month - 1, day) - Date.UTC(min, 0, 31)) / 86400000);
+        if (isNaN(offset) || offset < 0) return null;
+
+        let lunarYear = min;
+        while (lunarYear <= max && offset >= this.getYearDays(lunarYear)) {
+            offset -= this.getYearDays(lunarYear);
+            lunarYear++;
+        }
+        if (lunarYear > max) return null;
+
+        const leapMonth = this.getLeapMonth(lunarYear);
+        let lunarMonth = 1;
+        let isLeap = false;
+        let monthDays = this.getMonthDays(lunarYear, lunarMonth);
+
+        while (offset >= monthDays) {
+            offset -= monthDays;
+            if (!isLeap && leapMonth === lunarMonth) {
+                isLeap = true;
+            } else {
+                isLeap = false;
+                lunarMonth++;
+            }
+            monthDays = this.getMonthDays(lunarYear, lunarMonth, isLeap);
+        }
+
+        return { year: lunarYear, month: lunarMonth, day: offset + 1, isLeap, monthDays };
+    }
+
+    /**
+     * 农历日期转换为公历日期
+     * @param {number} lunarYear - 农历年份
+     * @param {number} month - 农历月份 (1-12)
+     * @param {number} day - 农历日期 (1-30)
+     * @param {boolean} isLeap - 是否为闰月
+     * @returns {Object|null} 公历日期 {year, month, day}，日期不存在时返回null
+     */
+    static lunarToSolar(lunarYear, month, day, isLeap = false) {
+        const { min, max } = this.YEAR_RANGE;
+        if (lunarYear < min || lunarYear > max || month < 1 || month > 12) return null;
+        if (isLeap && this.getLeapMonth(lunarYear) !== month) return null;
+        if (day < 1 || day > this.getMonthDays(lunarYear, month, isLeap)) return null;
+
+        let offset = 0;
+        for (let y = min; y < lunarYear; y++) {
+            offset += this.getYearDays(y);
+        }
+
+        const leapMonth = this.getLeapMonth(lunarYear);
+        for (let m = 1; m < month; m++) {
+            offset += this.getMonthDays(lunarYear, m);
+            if (leapMonth === m) {
+                offset += this.getLeapMonthDays(lunarYear);
+            }
+        }
+        if (isLeap) {
+            offset += this.getMonthDays(lunarYear, month);
+        }
+
+        const date = new Date(Date.UTC(min, 0, 31) + (offset + day - 1) * 86400000);
+        return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    }
+
+    /**
+     * 查找农历日期在指定公历年份内对应的公历日期
+     * 腊月等日期可能落在下一个公历年初，因此依次尝试同名农历年和上一农历年
+     * @param {number} year - 公历年份
+     * @param {number} month - 农历月份 (1-12)
+     * @param {number} day - 农历日期
+     * @returns {Object|null} 公历日期 {year, month, day}
+     */
+    static findSolarDateInYear(year, month, day) {
+        for (const lunarYear of [year, year - 1]) {
+            const date = this.lunarToSolar(lunarYear, month, day);
+            if (date && date.year === year) {
+                return date;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 获取农历年的干支纪年
+     * @param {number} lunarYear - 农历年份
+     * @returns {string} 如"乙巳"
+     */
+    static getGanzhiYear(lunarYear) {
+        const stems = '甲乙丙丁戊己庚辛壬癸';
+        const branches = '子丑寅卯辰巳午未申酉戌亥';
+        const index = lunarYear - 4;
+        return stems[((index % 10) + 10) % 10] + branches[((index % 12) + 12) % 12];
+    }
+
+    /**
+     * 获取农历年的生肖
+     * @param {number} lunarYear - 农历年份
+     * @returns {string} 生肖
+     */
+    static getZodiac(lunarYear) {
+        const animals = '鼠牛虎兔龙蛇马羊猴鸡狗猪';
+        return animals[(((lunarYear - 4) % 12) + 12) % 12];
+    }
+
+    /**
+     * 获取农历月份名称
+     * @param {number} month - 农历月份 (1-12)
+     * @param {boolean} isLeap - 是否为闰月
+     * @returns {string} 如"正月"、"闰六月"
+     */
+    static getMonthName(month, isLeap = false) {
+        const names = ['正月', '二月', '三月', '四月', '五月', '六月',
+                       '七月', '八月', '九月', '十月', '冬月', '腊月'];
+        return (isLeap ? '闰' : '') + names[month - 1];
+    }
+
+    /**
+     * 获取农历日期名称
+     * @param {number} day - 农历日期 (1-30)
+     * @returns {string} 如"初一"、"廿三"
+     */
+    static getDayName(day) {
+        if (day === 20) return '二十';
+        if (day === 30) return '三十';
+
+        const prefixes = ['初', '十', '廿'];
+        const digits = '一二三四五六七八九十';
+        return prefixes[Math.floor((day - 1) / 10)] + digits[(day - 1) % 10];
+    }
+
+    /**
+     * 格式化公历日期对应的农历日期
+     * @param {number} year - 公历年份
+     * @param {number} month - 公历月份
+     * @param {number} day - 公历日期
+     * @returns {string} 如"乙巳（蛇）年 正月初一"，超出支持范围时返回空字符串
+     */
+    static formatLunarDate(year, month, day) {
+        const lunar = this.solarToLunar(year, month, day);
+        if (!lunar) return '';
+
+        return `${this.getGanzhiYear(lunar.year)}（${this.getZodiac(lunar.year)}）年 ` +
+            `${this.getMonthName(lunar.month, lunar.isLeap)}${this.getDayName(lunar.day)}`;
+    }
+
+    /**
+     * 获取公历日期对应的传统节日
+     * @param {number} year - 公历年份
+     * @param {number} month - 公历月份
+     * @param {number} day - 公历日期
+     * @returns {Array} 节日名称数组
+     */
+    static getFestivals(year, month, day) {
+        const lunar = this.solarToLunar(year, month, day);
+        if (!lunar || lunar.isLeap) return [];
+
+        const festivals = this.FESTIVALS
+            .filter(festival => festival.month === lunar.month && festival.day === lunar.day)
+            .map(festival => festival.name);
+
+        if (lunar.month === 12 && lunar.day === lunar.monthDays && this.getLeapMonth(lunar.year) !== 12) {
+            festivals.push('除夕');
+        }
+
+        return festivals;
+    }
+
+    /**
+     * 获取公历日期对应的节气
+     * @param {number} year - 公历年份
+     * @param {number} month - 公历月份
+     * @param {number} day - 公历日期
+     * @returns {string|null} 节气名称
+     */
+    static getSolarTerm(year, month, day) {
+        return this.getSolarTerms(year).get(`${month}-${day}`) || null;
+    }
+
+    /**
+     * 计算公历年份内的二十四节气日期（结果按年份缓存）
+     * @param {number} year - 公历年份
+     * @returns {Map} key: 'month-day'，value: 节气名称
+     */
+    static getSolarTerms(year) {
+        if (SOLAR_TERM_CACHE.has(year)) {
+            return SOLAR_TERM_CACHE.get(year);
+        }
+
+        const terms = new Map();
+        const { min, max } = this.YEAR_RANGE;
+        if (year >= min && year <= max) {
+            this.SOLAR_TERMS.forEach((name, index) => {
+                const longitude = (285 + index * 15) % 360;
+                // 以每个节气约15.2天估算初值，再按视黄经差迭代修正
+                let jd = this.toJulianDay(Date.UTC(year, 0, 6)) + index * 15.2184;
+                for (let i = 0; i < 6; i++) {
+                    let diff = longitude - this.getSunLongitude(jd);
+                    diff = ((diff + 540) % 360) - 180;
+                    jd += diff * 365.2422 / 360;
+                }
+
+                // 转换为北京时间的日期
+                const date = new Date((jd - 2440587.5) * 86400000 + 8 * 3600000);
+                terms.set(`${date.getUTCMonth() + 1}-${date.getUTCDate()}`, name);
+            });
+        }
+
+        SOLAR_TERM_CACHE.set(year, terms);
+        return terms;
+    }
+
+    /**
+     * 将时间戳转换为儒略日
+     * @param {number} timestamp - 毫秒时间戳（UTC）
+     * @returns {number} 儒略日
+     */
+    static toJulianDay(timestamp) {
+        return timestamp / 86400000 + 2440587.5;
+    }
+
+    /**
+     * 计算太阳视黄经（Meeus低精度算法，误差约0.01度，折合约15分钟）
+     * @param {number} jd - 儒略日
+     * @returns {number} 视黄经（度，0-360）
+     */
+    static getSunLongitude(jd) {
+        const rad = Math.PI / 180;
+        const t = (jd - 2451545.0) / 36525;
+        const l0 = 280.46646 + 36000.76983 * t + 0.0003032 * t * t;
+        const m = (357.52911 + 35999.05029 * t - 0.0001537 * t * t) * rad;
+        const c = (1.914602 - 0.004817 * t - 0.000014 * t * t) * Math.sin(m)
+            + (0.019993 - 0.000101 * t) * Math.sin(2 * m)
+            + 0.000289 * Math.sin(3 * m);
+        const omega = (125.04 - 1934.136 * t) * rad;
+        const longitude = l0 + c - 0.00569 - 0.00478 * Math.sin(omega);
+        return ((longitude % 360) + 360) % 360;
+    }
+}
+
+// 导出到全局
+window.LunarCalendar = LunarCalendar;
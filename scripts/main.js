@@ -14,13 +14,16 @@ class YearCircleApp {
         this.recordManager = null;
         this.interactionHandler = null;
         this.exportManager = null;
+        this.historyManager = null;
         
         // 应用状态
         this.appState = {
             isLoading: true,
             hasUnsavedChanges: false,
             lastSaveTime: null,
-            autoSaveEnabled: true
+            autoSaveEnabled: true,
+            isBatchExporting: false, // V1.6新增：批量导出进行中，期间不关闭对话框
+            isRestoringBackup: false // V1.6新增：正在从备份恢复，页面重新加载前不再保存
         };
     }
 
@@ -59,6 +62,31 @@ class YearCircleApp {
             // V1.5新增：初始化连接线调整管理器
             this.initConnectionLineAdjuster();
             
+            // V1.6新增：初始化布局引擎
+            this.initLayoutEngine();
+            
+            // V1.6新增：初始化主题管理器
+            this.initThemeManager();
+            
+            // V1.6新增：初始化配色管理器（搜索面板的颜色筛选项依赖配色）
+            this.initPaletteManager();
+            
+            // V1.6新增：初始化搜索管理器
+            this.initSearchManager();
+            
+            // V1.6新增：初始化标签管理器
+            this.initTagManager();
+            
+            // V1.6新增：初始化多年视图和年份对比
+            this.initMultiYearView();
+            this.initComparisonView();
+            this.initHolidayManager();
+            this.initICalImporter();
+            this.initCSVManager();
+            this.initJournalExporter();
+            this.initTimelapseExporter();
+            this.initBackupManager();
+            
             // 加载数据
             await this.loadData();
             
@@ -165,6 +193,9 @@ class YearCircleApp {
         // 设置起始日期选择器
         this.setupStartDateSelector();
         
+        // V1.6新增：设置圆环模式选择器
+        this.setupRingModeSelector();
+        
         // 设置快捷键提示
         this.setupKeyboardShortcuts();
         
@@ -197,6 +228,10 @@ class YearCircleApp {
         
         this.recordManager = new RecordManager(recordContainer);
         window.recordManager = this.recordManager;
+        
+        // V1.6新增：撤销/重做历史
+        this.historyManager = new HistoryManager(this.recordManager);
+        window.historyManager = this.historyManager;
     }
 
     /**
@@ -231,25 +266,157 @@ class YearCircleApp {
         window.connectionLineAdjuster = this.connectionLineAdjuster;
     }
 
+    /**
+     * V1.6新增：初始化布局引擎
+     */
+    initLayoutEngine() {
+        this.layoutEngine = new LayoutEngine(this.recordManager, this.circleRenderer);
+        window.layoutEngine = this.layoutEngine;
+    }
+
+    /**
+     * V1.6新增：初始化主题管理器
+     */
+    initThemeManager() {
+        this.themeManager = new ThemeManager(document.getElementById('year-circle-canvas'));
+        window.themeManager = this.themeManager;
+    }
+
+    /**
+     * V1.6新增：初始化配色管理器
+     */
+    initPaletteManager() {
+        this.paletteManager = new PaletteManager(this.recordManager);
+        window.paletteManager = this.paletteManager;
+    }
+
+    /**
+     * V1.6新增：初始化搜索管理器
+     */
+    initSearchManager() {
+        this.searchManager = new SearchManager(this.recordManager, this.storageManager, this.circleRenderer);
+        window.searchManager = this.searchManager;
+    }
+
+    /**
+     * V1.6新增：初始化标签管理器
+     */
+    initTagManager() {
+        this.tagManager = new TagManager(this.recordManager, this.circleRenderer);
+        window.tagManager = this.tagManager;
+    }
+
+    /**
+     * 初始化多年视图 - V1.6新增
+     */
+    initMultiYearView() {
+        this.multiYearView = new MultiYearView(this.storageManager, this.recordManager);
+        window.multiYearView = this.multiYearView;
+    }
+
+    /**
+     * 初始化年份对比视图 - V1.6新增
+     */
+    initComparisonView() {
+        this.comparisonView = new ComparisonView(this.storageManager, this.recordManager);
+        window.comparisonView = this.comparisonView;
+    }
+
+    /**
+     * 初始化假日与纪念日图层 - V1.6新增
+     */
+    initHolidayManager() {
+        this.holidayManager = new HolidayManager(this.circleRenderer);
+        window.holidayManager = this.holidayManager;
+    }
+
+    /**
+     * 初始化iCalendar导入 - V1.6新增
+     */
+    initICalImporter() {
+        this.icalImporter = new ICalImporter(this.recordManager, this.circleRenderer);
+        window.icalImporter = this.icalImporter;
+    }
+
+    /**
+     * 初始化表格导入导出 - V1.6新增
+     */
+    initCSVManager() {
+        this.csvManager = new CSVManager(this.recordManager, this.circleRenderer);
+        window.csvManager = this.csvManager;
+    }
+
+    /**
+     * 初始化年度回顾导出 - V1.6新增
+     */
+    initJournalExporter() {
+        this.journalExporter = new JournalExporter(this.recordManager, this.circleRenderer);
+        window.journalExporter = this.journalExporter;
+    }
+
+    /**
+     * 初始化延时动画导出 - V1.6新增
+     */
+    initTimelapseExporter() {
+        this.timelapseExporter = new TimelapseExporter(this.recordManager, this.circleRenderer);
+        window.timelapseExporter = this.timelapseExporter;
+    }
+
+    /**
+     * 初始化完整备份与恢复 - V1.6新增
+     */
+    initBackupManager() {
+        this.backupManager = new BackupManager(this.storageManager);
+        window.backupManager = this.backupManager;
+    }
+
     /**
      * V1.4升级：加载数据（支持文件存储）
+     * @param {Object} options - 加载选项
+     * @param {boolean} options.clearHistory - 是否清空撤销历史，默认true
+     * @returns {Promise<boolean>} 是否加载成功
      */
-    async loadData() {
+    async loadData({ clearHistory = true } = {}) {
         try {
+            // V1.6新增：历史记录只针对当前年份，加载新数据时清空
+            if (clearHistory && this.historyManager) {
+                this.historyManager.clear();
+            }
+            
             const data = await this.storageManager.loadYearData(this.currentYear);
             
+            // V1.6新增：同日记录分组显示设置需在记录渲染前加载
+            this.recordManager.loadDayGroups(data && data.dayGroups);
+            
+            // V1.6新增：配色和主题随年度数据保存，需在记录渲染前加载
+            this.paletteManager.loadPalette(data && data.palette);
+            this.themeManager.loadTheme(data && data.theme, data && data.customTheme);
+            
+            // V1.6新增：圆环模式和布局随年度数据保存，圆环在加载数据后重新渲染
+            this.circleRenderer.setRingMode(data && data.ringMode);
+            this.circleRenderer.setTrueTimeLayout(data && data.trueTimeLayout);
+            this.circleRenderer.setLunarMarks(data && data.lunarMarks);
+            this.updateRingControls();
+            
+            // V1.6新增：合并数据中携带的标签定义（如在其他设备上创建的标签）
+            this.tagManager.mergeTags(data && data.tags);
+            
             if (data && data.records) {
                 this.recordManager.loadRecords(data.records);
                 console.log(`[App] 已加载${this.currentYear}年的数据，包含${data.records.length}条记录`);
             } else {
+                // 没有数据的年份也要清空上一年份的记录，否则下次保存会把它们写入该年份
+                this.recordManager.loadRecords([]);
                 console.log(`[App] ${this.currentYear}年暂无数据`);
             }
             
             this.appState.lastSaveTime = new Date();
+            return true;
             
         } catch (error) {
             console.error('[App] 加载数据失败:', error);
             // 不抛出错误，允许应用继续运行
+            return false;
         }
     }
 
@@ -346,6 +513,7 @@ class YearCircleApp {
         // 获取起始日期相关元素
         this.startDateInput = document.getElementById('start-date-input');
         this.resetStartDateBtn = document.getElementById('reset-start-date');
+        this.lunarStartSelect = document.getElementById('lunar-start-select');
         
         if (!this.startDateInput) return;
         
@@ -366,6 +534,33 @@ class YearCircleApp {
                 this.resetStartDate();
             });
         }
+        
+        // V1.6新增：按农历日期设置起始日期
+        if (this.lunarStartSelect) {
+            this.lunarStartSelect.addEventListener('change', (e) => {
+                const value = e.target.value;
+                e.target.value = '';
+                if (value) {
+                    const [month, day] = value.split('-').map(Number);
+                    this.handleLunarStartDate(month, day);
+                }
+            });
+        }
+    }
+
+    /**
+     * 将起始日期设为当前年份中对应的农历日期 - V1.6新增
+     * @param {number} month - 农历月份
+     * @param {number} day - 农历日期
+     */
+    handleLunarStartDate(month, day) {
+        const date = LunarCalendar.findSolarDateInYear(this.currentYear, month, day);
+        if (!date) {
+            this.showMessage(`${this.currentYear}年没有对应的农历日期`, 'warning');
+            return;
+        }
+        
+        this.handleStartDateChange(DateUtils.formatDate(date.year, date.month, date.day));
     }
 
     /**
@@ -399,7 +594,12 @@ class YearCircleApp {
                 
                 // 清除CircleRenderer的起始日期（如果已初始化）
                 if (this.circleRenderer) {
+                    // V1.6新增：上一年份设置过起始日期时需要重新渲染，否则圆环仍按上一年份的周期旋转
+                    const hadStartDate = !!this.circleRenderer.getStartDate();
                     this.circleRenderer.setStartDate(null);
+                    if (hadStartDate) {
+                        this.circleRenderer.render();
+                    }
                 }
             }
         } catch (error) {
@@ -418,24 +618,10 @@ class YearCircleApp {
      */
     handleStartDateChange(dateString) {
         try {
+            const previousStartDate = this.currentStartDate || null;
             
-            // 保存起始日期到localStorage
-            const saveSuccess = this.storageManager.saveStartDate(this.currentYear, dateString);
-            if (!saveSuccess) {
-                throw new Error('保存起始日期失败');
-            }
-            
-            this.currentStartDate = dateString;
-            
-            // 设置CircleRenderer的起始日期
-            if (this.circleRenderer) {
-                this.circleRenderer.setStartDate(dateString);
-                // 重新渲染圆形图以显示起始日期标记
-                this.circleRenderer.render();
-            }
-            
-            // 更新年份显示
-            this.updateYearDisplay();
+            this.applyStartDate(dateString);
+            this.recordStartDateHistory(previousStartDate, dateString);
             
             this.showMessage('起始日期已设置', 'success');
         } catch (error) {
@@ -450,29 +636,10 @@ class YearCircleApp {
      */
     resetStartDate() {
         try {
+            const previousStartDate = this.currentStartDate || null;
             
-            // 从localStorage中删除起始日期
-            const resetSuccess = this.storageManager.resetStartDate(this.currentYear);
-            if (!resetSuccess) {
-                throw new Error('重置起始日期失败');
-            }
-            
-            this.currentStartDate = null;
-            
-            // 清空输入框
-            if (this.startDateInput) {
-                this.startDateInput.value = '';
-            }
-            
-            // 清除CircleRenderer的起始日期
-            if (this.circleRenderer) {
-                this.circleRenderer.setStartDate(null);
-                // 重新渲染圆形图
-                this.circleRenderer.render();
-            }
-            
-            // 更新年份显示
-            this.updateYearDisplay();
+            this.applyStartDate(null);
+            this.recordStartDateHistory(previousStartDate, null);
             
             this.showMessage('起始日期已重置', 'success');
         } catch (error) {
@@ -481,15 +648,275 @@ class YearCircleApp {
         }
     }
 
+    /**
+     * 应用起始日期 - V1.6新增
+     * 保存或清除起始日期并重新渲染圆环，供设置、重置和撤销共用
+     * @param {string|null} dateString - 起始日期 (YYYY-MM-DD格式)，null表示清除
+     */
+    applyStartDate(dateString) {
+        const success = dateString
+            ? this.storageManager.saveStartDate(this.currentYear, dateString)
+            : this.storageManager.resetStartDate(this.currentYear);
+        if (!success) {
+            throw new Error(dateString ? '保存起始日期失败' : '重置起始日期失败');
+        }
+        
+        this.currentStartDate = dateString;
+        
+        if (this.startDateInput) {
+            this.startDateInput.value = dateString || '';
+        }
+        
+        // 设置CircleRenderer的起始日期并重新渲染圆形图
+        if (this.circleRenderer) {
+            const previousRotation = this.circleRenderer.getRotation();
+            this.circleRenderer.setStartDate(dateString);
+            this.refreshCircle(previousRotation);
+            // 按实际天数布局时卡片随圆环转动，需要保存新位置
+            this.storageManager.triggerAutoSave();
+        }
+        
+        // 更新年份显示
+        this.updateYearDisplay();
+    }
+
+    /**
+     * 将起始日期变化记录到撤销历史 - V1.6新增
+     * @param {string|null} before - 修改前的起始日期
+     * @param {string|null} after - 修改后的起始日期
+     */
+    recordStartDateHistory(before, after) {
+        if (!this.historyManager || before === after) return;
+        
+        this.historyManager.push({
+            label: '修改起始日期',
+            undo: () => this.applyStartDate(before),
+            redo: () => this.applyStartDate(after)
+        });
+    }
+
+    /**
+     * 设置圆环模式选择器和按实际天数布局开关 - V1.6新增
+     */
+    setupRingModeSelector() {
+        this.ringModeSelect = document.getElementById('ring-mode-select');
+        this.trueTimeToggle = document.getElementById('true-time-toggle');
+        this.lunarMarksToggle = document.getElementById('lunar-marks-toggle');
+        
+        if (this.ringModeSelect) {
+            this.ringModeSelect.addEventListener('change', (e) => {
+                this.handleRingModeChange(e.target.value);
+            });
+        }
+        
+        if (this.trueTimeToggle) {
+            this.trueTimeToggle.addEventListener('change', (e) => {
+                this.handleTrueTimeLayoutChange(e.target.checked);
+            });
+        }
+        
+        if (this.lunarMarksToggle) {
+            this.lunarMarksToggle.addEventListener('change', (e) => {
+                this.handleLunarMarksChange(e.target.checked);
+            });
+        }
+    }
+
+    /**
+     * 同步圆环模式选择器和布局开关的显示 - V1.6新增
+     */
+    updateRingControls() {
+        if (!this.circleRenderer) return;
+        
+        if (this.ringModeSelect) {
+            this.ringModeSelect.value = this.circleRenderer.getRingMode();
+        }
+        if (this.trueTimeToggle) {
+            this.trueTimeToggle.checked = this.circleRenderer.isTrueTimeLayout();
+        }
+        if (this.lunarMarksToggle) {
+            this.lunarMarksToggle.checked = this.circleRenderer.hasLunarMarks();
+        }
+    }
+
+    /**
+     * 处理圆环模式变化 - V1.6新增
+     * @param {string} mode - 圆环模式
+     */
+    handleRingModeChange(mode) {
+        const previousMode = this.circleRenderer.getRingMode();
+        if (mode === previousMode) return;
+        
+        this.applyRingMode(mode);
+        
+        if (this.historyManager) {
+            this.historyManager.push({
+                label: '切换圆环模式',
+                undo: () => this.applyRingMode(previousMode),
+                redo: () => this.applyRingMode(mode)
+            });
+        }
+    }
+
+    /**
+     * 应用圆环模式并重新渲染圆环，供切换和撤销共用 - V1.6新增
+     * @param {string} mode - 圆环模式
+     */
+    applyRingMode(mode) {
+        this.circleRenderer.setRingMode(mode);
+        this.updateRingControls();
+        this.refreshCircle();
+        this.storageManager.triggerAutoSave();
+    }
+
+    /**
+     * 处理按实际天数布局开关变化 - V1.6新增
+     * @param {boolean} enabled - 是否启用
+     */
+    handleTrueTimeLayoutChange(enabled) {
+        if (enabled === this.circleRenderer.isTrueTimeLayout()) return;
+        
+        this.applyTrueTimeLayout(enabled);
+        
+        if (this.historyManager) {
+            this.historyManager.push({
+                label: enabled ? '启用按实际天数布局' : '关闭按实际天数布局',
+                undo: () => this.applyTrueTimeLayout(!enabled),
+                redo: () => this.applyTrueTimeLayout(enabled)
+            });
+        }
+    }
+
+    /**
+     * 应用按实际天数布局并重新渲染圆环，供切换和撤销共用 - V1.6新增
+     * @param {boolean} enabled - 是否启用
+     */
+    applyTrueTimeLayout(enabled) {
+        const previousRotation = this.circleRenderer.getRotation();
+        this.circleRenderer.setTrueTimeLayout(enabled);
+        this.updateRingControls();
+        this.refreshCircle(previousRotation);
+        this.storageManager.triggerAutoSave();
+    }
+
+    /**
+     * 处理节气节日标注开关变化 - V1.6新增
+     * @param {boolean} enabled - 是否启用
+     */
+    handleLunarMarksChange(enabled) {
+        if (enabled === this.circleRenderer.hasLunarMarks()) return;
+        
+        this.applyLunarMarks(enabled);
+        
+        if (this.historyManager) {
+            this.historyManager.push({
+                label: enabled ? '显示节气节日' : '隐藏节气节日',
+                undo: () => this.applyLunarMarks(!enabled),
+                redo: () => this.applyLunarMarks(enabled)
+            });
+        }
+    }
+
+    /**
+     * 应用节气节日标注并重新渲染圆环，供切换和撤销共用 - V1.6新增
+     * @param {boolean} enabled - 是否启用
+     */
+    applyLunarMarks(enabled) {
+        this.circleRenderer.setLunarMarks(enabled);
+        this.updateRingControls();
+        this.refreshCircle();
+        this.storageManager.triggerAutoSave();
+    }
+
+    /**
+     * 重新渲染圆环并恢复日期状态和连接线 - V1.6新增
+     * @param {number|null} previousRotation - 重绘前的圆环旋转角度，传入时卡片随圆环转动
+     */
+    refreshCircle(previousRotation = null) {
+        if (!this.circleRenderer) return;
+        
+        this.circleRenderer.render();
+        if (previousRotation !== null) {
+            this.recordManager.rotateRecords(previousRotation - this.circleRenderer.getRotation());
+        }
+        this.restoreRecordedDateStates();
+        this.redrawAllConnectionLines();
+    }
+
+    /**
+     * 撤销上一步操作 - V1.6新增
+     */
+    undo() {
+        let command;
+        try {
+            command = this.historyManager?.undo();
+        } catch (error) {
+            console.error('[App] 撤销失败:', error);
+            this.showMessage(`撤销失败：${error.message}`, 'error');
+            return;
+        }
+        
+        if (command) {
+            this.showMessage(`已撤销：${command.label}`, 'info');
+        } else {
+            this.showMessage('没有可撤销的操作', 'info');
+        }
+    }
+
+    /**
+     * 自动排列记录卡片 - V1.6新增
+     * @param {boolean} inside - 是否排列到圆环内侧
+     */
+    autoArrange(inside = false) {
+        if (this.recordManager.getAllRecords().length === 0) {
+            this.showMessage('当前没有可排列的记录', 'info');
+            return;
+        }
+        
+        const movedCount = this.layoutEngine.arrangeAll({ inside });
+        if (movedCount > 0) {
+            this.showMessage(`已自动排列${movedCount}张卡片（Ctrl+Z可撤销）`, 'success');
+        } else {
+            this.showMessage('卡片位置已是最佳，无需调整', 'info');
+        }
+    }
+
+    /**
+     * 重做上一步被撤销的操作 - V1.6新增
+     */
+    redo() {
+        let command;
+        try {
+            command = this.historyManager?.redo();
+        } catch (error) {
+            console.error('[App] 重做失败:', error);
+            this.showMessage(`重做失败：${error.message}`, 'error');
+            return;
+        }
+        
+        if (command) {
+            this.showMessage(`已重做：${command.label}`, 'info');
+        } else {
+            this.showMessage('没有可重做的操作', 'info');
+        }
+    }
+
     /**
      * 设置工具栏
      */
     setupToolbar() {
         // 导出按钮
         const exportPngBtn = document.getElementById('export-png');
+        const exportSvgBtn = document.getElementById('export-svg');
         const exportJsonBtn = document.getElementById('export-json');
         const importJsonBtn = document.getElementById('import-json');
+        const exportPdfBtn = document.getElementById('export-pdf');
+        const exportTilesBtn = document.getElementById('export-tiles');
+        const exportIcsBtn = document.getElementById('export-ics');
+        const exportBatchBtn = document.getElementById('export-batch');
         const clearAllBtn = document.getElementById('clear-all');
+        const autoArrangeBtn = document.getElementById('auto-arrange');
+        const openSearchBtn = document.getElementById('open-search');
         
         if (exportPngBtn) {
             exportPngBtn.addEventListener('click', () => {
@@ -497,6 +924,13 @@ class YearCircleApp {
             });
         }
         
+        // V1.6新增：矢量图导出
+        if (exportSvgBtn) {
+            exportSvgBtn.addEventListener('click', () => {
+                this.exportManager.downloadSVG();
+            });
+        }
+        
         if (exportJsonBtn) {
             exportJsonBtn.addEventListener('click', () => {
                 this.exportManager.downloadJSON();
@@ -509,11 +943,99 @@ class YearCircleApp {
             });
         }
         
+        // V1.6新增：工具栏下拉菜单
+        this.setupToolbarMenus();
+        
+        // V1.6新增：导出打印PDF
+        if (exportPdfBtn) {
+            exportPdfBtn.addEventListener('click', () => {
+                this.showPDFExportDialog();
+            });
+            this.initPDFExportModal();
+        }
+        
+        // V1.6新增：分块打印大幅海报
+        if (exportTilesBtn) {
+            exportTilesBtn.addEventListener('click', () => {
+                this.showTileExportDialog();
+            });
+            this.initTileExportModal();
+        }
+        
+        // V1.6新增：导出.ics日历文件
+        if (exportIcsBtn) {
+            exportIcsBtn.addEventListener('click', () => {
+                this.showICalExportDialog();
+            });
+            this.initICalExportModal();
+        }
+        
+        // V1.6新增：批量导出多个年份
+        if (exportBatchBtn) {
+            exportBatchBtn.addEventListener('click', () => {
+                this.showBatchExportDialog();
+            });
+            this.initBatchExportModal();
+        }
+        
         if (clearAllBtn) {
             clearAllBtn.addEventListener('click', () => {
                 this.clearAllRecords();
             });
         }
+        
+        // V1.6新增：搜索面板
+        if (openSearchBtn) {
+            openSearchBtn.addEventListener('click', () => {
+                this.searchManager.toggle();
+            });
+        }
+        
+        // V1.6新增：自动排列，按住Shift排列到圆环内侧
+        if (autoArrangeBtn) {
+            autoArrangeBtn.addEventListener('click', (e) => {
+                this.autoArrange(e.shiftKey);
+            });
+        }
+    }
+
+    /**
+     * 设置工具栏下拉菜单：点击按钮展开，选择菜单项、点击外部或按Esc后收起 - V1.6新增
+     */
+    setupToolbarMenus() {
+        const menus = document.querySelectorAll('.toolbar-menu');
+        const closeAll = () => {
+            menus.forEach(menu => {
+                menu.classList.remove('open');
+                menu.querySelector('.toolbar-menu-toggle').setAttribute('aria-expanded', 'false');
+            });
+        };
+
+        menus.forEach(menu => {
+            const toggle = menu.querySelector('.toolbar-menu-toggle');
+            toggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const open = !menu.classList.contains('open');
+                closeAll();
+                menu.classList.toggle('open', open);
+                toggle.setAttribute('aria-expanded', String(open));
+            });
+
+            menu.querySelectorAll('.toolbar-menu-item').forEach(item => {
+                item.addEventListener('click', closeAll);
+            });
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.toolbar-menu')) {
+                closeAll();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                closeAll();
+            }
+        });
     }
 
     /**
@@ -539,6 +1061,26 @@ class YearCircleApp {
                 this.exportManager.downloadJSON();
             }
             
+            // V1.6新增：Ctrl/Cmd + Z 撤销，Ctrl/Cmd + Shift + Z 重做
+            // 输入框内保留浏览器原生的文本撤销
+            if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z')) {
+                if (this.isEditingText(e.target) || document.body.classList.contains('modal-open')) {
+                    return;
+                }
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+            }
+            
+            // V1.6新增：Ctrl/Cmd + F 打开搜索面板
+            if ((e.ctrlKey || e.metaKey) && e.key === 'f' && !document.body.classList.contains('modal-open')) {
+                e.preventDefault();
+                this.searchManager.open();
+            }
+            
             // Ctrl/Cmd + 左箭头: 上一年
             if ((e.ctrlKey || e.metaKey) && e.key === 'ArrowLeft') {
                 e.preventDefault();
@@ -557,6 +1099,16 @@ class YearCircleApp {
         });
     }
 
+    /**
+     * 判断事件目标是否为可编辑文本元素
+     * @param {EventTarget} target - 事件目标
+     * @returns {boolean}
+     */
+    isEditingText(target) {
+        if (!target || !target.tagName) return false;
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+    }
+
     /**
      * 设置事件监听
      */
@@ -599,20 +1151,37 @@ class YearCircleApp {
             this.markAsChanged();
             this.updateStatistics();
         });
+        
+        // V1.6新增：圆环尺寸变化后按相对坐标重新投影记录卡片
+        document.addEventListener('circleResized', (e) => {
+            this.recordManager.reprojectRecords(e.detail.previousFrame, e.detail);
+        });
     }
 
     /**
      * 切换年份
      * @param {number} year - 目标年份
+     * @param {Object} options - 切换选项
+     * @param {boolean} options.save - 切换前是否保存当前年份，默认true；批量导出只读取各年份数据，传入false，
+     *     此时也不清空撤销历史，切换回原年份后仍可撤销之前的操作
+     * @returns {Promise<boolean>} 是否切换成功；起始日期、记录状态和连接线都已恢复后才会resolve
      */
-    async changeYear(year) {
-        if (year === this.currentYear) return;
+    async changeYear(year, { save = true } = {}) {
+        if (year === this.currentYear) return true;
+        
+        // V1.6新增：批量导出期间只允许批量导出自身（不保存的）切换年份
+        if (save && this.exportManager?.isBatchExporting) {
+            this.showMessage('正在批量导出，请稍候...', 'warning');
+            return false;
+        }
         
         try {
             this.showLoading('正在切换年份...');
             
             // 保存当前年份数据
-            await this.saveData();
+            if (save) {
+                await this.saveData();
+            }
             
             // 切换到新年份
             this.currentYear = year;
@@ -622,44 +1191,60 @@ class YearCircleApp {
             this.storageManager.saveCurrentYear(year);
             
             // 加载新年份数据
-            await this.loadData();
+            const loaded = await this.loadData({ clearHistory: save });
             
             // 重新渲染圆形图（在加载起始日期之前）
             this.circleRenderer.renderCircle(year);
             
-            // 使用requestAnimationFrame确保DOM更新完成后再执行后续操作
-            requestAnimationFrame(() => {
-                // 加载起始日期（确保在CircleRenderer渲染完成后）
-                this.loadStartDate();
-                
-                // 恢复记录状态
-                this.restoreRecordedDateStates();
-                
-                // 延迟重新绘制连接线
-                setTimeout(() => {
-                    this.redrawAllConnectionLines();
-                }, 100);
-                
-                this.updateYearDisplay();
-                this.updateStatistics();
-            });
+            // 等待DOM更新完成后再执行后续操作；使用setTimeout而不是requestAnimationFrame，
+            // 页面在后台标签页时requestAnimationFrame不会执行，批量导出会一直等待
+            await new Promise(resolve => setTimeout(resolve, 0));
+            
+            // 加载起始日期（确保在CircleRenderer渲染完成后）
+            this.loadStartDate();
+            
+            // 恢复记录状态
+            this.restoreRecordedDateStates();
+            
+            this.updateYearDisplay();
+            this.updateStatistics();
+            
+            // 延迟重新绘制连接线
+            await new Promise(resolve => setTimeout(resolve, 100));
+            this.redrawAllConnectionLines();
             
             this.hideLoading();
+            return loaded;
             
         } catch (error) {
+            console.error('[App] 年份切换失败:', error);
             this.showError('年份切换失败，请重试');
             this.hideLoading();
+            return false;
         }
     }
 
     /**
      * V1.4升级：保存数据（支持文件存储）
+     * @returns {Promise<boolean>} 是否保存成功（失败时已提示用户）
      */
     async saveData() {
+        // V1.6新增：批量导出期间内存中是临时加载的其他年份数据，不需要保存；
+        // 从备份恢复时内存中是旧数据，保存会覆盖恢复的数据
+        if (this.exportManager?.isBatchExporting || this.appState.isRestoringBackup) return false;
+        
         try {
             const data = {
                 year: this.currentYear,
                 records: this.recordManager.exportRecords(),
+                coordinateSystem: CoordinateUtils.RELATIVE_SYSTEM,
+                dayGroups: this.recordManager.exportDayGroups(),
+                tags: this.tagManager.exportTags(),
+                palette: this.paletteManager.exportPalette(),
+                ...this.themeManager.exportThemeData(),
+                ringMode: this.circleRenderer.getRingMode(),
+                trueTimeLayout: this.circleRenderer.isTrueTimeLayout(),
+                lunarMarks: this.circleRenderer.hasLunarMarks(),
                 savedAt: new Date().toISOString()
             };
             
@@ -672,10 +1257,12 @@ class YearCircleApp {
             } else {
                 this.showError('数据保存失败，请重试');
             }
+            return !!success;
             
         } catch (error) {
             console.error('[App] 保存数据失败:', error);
             this.showError('数据保存失败，请重试');
+            return false;
         }
     }
 
@@ -888,6 +1475,374 @@ class YearCircleApp {
         input.click();
     }
 
+    /**
+     * 初始化导出PDF模态框 - V1.6新增
+     */
+    initPDFExportModal() {
+        const modal = document.getElementById('pdf-export-modal');
+        if (!modal) return;
+
+        modal.querySelector('.modal-close').addEventListener('click', () => this.hidePDFExportDialog());
+        modal.querySelector('.cancel-btn').addEventListener('click', () => this.hidePDFExportDialog());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.hidePDFExportDialog();
+            }
+        });
+
+        modal.querySelector('#pdf-export-confirm').addEventListener('click', () => this.handlePDFExport());
+    }
+
+    /**
+     * 显示导出PDF模态框 - V1.6新增
+     */
+    showPDFExportDialog() {
+        const modal = document.getElementById('pdf-export-modal');
+        if (!modal) return;
+
+        modal.classList.add('active');
+        document.body.classList.add('modal-open');
+    }
+
+    /**
+     * 隐藏导出PDF模态框 - V1.6新增
+     */
+    hidePDFExportDialog() {
+        const modal = document.getElementById('pdf-export-modal');
+        if (!modal) return;
+
+        modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+
+    /**
+     * 按选择的纸张和版面导出PDF - V1.6新增
+     */
+    async handlePDFExport() {
+        const modal = document.getElementById('pdf-export-modal');
+        const options = {
+            paper: modal.querySelector('#pdf-export-paper').value,
+            margin: parseFloat(modal.querySelector('#pdf-export-margin').value),
+            bleed: modal.querySelector('#pdf-export-bleed').checked,
+            includeDetails: modal.querySelector('#pdf-export-details').checked
+        };
+
+        // 先关闭对话框，海报页按画布当前的样子生成
+        this.hidePDFExportDialog();
+
+        try {
+            const pageCount = await this.exportManager.downloadPDF(options);
+            this.showMessage(`已导出${pageCount}页PDF`, 'success');
+        } catch (error) {
+            console.error('导出PDF失败:', error);
+            this.showMessage(`导出PDF失败：${error.message || '未知错误'}`, 'error');
+        }
+    }
+
+    /**
+     * 初始化分块打印模态框 - V1.6新增
+     */
+    initTileExportModal() {
+        const modal = document.getElementById('tile-export-modal');
+        if (!modal) return;
+
+        modal.querySelector('.modal-close').addEventListener('click', () => this.hideTileExportDialog());
+        modal.querySelector('.cancel-btn').addEventListener('click', () => this.hideTileExportDialog());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.hideTileExportDialog();
+            }
+        });
+
+        modal.querySelectorAll('select, input').forEach(input => {
+            input.addEventListener('change', () => this.updateTileExportSummary());
+            input.addEventListener('input', () => this.updateTileExportSummary());
+        });
+        modal.querySelector('#tile-export-confirm').addEventListener('click', () => this.handleTileExport());
+    }
+
+    /**
+     * 显示分块打印模态框 - V1.6新增
+     */
+    showTileExportDialog() {
+        const modal = document.getElementById('tile-export-modal');
+        if (!modal) return;
+
+        modal.classList.add('active');
+        document.body.classList.add('modal-open');
+        this.updateTileExportSummary();
+    }
+
+    /**
+     * 隐藏分块打印模态框 - V1.6新增
+     */
+    hideTileExportDialog() {
+        const modal = document.getElementById('tile-export-modal');
+        if (!modal) return;
+
+        modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+
+    /**
+     * 读取分块打印选项 - V1.6新增
+     * @returns {Object} 导出选项
+     */
+    getTileExportOptions() {
+        const modal = document.getElementById('tile-export-modal');
+        return {
+            posterSize: modal.querySelector('#tile-export-size').value,
+            customWidth: parseFloat(modal.querySelector('#tile-export-width').value) ||
+                this.exportManager.exportOptions.tiles.customWidth,
+            sheet: modal.querySelector('#tile-export-sheet').value,
+            overlap: parseFloat(modal.querySelector('#tile-export-overlap').value),
+            stitch: modal.querySelector('#tile-export-stitch').checked
+        };
+    }
+
+    /**
+     * 按当前选项显示海报尺寸和需要的纸张数量 - V1.6新增
+     */
+    updateTileExportSummary() {
+        const modal = document.getElementById('tile-export-modal');
+        const options = this.getTileExportOptions();
+        const isCustom = options.posterSize === 'custom';
+        modal.querySelector('#tile-export-width').disabled = !isCustom;
+        modal.querySelector('.tile-export-width-label').classList.toggle('disabled', !isCustom);
+
+        const canvas = document.getElementById('year-circle-canvas');
+        const bounds = this.exportManager.getActualContentBounds(canvas);
+        const summary = modal.querySelector('.tile-export-summary');
+        if (!(bounds.width > 0 && bounds.height > 0)) {
+            summary.textContent = '';
+            return;
+        }
+
+        const plan = this.exportManager.planTiledPoster(options, bounds);
+        const toCentimeters = points => (points * 2.54 / 72).toFixed(1);
+        summary.textContent = `海报 ${toCentimeters(plan.poster.width)} × ${toCentimeters(plan.poster.height)} 厘米，` +
+            `需要${plan.rows}行${plan.cols}列共 ${plan.rows * plan.cols} 张${plan.sheet.name}纸` +
+            `（${plan.sheet.orientation === 'landscape' ? '横向' : '纵向'}打印），另加1页拼接说明`;
+    }
+
+    /**
+     * 按选择的尺寸导出分块打印海报 - V1.6新增
+     */
+    async handleTileExport() {
+        const options = this.getTileExportOptions();
+        this.hideTileExportDialog();
+
+        try {
+            const { rows, cols } = await this.exportManager.downloadTiledPoster(options);
+            this.showMessage(`已导出${rows}行${cols}列共${rows * cols}个分块`, 'success');
+        } catch (error) {
+            console.error('分块打印导出失败:', error);
+            this.showMessage(`分块打印导出失败：${error.message || '未知错误'}`, 'error');
+        }
+    }
+
+    /**
+     * 初始化导出日历模态框 - V1.6新增
+     */
+    initICalExportModal() {
+        const modal = document.getElementById('ical-export-modal');
+        if (!modal) return;
+
+        modal.querySelector('.modal-close').addEventListener('click', () => this.hideICalExportDialog());
+        modal.querySelector('.cancel-btn').addEventListener('click', () => this.hideICalExportDialog());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.hideICalExportDialog();
+            }
+        });
+
+        modal.querySelector('#ical-export-confirm').addEventListener('click', () => this.handleICalExport());
+    }
+
+    /**
+     * 显示导出日历模态框 - V1.6新增
+     */
+    async showICalExportDialog() {
+        const modal = document.getElementById('ical-export-modal');
+        if (!modal) return;
+
+        const currentYear = this.circleRenderer.currentYear;
+        const years = await this.getICalExportYears();
+        modal.querySelector('.ical-export-scope-current').textContent =
+            `当前年份（${currentYear}，${this.recordManager.getAllRecords().length}条记录）`;
+        modal.querySelector('.ical-export-scope-all').textContent = years.length > 1
+            ? `所有已保存年份（${years[0]}-${years[years.length - 1]}，共${years.length}年）`
+            : '所有已保存年份（目前只有当前年份）';
+
+        modal.classList.add('active');
+        document.body.classList.add('modal-open');
+    }
+
+    /**
+     * 隐藏导出日历模态框 - V1.6新增
+     */
+    hideICalExportDialog() {
+        const modal = document.getElementById('ical-export-modal');
+        if (!modal) return;
+
+        modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+
+    /**
+     * 获取可导出为日历的年份（浏览器存储和存储目录中已保存的年份，以及当前年份） - V1.6新增
+     * @returns {Promise<Array<number>>} 升序排列的年份
+     */
+    async getICalExportYears() {
+        const years = new Set(await this.storageManager.getAllSavedYears());
+        years.add(this.circleRenderer.currentYear);
+        return Array.from(years).sort((a, b) => a - b);
+    }
+
+    /**
+     * 按选择的范围导出.ics日历文件 - V1.6新增
+     */
+    async handleICalExport() {
+        const modal = document.getElementById('ical-export-modal');
+        const scope = modal.querySelector('input[name="ical-export-scope"]:checked')?.value;
+        const years = scope === 'all' ? await this.getICalExportYears() : [this.circleRenderer.currentYear];
+
+        try {
+            const count = await this.exportManager.downloadICS(years);
+            if (count === 0) {
+                this.showMessage('没有可导出的记录', 'warning');
+                return;
+            }
+
+            this.hideICalExportDialog();
+            this.showMessage(`已导出${count}个日历事件`, 'success');
+        } catch (error) {
+            console.error('导出日历失败:', error);
+            this.showMessage('导出日历失败，请重试', 'error');
+        }
+    }
+
+    /**
+     * 初始化批量导出模态框 - V1.6新增
+     */
+    initBatchExportModal() {
+        const modal = document.getElementById('batch-export-modal');
+        if (!modal) return;
+
+        modal.querySelector('.modal-close').addEventListener('click', () => this.hideBatchExportDialog());
+        modal.querySelector('.cancel-btn').addEventListener('click', () => this.hideBatchExportDialog());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.hideBatchExportDialog();
+            }
+        });
+
+        modal.querySelector('#batch-export-confirm').addEventListener('click', () => this.handleBatchExport());
+    }
+
+    /**
+     * 显示批量导出模态框，列出浏览器存储和存储目录中的所有年份 - V1.6新增
+     */
+    async showBatchExportDialog() {
+        const modal = document.getElementById('batch-export-modal');
+        if (!modal) return;
+
+        const currentYear = this.circleRenderer.currentYear;
+        const years = await this.getBatchExportYears();
+        const list = modal.querySelector('.batch-export-years');
+        list.innerHTML = '';
+        years.forEach(year => {
+            const label = DOMUtils.createElement('label', { className: 'batch-export-year' });
+            label.appendChild(DOMUtils.createElement('input', { type: 'checkbox', value: year, checked: true }));
+            label.appendChild(DOMUtils.createElement('span', {}, year === currentYear ? `${year}（当前）` : String(year)));
+            list.appendChild(label);
+        });
+
+        modal.querySelector('.batch-export-progress').innerHTML = '';
+        modal.classList.add('active');
+        document.body.classList.add('modal-open');
+    }
+
+    /**
+     * 隐藏批量导出模态框，导出进行中时不关闭 - V1.6新增
+     */
+    hideBatchExportDialog() {
+        const modal = document.getElementById('batch-export-modal');
+        if (!modal || this.appState.isBatchExporting) return;
+
+        modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+
+    /**
+     * 获取可批量导出的年份（浏览器存储、存储目录中的文件和当前年份） - V1.6新增
+     * @returns {Promise<Array<number>>} 升序排列的年份
+     */
+    async getBatchExportYears() {
+        const years = new Set(await this.storageManager.getAllSavedYears());
+        years.add(this.circleRenderer.currentYear);
+        return Array.from(years).sort((a, b) => a - b);
+    }
+
+    /**
+     * 按选择的年份和格式批量导出，逐年显示进度和失败原因 - V1.6新增
+     */
+    async handleBatchExport() {
+        const modal = document.getElementById('batch-export-modal');
+        const years = Array.from(modal.querySelectorAll('.batch-export-years input:checked'))
+            .map(input => parseInt(input.value, 10));
+        const format = modal.querySelector('input[name="batch-export-format"]:checked')?.value || 'both';
+
+        if (years.length === 0) {
+            this.showMessage('请至少选择一个年份', 'warning');
+            return;
+        }
+
+        const statusLabels = { waiting: '等待中', running: '正在导出...', done: '完成', failed: '失败' };
+        const progressList = modal.querySelector('.batch-export-progress');
+        progressList.innerHTML = '';
+        const items = new Map(years.map(year => {
+            const item = DOMUtils.createElement('li', { className: 'batch-export-item waiting' });
+            item.appendChild(DOMUtils.createElement('span', { className: 'batch-export-item-year' }, `${year}年`));
+            item.appendChild(DOMUtils.createElement('span', { className: 'batch-export-item-status' }, statusLabels.waiting));
+            progressList.appendChild(item);
+            return [year, item];
+        }));
+
+        const buttons = modal.querySelectorAll('#batch-export-confirm, .cancel-btn, .modal-close');
+        buttons.forEach(button => { button.disabled = true; });
+        this.appState.isBatchExporting = true;
+
+        try {
+            const { blob, results } = await this.exportManager.batchExport(years, format, (year, status, message) => {
+                const item = items.get(year);
+                item.className = `batch-export-item ${status}`;
+                item.querySelector('.batch-export-item-status').textContent =
+                    message ? `${statusLabels[status]}：${message}` : statusLabels[status];
+            });
+
+            const failed = results.filter(result => !result.success).length;
+            if (blob) {
+                const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
+                FileUtils.downloadFile(blob, `年度记录_批量导出_${timestamp}.zip`, 'application/zip');
+            }
+
+            if (failed === 0) {
+                this.showMessage(`已导出${results.length}个年份`, 'success');
+            } else if (blob) {
+                this.showMessage(`已导出${results.length - failed}个年份，${failed}个年份失败`, 'warning');
+            } else {
+                this.showMessage('所选年份均导出失败', 'error');
+            }
+        } catch (error) {
+            console.error('批量导出失败:', error);
+            this.showMessage(`批量导出失败：${error.message}`, 'error');
+        } finally {
+            this.appState.isBatchExporting = false;
+            buttons.forEach(button => { button.disabled = false; });
+        }
+    }
+
     /**
      * 导入数据
      * @param {File} file - JSON文件
@@ -899,10 +1854,16 @@ class YearCircleApp {
             const text = await file.text();
             const data = JSON.parse(text);
             
-            // 验证数据格式
+            // 验证数据格式（导出文件使用currentYear字段记录年份）
             if (!data.records || !Array.isArray(data.records)) {
                 throw new Error('无效的数据格式');
             }
+            data.year = data.year || data.currentYear || this.currentYear;
+            
+            // V1.6新增：校验记录并将旧版像素坐标迁移为相对坐标
+            if (!this.storageManager.validateDataFormat(data)) {
+                throw new Error('无效的数据格式');
+            }
             
             // 确认导入
             const confirmed = confirm(`将导入 ${data.records.length} 条记录，这将覆盖当前数据。确定继续吗？`);
@@ -912,7 +1873,22 @@ class YearCircleApp {
             }
             
             // 导入数据
+            this.recordManager.loadDayGroups(data.dayGroups);
+            this.paletteManager.loadPalette(data.palette);
+            this.themeManager.loadTheme(data.theme, data.customTheme);
+            this.tagManager.mergeTags(data.tags);
+            const ringModeChanged = this.circleRenderer.setRingMode(data.ringMode);
+            const layoutChanged = this.circleRenderer.setTrueTimeLayout(data.trueTimeLayout);
+            const lunarMarksChanged = this.circleRenderer.setLunarMarks(data.lunarMarks);
+            if (ringModeChanged || layoutChanged || lunarMarksChanged) {
+                // 圆环模式或布局变化时先重绘圆环，使记录锚定到新的日期小点
+                this.circleRenderer.render();
+                this.updateRingControls();
+            }
             this.recordManager.loadRecords(data.records);
+            if (this.historyManager) {
+                this.historyManager.clear();
+            }
             
             // 如果数据包含年份信息，切换到对应年份
             if (data.currentYear && data.currentYear !== this.currentYear) {
@@ -939,10 +1915,18 @@ class YearCircleApp {
      * 清空所有记录
      */
     clearAllRecords() {
-        const confirmed = confirm('确定要清空所有记录吗？此操作不可撤销。');
+        const confirmed = confirm('确定要清空所有记录吗？可以使用 Ctrl+Z 撤销。');
         if (!confirmed) return;
         
+        const snapshots = this.recordManager.exportRecords();
+        
         this.recordManager.clearAllRecords();
+        this.refreshCircle();
+        
+        if (this.historyManager) {
+            this.historyManager.recordBulkDeletion(snapshots, '清空记录');
+        }
+        
         this.saveData();
         this.updateStatistics();
         
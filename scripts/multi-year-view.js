@@ -0,0 +1,469 @@
+/**
+ * 多年视图 - V1.6新增
+ * 通过StorageManager.loadYearData读取连续多个年份的数据，在同一张图中
+ * 以同心圆环或阿基米德螺旋绘制，每个年份的记录锚定在各自的圆环上，并可导出为PNG
+ */
+
+class MultiYearView {
+    constructor(storageManager, recordManager) {
+        this.storageManager = storageManager;
+        this.recordManager = recordManager;
+
+        this.view = document.getElementById('multi-year-view');
+        this.canvas = document.getElementById('multi-year-canvas');
+        this.svg = this.canvas ? this.canvas.querySelector('svg') : null;
+        this.isOpen = false;
+
+        // 使用固定的viewBox坐标绘制，随容器等比缩放
+        this.size = 1000;
+        this.centerX = this.size / 2;
+        this.centerY = this.size / 2;
+        this.innerRadius = 110;
+        this.outerRadius = 390;
+        this.monthLabelRadius = 435;
+        this.maxLabelLength = 8;
+
+        this.yearCount = 5;
+        this.minYears = 2;
+        this.maxYears = 10;
+        this.endYear = null;
+        this.layout = 'rings'; // 'rings' 同心圆环 | 'spiral' 螺旋
+        this.showLabels = true;
+
+        this.years = []; // [{year, records, palette}]，从早到晚排列
+        this.loadToken = 0; // 丢弃过期的异步加载结果
+
+        if (this.view && this.svg) {
+            this.initControls();
+            this.setupEventListeners();
+        }
+    }
+
+    /**
+     * 初始化年数选项
+     */
+    initControls() {
+        const countSelect = this.view.querySelector('#multi-year-count');
+        for (let count = this.minYears; count <= this.maxYears; count++) {
+            const option = DOMUtils.createElement('option', { value: count }, `${count}年`);
+            countSelect.appendChild(option);
+        }
+        countSelect.value = this.yearCount;
+    }
+
+    /**
+     * 设置事件监听
+     */
+    setupEventListeners() {
+        this.view.querySelector('#multi-year-end').addEventListener('change', (e) => {
+            const year = parseInt(e.target.value);
+            if (year >= 1900 && year <= 2100) {
+                this.endYear = year;
+                this.load();
+            } else {
+                e.target.value = this.endYear;
+                this.showMessage('年份必须在1900-2100之间', 'warning');
+            }
+        });
+        this.view.querySelector('#multi-year-count').addEventListener('change', (e) => {
+            this.yearCount = parseInt(e.target.value) || this.yearCount;
+            this.load();
+        });
+        this.view.querySelector('#multi-year-layout').addEventListener('change', (e) => {
+            this.layout = e.target.value === 'spiral' ? 'spiral' : 'rings';
+            this.render();
+        });
+        this.view.querySelector('#multi-year-labels').addEventListener('change', (e) => {
+            this.showLabels = e.target.checked;
+            this.render();
+        });
+        this.view.querySelector('#multi-year-export').addEventListener('click', () => this.exportPNG());
+        this.view.querySelector('.multi-year-close').addEventListener('click', () => this.close());
+        this.view.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+
+        // 主题变化时同步多年视图的配色
+        document.addEventListener('themeChanged', () => {
+            if (this.isOpen) {
+                this.applyTheme();
+            }
+        });
+
+        const openBtn = document.getElementById('open-multi-year');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => this.open());
+        }
+    }
+
+    /**
+     * 打开多年视图，默认显示截至当前年份的最近几年
+     * @param {number} endYear - 最后一个年份（可选）
+     */
+    open(endYear = null) {
+        if (!this.view) return;
+
+        this.endYear = endYear || window.app?.currentYear || new Date().getFullYear();
+        this.view.querySelector('#multi-year-end').value = this.endYear;
+
+        this.isOpen = true;
+        this.view.classList.add('active');
+        this.view.focus();
+        this.applyTheme();
+        return this.load();
+    }
+
+    /**
+     * 关闭多年视图
+     */
+    close() {
+        if (!this.view) return;
+
+        this.isOpen = false;
+        this.loadToken++;
+        this.view.classList.remove('active');
+    }
+
+    /**
+     * 将当前画布主题应用到多年视图
+     */
+    applyTheme() {
+        if (window.themeManager) {
+            window.themeManager.applyVariables(this.canvas);
+        }
+    }
+
+    /**
+     * 获取要显示的年份列表（从早到晚）
+     * @returns {number[]}
+     */
+    getYearRange() {
+        const years = [];
+        for (let year = this.endYear - this.yearCount + 1; year <= this.endYear; year++) {
+            years.push(year);
+        }
+        return years;
+    }
+
+    /**
+     * 加载各年份的数据并重新绘制
+     * 当前年份使用内存中的最新记录，其他年份从存储读取
+     */
+    async load() {
+        const token = ++this.loadToken;
+        this.renderStatus('正在加载...');
+
+        const currentYear = window.app?.currentYear;
+        const years = [];
+
+        for (const year of this.getYearRange()) {
+            if (year === currentYear) {
+                years.push({
+                    year,
+                    records: this.recordManager.exportRecords(),
+                    palette: window.paletteManager?.exportPalette() || []
+                });
+                continue;
+            }
+
+            const data = await this.storageManager.loadYearData(year);
+            years.push({
+                year,
+                records: data && Array.isArray(data.records) ? data.records : [],
+                palette: data && Array.isArray(data.palette) ? data.palette : []
+            });
+        }
+
+        if (token !== this.loadToken) return;
+
+        this.years = years;
+        this.render();
+    }
+
+    /**
+     * 在画布中央显示状态文字
+     * @param {string} message - 状态文字
+     */
+    renderStatus(message) {
+        this.prepareSvg();
+        const text = this.createText(this.centerX, this.centerY, message, 'multi-year-status');
+        this.svg.appendChild(text);
+    }
+
+    /**
+     * 清空SVG并设置viewBox
+     */
+    prepareSvg() {
+        this.svg.innerHTML = '';
+        this.svg.setAttribute('viewBox', `0 0 ${this.size} ${this.size}`);
+    }
+
+    /**
+     * 绘制多年视图
+     */
+    render() {
+        if (!this.svg) return;
+
+        this.prepareSvg();
+        if (this.years.length === 0) return;
+
+        this.drawMonthGuides();
+        this.years.forEach((yearData, index) => this.drawYear(yearData, index));
+
+        // 中心显示年份范围
+        const first = this.years[0].year;
+        const last = this.years[this.years.length - 1].year;
+        this.svg.appendChild(this.createText(this.centerX, this.centerY, `${first}–${last}`, 'multi-year-center-text'));
+    }
+
+    /**
+     * 每个年份占据的径向宽度
+     * @returns {number}
+     */
+    getBandWidth() {
+        return (this.outerRadius - this.innerRadius) / this.years.length;
+    }
+
+    /**
+     * 计算日期在年份内的位置比例（1月1日位于12点位置，按实际天数均匀分布）
+     * @param {string} dateString - 日期字符串 (YYYY-MM-DD格式)
+     * @returns {number} 0-1之间的比例
+     */
+    getYearFraction(dateString) {
+        const { year, month, day } = DateUtils.parseDate(dateString);
+        return (DateUtils.getDayOfYear(year, month, day) - 1) / DateUtils.getDaysInYear(year);
+    }
+
+    /**
+     * 获取年份圆环（或螺旋）上某一位置的坐标
+     * 同心圆环模式下每年半径固定；螺旋模式下半径随时间线性增长，相邻年份首尾相接
+     * @param {number} index - 年份序号（0为最早的年份）
+     * @param {number} fraction - 年内位置比例
+     * @returns {Object} {x, y, angle, radius}
+     */
+    getPoint(index, fraction) {
+        const band = this.getBandWidth();
+        const radius = this.layout === 'spiral'
+            ? this.innerRadius + band * (index + fraction)
+            : this.innerRadius + band * (index + 0.5);
+        const angle = fraction * 360 - 90;
+        const point = MathUtils.getPointOnCircle(this.centerX, this.centerY, radius, angle);
+
+        return { x: point.x, y: point.y, angle, radius };
+    }
+
+    /**
+     * 生成年份内两个位置之间沿圆环（或螺旋）的路径
+     * @param {number} index - 年份序号
+     * @param {number} from - 起始比例
+     * @param {number} to - 结束比例
+     * @returns {string} SVG路径
+     */
+    getPathBetween(index, from, to) {
+        const steps = Math.max(1, Math.ceil((to - from) * 180)); // 每2度一个采样点
+        const points = [];
+        for (let i = 0; i <= steps; i++) {
+            const point = this.getPoint(index, from + (to - from) * i / steps);
+            points.push(`${i === 0 ? 'M' : 'L'} ${point.x.toFixed(2)} ${point.y.toFixed(2)}`);
+        }
+        return points.join(' ');
+    }
+
+    /**
+     * 绘制月份分隔线和月份标签（按平年的月份边界）
+     */
+    drawMonthGuides() {
+        const monthNames = window.circleRenderer?.monthNames || [];
+        let dayIndex = 0;
+
+        for (let month = 1; month <= 12; month++) {
+            const daysInMonth = DateUtils.getDaysInMonth(2001, month);
+            const angle = (dayIndex / 365) * 360 - 90;
+            const start = MathUtils.getPointOnCircle(this.centerX, this.centerY, this.innerRadius, angle);
+            const end = MathUtils.getPointOnCircle(this.centerX, this.centerY, this.outerRadius, angle);
+
+            this.svg.appendChild(DOMUtils.createSVGElement('line', {
+                x1: start.x,
+                y1: start.y,
+                x2: end.x,
+                y2: end.y,
+                class: 'multi-year-month-line'
+            }));
+
+            const labelAngle = ((dayIndex + daysInMonth / 2) / 365) * 360 - 90;
+            const labelPoint = MathUtils.getPointOnCircle(this.centerX, this.centerY, this.monthLabelRadius, labelAngle);
+            this.svg.appendChild(this.createText(labelPoint.x, labelPoint.y, monthNames[month - 1] || String(month), 'month-text'));
+
+            dayIndex += daysInMonth;
+        }
+    }
+
+    /**
+     * 绘制一个年份的圆环、年份标签和记录
+     * @param {Object} yearData - {year, records, palette}
+     * @param {number} index - 年份序号
+     */
+    drawYear(yearData, index) {
+        const group = DOMUtils.createSVGElement('g', {
+            class: 'multi-year-group',
+            'data-year': yearData.year
+        });
+
+        group.appendChild(DOMUtils.createSVGElement('path', {
+            d: this.getPathBetween(index, 0, 1),
+            class: this.layout === 'spiral' ? 'multi-year-ring multi-year-spiral' : 'multi-year-ring'
+        }));
+
+        // 年份标签位于该年起点（12点位置）左侧
+        const start = this.getPoint(index, 0);
+        group.appendChild(this.createText(start.x - 6, start.y, String(yearData.year), 'multi-year-year-label', 'end'));
+
+        const colors = new Map(yearData.palette.map(entry => [entry.key, entry.color]));
+        yearData.records
+            .filter(record => record && typeof record.date === 'string')
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .forEach(record => this.drawRecord(group, record, index, colors));
+
+        this.svg.appendChild(group);
+    }
+
+    /**
+     * 绘制一条记录：多日记录先绘制日期范围弧线，再在开始日期绘制圆点和文字
+     * @param {SVGElement} group - 年份分组
+     * @param {Object} record - 记录对象
+     * @param {number} index - 年份序号
+     * @param {Map} colors - 该年份配色 key -> 颜色值
+     */
+    drawRecord(group, record, index, colors) {
+        const color = this.getRecordColor(record, colors);
+        const fraction = this.getYearFraction(record.date);
+        const text = this.getRecordText(record);
+        const title = DOMUtils.createSVGElement('title');
+        title.textContent = `${record.endDate ? `${record.date} 至 ${record.endDate}` : record.date} ${text}`.trim();
+
+        if (record.endDate && record.endDate > record.date) {
+            // 跨年份的结束日期截止到该年末尾
+            const endFraction = record.endDate.slice(0, 4) === record.date.slice(0, 4)
+                ? this.getYearFraction(record.endDate)
+                : 1;
+            const range = DOMUtils.createSVGElement('path', {
+                d: this.getPathBetween(index, fraction, endFraction),
+                class: 'multi-year-range'
+            });
+            range.style.stroke = color;
+            group.appendChild(range);
+        }
+
+        const point = this.getPoint(index, fraction);
+        const dot = DOMUtils.createSVGElement('circle', {
+            cx: point.x,
+            cy: point.y,
+            r: 5,
+            class: 'multi-year-record',
+            'data-record-id': record.id
+        });
+        dot.style.fill = color;
+        dot.appendChild(title);
+        group.appendChild(dot);
+
+        if (this.showLabels && text) {
+            group.appendChild(this.createRecordLabel(point, text));
+        }
+    }
+
+    /**
+     * 创建沿半径方向排列的记录文字，左半圆翻转180度保证文字正向
+     * @param {Object} point - 记录圆点位置 {x, y, angle}
+     * @param {string} text - 记录文字
+     * @returns {SVGElement}
+     */
+    createRecordLabel(point, text) {
+        const offset = MathUtils.getPointOnCircle(point.x, point.y, 9, point.angle);
+        const flipped = point.angle > 90 && point.angle < 270;
+        const label = this.createText(offset.x, offset.y, this.truncate(text), 'multi-year-record-label', flipped ? 'end' : 'start');
+        label.setAttribute('transform', `rotate(${flipped ? point.angle - 180 : point.angle} ${offset.x} ${offset.y})`);
+        return label;
+    }
+
+    /**
+     * 获取记录边框颜色值，优先使用该年份保存的配色
+     * @param {Object} record - 记录对象
+     * @param {Map} colors - 该年份配色
+     * @returns {string}
+     */
+    getRecordColor(record, colors) {
+        if (colors.has(record.borderColor)) {
+            return colors.get(record.borderColor);
+        }
+        if (window.paletteManager) {
+            return window.paletteManager.getColorValue(record.borderColor);
+        }
+        return 'var(--accent-color)';
+    }
+
+    /**
+     * 获取记录显示的单行文字
+     * @param {Object} record - 记录对象
+     * @returns {string}
+     */
+    getRecordText(record) {
+        return RecordManager.getRecordText(record).replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * 截断过长的文字
+     * @param {string} text - 原文字
+     * @returns {string}
+     */
+    truncate(text) {
+        return text.length > this.maxLabelLength ? `${text.slice(0, this.maxLabelLength)}…` : text;
+    }
+
+    /**
+     * 创建居中的SVG文字
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @param {string} content - 文字内容
+     * @param {string} className - CSS类名
+     * @param {string} anchor - 水平对齐方式
+     * @returns {SVGElement}
+     */
+    createText(x, y, content, className, anchor = 'middle') {
+        const text = DOMUtils.createSVGElement('text', {
+            x,
+            y,
+            class: className,
+            'text-anchor': anchor,
+            'dominant-baseline': 'central'
+        });
+        text.textContent = content;
+        return text;
+    }
+
+    /**
+     * 导出多年视图为PNG图片
+     */
+    async exportPNG() {
+        if (!window.exportManager || this.years.length === 0) return;
+
+        const first = this.years[0].year;
+        const last = this.years[this.years.length - 1].year;
+        await window.exportManager.downloadPNG(`多年视图_${first}-${last}.png`, this.canvas);
+    }
+
+    /**
+     * 显示提示消息
+     * @param {string} message - 消息内容
+     * @param {string} type - 消息类型
+     */
+    showMessage(message, type = 'info') {
+        if (window.app && typeof window.app.showMessage === 'function') {
+            window.app.showMessage(message, type);
+        }
+    }
+}
+
+// 导出到全局
+window.MultiYearView = MultiYearView;
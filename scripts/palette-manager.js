@@ -0,0 +1,606 @@
+/**
+ * 配色管理器 - V1.6新增
+ * 负责记录边框的自定义配色：增删、重命名、调整顺序和对比度检查。
+ * 配色随年度数据一同保存，未保存过配色的年份使用默认的莫兰迪配色；
+ * 数据中引用了配色里不存在的颜色时，按配色中的第一种颜色显示
+ */
+
+class PaletteManager {
+    constructor(recordManager) {
+        this.recordManager = recordManager;
+
+        // 默认配色（与早期版本固定的五种颜色保持相同的key，兼容旧数据）
+        this.defaultPalette = [
+            { key: 'classic', name: '经典', color: '#b5c2c4' },
+            { key: 'warm', name: '温暖', color: '#d6c2a6' },
+            { key: 'fresh', name: '清新', color: '#c2ccc9' },
+            { key: 'elegant', name: '优雅', color: '#cfc2d6' },
+            { key: 'soft', name: '柔和', color: '#e0d6c2' }
+        ];
+
+        this.palette = this.clonePalette(this.defaultPalette);
+
+        // 对比度检查：以卡片背景色为参照（主题覆盖了背景色时以主题为准）
+        this.cardBackground = '#ffffff';
+        this.minContrast = 1.25; // 低于此值时边框与卡片背景几乎无法区分
+        this.goodContrast = 3; // WCAG非文本元素对比度要求
+        this.similarThreshold = 1.05; // 两种颜色对比度低于此值视为过于接近
+
+        this.maxNameLength = 10;
+        this.maxColors = 12;
+
+        this.modal = document.getElementById('palette-modal');
+
+        this.setupEventListeners();
+        this.renderBorderColorOptions(this.getDefaultKey());
+    }
+
+    /**
+     * 设置事件监听
+     */
+    setupEventListeners() {
+        document.querySelectorAll('.open-palette-editor').forEach(button => {
+            button.addEventListener('click', () => this.openEditor());
+        });
+
+        if (!this.modal) return;
+
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.closeEditor());
+        this.modal.querySelector('.cancel-btn').addEventListener('click', () => this.closeEditor());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.closeEditor();
+            }
+        });
+
+        // 叠加在记录模态框之上时，Esc只关闭配色编辑
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.closeEditor();
+            }
+        });
+
+        this.modal.querySelector('#palette-add-btn').addEventListener('click', () => this.handleAddColor());
+        this.modal.querySelector('#palette-reset-btn').addEventListener('click', () => {
+            if (confirm('确定恢复默认配色吗？使用自定义颜色的记录将显示为第一种颜色。')) {
+                this.setPalette(this.defaultPalette);
+            }
+        });
+
+        // 新建颜色时实时显示对比度
+        const newColorInput = this.modal.querySelector('#palette-new-color');
+        newColorInput.addEventListener('input', () => {
+            this.updateContrastBadge(this.modal.querySelector('.palette-add .palette-contrast'), newColorInput.value);
+        });
+
+        const list = this.modal.querySelector('.palette-list');
+        list.addEventListener('change', (e) => {
+            const row = e.target.closest('.palette-item');
+            if (!row) return;
+
+            try {
+                if (e.target.classList.contains('palette-name-input')) {
+                    this.updateColor(row.dataset.colorKey, { name: e.target.value });
+                } else if (e.target.classList.contains('palette-color-input') ||
+                    e.target.classList.contains('palette-hex-input')) {
+                    this.updateColor(row.dataset.colorKey, { color: e.target.value });
+                }
+            } catch (error) {
+                this.showMessage(error.message, 'error');
+                this.renderEditorList();
+            }
+        });
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const key = button.closest('.palette-item').dataset.colorKey;
+            try {
+                if (button.dataset.action === 'up') {
+                    this.moveColor(key, -1);
+                } else if (button.dataset.action === 'down') {
+                    this.moveColor(key, 1);
+                } else if (button.dataset.action === 'remove') {
+                    this.handleRemoveColor(key);
+                }
+            } catch (error) {
+                this.showMessage(error.message, 'error');
+            }
+        });
+    }
+
+    /**
+     * 复制配色数组
+     * @param {Array<Object>} palette - 配色
+     * @returns {Array<Object>}
+     */
+    clonePalette(palette) {
+        return palette.map(entry => ({ key: entry.key, name: entry.name, color: entry.color }));
+    }
+
+    /**
+     * 获取当前配色（按显示顺序）
+     * @returns {Array<Object>} [{key, name, color}]
+     */
+    getPalette() {
+        return this.clonePalette(this.palette);
+    }
+
+    /**
+     * 获取颜色
+     * @param {string} key - 颜色key
+     * @returns {Object|null}
+     */
+    getColor(key) {
+        return this.palette.find(entry => entry.key === key) || null;
+    }
+
+    /**
+     * 获取默认颜色key（配色中的第一种颜色）
+     * @returns {string}
+     */
+    getDefaultKey() {
+        return this.palette[0].key;
+    }
+
+    /**
+     * 获取实际显示的颜色key，未知的key回退为第一种颜色
+     * @param {string} key - 颜色key
+     * @returns {string}
+     */
+    resolveKey(key) {
+        return this.getColor(key) ? key : this.getDefaultKey();
+    }
+
+    /**
+     * 获取颜色key对应的颜色值，未知的key回退为第一种颜色
+     * @param {string} key - 颜色key
+     * @returns {string} 十六进制颜色值
+     */
+    getColorValue(key) {
+        return this.getColor(this.resolveKey(key)).color;
+    }
+
+    /**
+     * 从年度数据加载配色，缺失或格式无效时使用默认配色
+     * @param {Array<Object>} palette - 年度数据中的配色
+     */
+    loadPalette(palette) {
+        const entries = Array.isArray(palette) ? palette : [];
+        const seen = new Set();
+        const valid = entries.filter(entry => {
+            const ok = entry && typeof entry.key === 'string' && entry.key && !seen.has(entry.key) &&
+                typeof entry.name === 'string' && ColorUtils.normalizeHex(entry.color);
+            if (ok) {
+                seen.add(entry.key);
+            }
+            return ok;
+        }).map(entry => ({
+            key: entry.key,
+            name: entry.name.trim().slice(0, this.maxNameLength) || entry.key,
+            color: ColorUtils.normalizeHex(entry.color)
+        }));
+
+        if (entries.length > 0 && valid.length < entries.length) {
+            console.warn(`[PaletteManager] 忽略了${entries.length - valid.length}个无效的配色项`);
+        }
+
+        this.palette = valid.length > 0 ? valid : this.clonePalette(this.defaultPalette);
+        this.onPaletteChanged(false);
+    }
+
+    /**
+     * 导出配色，随年度数据保存
+     * @returns {Array<Object>}
+     */
+    exportPalette() {
+        return this.getPalette();
+    }
+
+    /**
+     * 替换整套配色
+     * @param {Array<Object>} palette - 新配色
+     */
+    setPalette(palette) {
+        this.palette = this.clonePalette(palette);
+        this.onPaletteChanged();
+    }
+
+    /**
+     * 校验颜色名称
+     * @param {string} name - 颜色名称
+     * @returns {string} 去除首尾空白后的名称
+     */
+    validateName(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('请输入颜色名称');
+        }
+        if (trimmed.length > this.maxNameLength) {
+            throw new Error(`颜色名称不能超过${this.maxNameLength}个字符`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * 校验颜色值
+     * @param {string} color - 颜色值
+     * @returns {string} 规范化后的颜色值
+     */
+    validateColor(color) {
+        const normalized = ColorUtils.normalizeHex(color);
+        if (!normalized) {
+            throw new Error('请输入有效的十六进制颜色，例如 #b5c2c4');
+        }
+        return normalized;
+    }
+
+    /**
+     * 添加颜色
+     * @param {string} name - 颜色名称
+     * @param {string} color - 十六进制颜色值
+     * @returns {string} 颜色key
+     */
+    addColor(name, color) {
+        if (this.palette.length >= this.maxColors) {
+            throw new Error(`最多只能有${this.maxColors}种颜色`);
+        }
+
+        const entry = {
+            key: generateId('color'),
+            name: this.validateName(name),
+            color: this.validateColor(color)
+        };
+
+        this.palette.push(entry);
+        this.onPaletteChanged();
+
+        return entry.key;
+    }
+
+    /**
+     * 修改颜色名称或颜色值
+     * @param {string} key - 颜色key
+     * @param {Object} changes - {name, color}
+     */
+    updateColor(key, changes) {
+        const entry = this.getColor(key);
+        if (!entry) {
+            throw new Error(`颜色不存在: ${key}`);
+        }
+
+        if (changes.name !== undefined) {
+            entry.name = this.validateName(changes.name);
+        }
+        if (changes.color !== undefined) {
+            entry.color = this.validateColor(changes.color);
+        }
+
+        this.onPaletteChanged();
+    }
+
+    /**
+     * 调整颜色顺序
+     * @param {string} key - 颜色key
+     * @param {number} offset - 移动量，-1上移，1下移
+     */
+    moveColor(key, offset) {
+        const index = this.palette.findIndex(entry => entry.key === key);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= this.palette.length) {
+            return;
+        }
+
+        const [entry] = this.palette.splice(index, 1);
+        this.palette.splice(target, 0, entry);
+        this.onPaletteChanged();
+    }
+
+    /**
+     * 删除颜色，使用该颜色的记录改用第一种颜色
+     * @param {string} key - 颜色key
+     */
+    removeColor(key) {
+        if (this.palette.length <= 1) {
+            throw new Error('配色中至少需要保留一种颜色');
+        }
+
+        const index = this.palette.findIndex(entry => entry.key === key);
+        if (index < 0) {
+            return;
+        }
+        const affected = this.getRecordsUsing(key);
+        this.palette.splice(index, 1);
+
+        const fallbackKey = this.getDefaultKey();
+        affected.forEach(record => {
+            record.borderColor = fallbackKey;
+            record.updatedAt = new Date().toISOString();
+        });
+
+        this.onPaletteChanged();
+    }
+
+    /**
+     * 获取当前年份使用指定颜色的记录
+     * @param {string} key - 颜色key
+     * @returns {Array<Object>}
+     */
+    getRecordsUsing(key) {
+        return this.recordManager.getAllRecords().filter(record => this.resolveKey(record.borderColor) === key);
+    }
+
+    /**
+     * 检查颜色与卡片背景的对比度
+     * @param {string} color - 十六进制颜色值
+     * @returns {Object} {ratio, level: 'low' | 'ok' | 'good'}
+     */
+    getContrastInfo(color) {
+        const background = window.themeManager?.getExportBackground() || this.cardBackground;
+        const ratio = ColorUtils.getContrastRatio(color, background) || 1;
+        let level = 'ok';
+        if (ratio < this.minContrast) {
+            level = 'low';
+        } else if (ratio >= this.goodContrast) {
+            level = 'good';
+        }
+        return { ratio, level };
+    }
+
+    /**
+     * 查找与指定颜色过于接近的其他颜色
+     * @param {string} key - 颜色key
+     * @returns {Object|null} 过于接近的颜色
+     */
+    findSimilarColor(key) {
+        const entry = this.getColor(key);
+        if (!entry) return null;
+
+        return this.palette.find(other => other.key !== key &&
+            ColorUtils.getContrastRatio(entry.color, other.color) < this.similarThreshold) || null;
+    }
+
+    /**
+     * 配色变化后更新卡片、弧线、记录模态框和编辑器
+     * @param {boolean} markChanged - 是否触发自动保存（加载数据时为false）
+     */
+    onPaletteChanged(markChanged = true) {
+        // 合并卡片显示的是当前标签页记录的颜色
+        this.recordManager.container.querySelectorAll('.record-card').forEach(card => {
+            const record = this.recordManager.getRecord(card.dataset.activeRecordId || card.dataset.recordId);
+            if (record) {
+                this.recordManager.applyBorderColor(card, record.borderColor);
+            }
+        });
+        this.recordManager.getAllRecords()
+            .filter(record => record.endDate)
+            .forEach(record => this.recordManager.updateRangeArc(record));
+
+        const recordModal = document.getElementById('record-modal');
+        const checked = recordModal?.querySelector('input[name="border-color"]:checked');
+        this.renderBorderColorOptions(checked ? checked.value : this.getDefaultKey());
+
+        if (this.modal && this.modal.classList.contains('active')) {
+            this.renderEditorList();
+        }
+
+        document.dispatchEvent(new CustomEvent('paletteChanged', {
+            detail: { palette: this.getPalette() }
+        }));
+
+        if (markChanged && window.storageManager) {
+            window.storageManager.triggerAutoSave();
+        }
+    }
+
+    /**
+     * 渲染记录模态框中的边框颜色选项
+     * @param {string} selectedKey - 选中的颜色key，不在配色中时选中第一种颜色
+     * @param {HTMLElement} container - 选项容器，默认为记录模态框（V1.6新增，导入日历等对话框复用）
+     * @param {string} inputName - 单选框的name，同一页面的多组选项需不同
+     */
+    renderBorderColorOptions(selectedKey, container = document.querySelector('#record-modal .border-color-options'), inputName = 'border-color') {
+        if (!container) return;
+
+        const checkedKey = this.resolveKey(selectedKey);
+        container.innerHTML = '';
+
+        this.palette.forEach(entry => {
+            const option = DOMUtils.createElement('div', {
+                className: 'border-color-option',
+                'data-color': entry.key,
+                title: entry.name
+            });
+            const input = DOMUtils.createElement('input', {
+                type: 'radio',
+                name: inputName,
+                value: entry.key,
+                id: inputName === 'border-color' ? `color-${entry.key}` : `${inputName}-${entry.key}`
+            });
+            input.checked = entry.key === checkedKey;
+            const preview = DOMUtils.createElement('div', { className: 'border-color-preview' });
+            preview.style.color = entry.color;
+
+            option.appendChild(input);
+            option.appendChild(preview);
+            option.appendChild(DOMUtils.createElement('div', { className: 'border-color-name' }, entry.name));
+            container.appendChild(option);
+        });
+    }
+
+    /**
+     * 打开配色编辑器
+     */
+    openEditor() {
+        if (!this.modal) return;
+
+        this.renderEditorList();
+        const newColorInput = this.modal.querySelector('#palette-new-color');
+        this.updateContrastBadge(this.modal.querySelector('.palette-add .palette-contrast'), newColorInput.value);
+        this.modal.classList.add('active');
+        document.body.classList.add('modal-open');
+        this.modal.querySelector('#palette-new-name').focus();
+    }
+
+    /**
+     * 关闭配色编辑器
+     */
+    closeEditor() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('active');
+
+        const recordModal = document.getElementById('record-modal');
+        if (!recordModal || !recordModal.classList.contains('active')) {
+            document.body.classList.remove('modal-open');
+        }
+    }
+
+    /**
+     * 渲染配色编辑列表
+     */
+    renderEditorList() {
+        const list = this.modal?.querySelector('.palette-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        this.palette.forEach((entry, index) => {
+            const row = DOMUtils.createElement('li', {
+                className: 'palette-item',
+                'data-color-key': entry.key
+            });
+
+            const colorInput = DOMUtils.createElement('input', {
+                type: 'color',
+                className: 'palette-color-input',
+                title: '选择颜色'
+            });
+            colorInput.value = entry.color;
+            const hexInput = DOMUtils.createElement('input', {
+                type: 'text',
+                className: 'palette-hex-input form-input',
+                maxlength: 7,
+                title: '十六进制颜色值'
+            });
+            hexInput.value = entry.color;
+            const nameInput = DOMUtils.createElement('input', {
+                type: 'text',
+                className: 'palette-name-input form-input',
+                maxlength: this.maxNameLength
+            });
+            nameInput.value = entry.name;
+
+            const badge = DOMUtils.createElement('span', { className: 'palette-contrast' });
+            this.updateContrastBadge(badge, entry.color);
+            const similar = this.findSimilarColor(entry.key);
+            if (similar) {
+                badge.classList.add('low');
+                badge.title += `；与"${similar.name}"过于接近`;
+            }
+
+            const usage = this.getRecordsUsing(entry.key).length;
+
+            row.appendChild(colorInput);
+            row.appendChild(hexInput);
+            row.appendChild(nameInput);
+            row.appendChild(badge);
+            row.appendChild(DOMUtils.createElement('span', {
+                className: 'palette-usage',
+                title: '当前年份使用该颜色的记录数'
+            }, `${usage}`));
+            row.appendChild(this.createActionButton('up', '上移', '↑', index === 0));
+            row.appendChild(this.createActionButton('down', '下移', '↓', index === this.palette.length - 1));
+            row.appendChild(this.createActionButton('remove', '删除', '🗑️', this.palette.length <= 1));
+            list.appendChild(row);
+        });
+
+        this.modal.querySelector('#palette-add-btn').disabled = this.palette.length >= this.maxColors;
+    }
+
+    /**
+     * 创建编辑列表中的操作按钮
+     * @param {string} action - 操作类型
+     * @param {string} title - 提示文字
+     * @param {string} label - 按钮文字
+     * @param {boolean} disabled - 是否禁用
+     * @returns {HTMLElement}
+     */
+    createActionButton(action, title, label, disabled) {
+        const button = DOMUtils.createElement('button', {
+            type: 'button',
+            className: 'btn btn-icon',
+            'data-action': action,
+            title
+        }, label);
+        button.disabled = disabled;
+        return button;
+    }
+
+    /**
+     * 更新对比度标记
+     * @param {HTMLElement} badge - 标记元素
+     * @param {string} color - 十六进制颜色值
+     */
+    updateContrastBadge(badge, color) {
+        if (!badge) return;
+
+        const { ratio, level } = this.getContrastInfo(color);
+        const messages = {
+            low: '与卡片背景对比度过低，边框可能难以辨认',
+            ok: '与卡片背景对比度适中',
+            good: '与卡片背景对比度良好'
+        };
+
+        badge.textContent = `${ratio.toFixed(1)}:1`;
+        badge.className = `palette-contrast ${level}`;
+        badge.title = messages[level];
+    }
+
+    /**
+     * 处理添加颜色
+     */
+    handleAddColor() {
+        const nameInput = this.modal.querySelector('#palette-new-name');
+        const colorInput = this.modal.querySelector('#palette-new-color');
+
+        try {
+            this.addColor(nameInput.value, colorInput.value);
+            nameInput.value = '';
+            nameInput.focus();
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * 处理删除颜色
+     * @param {string} key - 颜色key
+     */
+    handleRemoveColor(key) {
+        const entry = this.getColor(key);
+        const usage = this.getRecordsUsing(key).length;
+        const message = usage > 0
+            ? `确定删除颜色"${entry.name}"吗？当前年份有${usage}条记录使用该颜色，将改用"${this.palette.find(other => other.key !== key).name}"。`
+            : `确定删除颜色"${entry.name}"吗？`;
+
+        if (confirm(message)) {
+            this.removeColor(key);
+        }
+    }
+
+    /**
+     * 显示提示消息
+     * @param {string} message - 消息内容
+     * @param {string} type - 消息类型
+     */
+    showMessage(message, type = 'info') {
+        if (window.app) {
+            window.app.showMessage(message, type);
+        }
+    }
+}
+
+// 导出到全局
+window.PaletteManager = PaletteManager;
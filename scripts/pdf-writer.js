@@ -0,0 +1,196 @@
+/**
+ * PDF生成工具 - V1.6新增
+ * 在浏览器中离线生成PDF 1.4文件。每页由若干JPEG图片（DCTDecode，无需重新编码）和线段组成，
+ * 页面尺寸以点（1/72英寸）为单位；设置了出血时写入TrimBox和BleedBox，供印刷厂裁切
+ */
+
+class PDFWriter {
+    constructor() {
+        // 1号对象为Catalog，2号对象为页面树，在生成文件时写入
+        this.objects = [null, null];
+        this.pageIds = [];
+        this.info = {};
+    }
+
+    /**
+     * 纸张尺寸（单位：点）
+     * @returns {Object} {key: {name, width, height}}
+     */
+    static get PAPER_SIZES() {
+        return {
+            A4: { name: 'A4', width: 595.28, height: 841.89 },
+            A3: { name: 'A3', width: 841.89, height: 1190.55 },
+            Letter: { name: 'Letter', width: 612, height: 792 },
+            A2: { name: 'A2', width: 1190.55, height: 1683.78 },
+            A1: { name: 'A1', width: 1683.78, height: 2383.94 },
+            A0: { name: 'A0', width: 2383.94, height: 3370.39 }
+        };
+    }
+
+    /**
+     * 毫米转换为点
+     * @param {number} mm - 毫米
+     * @returns {number}
+     */
+    static mmToPoints(mm) {
+        return mm * 72 / 25.4;
+    }
+
+    /**
+     * 添加对象
+     * @param {string} dictionary - 对象的字典内容
+     * @param {Uint8Array|string|null} stream - 流数据
+     * @returns {number} 对象编号
+     */
+    addObject(dictionary, stream = null) {
+        this.objects.push({ dictionary, stream });
+        return this.objects.length;
+    }
+
+    /**
+     * 添加JPEG图片
+     * @param {Uint8Array} bytes - JPEG文件内容
+     * @param {number} width - 像素宽度
+     * @param {number} height - 像素高度
+     * @returns {number} 图片对象编号
+     */
+    addJPEG(bytes, width, height) {
+        return this.addObject(
+            `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${bytes.length} >>`,
+            bytes
+        );
+    }
+
+    /**
+     * 添加页面
+     * @param {Object} page - 页面定义
+     * @param {number} page.width - 页面宽度（含出血）
+     * @param {number} page.height - 页面高度（含出血）
+     * @param {number} page.bleed - 出血宽度，为0时不写入TrimBox
+     * @param {Array<Object>} page.images - 页面上的图片 [{id, x, y, width, height}]，坐标原点在左下角
+     * @param {Array<Object>} page.lines - 页面上的黑色线段 [{x1, y1, x2, y2, width}]，绘制在图片之上
+     * @returns {number} 页码（从1开始）
+     */
+    addPage({ width, height, bleed = 0, images = [], lines = [] }) {
+        const operations = [
+            ...images.map((image, index) =>
+                `q ${this.formatNumber(image.width)} 0 0 ${this.formatNumber(image.height)} ` +
+                `${this.formatNumber(image.x)} ${this.formatNumber(image.y)} cm /Im${index + 1} Do Q`),
+            ...lines.map(line =>
+                `0 G ${this.formatNumber(line.width || 0.5)} w ` +
+                `${this.formatNumber(line.x1)} ${this.formatNumber(line.y1)} m ` +
+                `${this.formatNumber(line.x2)} ${this.formatNumber(line.y2)} l S`)
+        ].join('\n');
+        const contentId = this.addObject(`<< /Length ${operations.length} >>`, operations);
+
+        const xObjects = images.map((image, index) => `/Im${index + 1} ${image.id} 0 R`).join(' ');
+        const mediaBox = `[0 0 ${this.formatNumber(width)} ${this.formatNumber(height)}]`;
+        const trimBox = bleed > 0
+            ? ` /TrimBox [${[bleed, bleed, width - bleed, height - bleed].map(value => this.formatNumber(value)).join(' ')}]` +
+              ` /BleedBox ${mediaBox}`
+            : '';
+
+        this.pageIds.push(this.addObject(
+            `<< /Type /Page /Parent 2 0 R /MediaBox ${mediaBox}${trimBox} ` +
+            `/Resources << /XObject << ${xObjects} >> >> /Contents ${contentId} 0 R >>`
+        ));
+        return this.pageIds.length;
+    }
+
+    /**
+     * 设置文档信息
+     * @param {Object} info - {title, subject, creator}
+     */
+    setInfo(info) {
+        this.info = { ...this.info, ...info };
+    }
+
+    /**
+     * 生成PDF文件
+     * @returns {Blob} application/pdf
+     */
+    toBlob() {
+        const encoder = new TextEncoder();
+        const infoEntries = [['Title', this.info.title], ['Subject', this.info.subject], ['Creator', this.info.creator]]
+            .filter(([, value]) => value)
+            .map(([key, value]) => `/${key} ${this.encodeText(value)}`);
+        const objects = [
+            { dictionary: '<< /Type /Catalog /Pages 2 0 R >>', stream: null },
+            {
+                dictionary: `<< /Type /Pages /Kids [${this.pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${this.pageIds.length} >>`,
+                stream: null
+            },
+            ...this.objects.slice(2),
+            { dictionary: `<< ${[...infoEntries, `/CreationDate (${this.formatDate(new Date())})`].join(' ')} >>`, stream: null }
+        ];
+
+        // 文件头第二行的高位字节提示传输工具按二进制处理
+        const parts = [encoder.encode('%PDF-1.4\n'), new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])];
+        let offset = parts.reduce((sum, part) => sum + part.length, 0);
+        const offsets = [];
+
+        objects.forEach((object, index) => {
+            offsets.push(offset);
+            const chunks = [encoder.encode(`${index + 1} 0 obj\n${object.dictionary}\n`)];
+            if (object.stream !== null) {
+                const stream = typeof object.stream === 'string' ? encoder.encode(object.stream) : object.stream;
+                chunks.push(encoder.encode('stream\n'), stream, encoder.encode('\nendstream\n'));
+            }
+            chunks.push(encoder.encode('endobj\n'));
+            chunks.forEach(chunk => {
+                parts.push(chunk);
+                offset += chunk.length;
+            });
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(value => `${String(value).padStart(10, '0')} 00000 n `)
+        ].join('\n');
+        parts.push(encoder.encode(
+            `${xref}\ntrailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n` +
+            `startxref\n${offset}\n%%EOF\n`
+        ));
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+
+    /**
+     * 编码文本字符串为UTF-16BE十六进制串，可包含中文
+     * @param {string} text - 文本
+     * @returns {string}
+     */
+    encodeText(text) {
+        let hex = 'FEFF';
+        for (let i = 0; i < text.length; i++) {
+            hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+        }
+        return `<${hex}>`;
+    }
+
+    /**
+     * 格式化PDF日期，如D:20260305143000
+     * @param {Date} date - 时间
+     * @returns {string}
+     */
+    formatDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+            `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    }
+
+    /**
+     * 格式化数值，最多保留两位小数
+     * @param {number} value - 数值
+     * @returns {string}
+     */
+    formatNumber(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+}
+
+// 导出到全局
+window.PDFWriter = PDFWriter;
@@ -21,24 +21,33 @@ class RecordManager {
         
         // 连接线绘制防抖
         this.connectionLineDebounceMap = new Map(); // 存储每个记录的防抖定时器
+        
+        // V1.6新增：同日记录分组显示
+        this.dayGroupModes = new Map(); // key: date, value: 'merged' | 'fanned'（独立显示不存储）
+        this.activeGroupTabs = new Map(); // key: date, value: 合并卡片当前显示的记录ID
+        this.fanSpread = 0.45; // 扇形展开时每张卡片相对前一张的水平错开比例
+        this.fanRotation = 4; // 扇形展开时每张卡片的旋转角度（度）
     }
 
     /**
      * 创建新记录
-     * @param {Object} recordData - 记录数据
+     * @param {Object} recordData - 记录数据，可带id以沿用导出文件中的记录ID（V1.6新增）
      * @returns {string} 记录ID
      */
     createRecord(recordData) {
-        const recordId = generateId('record');
+        // V1.6新增：沿用指定的ID，与现有记录冲突时重新生成
+        const recordId = recordData.id && !this.records.has(recordData.id) ? recordData.id : generateId('record');
         
         const record = {
             id: recordId,
             date: recordData.date,
+            endDate: recordData.endDate || null, // V1.6新增：多日记录的结束日期
             type: recordData.type,
             content: recordData.content,
-            position: recordData.position || this.getDefaultPosition(),
+            position: recordData.position || null,
             size: recordData.size || this.defaultSize[recordData.type],
-            borderColor: recordData.borderColor || 'classic', // 添加边框颜色字段，默认为经典色
+            borderColor: recordData.borderColor || this.getDefaultBorderColor(), // 边框颜色字段，默认为配色中的第一种颜色
+            tags: recordData.tags || [], // V1.6新增：标签ID列表
             connectionLine: recordData.connectionLine || {
                 isCustom: false,  // 是否为自定义连接线
                 segments: []      // 连接线段数据，每段包含 {type: 'horizontal'|'vertical', offset: number}
@@ -46,11 +55,27 @@ class RecordManager {
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
+        
+        // V1.6新增：未指定位置时由布局引擎在日期附近寻找空位
+        if (!record.position) {
+            record.position = this.getAutoPosition(record);
+        }
 
         this.records.set(recordId, record);
-        this.renderRecord(record);
+        
+        // V1.6新增：所在日期已启用分组显示时整组重新渲染
+        if (this.getDayGroupMode(record.date) !== 'separate') {
+            this.refreshDayGroup(record.date);
+        } else {
+            this.renderRecord(record);
+        }
         this.updateDateStatus(record.date, true);
         
+        // V1.6新增：记录到撤销历史
+        if (window.historyManager) {
+            window.historyManager.recordCreation(recordId);
+        }
+        
         return recordId;
     }
 
@@ -60,11 +85,23 @@ class RecordManager {
      * @param {boolean} drawConnectionLine - 是否绘制连接线，默认为true
      */
     renderRecord(record, drawConnectionLine = true) {
+        // V1.6新增：多日记录在圆环上绘制日期范围弧线（合并模式下的非组首记录同样需要）
+        this.updateRangeArc(record);
+        
+        // V1.6新增：合并模式下只渲染组首卡片，其余记录以标签页形式显示在组首卡片中
+        const groupInfo = this.getDayGroupInfo(record);
+        if (groupInfo.mode === 'merged' && groupInfo.index > 0) {
+            return;
+        }
+        const displayRecord = groupInfo.mode === 'merged'
+            ? this.getActiveGroupRecord(groupInfo)
+            : record;
+
         // 创建记录卡片容器
         const cardElement = DOMUtils.createElement('div', {
             className: 'record-card',
             'data-record-id': record.id,
-            'data-record-type': record.type
+            'data-record-type': displayRecord.type
         });
 
         // 设置位置和尺寸
@@ -74,11 +111,36 @@ class RecordManager {
         cardElement.style.height = `${record.size.height}px`;
         
         // 应用边框颜色样式
-        this.applyBorderColor(cardElement, record.borderColor);
+        this.applyBorderColor(cardElement, displayRecord.borderColor);
+        
+        // V1.6新增：锁定的卡片不参与拖拽和自动排列
+        cardElement.classList.toggle('locked', !!record.locked);
 
         // V1.2更新：仅创建记录内容，移除头部（编辑删除按钮和日期显示）
-        const content = this.createRecordContent(record);
+        if (groupInfo.mode === 'merged') {
+            cardElement.classList.add('day-group-merged');
+            cardElement.dataset.activeRecordId = displayRecord.id;
+            cardElement.appendChild(this.createGroupTabs(groupInfo, displayRecord));
+        }
+        const content = this.createRecordContent(displayRecord);
         cardElement.appendChild(content);
+        
+        // V1.6新增：卡片左下角显示标签色条
+        const tagStrip = window.tagManager?.createTagStrip(displayRecord);
+        if (tagStrip) {
+            cardElement.appendChild(tagStrip);
+        }
+        
+        // V1.6新增：扇形展开时组首卡片在最上层，其余卡片依次错开并旋转
+        if (groupInfo.mode === 'fanned') {
+            cardElement.classList.add('day-group-fanned');
+            cardElement.style.zIndex = `${groupInfo.group.length - groupInfo.index}`;
+            if (groupInfo.index > 0) {
+                cardElement.classList.add('day-group-member');
+                cardElement.dataset.groupLeadId = groupInfo.lead.id;
+                cardElement.style.setProperty('--fan-rotation', `${groupInfo.index * this.fanRotation}deg`);
+            }
+        }
 
         // 创建缩放手柄
         const resizeHandle = this.createResizeHandle(record);
@@ -118,8 +180,8 @@ class RecordManager {
         // 如果没有指定边框颜色，使用默认的classic
         const actualBorderColor = borderColor || 'classic';
         
-        // 移除所有边框颜色类
-        const borderColorClasses = ['border-classic', 'border-warm', 'border-fresh', 'border-elegant', 'border-soft'];
+        // 移除所有边框颜色类（V1.6更新：配色可自定义，按前缀移除）
+        const borderColorClasses = Array.from(cardElement.classList).filter(name => name.startsWith('border-'));
         cardElement.classList.remove(...borderColorClasses);
         
         // 添加对应的边框颜色类
@@ -127,16 +189,78 @@ class RecordManager {
         cardElement.classList.add(borderColorClass);
         
         // 设置CSS自定义属性，用于更精确的样式控制
-        const colorMap = {
-            'classic': 'var(--border-color-classic)',
-            'warm': 'var(--border-color-warm)',
-            'fresh': 'var(--border-color-fresh)',
-            'elegant': 'var(--border-color-elegant)',
-            'soft': 'var(--border-color-soft)'
-        };
+        cardElement.style.setProperty('--record-border-color', this.getBorderColorValue(actualBorderColor));
+    }
+
+    /**
+     * 获取边框颜色对应的CSS颜色值 - V1.6新增：供卡片边框和日期范围弧线共用
+     * V1.6更新：颜色取自配色管理器，配色中不存在的颜色回退为第一种颜色
+     * @param {string} borderColor - 边框颜色类型
+     * @returns {string} CSS颜色值
+     */
+    getBorderColorValue(borderColor) {
+        if (window.paletteManager) {
+            return window.paletteManager.getColorValue(borderColor);
+        }
         
-        const colorValue = colorMap[actualBorderColor] || colorMap['classic'];
-        cardElement.style.setProperty('--record-border-color', colorValue);
+        return 'var(--border-color-classic)';
+    }
+
+    /**
+     * 获取新记录的默认边框颜色 - V1.6新增
+     * @returns {string} 边框颜色类型
+     */
+    getDefaultBorderColor() {
+        return window.paletteManager ? window.paletteManager.getDefaultKey() : 'classic';
+    }
+
+    /**
+     * 获取可选的边框颜色列表 - V1.6新增：供搜索筛选等界面使用
+     * V1.6更新：按配色管理器中的顺序返回
+     * @returns {Array<Object>} [{key, name, value}]
+     */
+    getBorderColorOptions() {
+        const palette = window.paletteManager ? window.paletteManager.getPalette() : [];
+        
+        return palette.map(entry => ({
+            key: entry.key,
+            name: entry.name,
+            value: entry.color
+        }));
+    }
+
+    /**
+     * 绘制或移除记录的日期范围弧线 - V1.6新增
+     * @param {Object} record - 记录对象
+     */
+    updateRangeArc(record) {
+        if (!window.circleRenderer) return;
+        
+        if (record.endDate) {
+            window.circleRenderer.drawRangeArc(
+                record.id,
+                record.date,
+                record.endDate,
+                this.getBorderColorValue(record.borderColor)
+            );
+        } else {
+            window.circleRenderer.removeRangeArc(record.id);
+        }
+    }
+
+    /**
+     * 获取连接线在圆环上的起点 - V1.6新增
+     * 单日记录返回null（使用日期小点），多日记录返回日期范围弧线的中点
+     * @param {Object} record - 记录对象
+     * @returns {Object|null} {x, y}
+     */
+    getConnectionAnchor(record) {
+        if (!record.endDate || !window.circleRenderer) {
+            return null;
+        }
+        
+        const geometry = window.circleRenderer.getRangeArcGeometry(record.date, record.endDate);
+        return geometry ? geometry.midpoint : null;
     }
 
     /**
@@ -219,11 +343,264 @@ class RecordManager {
             this.selectRecord(record.id);
         });
 
-        // 双击编辑事件
+        // 双击编辑事件（合并卡片编辑当前标签页对应的记录）
         cardElement.addEventListener('dblclick', (e) => {
             e.stopPropagation();
-            this.editRecord(record.id);
+            this.editRecord(cardElement.dataset.activeRecordId || record.id);
+        });
+    }
+
+    /**
+     * 获取同日记录分组（按创建时间排序，第一条为组首） - V1.6新增
+     * @param {string} date - 日期字符串
+     * @returns {Array} 记录数组
+     */
+    getDayGroup(date) {
+        return this.getRecordsByDate(date).sort((a, b) => {
+            if (a.createdAt === b.createdAt) {
+                return a.id < b.id ? -1 : 1;
+            }
+            return a.createdAt < b.createdAt ? -1 : 1;
+        });
+    }
+
+    /**
+     * 获取日期设置的分组显示方式 - V1.6新增
+     * @param {string} date - 日期字符串
+     * @returns {string} 'separate' | 'merged' | 'fanned'
+     */
+    getDayGroupMode(date) {
+        return this.dayGroupModes.get(date) || 'separate';
+    }
+
+    /**
+     * 获取记录所在分组的信息 - V1.6新增
+     * 当天只有一条记录时始终视为独立显示
+     * @param {Object} record - 记录对象
+     * @returns {Object} {mode, group, lead, index}
+     */
+    getDayGroupInfo(record) {
+        const group = this.getDayGroup(record.date);
+        const mode = group.length > 1 ? this.getDayGroupMode(record.date) : 'separate';
+        
+        return {
+            mode,
+            group,
+            lead: group[0] || record,
+            index: Math.max(0, group.findIndex(item => item.id === record.id))
+        };
+    }
+
+    /**
+     * 获取合并卡片当前显示的记录 - V1.6新增
+     * @param {Object} groupInfo - 分组信息
+     * @returns {Object} 记录对象
+     */
+    getActiveGroupRecord(groupInfo) {
+        const activeId = this.activeGroupTabs.get(groupInfo.lead.date);
+        return groupInfo.group.find(item => item.id === activeId) || groupInfo.lead;
+    }
+
+    /**
+     * 创建合并卡片的标签栏 - V1.6新增
+     * @param {Object} groupInfo - 分组信息
+     * @param {Object} activeRecord - 当前显示的记录
+     * @returns {HTMLElement} 标签栏元素
+     */
+    createGroupTabs(groupInfo, activeRecord) {
+        const tabs = DOMUtils.createElement('div', { className: 'record-tabs' });
+        
+        groupInfo.group.forEach((item, index) => {
+            const preview = item.type === 'text'
+                ? item.content
+                : (item.content.description || '图片记录');
+            const tab = DOMUtils.createElement('button', {
+                className: `record-tab${item.id === activeRecord.id ? ' active' : ''}`,
+                type: 'button',
+                title: preview.slice(0, 40),
+                'data-tab-record-id': item.id
+            }, `${index + 1}`);
+            
+            tab.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.switchGroupTab(item.date, item.id);
+            });
+            
+            tabs.appendChild(tab);
         });
+        
+        return tabs;
+    }
+
+    /**
+     * 切换合并卡片显示的记录 - V1.6新增
+     * @param {string} date - 日期字符串
+     * @param {string} recordId - 要显示的记录ID
+     */
+    switchGroupTab(date, recordId) {
+        this.activeGroupTabs.set(date, recordId);
+        
+        const lead = this.getDayGroup(date)[0];
+        if (lead) {
+            this.removeRecordElement(lead.id);
+            this.renderRecord(lead, false);
+            
+            if (this.selectedRecord === lead.id) {
+                this.container.querySelector(`[data-record-id="${lead.id}"]`)?.classList.add('selected');
+            }
+        }
+    }
+
+    /**
+     * 设置某一天的分组显示方式 - V1.6新增
+     * @param {string} date - 日期字符串
+     * @param {string} mode - 'separate' | 'merged' | 'fanned'
+     * @param {boolean} recordHistory - 是否记录到撤销历史
+     */
+    setDayGroupMode(date, mode, recordHistory = true) {
+        const previousMode = this.getDayGroupMode(date);
+        if (previousMode === mode) {
+            return;
+        }
+        
+        const before = recordHistory ? this.getDayGroup(date).map(item => this.serializeRecord(item)) : null;
+        
+        if (mode === 'separate') {
+            this.dayGroupModes.delete(date);
+        } else {
+            this.dayGroupModes.set(date, mode);
+        }
+        
+        this.refreshDayGroup(date);
+        
+        if (recordHistory && window.historyManager) {
+            const after = this.getDayGroup(date).map(item => this.serializeRecord(item));
+            window.historyManager.push({
+                label: '切换同日记录显示方式',
+                undo: () => this.restoreDayGroup(date, previousMode, before),
+                redo: () => this.restoreDayGroup(date, mode, after)
+            });
+        }
+        
+        if (window.storageManager) {
+            window.storageManager.triggerAutoSave();
+        }
+    }
+
+    /**
+     * 按快照恢复分组显示方式和组内记录（供撤销/重做使用） - V1.6新增
+     * @param {string} date - 日期字符串
+     * @param {string} mode - 分组显示方式
+     * @param {Array} snapshots - 组内记录快照
+     */
+    restoreDayGroup(date, mode, snapshots) {
+        snapshots.forEach(snapshot => {
+            const record = this.records.get(snapshot.id);
+            if (record) {
+                Object.assign(record, this.deserializeRecord(snapshot));
+            }
+        });
+
+        // 直接写入显示方式，只重绘一次（撤销管理器负责触发保存）
+        if (mode === 'separate') {
+            this.dayGroupModes.delete(date);
+        } else {
+            this.dayGroupModes.set(date, mode);
+        }
+        this.refreshDayGroup(date);
+    }
+
+    /**
+     * 重新渲染某一天的全部记录卡片和连接线 - V1.6新增
+     * @param {string} date - 日期字符串
+     */
+    refreshDayGroup(date) {
+        const group = this.getDayGroup(date);
+        
+        group.forEach(item => {
+            this.removeRecordElement(item.id);
+            this.removeConnectionLine(item.id);
+        });
+        
+        if (group.length > 1 && this.getDayGroupMode(date) === 'fanned') {
+            this.layoutFannedGroup(group[0]);
+        }
+        
+        group.forEach(item => this.renderRecord(item));
+        
+        if (this.selectedRecord) {
+            this.container.querySelector(`[data-record-id="${this.selectedRecord}"]`)?.classList.add('selected');
+        }
+    }
+
+    /**
+     * 扇形展开：根据组首卡片位置排列其余卡片 - V1.6新增
+     * @param {Object} lead - 组首记录
+     */
+    layoutFannedGroup(lead) {
+        const group = this.getDayGroup(lead.date);
+        
+        group.slice(1).forEach((item, i) => {
+            const index = i + 1;
+            item.position = {
+                x: lead.position.x + lead.size.width * this.fanSpread * index,
+                y: lead.position.y + 6 * index
+            };
+            item.size = { ...lead.size };
+            
+            const element = this.container.querySelector(`[data-record-id="${item.id}"]`);
+            if (element) {
+                element.style.left = `${item.position.x}px`;
+                element.style.top = `${item.position.y}px`;
+                element.style.width = `${item.size.width}px`;
+                element.style.height = `${item.size.height}px`;
+            }
+        });
+    }
+
+    /**
+     * 判断记录是否需要绘制自己的连接线 - V1.6新增
+     * 合并和扇形展开模式下整组只由组首记录绘制一条连接线
+     * @param {Object} record - 记录对象
+     * @returns {boolean}
+     */
+    shouldDrawConnectionLine(record) {
+        const groupInfo = this.getDayGroupInfo(record);
+        return groupInfo.mode === 'separate' || groupInfo.index === 0;
+    }
+
+    /**
+     * 导出分组显示设置 - V1.6新增
+     * @returns {Object} {date: mode}
+     */
+    exportDayGroups() {
+        return Object.fromEntries(this.dayGroupModes);
+    }
+
+    /**
+     * 加载分组显示设置 - V1.6新增
+     * @param {Object|null} dayGroups - {date: mode}
+     */
+    loadDayGroups(dayGroups) {
+        this.dayGroupModes.clear();
+        this.activeGroupTabs.clear();
+        
+        Object.entries(dayGroups || {}).forEach(([date, mode]) => {
+            if (mode === 'merged' || mode === 'fanned') {
+                this.dayGroupModes.set(date, mode);
+            }
+        });
+    }
+
+    /**
+     * 为新记录计算位置 - V1.6新增
+     * 优先使用布局引擎的增量排列，圆环未渲染时退回网格默认位置
+     * @param {Object} record - 记录对象
+     * @returns {Object} 位置 {x, y}
+     */
+    getAutoPosition(record) {
+        const position = window.layoutEngine ? window.layoutEngine.placeRecord(record) : null;
+        return position || this.getDefaultPosition();
     }
 
     /**
@@ -257,14 +634,73 @@ class RecordManager {
             return;
         }
 
+        const before = window.historyManager?.snapshot(recordId);
+
         // 更新记录数据
         Object.assign(record, updateData, {
             updatedAt: new Date().toISOString()
         });
 
         // 重新渲染记录
-        this.removeRecordElement(recordId);
+        this.rerenderRecord(record);
+
+        if (window.historyManager) {
+            window.historyManager.recordChange(before, window.historyManager.snapshot(recordId));
+        }
+    }
+
+    /**
+     * 重新渲染单条记录（所在日期启用分组显示时整组重新渲染） - V1.6新增
+     * @param {Object} record - 记录对象
+     */
+    rerenderRecord(record) {
+        if (this.getDayGroupMode(record.date) !== 'separate') {
+            this.refreshDayGroup(record.date);
+            return;
+        }
+        
+        this.removeRecordElement(record.id);
+        this.removeConnectionLine(record.id);
         this.renderRecord(record);
+        
+        if (this.selectedRecord === record.id) {
+            this.container.querySelector(`[data-record-id="${record.id}"]`)?.classList.add('selected');
+        }
+    }
+
+    /**
+     * 锁定或解锁记录卡片位置 - V1.6新增
+     * 锁定的卡片不能拖拽，自动排列时保持原位
+     * @param {string} recordId - 记录ID
+     * @param {boolean} locked - 是否锁定
+     */
+    setRecordLocked(recordId, locked) {
+        const record = this.records.get(recordId);
+        if (!record || !!record.locked === locked) {
+            return;
+        }
+        
+        const before = window.historyManager?.snapshot(recordId);
+        
+        if (locked) {
+            record.locked = true;
+        } else {
+            delete record.locked;
+        }
+        record.updatedAt = new Date().toISOString();
+        
+        const element = this.container.querySelector(`[data-record-id="${recordId}"]`);
+        if (element) {
+            element.classList.toggle('locked', locked);
+        }
+        
+        if (window.historyManager) {
+            window.historyManager.recordChange(before, window.historyManager.snapshot(recordId), locked ? '锁定位置' : '解锁位置');
+        }
+        
+        if (window.storageManager) {
+            window.storageManager.triggerAutoSave();
+        }
     }
 
     /**
@@ -282,6 +718,30 @@ class RecordManager {
             return;
         }
 
+        // V1.6新增：删除前保存快照，支持撤销
+        const before = window.historyManager?.snapshot(recordId);
+        
+        this.removeRecord(recordId);
+        
+        if (window.historyManager) {
+            window.historyManager.recordDeletion(before);
+        }
+    }
+
+    /**
+     * 移除记录（不经确认，供删除和撤销使用） - V1.6新增
+     * @param {string} recordId - 记录ID
+     */
+    removeRecord(recordId) {
+        const record = this.records.get(recordId);
+        if (!record) {
+            return;
+        }
+
+        if (this.selectedRecord === recordId) {
+            this.selectedRecord = null;
+        }
+
         // 触发记录删除事件 - 修复连接线和控制手柄清理问题
         const deleteEvent = new CustomEvent('recordDeleted', {
             detail: {
@@ -297,13 +757,76 @@ class RecordManager {
         // 移除连接线
         this.removeConnectionLine(recordId);
         
+        // V1.6新增：移除日期范围弧线
+        if (window.circleRenderer) {
+            window.circleRenderer.removeRangeArc(recordId);
+        }
+        
         // 从记录集合中删除
         this.records.delete(recordId);
         
+        // V1.6新增：分组中的记录被删除后，组首和标签页可能变化
+        if (this.getDayGroupMode(record.date) !== 'separate') {
+            this.refreshDayGroup(record.date);
+        }
+        
         // 更新日期状态
         this.updateDateStatus(record.date, false);
     }
 
+    /**
+     * 按快照恢复记录（记录已存在时整体替换） - V1.6新增
+     * 供撤销/重做使用，快照为相对坐标格式
+     * @param {Object} recordData - 记录快照
+     * @returns {Object} 恢复后的记录对象
+     */
+    restoreRecord(recordData) {
+        const record = this.deserializeRecord(recordData);
+        const existing = this.records.get(record.id);
+        
+        if (existing) {
+            this.removeRecordElement(record.id);
+            this.removeConnectionLine(record.id);
+            
+            // 连接线可能已变化，通知连接线调整器清理控制手柄
+            document.dispatchEvent(new CustomEvent('connectionLineReset', {
+                detail: { recordId: record.id }
+            }));
+        }
+        
+        this.records.set(record.id, record);
+        if (this.getDayGroupMode(record.date) !== 'separate') {
+            this.refreshDayGroup(record.date);
+        } else {
+            this.renderRecord(record);
+        }
+        
+        if (existing && existing.date !== record.date) {
+            this.updateDateStatus(existing.date, false);
+        }
+        
+        if (existing) {
+            if (window.circleRenderer) {
+                const { month, day } = DateUtils.parseDate(record.date);
+                window.circleRenderer.markDateAsRecorded(month, day);
+            }
+            document.dispatchEvent(new CustomEvent('recordUpdated', {
+                detail: { recordId: record.id, record }
+            }));
+        } else {
+            this.updateDateStatus(record.date, true);
+        }
+        
+        if (this.selectedRecord === record.id) {
+            const element = this.container.querySelector(`[data-record-id="${record.id}"]`);
+            if (element) {
+                element.classList.add('selected');
+            }
+        }
+        
+        return record;
+    }
+
     /**
      * 移除记录DOM元素
      * @param {string} recordId - 记录ID
@@ -381,6 +904,11 @@ class RecordManager {
      * @param {string} recordId - 记录ID
      */
     unhighlightRecord(recordId) {
+        // V1.6新增：搜索命中的记录保持高亮
+        if (window.searchManager && window.searchManager.isHighlighted(recordId)) {
+            return;
+        }
+        
         // 取消高亮连接线
         if (window.circleRenderer) {
             window.circleRenderer.unhighlightConnectionLine(recordId);
@@ -399,6 +927,12 @@ class RecordManager {
             return;
         }
 
+        // V1.6新增：分组显示时仅组首记录绘制共用连接线
+        if (!this.shouldDrawConnectionLine(record)) {
+            this.removeConnectionLine(record.id);
+            return;
+        }
+
         // 清除之前的防抖定时器
         if (this.connectionLineDebounceMap.has(record.id)) {
             clearTimeout(this.connectionLineDebounceMap.get(record.id));
@@ -506,7 +1040,8 @@ class RecordManager {
                 month, 
                 day, 
                 positionData,
-                connectionLineData // 只传递验证过的连接线数据，无效数据会被设为null
+                connectionLineData, // 只传递验证过的连接线数据，无效数据会被设为null
+                this.getConnectionAnchor(record)
             );
 
 
@@ -584,6 +1119,12 @@ class RecordManager {
         record.position = { ...record.position, ...newPosition };
         record.updatedAt = new Date().toISOString();
         
+        // V1.6新增：扇形展开的其余卡片跟随组首卡片移动
+        const groupInfo = this.getDayGroupInfo(record);
+        if (groupInfo.mode === 'fanned' && groupInfo.index === 0) {
+            this.layoutFannedGroup(record);
+        }
+        
         // 如果拖拽结束，重置连接线到默认状态（去掉所有自定义调整）
         if (!isDragging) {
             this.resetConnectionLineToDefault(record);
@@ -765,6 +1306,7 @@ class RecordManager {
         // 重置计数器
         this.recordCounter = 0;
         this.selectedRecord = null;
+        this.activeGroupTabs.clear();
     }
 
     /**
@@ -774,10 +1316,10 @@ class RecordManager {
     loadRecords(recordsData) {
         this.clearAllRecords();
         
-        // 第一步：加载所有记录到内存中
+        // 第一步：加载所有记录到内存中（相对坐标投影为当前画布的像素坐标）
         recordsData.forEach(recordData => {
             const record = {
-                ...recordData,
+                ...this.deserializeRecord(recordData),
                 updatedAt: new Date().toISOString()
             };
             
@@ -810,6 +1352,8 @@ class RecordManager {
         
         this.records.forEach(record => {
             try {
+                // V1.6新增：圆环重绘后日期范围弧线随之清空，需要一并重绘
+                this.updateRangeArc(record);
                 this.drawConnectionLine(record, true);
                 successCount++;
             } catch (error) {
@@ -818,6 +1362,8 @@ class RecordManager {
             }
         });
         
+        // V1.6新增：通知其他模块连接线已整体重绘（重绘会丢失连接线上的状态样式）
+        document.dispatchEvent(new CustomEvent('connectionLinesRedrawn'));
     }
 
     /**
@@ -890,10 +1436,183 @@ class RecordManager {
 
     /**
      * 导出记录数据
+     * V1.6更新：导出的位置、尺寸和连接线路径点均为圆环相对坐标
      * @returns {Array} 记录数据数组
      */
     exportRecords() {
-        return this.getAllRecords();
+        return this.getAllRecords().map(record => this.serializeRecord(record));
+    }
+
+    /**
+     * 获取当前圆环坐标系 - V1.6新增
+     * @returns {Object} 坐标系 {centerX, centerY, radius}
+     */
+    getCoordinateFrame() {
+        if (window.circleRenderer && window.circleRenderer.radius > 0) {
+            return window.circleRenderer.getFrame();
+        }
+        
+        const rect = this.container.getBoundingClientRect();
+        return CoordinateUtils.getCircleFrame(rect.width, rect.height);
+    }
+
+    /**
+     * 将运行时记录（像素坐标）序列化为持久化格式（相对坐标） - V1.6新增
+     * @param {Object} record - 运行时记录
+     * @param {Object} frame - 坐标系，默认为当前画布坐标系
+     * @returns {Object} 持久化记录
+     */
+    serializeRecord(record, frame = this.getCoordinateFrame()) {
+        const data = JSON.parse(JSON.stringify(record));
+        
+        // 单日记录不输出空的结束日期字段
+        if (!data.endDate) {
+            delete data.endDate;
+        }
+        
+        // V1.6新增：未打标签的记录不输出空的标签字段
+        if (!Array.isArray(data.tags) || data.tags.length === 0) {
+            delete data.tags;
+        }
+        
+        data.position = CoordinateUtils.toRelativePoint(record.position, frame);
+        data.size = CoordinateUtils.toRelativeSize(record.size, frame);
+        
+        if (data.connectionLine && Array.isArray(data.connectionLine.pathPoints)) {
+            data.connectionLine.pathPoints = data.connectionLine.pathPoints
+                .map(point => CoordinateUtils.toRelativePoint(point, frame));
+        }
+        
+        return data;
+    }
+
+    /**
+     * 将持久化记录（相对坐标）还原为运行时记录（像素坐标） - V1.6新增
+     * @param {Object} data - 持久化记录
+     * @param {Object} frame - 坐标系，默认为当前画布坐标系
+     * @returns {Object} 运行时记录
+     */
+    deserializeRecord(data, frame = this.getCoordinateFrame()) {
+        const record = JSON.parse(JSON.stringify(data));
+        
+        record.position = CoordinateUtils.toAbsolutePoint(data.position, frame);
+        record.size = CoordinateUtils.toAbsoluteSize(data.size, frame);
+        
+        if (record.connectionLine && Array.isArray(record.connectionLine.pathPoints)) {
+            record.connectionLine.pathPoints = record.connectionLine.pathPoints
+                .map(point => CoordinateUtils.toAbsolutePoint(point, frame));
+        }
+        
+        return record;
+    }
+
+    /**
+     * 画布尺寸变化后重新投影所有记录 - V1.6新增
+     * 先按旧坐标系换算为相对坐标，再按新坐标系还原为像素坐标
+     * @param {Object} previousFrame - 旧坐标系
+     * @param {Object} nextFrame - 新坐标系
+     */
+    reprojectRecords(previousFrame, nextFrame) {
+        if (!previousFrame || !previousFrame.radius || !nextFrame || !nextFrame.radius) {
+            return;
+        }
+        
+        const unchanged = previousFrame.centerX === nextFrame.centerX &&
+            previousFrame.centerY === nextFrame.centerY &&
+            previousFrame.radius === nextFrame.radius;
+        if (unchanged) {
+            return;
+        }
+        
+        this.records.forEach(record => {
+            const projected = this.deserializeRecord(this.serializeRecord(record, previousFrame), nextFrame);
+            
+            record.position = projected.position;
+            record.size = projected.size;
+            
+            if (record.connectionLine && projected.connectionLine) {
+                record.connectionLine.pathPoints = projected.connectionLine.pathPoints;
+                
+                // 日期小点位置与半径并非严格等比，重新吸附到小点（多日记录为弧线中点）上
+                const { month, day } = DateUtils.parseDate(record.date);
+                const dotPosition = this.getConnectionAnchor(record) ||
+                    window.circleRenderer?.getDateDotPosition(month, day);
+                if (dotPosition && record.connectionLine.pathPoints?.length) {
+                    record.connectionLine.pathPoints[0] = dotPosition;
+                }
+            }
+            
+            const element = this.container.querySelector(`[data-record-id="${record.id}"]`);
+            if (element) {
+                element.style.left = `${record.position.x}px`;
+                element.style.top = `${record.position.y}px`;
+                element.style.width = `${record.size.width}px`;
+                element.style.height = `${record.size.height}px`;
+                this.updateSizeClass(record.id);
+            }
+        });
+    }
+
+    /**
+     * 圆环旋转后将所有记录卡片绕圆心转动相同角度 - V1.6新增
+     * 使卡片与日期小点保持相对位置，连接线不会横穿圆环；需在圆环重绘后调用
+     * @param {number} degrees - 转动角度（度），顺时针为正
+     * @param {Object} frame - 坐标系，默认为当前画布坐标系
+     */
+    rotateRecords(degrees, frame = this.getCoordinateFrame()) {
+        if (!frame || !frame.radius || degrees % 360 === 0) {
+            return;
+        }
+        
+        const radians = degrees * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const rotatePoint = point => {
+            const dx = point.x - frame.centerX;
+            const dy = point.y - frame.centerY;
+            return {
+                x: frame.centerX + dx * cos - dy * sin,
+                y: frame.centerY + dx * sin + dy * cos
+            };
+        };
+        
+        this.records.forEach(record => {
+            // 以卡片中心转动，卡片本身保持水平
+            const center = rotatePoint({
+                x: record.position.x + record.size.width / 2,
+                y: record.position.y + record.size.height / 2
+            });
+            record.position = {
+                x: center.x - record.size.width / 2,
+                y: center.y - record.size.height / 2
+            };
+            
+            if (record.connectionLine && Array.isArray(record.connectionLine.pathPoints)) {
+                record.connectionLine.pathPoints = record.connectionLine.pathPoints.map(rotatePoint);
+                
+                // 布局变化时小点角度并非整体平移，重新吸附到小点（多日记录为弧线中点）上
+                const { month, day } = DateUtils.parseDate(record.date);
+                const dotPosition = this.getConnectionAnchor(record) ||
+                    window.circleRenderer?.getDateDotPosition(month, day);
+                if (dotPosition && record.connectionLine.pathPoints.length) {
+                    record.connectionLine.pathPoints[0] = dotPosition;
+                }
+            }
+            
+            const element = this.container.querySelector(`[data-record-id="${record.id}"]`);
+            if (element) {
+                element.style.left = `${record.position.x}px`;
+                element.style.top = `${record.position.y}px`;
+            }
+        });
+        
+        // 扇形展开的成员卡片按组首位置重新排开
+        this.records.forEach(record => {
+            const groupInfo = this.getDayGroupInfo(record);
+            if (groupInfo.mode === 'fanned' && groupInfo.index === 0) {
+                this.layoutFannedGroup(record);
+            }
+        });
     }
 
     /**
@@ -901,9 +1620,31 @@ class RecordManager {
      * @returns {Object} 统计信息
      */
     getStatistics() {
-        const records = this.getAllRecords();
+        return RecordManager.computeStatistics(this.getAllRecords());
+    }
+
+    /**
+     * 获取记录显示的文字（图片记录使用图片描述） - V1.6新增
+     * @param {Object} record - 记录对象
+     * @returns {string}
+     */
+    static getRecordText(record) {
+        if (record.type === 'image') {
+            return (record.content && record.content.description) || '';
+        }
+        return typeof record.content === 'string' ? record.content : '';
+    }
+
+    /**
+     * 计算一组记录的统计信息 - V1.6新增
+     * 不依赖当前加载的年份，可用于统计从存储读取的其他年份记录
+     * @param {Array<Object>} records - 记录数组
+     * @returns {Object} 统计信息
+     */
+    static computeStatistics(records) {
         const textRecords = records.filter(r => r.type === 'text');
         const imageRecords = records.filter(r => r.type === 'image');
+        const rangeRecords = records.filter(r => r.endDate);
         
         // 按月份统计
         const monthlyStats = {};
@@ -911,12 +1652,31 @@ class RecordManager {
             const { month } = DateUtils.parseDate(record.date);
             monthlyStats[month] = (monthlyStats[month] || 0) + 1;
         });
+        
+        // V1.6新增：按标签统计，key: tagId
+        // 已从标签库删除的标签ID不计入，只剩失效标签的记录算作无标签
+        const tagManager = window.tagManager;
+        const tagStats = {};
+        let untaggedRecords = 0;
+        records.forEach(record => {
+            const tags = (Array.isArray(record.tags) ? record.tags : [])
+                .filter(tagId => !tagManager || tagManager.getTag(tagId));
+            if (tags.length === 0) {
+                untaggedRecords++;
+            }
+            tags.forEach(tagId => {
+                tagStats[tagId] = (tagStats[tagId] || 0) + 1;
+            });
+        });
 
         return {
             total: records.length,
             textRecords: textRecords.length,
             imageRecords: imageRecords.length,
+            rangeRecords: rangeRecords.length,
             monthlyStats: monthlyStats,
+            tagStats: tagStats,
+            untaggedRecords: untaggedRecords,
             oldestRecord: records.reduce((oldest, record) => 
                 !oldest || record.createdAt < oldest.createdAt ? record : oldest, null),
             newestRecord: records.reduce((newest, record) => 
@@ -0,0 +1,531 @@
+/**
+ * 搜索管理器 - V1.6新增
+ * 负责搜索面板：按文字（含图片描述）、边框颜色、记录类型、月份和日期范围筛选记录，
+ * 在圆环上高亮命中的记录、淡化未命中的记录，并支持跨年份搜索已保存的数据
+ */
+
+class SearchManager {
+    constructor(recordManager, storageManager, circleRenderer) {
+        this.recordManager = recordManager;
+        this.storageManager = storageManager;
+        this.circleRenderer = circleRenderer;
+
+        this.panel = document.getElementById('search-panel');
+        this.isOpen = false;
+
+        // 当前年份中命中的记录ID和被高亮的连接线所属记录ID
+        this.matchedIds = new Set();
+        this.highlightedIds = new Set();
+
+        // 其他年份数据缓存，key: year, value: records（切换年份或重新打开面板时清空）
+        this.yearCache = new Map();
+        this.cacheYear = null;
+
+        // 搜索请求序号，丢弃过期的异步结果
+        this.searchToken = 0;
+
+        this.scheduleSearch = debounce(() => this.search(), 150);
+
+        if (this.panel) {
+            this.initPanel();
+            this.setupEventListeners();
+        }
+    }
+
+    /**
+     * 初始化面板中的筛选控件
+     */
+    initPanel() {
+        // 月份选项
+        const monthSelect = this.panel.querySelector('#search-month');
+        this.circleRenderer.monthNames.forEach((name, index) => {
+            const option = DOMUtils.createElement('option', { value: index + 1 }, name);
+            monthSelect.appendChild(option);
+        });
+
+        this.renderColorFilters();
+    }
+
+    /**
+     * 渲染边框颜色筛选项
+     */
+    renderColorFilters() {
+        const container = this.panel.querySelector('.search-color-options');
+        container.innerHTML = '';
+
+        this.recordManager.getBorderColorOptions().forEach(color => {
+            const label = DOMUtils.createElement('label', {
+                className: 'search-color-option',
+                title: color.name
+            });
+            const input = DOMUtils.createElement('input', {
+                type: 'checkbox',
+                name: 'search-color',
+                value: color.key
+            });
+            const swatch = DOMUtils.createElement('span', { className: 'search-color-swatch' });
+            swatch.style.borderColor = color.value;
+
+            label.appendChild(input);
+            label.appendChild(swatch);
+            label.appendChild(document.createTextNode(color.name));
+            container.appendChild(label);
+        });
+    }
+
+    /**
+     * 设置事件监听
+     */
+    setupEventListeners() {
+        // 筛选条件变化时重新搜索
+        this.panel.addEventListener('input', () => this.scheduleSearch());
+        this.panel.addEventListener('change', (e) => {
+            if (e.target.id === 'search-all-years') {
+                this.yearCache.clear();
+            }
+            this.scheduleSearch();
+        });
+
+        this.panel.querySelector('.search-close').addEventListener('click', () => this.close());
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+        this.panel.querySelector('#search-reset').addEventListener('click', () => this.resetFilters());
+
+        // 点击结果定位到记录
+        this.panel.querySelector('#search-results').addEventListener('click', (e) => {
+            const item = e.target.closest('.search-result-item');
+            if (item) {
+                this.focusResult(parseInt(item.dataset.year), item.dataset.recordId);
+            }
+        });
+
+        // 记录变化或连接线重绘后重新应用搜索结果
+        const refreshEvents = [
+            'historyChanged',
+            'recordUpdated',
+            'recordDeleted',
+            'recordPositionChanged',
+            'connectionLineReset',
+            'connectionLinesRedrawn'
+        ];
+        refreshEvents.forEach(eventName => {
+            document.addEventListener(eventName, () => {
+                if (this.isOpen) {
+                    this.scheduleSearch();
+                }
+            });
+        });
+
+        // 配色变化后重新生成颜色筛选项，保留已勾选的颜色
+        document.addEventListener('paletteChanged', () => {
+            const checked = this.getCriteria().colors;
+            this.renderColorFilters();
+            this.panel.querySelectorAll('input[name="search-color"]').forEach(input => {
+                input.checked = checked.includes(input.value);
+            });
+            if (this.isOpen) {
+                this.scheduleSearch();
+            }
+        });
+
+        // 合并卡片切换标签页会重新渲染卡片
+        this.recordManager.container.addEventListener('click', (e) => {
+            if (this.isOpen && e.target.closest('.record-tab')) {
+                this.scheduleSearch();
+            }
+        });
+    }
+
+    /**
+     * 打开搜索面板
+     */
+    open() {
+        if (!this.panel) return;
+
+        this.isOpen = true;
+        this.yearCache.clear();
+        this.panel.classList.add('active');
+        this.panel.querySelector('#search-text').focus();
+        this.search();
+    }
+
+    /**
+     * 关闭搜索面板并清除画布上的高亮和淡化效果
+     */
+    close() {
+        if (!this.panel) return;
+
+        this.isOpen = false;
+        this.searchToken++;
+        this.panel.classList.remove('active');
+        this.clearCanvasState();
+    }
+
+    /**
+     * 切换搜索面板
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * 重置所有筛选条件
+     */
+    resetFilters() {
+        this.panel.querySelector('#search-text').value = '';
+        this.panel.querySelector('#search-type').value = '';
+        this.panel.querySelector('#search-month').value = '';
+        this.panel.querySelector('#search-date-from').value = '';
+        this.panel.querySelector('#search-date-to').value = '';
+        this.panel.querySelectorAll('input[name="search-color"]').forEach(input => {
+            input.checked = false;
+        });
+        this.search();
+    }
+
+    /**
+     * 读取面板中的筛选条件
+     * @returns {Object} 筛选条件
+     */
+    getCriteria() {
+        const text = this.panel.querySelector('#search-text').value.trim().toLowerCase();
+        const month = parseInt(this.panel.querySelector('#search-month').value);
+
+        return {
+            terms: text ? text.split(/\s+/) : [],
+            type: this.panel.querySelector('#search-type').value || null,
+            colors: [...this.panel.querySelectorAll('input[name="search-color"]:checked')].map(input => input.value),
+            month: isNaN(month) ? null : month,
+            dateFrom: this.panel.querySelector('#search-date-from').value || null,
+            dateTo: this.panel.querySelector('#search-date-to').value || null,
+            allYears: this.panel.querySelector('#search-all-years').checked
+        };
+    }
+
+    /**
+     * 筛选条件是否为空
+     * @param {Object} criteria - 筛选条件
+     * @returns {boolean}
+     */
+    isEmptyCriteria(criteria) {
+        return criteria.terms.length === 0 && !criteria.type && criteria.colors.length === 0 &&
+            !criteria.month && !criteria.dateFrom && !criteria.dateTo;
+    }
+
+    /**
+     * 执行搜索：更新结果列表并在圆环上标记当前年份的命中记录
+     * @returns {Promise<Array<Object>>} 搜索结果 [{year, record}]
+     */
+    async search() {
+        if (!this.isOpen) {
+            return [];
+        }
+
+        const token = ++this.searchToken;
+        const criteria = this.getCriteria();
+        const currentYear = this.circleRenderer.currentYear;
+
+        if (this.isEmptyCriteria(criteria)) {
+            this.clearCanvasState();
+            this.renderResults([], criteria);
+            return [];
+        }
+
+        const currentMatches = this.recordManager.getAllRecords()
+            .filter(record => this.matchRecord(record, criteria));
+        let results = currentMatches.map(record => ({ year: currentYear, record }));
+
+        if (criteria.allYears) {
+            const otherResults = await this.searchOtherYears(criteria, currentYear);
+
+            // 搜索期间条件已变化或面板已关闭
+            if (token !== this.searchToken) {
+                return [];
+            }
+            results = results.concat(otherResults);
+        }
+
+        results.sort((a, b) => b.year - a.year || a.record.date.localeCompare(b.record.date));
+
+        this.applyToCanvas(new Set(currentMatches.map(record => record.id)));
+        this.renderResults(results, criteria);
+
+        return results;
+    }
+
+    /**
+     * 在其他已保存年份中搜索
+     * @param {Object} criteria - 筛选条件
+     * @param {number} currentYear - 当前年份（使用内存中的最新数据，不从存储读取）
+     * @returns {Promise<Array<Object>>} 搜索结果 [{year, record}]
+     */
+    async searchOtherYears(criteria, currentYear) {
+        if (this.cacheYear !== currentYear) {
+            this.yearCache.clear();
+            this.cacheYear = currentYear;
+        }
+
+        const results = [];
+        // 包括存储目录中以文件保存的年份
+        const years = (await this.storageManager.getAllSavedYears()).filter(year => year !== currentYear);
+
+        for (const year of years) {
+            if (!this.yearCache.has(year)) {
+                const data = await this.storageManager.loadYearData(year);
+                this.yearCache.set(year, data && Array.isArray(data.records) ? data.records : []);
+            }
+
+            this.yearCache.get(year)
+                .filter(record => this.matchRecord(record, criteria))
+                .forEach(record => results.push({ year, record }));
+        }
+
+        return results;
+    }
+
+    /**
+     * 判断记录是否满足筛选条件
+     * @param {Object} record - 记录对象
+     * @param {Object} criteria - 筛选条件
+     * @returns {boolean}
+     */
+    matchRecord(record, criteria) {
+        if (criteria.type && record.type !== criteria.type) {
+            return false;
+        }
+
+        const colorKey = window.paletteManager ? window.paletteManager.resolveKey(record.borderColor) : record.borderColor;
+        if (criteria.colors.length > 0 && !criteria.colors.includes(colorKey)) {
+            return false;
+        }
+
+        if (criteria.terms.length > 0) {
+            const text = `${this.getSearchableText(record)} ${this.getTagText(record)}`.toLowerCase();
+            if (!criteria.terms.every(term => text.includes(term))) {
+                return false;
+            }
+        }
+
+        // 多日记录只要日期范围与筛选范围有交集即视为命中
+        const start = record.date;
+        const end = record.endDate || record.date;
+
+        if (criteria.month && !this.rangeIncludesMonth(start, end, criteria.month)) {
+            return false;
+        }
+
+        if (criteria.dateFrom && end < criteria.dateFrom) {
+            return false;
+        }
+
+        if (criteria.dateTo && start > criteria.dateTo) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * 获取记录的可搜索文字（与卡片上显示的内容一致）
+     * @param {Object} record - 记录对象
+     * @returns {string}
+     */
+    getSearchableText(record) {
+        if (record.type === 'image') {
+            return (record.content && record.content.description) || '';
+        }
+        return typeof record.content === 'string' ? record.content : '';
+    }
+
+    /**
+     * 获取记录标签名称组成的文本，关键词也可匹配标签
+     * @param {Object} record - 记录对象
+     * @returns {string}
+     */
+    getTagText(record) {
+        if (!window.tagManager) return '';
+        return window.tagManager.getRecordTags(record).map(tag => tag.name).join(' ');
+    }
+
+    /**
+     * 判断日期范围是否经过指定月份
+     * @param {string} start - 开始日期
+     * @param {string} end - 结束日期
+     * @param {number} month - 月份（1-12）
+     * @returns {boolean}
+     */
+    rangeIncludesMonth(start, end, month) {
+        const from = DateUtils.parseDate(start);
+        const to = DateUtils.parseDate(end);
+        let cursor = from.year * 12 + from.month - 1;
+        const last = to.year * 12 + to.month - 1;
+
+        for (; cursor <= last; cursor++) {
+            if (cursor % 12 + 1 === month) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 在圆环上高亮命中记录、淡化其余记录
+     * 合并卡片中任一记录命中即视为整张卡片命中；分组共用的连接线随组内任一命中记录高亮
+     * @param {Set<string>} matchedIds - 当前年份中命中的记录ID
+     */
+    applyToCanvas(matchedIds) {
+        this.clearCanvasState();
+        this.matchedIds = matchedIds;
+        this.recordManager.container.classList.add('search-active');
+
+        this.recordManager.getAllRecords().forEach(record => {
+            const groupInfo = this.recordManager.getDayGroupInfo(record);
+            const group = groupInfo.mode === 'separate' ? [record] : groupInfo.group;
+            const groupMatched = group.some(member => matchedIds.has(member.id));
+
+            // 卡片：合并卡片只有组首卡片，按整组判断；其余卡片按自身判断
+            const card = this.getCard(record.id);
+            if (card) {
+                const cardMatched = groupInfo.mode === 'merged' ? groupMatched : matchedIds.has(record.id);
+                card.classList.toggle('search-match', cardMatched);
+                card.classList.toggle('search-dimmed', !cardMatched);
+            }
+
+            // 连接线：分组时只有组首记录绘制连接线，按整组判断
+            const lineMatched = groupInfo.mode === 'separate' ? matchedIds.has(record.id) : groupMatched;
+            if (lineMatched) {
+                this.highlightedIds.add(record.id);
+                this.recordManager.highlightRecord(record.id);
+            }
+            this.circleRenderer.setConnectionLineDimmed(record.id, !lineMatched);
+        });
+    }
+
+    /**
+     * 清除画布上的搜索高亮和淡化效果
+     */
+    clearCanvasState() {
+        const highlighted = [...this.highlightedIds];
+        this.highlightedIds.clear();
+        this.matchedIds = new Set();
+
+        highlighted.forEach(recordId => this.recordManager.unhighlightRecord(recordId));
+        this.recordManager.getAllRecords().forEach(record => {
+            this.circleRenderer.setConnectionLineDimmed(record.id, false);
+        });
+
+        this.recordManager.container.classList.remove('search-active');
+        this.recordManager.container.querySelectorAll('.search-match, .search-dimmed').forEach(card => {
+            card.classList.remove('search-match', 'search-dimmed');
+        });
+    }
+
+    /**
+     * 记录的连接线是否因搜索命中而保持高亮
+     * @param {string} recordId - 记录ID
+     * @returns {boolean}
+     */
+    isHighlighted(recordId) {
+        return this.highlightedIds.has(recordId);
+    }
+
+    /**
+     * 渲染搜索结果列表
+     * @param {Array<Object>} results - 搜索结果 [{year, record}]
+     * @param {Object} criteria - 筛选条件
+     */
+    renderResults(results, criteria) {
+        const list = this.panel.querySelector('#search-results');
+        const summary = this.panel.querySelector('#search-summary');
+        list.innerHTML = '';
+
+        if (this.isEmptyCriteria(criteria)) {
+            summary.textContent = '输入关键词或选择筛选条件';
+            return;
+        }
+
+        summary.textContent = results.length > 0 ? `共找到 ${results.length} 条记录` : '没有找到匹配的记录';
+
+        results.forEach(({ year, record }) => {
+            const item = DOMUtils.createElement('li', {
+                className: 'search-result-item',
+                'data-year': year,
+                'data-record-id': record.id
+            });
+
+            const dateText = record.endDate
+                ? `${DateUtils.formatDateString(record.date)} - ${DateUtils.formatDateString(record.endDate)}`
+                : DateUtils.formatDateString(record.date);
+            const meta = DOMUtils.createElement('div', { className: 'search-result-meta' }, dateText);
+            if (year !== this.circleRenderer.currentYear) {
+                meta.appendChild(DOMUtils.createElement('span', { className: 'search-result-year' }, `${year}年度`));
+            }
+
+            const snippet = this.getSearchableText(record);
+            const text = DOMUtils.createElement('div', {
+                className: 'search-result-text'
+            }, `${record.type === 'image' ? '🖼️ ' : ''}${snippet || '（无描述）'}`);
+
+            const swatch = DOMUtils.createElement('span', { className: 'search-color-swatch' });
+            swatch.style.borderColor = this.recordManager.getBorderColorValue(record.borderColor);
+            meta.prepend(swatch);
+
+            item.appendChild(meta);
+            item.appendChild(text);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * 定位到搜索结果对应的记录，必要时先切换年份
+     * @param {number} year - 记录所在年份
+     * @param {string} recordId - 记录ID
+     */
+    async focusResult(year, recordId) {
+        if (year !== this.circleRenderer.currentYear && window.app) {
+            await window.app.changeYear(year);
+
+            // 等待切换年份后的连接线重绘完成
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+
+        const record = this.recordManager.getRecord(recordId);
+        if (!record) return;
+
+        // 合并卡片切换到对应标签页
+        const groupInfo = this.recordManager.getDayGroupInfo(record);
+        if (groupInfo.mode === 'merged' && groupInfo.index > 0) {
+            this.recordManager.switchGroupTab(record.date, record.id);
+            this.scheduleSearch();
+        }
+
+        const cardId = groupInfo.mode === 'merged' ? groupInfo.lead.id : record.id;
+        this.recordManager.selectRecord(cardId);
+
+        const card = this.getCard(cardId);
+        if (card) {
+            card.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+            card.classList.add('search-focus');
+            setTimeout(() => card.classList.remove('search-focus'), 1200);
+        }
+    }
+
+    /**
+     * 获取记录卡片元素
+     * @param {string} recordId - 记录ID
+     * @returns {HTMLElement|null}
+     */
+    getCard(recordId) {
+        return this.recordManager.container.querySelector(`.record-card[data-record-id="${recordId}"]`);
+    }
+}
+
+// 导出到全局
+window.SearchManager = SearchManager;
@@ -235,9 +235,62 @@ class StorageManager {
             }
         }
 
+        // V1.6新增：旧版数据使用画布像素坐标，迁移为圆环相对坐标
+        if (data.coordinateSystem !== CoordinateUtils.RELATIVE_SYSTEM) {
+            this.migrateLegacyCoordinates(data);
+        }
+
         return true;
     }
 
+    /**
+     * 将旧版像素坐标迁移为圆环相对坐标 - V1.6新增
+     * 优先使用数据中记录的画布尺寸，其次使用当前画布，最后使用默认画布尺寸
+     * @param {Object} data - 年度数据（原地修改）
+     */
+    migrateLegacyCoordinates(data) {
+        const frame = this.getLegacyFrame(data);
+        
+        data.records.forEach(record => {
+            record.position = CoordinateUtils.toRelativePoint(record.position, frame);
+            record.size = CoordinateUtils.toRelativeSize(record.size, frame);
+            
+            if (record.connectionLine && Array.isArray(record.connectionLine.pathPoints)) {
+                record.connectionLine.pathPoints = record.connectionLine.pathPoints
+                    .filter(point => point && typeof point.x === 'number' && typeof point.y === 'number')
+                    .map(point => CoordinateUtils.toRelativePoint(point, frame));
+            }
+        });
+        
+        data.coordinateSystem = CoordinateUtils.RELATIVE_SYSTEM;
+        console.log(`[StorageManager] 已将${data.year}年的${data.records.length}条记录迁移为相对坐标`);
+    }
+
+    /**
+     * 推断旧版数据保存时的圆环坐标系
+     * @param {Object} data - 年度数据
+     * @returns {Object} 坐标系 {centerX, centerY, radius}
+     */
+    getLegacyFrame(data) {
+        const canvasSize = data.canvasSize || (data.metadata && data.metadata.canvasSize);
+        if (canvasSize && canvasSize.width > 0 && canvasSize.height > 0) {
+            return CoordinateUtils.getCircleFrame(canvasSize.width, canvasSize.height);
+        }
+        
+        if (window.circleRenderer && window.circleRenderer.radius > 0) {
+            return window.circleRenderer.getFrame();
+        }
+        
+        const canvas = document.getElementById('year-circle-canvas');
+        const rect = canvas ? canvas.getBoundingClientRect() : null;
+        if (rect && rect.width > 0 && rect.height > 0) {
+            return CoordinateUtils.getCircleFrame(rect.width, rect.height);
+        }
+        
+        // 默认画布尺寸（4开纸比例）
+        return CoordinateUtils.getCircleFrame(1535, 1063);
+    }
+
     /**
      * 验证单条记录格式
      * @param {Object} record - 要验证的记录
@@ -257,13 +310,30 @@ class StorageManager {
             return false;
         }
 
-        // 验证位置和尺寸
-        if (!record.position.x || !record.position.y || !record.size.width || !record.size.height) {
+        // 验证位置和尺寸（相对坐标可能为0或负数）
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        if (!record.position || !isNumber(record.position.x) || !isNumber(record.position.y)) {
+            return false;
+        }
+        if (!record.size || !(record.size.width > 0) || !(record.size.height > 0)) {
+            return false;
+        }
+
+        // V1.6新增：验证结束日期（可选字段，多日记录需晚于开始日期）
+        if (record.endDate !== undefined && record.endDate !== null) {
+            const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+            if (typeof record.endDate !== 'string' || !datePattern.test(record.endDate) || record.endDate <= record.date) {
+                return false;
+            }
+        }
+
+        // V1.6新增：验证标签（可选字段，标签ID数组）
+        if (record.tags !== undefined && (!Array.isArray(record.tags) || !record.tags.every(tagId => typeof tagId === 'string'))) {
             return false;
         }
 
-        // 验证边框颜色（可选字段）
-        if (record.borderColor && !['classic', 'warm', 'fresh', 'elegant', 'soft'].includes(record.borderColor)) {
+        // 验证边框颜色（可选字段，V1.6更新：配色可自定义，配色中不存在的颜色显示时回退为第一种颜色）
+        if (record.borderColor !== undefined && typeof record.borderColor !== 'string') {
             return false;
         }
 
@@ -307,6 +377,18 @@ class StorageManager {
         return years.sort((a, b) => b - a); // 按年份降序排列
     }
 
+    /**
+     * 获取所有已保存的年份，包括存储目录中的年度数据文件 - V1.6新增
+     * @returns {Promise<Array<number>>} 年份列表（降序）
+     */
+    async getAllSavedYears() {
+        const years = new Set(this.getSavedYears());
+        if (window.fileStorageManager) {
+            (await window.fileStorageManager.getSavedYears()).forEach(year => years.add(year));
+        }
+        return Array.from(years).sort((a, b) => b - a);
+    }
+
     /**
      * 导出年度数据为JSON文件
      * @param {number} year - 年份
@@ -665,7 +747,12 @@ class StorageManager {
             
             // 使用与loadYearData一致的键名格式
             const startDateKey = `${this.storageKey}_startDate_${year}`;
-            localStorage.setItem(startDateKey, startDate);
+            if (startDate) {
+                localStorage.setItem(startDateKey, startDate);
+            } else {
+                // 重置时删除键，避免保存为字符串"null"
+                localStorage.removeItem(startDateKey);
+            }
             
             // 同时更新年度数据中的起始日期（如果存在的话）
             const dataKey = this.getStorageKey(year);
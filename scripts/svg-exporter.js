@@ -0,0 +1,613 @@
+/**
+ * 矢量图导出 - V1.6新增
+ * 将画布转换为独立的SVG文档：圆环、日期和连接线直接克隆画布中的SVG并内联计算样式；
+ * 记录卡片和标签图例等HTML元素按布局结果逐个转换为rect、text和image元素，
+ * 不使用foreignObject，导出的文件可在矢量软件中编辑，并能以任意尺寸打印
+ */
+
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+class SVGExporter {
+    constructor() {
+        this.idPrefix = 'svg-export';
+        this.idCounter = 0;
+        this.defs = null;
+    }
+
+    /**
+     * 需要内联的可继承样式，只在与父元素不同时写入
+     * @returns {Array} CSS属性名数组
+     */
+    static get INHERITED_PROPERTIES() {
+        return [
+            'fill', 'fill-opacity', 'fill-rule',
+            'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray', 'stroke-dashoffset',
+            'stroke-linecap', 'stroke-linejoin',
+            'font-family', 'font-size', 'font-weight', 'font-style', 'letter-spacing',
+            'text-anchor', 'dominant-baseline', 'visibility'
+        ];
+    }
+
+    /**
+     * 画布中仅用于编辑的SVG元素，不导出
+     * @returns {Array} 选择器数组
+     */
+    static get EXCLUDED_SVG_SELECTORS() {
+        return ['.connection-handles-group', '.connection-handle'];
+    }
+
+    /**
+     * 记录卡片中仅用于编辑的元素，不导出
+     * @returns {Array} 类名数组
+     */
+    static get EXCLUDED_HTML_CLASSES() {
+        return ['resize-handle', 'record-actions'];
+    }
+
+    /**
+     * 计算导出范围：包含超出画布的卡片，原点为内容边界的左上角
+     * @param {HTMLElement} canvas - 画布元素
+     * @returns {Object} {origin: {left, top}（视口坐标）, width, height}
+     */
+    getExportFrame(canvas) {
+        const canvasRect = canvas.getBoundingClientRect();
+        const bounds = window.exportManager
+            ? window.exportManager.getActualContentBounds(canvas)
+            : { left: 0, top: 0, width: canvas.offsetWidth, height: canvas.offsetHeight };
+
+        return {
+            origin: { left: canvasRect.left + bounds.left, top: canvasRect.top + bounds.top },
+            width: Math.ceil(bounds.width),
+            height: Math.ceil(bounds.height)
+        };
+    }
+
+    /**
+     * 将画布转换为SVG元素
+     * @param {HTMLElement} canvas - 画布元素，默认为#year-circle-canvas
+     * @returns {SVGSVGElement} 独立的SVG根元素（未插入文档）
+     */
+    createSVG(canvas = document.getElementById('year-circle-canvas')) {
+        if (!canvas) {
+            throw new Error('未找到要导出的元素');
+        }
+
+        const { origin, width, height } = this.getExportFrame(canvas);
+        if (!(width > 0 && height > 0)) {
+            throw new Error('导出元素尺寸为零，请检查页面布局');
+        }
+
+        this.idCounter = 0;
+        const root = DOMUtils.createSVGElement('svg', {
+            version: '1.1',
+            width,
+            height,
+            viewBox: `0 0 ${width} ${height}`
+        });
+        root.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:xlink', XLINK_NS);
+        this.defs = DOMUtils.createSVGElement('defs');
+        root.appendChild(this.defs);
+
+        const background = window.themeManager?.getExportBackground() ||
+            getComputedStyle(canvas).backgroundColor;
+        const backgroundColor = this.splitAlpha(background);
+        if (backgroundColor.alpha > 0) {
+            root.appendChild(DOMUtils.createSVGElement('rect', {
+                class: 'export-background',
+                x: 0, y: 0, width, height,
+                fill: backgroundColor.color,
+                ...(backgroundColor.alpha < 1 ? { 'fill-opacity': backgroundColor.alpha } : {})
+            }));
+        }
+
+        const circleSvg = canvas.querySelector('#circle-svg');
+        if (circleSvg) {
+            root.appendChild(this.cloneSVG(circleSvg, origin));
+        }
+
+        // 记录卡片按层级从低到高绘制，与画布中的遮挡关系一致
+        const layer = DOMUtils.createSVGElement('g', { class: 'records-layer' });
+        Array.from(canvas.querySelectorAll('.records-container > .record-card'))
+            .map((card, index) => ({ card, index, zIndex: parseInt(getComputedStyle(card).zIndex, 10) || 0 }))
+            .sort((a, b) => a.zIndex - b.zIndex || a.index - b.index)
+            .forEach(({ card }) => {
+                const group = this.convertElement(card, origin);
+                if (group) {
+                    group.setAttribute('data-record-id', card.dataset.recordId);
+                    layer.appendChild(group);
+                }
+            });
+        root.appendChild(layer);
+
+        const legend = canvas.querySelector('.tag-legend');
+        const legendGroup = legend && this.convertElement(legend, origin);
+        if (legendGroup) {
+            legendGroup.setAttribute('class', 'tag-legend');
+            root.appendChild(legendGroup);
+        }
+
+        if (!this.defs.hasChildNodes()) {
+            this.defs.remove();
+        }
+        this.defs = null;
+
+        return root;
+    }
+
+    /**
+     * 生成SVG文件内容
+     * @param {HTMLElement} canvas - 画布元素
+     * @returns {string} 带XML声明的SVG文本
+     */
+    exportToSVG(canvas) {
+        const root = this.createSVG(canvas);
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(root);
+    }
+
+    /**
+     * 克隆画布中的SVG，并把样式表中的样式内联到元素上
+     * @param {SVGSVGElement} source - 画布中的SVG
+     * @param {Object} origin - 导出原点（视口坐标）
+     * @returns {SVGSVGElement} 嵌套在导出文档中的SVG
+     */
+    cloneSVG(source, origin) {
+        const clone = source.cloneNode(true);
+        this.inlineSVGStyles(source, clone, null);
+
+        SVGExporter.EXCLUDED_SVG_SELECTORS.forEach(selector => {
+            clone.querySelectorAll(selector).forEach(element => element.remove());
+        });
+
+        const rect = source.getBoundingClientRect();
+        clone.removeAttribute('id');
+        clone.removeAttribute('class');
+        clone.setAttribute('x', this.round(rect.left - origin.left));
+        clone.setAttribute('y', this.round(rect.top - origin.top));
+        clone.setAttribute('width', this.round(rect.width));
+        clone.setAttribute('height', this.round(rect.height));
+        clone.setAttribute('overflow', 'visible');
+
+        return clone;
+    }
+
+    /**
+     * 递归内联计算样式，不显示的元素直接移除
+     * @param {Element} source - 原元素
+     * @param {Element} clone - 克隆元素
+     * @param {CSSStyleDeclaration|null} parentStyle - 父元素的计算样式
+     */
+    inlineSVGStyles(source, clone, parentStyle) {
+        const style = getComputedStyle(source);
+        if (style.display === 'none') {
+            clone.remove();
+            return;
+        }
+
+        clone.removeAttribute('style');
+        SVGExporter.INHERITED_PROPERTIES.forEach(property => {
+            const value = style.getPropertyValue(property);
+            if (!value || clone.style.getPropertyValue(property) ||
+                (parentStyle && parentStyle.getPropertyValue(property) === value)) return;
+
+            // 部分矢量软件不识别rgba颜色，拆成颜色和透明度；透明度随颜色一起写入，
+            // 避免继承到父元素由rgba换算出的透明度
+            if (property === 'fill' || property === 'stroke') {
+                const { color, alpha } = this.splitAlpha(value);
+                const opacity = parseFloat(style.getPropertyValue(`${property}-opacity`));
+                clone.style.setProperty(property, color === 'none' ? value : color);
+                clone.style.setProperty(`${property}-opacity`, this.round((isNaN(opacity) ? 1 : opacity) * alpha, 3));
+            } else {
+                clone.style.setProperty(property, value);
+            }
+        });
+
+        const opacity = parseFloat(style.opacity);
+        if (!isNaN(opacity) && opacity < 1) {
+            clone.style.setProperty('opacity', opacity);
+        }
+
+        const sourceChildren = Array.from(source.children);
+        const cloneChildren = Array.from(clone.children);
+        sourceChildren.forEach((child, index) => {
+            if (cloneChildren[index]) {
+                this.inlineSVGStyles(child, cloneChildren[index], style);
+            }
+        });
+    }
+
+    /**
+     * 将HTML元素及其子元素按布局结果转换为SVG
+     * @param {HTMLElement} element - HTML元素
+     * @param {Object} origin - 导出原点（视口坐标）
+     * @returns {SVGGElement|null} 不显示的元素返回null
+     */
+    convertElement(element, origin) {
+        if (SVGExporter.EXCLUDED_HTML_CLASSES.some(className => element.classList.contains(className))) {
+            return null;
+        }
+
+        const style = getComputedStyle(element);
+        if (style.display === 'none' || style.visibility === 'hidden') {
+            return null;
+        }
+
+        // 扇形展开的卡片带有旋转，先去掉变换测量布局，再把变换加到SVG分组上
+        const transform = style.transform;
+        const transformOrigin = style.transformOrigin;
+        const hasTransform = transform && transform !== 'none';
+        const inlineTransform = element.style.transform;
+        if (hasTransform) {
+            element.style.transform = 'none';
+        }
+
+        try {
+            const rect = element.getBoundingClientRect();
+            const box = {
+                x: rect.left - origin.left,
+                y: rect.top - origin.top,
+                width: rect.width,
+                height: rect.height
+            };
+
+            const group = DOMUtils.createSVGElement('g');
+            const opacity = parseFloat(style.opacity);
+            if (!isNaN(opacity) && opacity < 1) {
+                group.setAttribute('opacity', opacity);
+            }
+            if (hasTransform) {
+                const matrix = this.toSVGTransform(transform, transformOrigin, box);
+                if (matrix) {
+                    group.setAttribute('transform', matrix);
+                }
+            }
+
+            this.paintBox(style, box, group);
+
+            if (element.tagName === 'IMG') {
+                this.paintImage(element, style, box, group);
+                return group;
+            }
+
+            let content = group;
+            if (style.overflowX !== 'visible' || style.overflowY !== 'visible') {
+                content = DOMUtils.createSVGElement('g', {
+                    'clip-path': `url(#${this.createClipPath(box, this.getRadius(style, box))})`
+                });
+                group.appendChild(content);
+            }
+
+            element.childNodes.forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    this.paintText(node, style, origin, content);
+                } else if (node.nodeType === Node.ELEMENT_NODE) {
+                    const child = this.convertElement(node, origin);
+                    if (child) {
+                        content.appendChild(child);
+                    }
+                }
+            });
+
+            return group;
+        } finally {
+            if (hasTransform) {
+                element.style.transform = inlineTransform;
+            }
+        }
+    }
+
+    /**
+     * 绘制元素的背景、边框和阴影
+     * @param {CSSStyleDeclaration} style - 计算样式
+     * @param {Object} box - 元素边框盒 {x, y, width, height}
+     * @param {SVGGElement} group - 目标分组
+     */
+    paintBox(style, box, group) {
+        const background = this.splitAlpha(style.backgroundColor);
+        const borderWidth = style.borderTopStyle === 'none' ? 0 : parseFloat(style.borderTopWidth) || 0;
+        const border = this.splitAlpha(style.borderTopColor);
+        const hasBorder = borderWidth > 0 && border.alpha > 0;
+        if (background.alpha === 0 && !hasBorder) return;
+
+        // 描边以路径为中心，向内收缩半个边框宽度使其落在边框盒内
+        const inset = hasBorder ? borderWidth / 2 : 0;
+        const radius = Math.max(this.getRadius(style, box) - inset, 0);
+        const rect = DOMUtils.createSVGElement('rect', {
+            x: this.round(box.x + inset),
+            y: this.round(box.y + inset),
+            width: this.round(Math.max(box.width - inset * 2, 0)),
+            height: this.round(Math.max(box.height - inset * 2, 0)),
+            fill: background.alpha > 0 ? background.color : 'none'
+        });
+        if (radius > 0) {
+            rect.setAttribute('rx', this.round(radius));
+        }
+        if (background.alpha > 0 && background.alpha < 1) {
+            rect.setAttribute('fill-opacity', this.round(background.alpha, 3));
+        }
+        if (hasBorder) {
+            rect.setAttribute('stroke', border.color);
+            rect.setAttribute('stroke-width', this.round(borderWidth));
+            if (border.alpha < 1) {
+                rect.setAttribute('stroke-opacity', this.round(border.alpha, 3));
+            }
+        }
+
+        const filter = this.createShadowFilter(style.boxShadow);
+        if (filter) {
+            rect.setAttribute('filter', `url(#${filter})`);
+        }
+
+        group.appendChild(rect);
+    }
+
+    /**
+     * 绘制图片，按object-fit设置缩放方式，圆角用裁剪路径实现
+     * @param {HTMLImageElement} image - 图片元素
+     * @param {CSSStyleDeclaration} style - 计算样式
+     * @param {Object} box - 元素边框盒
+     * @param {SVGGElement} group - 目标分组
+     */
+    paintImage(image, style, box, group) {
+        const source = image.currentSrc || image.getAttribute('src');
+        if (!source || box.width === 0 || box.height === 0) return;
+
+        const fit = {
+            cover: 'xMidYMid slice',
+            contain: 'xMidYMid meet',
+            'scale-down': 'xMidYMid meet',
+            none: 'xMidYMid slice',
+            fill: 'none'
+        }[style.objectFit] || 'none';
+
+        const element = DOMUtils.createSVGElement('image', {
+            x: this.round(box.x),
+            y: this.round(box.y),
+            width: this.round(box.width),
+            height: this.round(box.height),
+            preserveAspectRatio: fit
+        });
+        // 使用xlink:href兼容只支持SVG 1.1的软件
+        element.setAttributeNS(XLINK_NS, 'xlink:href', source);
+
+        const radius = this.getRadius(style, box);
+        if (radius > 0) {
+            element.setAttribute('clip-path', `url(#${this.createClipPath(box, radius)})`);
+        }
+
+        group.appendChild(element);
+    }
+
+    /**
+     * 将文本节点按浏览器的换行结果逐行转换为text元素
+     * @param {Text} node - 文本节点
+     * @param {CSSStyleDeclaration} style - 所在元素的计算样式
+     * @param {Object} origin - 导出原点
+     * @param {SVGGElement} group - 目标分组
+     */
+    paintText(node, style, origin, group) {
+        if (!node.textContent.trim()) return;
+
+        const lines = this.measureTextLines(node, origin) || this.estimateTextLines(node, style, origin);
+        if (lines.length === 0) return;
+
+        const color = this.splitAlpha(style.color);
+        const text = DOMUtils.createSVGElement('text', {
+            'font-family': style.fontFamily,
+            'font-size': style.fontSize,
+            'font-weight': style.fontWeight,
+            fill: color.color,
+            'dominant-baseline': 'central'
+        });
+        if (style.fontStyle !== 'normal') {
+            text.setAttribute('font-style', style.fontStyle);
+        }
+        if (style.letterSpacing && style.letterSpacing !== 'normal') {
+            text.setAttribute('letter-spacing', style.letterSpacing);
+        }
+        if (color.alpha < 1) {
+            text.setAttribute('fill-opacity', this.round(color.alpha, 3));
+        }
+        text.setAttributeNS('http://www.w3.org/XML/1998/namespace', 'xml:space', 'preserve');
+
+        lines.forEach(line => {
+            const tspan = DOMUtils.createSVGElement('tspan', {
+                x: this.round(line.x),
+                y: this.round(line.y),
+                ...(line.anchor ? { 'text-anchor': line.anchor } : {})
+            });
+            tspan.textContent = line.text;
+            text.appendChild(tspan);
+        });
+
+        group.appendChild(text);
+    }
+
+    /**
+     * 逐字测量文本位置，按所在行分组
+     * @param {Text} node - 文本节点
+     * @param {Object} origin - 导出原点
+     * @returns {Array<Object>|null} [{text, x, y}]，y为行的垂直中心；环境不支持测量时返回null
+     */
+    measureTextLines(node, origin) {
+        const range = document.createRange();
+        if (typeof range.getClientRects !== 'function') return null;
+
+        const text = node.textContent;
+        const lines = [];
+        let current = null;
+        let measured = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const length = text.codePointAt(i) > 0xFFFF ? 2 : 1;
+            const char = text.slice(i, i + length);
+            range.setStart(node, i);
+            range.setEnd(node, i + length);
+            const rect = range.getClientRects()[0];
+            i += length - 1;
+
+            if (char === '\n' || !rect || (rect.width === 0 && rect.height === 0)) continue;
+            measured = true;
+
+            if (!current || Math.abs(rect.top - current.top) > rect.height / 2) {
+                current = { text: '', x: rect.left - origin.left, top: rect.top, bottom: rect.bottom };
+                lines.push(current);
+            }
+            current.text += char;
+            current.bottom = Math.max(current.bottom, rect.bottom);
+        }
+
+        if (!measured) return null;
+
+        return lines
+            .map(line => ({ text: line.text.replace(/\s+$/, ''), x: line.x, y: (line.top + line.bottom) / 2 - origin.top }))
+            .filter(line => line.text !== '');
+    }
+
+    /**
+     * 无法逐字测量时按换行符和行高估算文本位置
+     * @param {Text} node - 文本节点
+     * @param {CSSStyleDeclaration} style - 所在元素的计算样式
+     * @param {Object} origin - 导出原点
+     * @returns {Array<Object>} [{text, x, y, anchor}]
+     */
+    estimateTextLines(node, style, origin) {
+        const rect = node.parentElement.getBoundingClientRect();
+        const fontSize = parseFloat(style.fontSize) || 12;
+        const lineHeight = parseFloat(style.lineHeight) || fontSize * 1.3;
+        const paddingLeft = parseFloat(style.paddingLeft) || 0;
+        const paddingTop = parseFloat(style.paddingTop) || 0;
+        const centered = style.textAlign === 'center';
+
+        return node.textContent.trim().split('\n').map((text, index) => ({
+            text,
+            x: centered ? rect.left + rect.width / 2 - origin.left : rect.left + paddingLeft - origin.left,
+            y: rect.top + paddingTop + lineHeight * (index + 0.5) - origin.top,
+            anchor: centered ? 'middle' : null
+        }));
+    }
+
+    /**
+     * 将CSS变换转换为SVG的transform属性，以transform-origin为中心
+     * @param {string} transform - 计算样式中的变换，如matrix(a, b, c, d, e, f)
+     * @param {string} transformOrigin - 计算样式中的变换原点，如"0px 60px"
+     * @param {Object} box - 元素未变换时的边框盒
+     * @returns {string|null} 无法表示为二维矩阵时返回null
+     */
+    toSVGTransform(transform, transformOrigin, box) {
+        const match = /^matrix\(([^)]+)\)$/.exec(transform);
+        if (!match) return null;
+
+        const values = match[1].split(',').map(value => parseFloat(value));
+        if (values.length !== 6 || values.some(isNaN)) return null;
+
+        const [originX, originY] = (transformOrigin || '').split(' ').map(value => parseFloat(value) || 0);
+        const x = this.round(box.x + originX);
+        const y = this.round(box.y + originY);
+        return `translate(${x} ${y}) matrix(${values.join(' ')}) translate(${-x} ${-y})`;
+    }
+
+    /**
+     * 创建圆角矩形裁剪路径
+     * @param {Object} box - 裁剪区域
+     * @param {number} radius - 圆角半径
+     * @returns {string} 裁剪路径的id
+     */
+    createClipPath(box, radius = 0) {
+        const id = `${this.idPrefix}-clip-${++this.idCounter}`;
+        const clipPath = DOMUtils.createSVGElement('clipPath', { id });
+        clipPath.appendChild(DOMUtils.createSVGElement('rect', {
+            x: this.round(box.x),
+            y: this.round(box.y),
+            width: this.round(box.width),
+            height: this.round(box.height),
+            ...(radius > 0 ? { rx: this.round(radius) } : {})
+        }));
+        this.defs.appendChild(clipPath);
+        return id;
+    }
+
+    /**
+     * 将box-shadow转换为投影滤镜，只取第一层外阴影
+     * @param {string} boxShadow - 计算样式中的box-shadow
+     * @returns {string|null} 滤镜id，没有阴影时返回null
+     */
+    createShadowFilter(boxShadow) {
+        if (!boxShadow || boxShadow === 'none' || boxShadow.includes('inset')) return null;
+
+        const colorMatch = /rgba?\([^)]*\)|#[0-9a-f]{3,8}/i.exec(boxShadow);
+        const lengths = boxShadow.replace(colorMatch ? colorMatch[0] : '', '')
+            .match(/-?[\d.]+px/g);
+        if (!lengths || lengths.length < 2) return null;
+
+        const [dx, dy, blur = 0] = lengths.map(value => parseFloat(value));
+        const color = this.splitAlpha(colorMatch ? colorMatch[0] : 'rgb(0, 0, 0)');
+        if (color.alpha === 0) return null;
+
+        const id = `${this.idPrefix}-shadow-${++this.idCounter}`;
+        const filter = DOMUtils.createSVGElement('filter', {
+            id,
+            x: '-50%',
+            y: '-50%',
+            width: '200%',
+            height: '200%'
+        });
+        filter.appendChild(DOMUtils.createSVGElement('feDropShadow', {
+            dx,
+            dy,
+            // CSS的模糊半径约为高斯模糊标准差的两倍
+            stdDeviation: this.round(blur / 2),
+            'flood-color': color.color,
+            'flood-opacity': this.round(color.alpha, 3)
+        }));
+        this.defs.appendChild(filter);
+        return id;
+    }
+
+    /**
+     * 读取圆角半径（取左上角），百分比按较短边换算
+     * @param {CSSStyleDeclaration} style - 计算样式
+     * @param {Object} box - 元素边框盒
+     * @returns {number}
+     */
+    getRadius(style, box) {
+        const value = style.borderTopLeftRadius || '';
+        const size = Math.min(box.width, box.height);
+        const radius = value.endsWith('%')
+            ? parseFloat(value) / 100 * size
+            : parseFloat(value) || 0;
+        return Math.min(radius, size / 2);
+    }
+
+    /**
+     * 将CSS颜色拆分为不透明颜色和透明度
+     * @param {string} value - 颜色，如rgba(0, 0, 0, 0.5)
+     * @returns {Object} {color, alpha}
+     */
+    splitAlpha(value) {
+        if (!value || value === 'transparent') {
+            return { color: 'none', alpha: 0 };
+        }
+
+        const match = /^rgba\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)[\s,/]+([\d.]+%?)\s*\)$/.exec(value);
+        if (!match) {
+            return { color: value, alpha: 1 };
+        }
+
+        const alpha = match[4].endsWith('%') ? parseFloat(match[4]) / 100 : parseFloat(match[4]);
+        return { color: `rgb(${match[1]}, ${match[2]}, ${match[3]})`, alpha };
+    }
+
+    /**
+     * 坐标取整，减小文件体积
+     * @param {number} value - 数值
+     * @param {number} digits - 保留的小数位数
+     * @returns {number}
+     */
+    round(value, digits = 2) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+}
+
+// 导出到全局
+window.SVGExporter = SVGExporter;
@@ -0,0 +1,627 @@
+/**
+ * 标签管理器 - V1.6新增
+ * 负责用户自定义标签（名称和颜色）：标签库的持久化、记录的标签选择、
+ * 画布上的标签图例（随PNG一同导出）以及按标签显示或隐藏记录
+ */
+
+class TagManager {
+    constructor(recordManager, circleRenderer) {
+        this.recordManager = recordManager;
+        this.circleRenderer = circleRenderer;
+
+        // 标签库为全局数据，不随年份切换；年度数据中另存一份所用标签的定义，便于导入导出
+        this.storageKey = 'year_circle_tags';
+        this.hiddenStorageKey = 'year_circle_hidden_tags';
+
+        this.tags = new Map(); // key: tagId, value: {id, name, color}
+        this.hiddenTags = new Set();
+
+        this.maxNameLength = 20;
+        this.defaultColors = ['#8B9A9C', '#C4A484', '#8FA98F', '#B7A1C2', '#D4A5A5', '#9DB4C0', '#C9B37E', '#A0A0A0'];
+
+        this.legend = document.getElementById('tag-legend');
+        this.managerModal = document.getElementById('tag-manager-modal');
+
+        this.scheduleRefresh = debounce(() => this.refresh(), 50);
+
+        this.loadTags();
+        this.setupEventListeners();
+    }
+
+    /**
+     * 从localStorage加载标签库和隐藏状态
+     */
+    loadTags() {
+        try {
+            const tags = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            tags.filter(tag => this.isValidTag(tag)).forEach(tag => {
+                this.tags.set(tag.id, { id: tag.id, name: tag.name, color: tag.color });
+            });
+
+            const hidden = JSON.parse(localStorage.getItem(this.hiddenStorageKey) || '[]');
+            hidden.filter(id => this.tags.has(id)).forEach(id => this.hiddenTags.add(id));
+        } catch (error) {
+            console.error('[TagManager] 加载标签失败:', error);
+        }
+    }
+
+    /**
+     * 保存标签库和隐藏状态到localStorage
+     */
+    saveTags() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.getTags()));
+            localStorage.setItem(this.hiddenStorageKey, JSON.stringify([...this.hiddenTags]));
+        } catch (error) {
+            console.error('[TagManager] 保存标签失败:', error);
+        }
+    }
+
+    /**
+     * 验证标签定义格式
+     * @param {Object} tag - 标签定义
+     * @returns {boolean}
+     */
+    isValidTag(tag) {
+        return !!tag && typeof tag.id === 'string' && typeof tag.name === 'string' &&
+            tag.name.trim().length > 0 && /^#[0-9a-fA-F]{6}$/.test(tag.color);
+    }
+
+    /**
+     * 设置事件监听
+     */
+    setupEventListeners() {
+        // 记录变化或重新绘制后刷新图例和显示状态
+        const refreshEvents = [
+            'historyChanged',
+            'recordUpdated',
+            'recordDeleted',
+            'connectionLinesRedrawn'
+        ];
+        refreshEvents.forEach(eventName => {
+            document.addEventListener(eventName, () => this.scheduleRefresh());
+        });
+
+        // 点击图例项切换该标签记录的显示
+        if (this.legend) {
+            this.legend.addEventListener('click', (e) => {
+                const item = e.target.closest('.tag-legend-item');
+                if (item) {
+                    this.toggleTagVisibility(item.dataset.tagId);
+                }
+            });
+        }
+
+        // 记录模态框中的标签选择
+        const tagOptions = document.querySelector('#record-modal .tag-options');
+        if (tagOptions) {
+            tagOptions.addEventListener('click', (e) => {
+                const chip = e.target.closest('.tag-chip');
+                if (chip) {
+                    chip.classList.toggle('selected');
+                }
+            });
+        }
+
+        document.querySelectorAll('.open-tag-manager').forEach(button => {
+            button.addEventListener('click', () => this.openManager());
+        });
+
+        if (this.managerModal) {
+            this.setupManagerModal();
+        }
+    }
+
+    /**
+     * 设置标签管理模态框
+     */
+    setupManagerModal() {
+        const modal = this.managerModal;
+
+        modal.querySelector('.modal-close').addEventListener('click', () => this.closeManager());
+        modal.querySelector('.cancel-btn').addEventListener('click', () => this.closeManager());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeManager();
+            }
+        });
+
+        // 叠加在记录模态框之上时，Esc只关闭标签管理
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.closeManager();
+            }
+        });
+
+        modal.querySelector('#tag-add-btn').addEventListener('click', () => this.handleAddTag());
+        modal.querySelector('#tag-new-name').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.handleAddTag();
+            }
+        });
+
+        const list = modal.querySelector('.tag-manager-list');
+        list.addEventListener('change', (e) => {
+            const row = e.target.closest('.tag-manager-item');
+            if (!row) return;
+
+            try {
+                if (e.target.classList.contains('tag-name-input')) {
+                    this.updateTag(row.dataset.tagId, { name: e.target.value });
+                } else if (e.target.classList.contains('tag-color-input')) {
+                    this.updateTag(row.dataset.tagId, { color: e.target.value });
+                }
+            } catch (error) {
+                this.showMessage(error.message, 'error');
+                e.target.value = e.target.classList.contains('tag-name-input')
+                    ? this.tags.get(row.dataset.tagId).name
+                    : this.tags.get(row.dataset.tagId).color;
+            }
+        });
+        list.addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('.tag-delete-btn');
+            if (!deleteBtn) return;
+
+            const tagId = deleteBtn.closest('.tag-manager-item').dataset.tagId;
+            const tag = this.tags.get(tagId);
+            const count = this.getTagCounts().get(tagId) || 0;
+            const message = count > 0
+                ? `确定删除标签"${tag.name}"吗？当前年份有${count}条记录使用该标签。`
+                : `确定删除标签"${tag.name}"吗？`;
+            if (confirm(message)) {
+                this.deleteTag(tagId);
+            }
+        });
+    }
+
+    /**
+     * 获取所有标签
+     * @returns {Array<Object>} [{id, name, color}]
+     */
+    getTags() {
+        return Array.from(this.tags.values()).map(tag => ({ ...tag }));
+    }
+
+    /**
+     * 获取标签
+     * @param {string} tagId - 标签ID
+     * @returns {Object|null}
+     */
+    getTag(tagId) {
+        return this.tags.get(tagId) || null;
+    }
+
+    /**
+     * 校验标签名称
+     * @param {string} name - 标签名称
+     * @param {string} excludeId - 校验重名时排除的标签ID
+     * @returns {string} 去除首尾空白后的名称
+     */
+    validateName(name, excludeId = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('请输入标签名称');
+        }
+        if (trimmed.length > this.maxNameLength) {
+            throw new Error(`标签名称不能超过${this.maxNameLength}个字符`);
+        }
+        const duplicate = Array.from(this.tags.values())
+            .some(tag => tag.id !== excludeId && tag.name === trimmed);
+        if (duplicate) {
+            throw new Error(`标签"${trimmed}"已存在`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * 创建标签
+     * @param {string} name - 标签名称
+     * @param {string} color - 颜色（#RRGGBB），默认按顺序取预设颜色
+     * @returns {string} 标签ID
+     */
+    createTag(name, color = null) {
+        const tag = {
+            id: generateId('tag'),
+            name: this.validateName(name),
+            color: color || this.defaultColors[this.tags.size % this.defaultColors.length]
+        };
+
+        this.tags.set(tag.id, tag);
+        this.saveTags();
+        this.onTagsChanged();
+
+        return tag.id;
+    }
+
+    /**
+     * 修改标签名称或颜色
+     * @param {string} tagId - 标签ID
+     * @param {Object} changes - {name, color}
+     */
+    updateTag(tagId, changes) {
+        const tag = this.tags.get(tagId);
+        if (!tag) {
+            throw new Error(`标签不存在: ${tagId}`);
+        }
+
+        if (changes.name !== undefined) {
+            tag.name = this.validateName(changes.name, tagId);
+        }
+        if (changes.color !== undefined) {
+            tag.color = changes.color;
+        }
+
+        this.saveTags();
+        this.onTagsChanged();
+    }
+
+    /**
+     * 删除标签，并从当前年份的记录中移除该标签
+     * 其他年份中残留的标签ID在加载时会被忽略
+     * @param {string} tagId - 标签ID
+     */
+    deleteTag(tagId) {
+        if (!this.tags.delete(tagId)) {
+            return;
+        }
+        this.hiddenTags.delete(tagId);
+
+        this.recordManager.getAllRecords().forEach(record => {
+            if (Array.isArray(record.tags) && record.tags.includes(tagId)) {
+                record.tags = record.tags.filter(id => id !== tagId);
+                record.updatedAt = new Date().toISOString();
+                this.recordManager.rerenderRecord(record);
+            }
+        });
+
+        this.saveTags();
+        this.onTagsChanged();
+
+        if (window.storageManager) {
+            window.storageManager.triggerAutoSave();
+        }
+    }
+
+    /**
+     * 合并年度数据中携带的标签定义（导入或加载其他设备保存的数据时）
+     * @param {Array<Object>} tags - 标签定义数组
+     */
+    mergeTags(tags) {
+        if (!Array.isArray(tags)) {
+            return;
+        }
+
+        let changed = false;
+        tags.filter(tag => this.isValidTag(tag) && !this.tags.has(tag.id)).forEach(tag => {
+            this.tags.set(tag.id, { id: tag.id, name: tag.name, color: tag.color });
+            changed = true;
+        });
+
+        if (changed) {
+            this.saveTags();
+            this.onTagsChanged();
+        }
+    }
+
+    /**
+     * 导出记录所用标签的定义，随年度数据保存
+     * @param {Array<Object>} records - 记录数组，默认为当前年份的记录
+     * @returns {Array<Object>}
+     */
+    exportTags(records = this.recordManager.getAllRecords()) {
+        const usedIds = new Set();
+        records.forEach(record => (record.tags || []).forEach(id => usedIds.add(id)));
+
+        return this.getTags().filter(tag => usedIds.has(tag.id));
+    }
+
+    /**
+     * 获取记录的标签（忽略已删除的标签）
+     * @param {Object} record - 记录对象
+     * @returns {Array<Object>}
+     */
+    getRecordTags(record) {
+        if (!record || !Array.isArray(record.tags)) {
+            return [];
+        }
+        return record.tags.map(id => this.tags.get(id)).filter(Boolean);
+    }
+
+    /**
+     * 统计当前年份各标签的记录数
+     * @returns {Map<string, number>} key: tagId, value: 记录数
+     */
+    getTagCounts() {
+        const counts = new Map();
+        this.recordManager.getAllRecords().forEach(record => {
+            this.getRecordTags(record).forEach(tag => {
+                counts.set(tag.id, (counts.get(tag.id) || 0) + 1);
+            });
+        });
+        return counts;
+    }
+
+    /**
+     * 判断记录是否因标签被隐藏
+     * 记录的所有标签都被隐藏时才隐藏，未打标签的记录始终显示
+     * @param {Object} record - 记录对象
+     * @returns {boolean}
+     */
+    isRecordHidden(record) {
+        const tags = this.getRecordTags(record);
+        return tags.length > 0 && tags.every(tag => this.hiddenTags.has(tag.id));
+    }
+
+    /**
+     * 切换标签的显示状态
+     * @param {string} tagId - 标签ID
+     */
+    toggleTagVisibility(tagId) {
+        if (!this.tags.has(tagId)) return;
+
+        if (this.hiddenTags.has(tagId)) {
+            this.hiddenTags.delete(tagId);
+        } else {
+            this.hiddenTags.add(tagId);
+        }
+
+        this.saveTags();
+        this.refresh();
+    }
+
+    /**
+     * 标签定义变化后更新界面
+     */
+    onTagsChanged() {
+        this.updateTagStrips();
+        this.renderManagerList();
+        this.refresh();
+    }
+
+    /**
+     * 刷新图例和记录显示状态
+     */
+    refresh() {
+        this.renderLegend();
+        this.applyVisibility();
+    }
+
+    /**
+     * 渲染画布上的标签图例，只列出当前年份用到的标签
+     */
+    renderLegend() {
+        if (!this.legend) return;
+
+        const counts = this.getTagCounts();
+        this.legend.innerHTML = '';
+
+        const usedTags = this.getTags().filter(tag => counts.has(tag.id));
+        this.legend.classList.toggle('empty', usedTags.length === 0);
+        if (usedTags.length === 0) return;
+
+        this.legend.appendChild(DOMUtils.createElement('div', { className: 'tag-legend-title' }, '标签'));
+
+        usedTags.forEach(tag => {
+            const hidden = this.hiddenTags.has(tag.id);
+            const item = DOMUtils.createElement('div', {
+                className: `tag-legend-item${hidden ? ' is-hidden' : ''}`,
+                'data-tag-id': tag.id,
+                title: hidden ? '点击显示该标签的记录' : '点击隐藏该标签的记录'
+            });
+            const swatch = DOMUtils.createElement('span', { className: 'tag-legend-swatch' });
+            swatch.style.backgroundColor = tag.color;
+
+            item.appendChild(swatch);
+            item.appendChild(DOMUtils.createElement('span', { className: 'tag-legend-name' }, tag.name));
+            item.appendChild(DOMUtils.createElement('span', { className: 'tag-legend-count' }, `${counts.get(tag.id)}`));
+            this.legend.appendChild(item);
+        });
+    }
+
+    /**
+     * 按标签显示状态隐藏或显示卡片、连接线和日期范围弧线
+     * 合并和扇形展开的分组共用一条连接线，整组都被隐藏时才隐藏连接线和合并卡片
+     */
+    applyVisibility() {
+        this.recordManager.getAllRecords().forEach(record => {
+            const hidden = this.isRecordHidden(record);
+            const groupInfo = this.recordManager.getDayGroupInfo(record);
+            const unitHidden = groupInfo.mode === 'separate'
+                ? hidden
+                : groupInfo.group.every(member => this.isRecordHidden(member));
+
+            const card = this.recordManager.container.querySelector(`.record-card[data-record-id="${record.id}"]`);
+            if (card) {
+                card.classList.toggle('tag-hidden', groupInfo.mode === 'merged' ? unitHidden : hidden);
+            }
+
+            this.circleRenderer.setConnectionLineHidden(record.id, unitHidden, hidden);
+        });
+    }
+
+    /**
+     * 更新卡片上的标签色条（修改标签名称或颜色后无需重新渲染卡片）
+     */
+    updateTagStrips() {
+        this.recordManager.container.querySelectorAll('.record-tag-dot').forEach(dot => {
+            const tag = this.tags.get(dot.dataset.tagId);
+            if (tag) {
+                dot.style.backgroundColor = tag.color;
+                dot.title = tag.name;
+            } else {
+                dot.remove();
+            }
+        });
+    }
+
+    /**
+     * 创建卡片上的标签色条
+     * @param {Object} record - 记录对象
+     * @returns {HTMLElement|null}
+     */
+    createTagStrip(record) {
+        const tags = this.getRecordTags(record);
+        if (tags.length === 0) {
+            return null;
+        }
+
+        const strip = DOMUtils.createElement('div', { className: 'record-tags' });
+        tags.forEach(tag => {
+            const dot = DOMUtils.createElement('span', {
+                className: 'record-tag-dot',
+                'data-tag-id': tag.id,
+                title: tag.name
+            });
+            dot.style.backgroundColor = tag.color;
+            strip.appendChild(dot);
+        });
+        return strip;
+    }
+
+    /**
+     * 渲染记录模态框中的标签选项
+     * @param {Array<string>} selectedIds - 已选中的标签ID
+     */
+    renderTagChips(selectedIds = []) {
+        const container = document.querySelector('#record-modal .tag-options');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const tags = this.getTags();
+        if (tags.length === 0) {
+            container.appendChild(DOMUtils.createElement('span', { className: 'tag-empty-hint' }, '暂无标签，点击"管理标签"创建'));
+            return;
+        }
+
+        tags.forEach(tag => {
+            const chip = DOMUtils.createElement('button', {
+                type: 'button',
+                className: `tag-chip${selectedIds.includes(tag.id) ? ' selected' : ''}`,
+                'data-tag-id': tag.id
+            }, tag.name);
+            chip.style.setProperty('--tag-color', tag.color);
+            container.appendChild(chip);
+        });
+    }
+
+    /**
+     * 获取记录模态框中选中的标签ID
+     * @returns {Array<string>}
+     */
+    getSelectedTagIds() {
+        return Array.from(document.querySelectorAll('#record-modal .tag-chip.selected'))
+            .map(chip => chip.dataset.tagId);
+    }
+
+    /**
+     * 打开标签管理模态框
+     */
+    openManager() {
+        if (!this.managerModal) return;
+
+        this.renderManagerList();
+        this.managerModal.querySelector('#tag-new-color').value = this.defaultColors[this.tags.size % this.defaultColors.length];
+        this.managerModal.classList.add('active');
+        document.body.classList.add('modal-open');
+        this.managerModal.querySelector('#tag-new-name').focus();
+    }
+
+    /**
+     * 关闭标签管理模态框
+     */
+    closeManager() {
+        if (!this.managerModal) return;
+
+        this.managerModal.classList.remove('active');
+
+        // 从记录模态框中打开时，返回后同步标签选项并保留已选中的标签
+        const recordModal = document.getElementById('record-modal');
+        if (recordModal && recordModal.classList.contains('active')) {
+            this.renderTagChips(this.getSelectedTagIds().filter(id => this.tags.has(id)));
+        } else {
+            document.body.classList.remove('modal-open');
+        }
+    }
+
+    /**
+     * 渲染标签管理列表
+     */
+    renderManagerList() {
+        const list = this.managerModal?.querySelector('.tag-manager-list');
+        if (!list) return;
+
+        const counts = this.getTagCounts();
+        list.innerHTML = '';
+
+        if (this.tags.size === 0) {
+            list.appendChild(DOMUtils.createElement('li', { className: 'tag-empty-hint' }, '还没有标签'));
+            return;
+        }
+
+        this.getTags().forEach(tag => {
+            const row = DOMUtils.createElement('li', {
+                className: 'tag-manager-item',
+                'data-tag-id': tag.id
+            });
+            const colorInput = DOMUtils.createElement('input', {
+                type: 'color',
+                className: 'tag-color-input',
+                title: '标签颜色'
+            });
+            colorInput.value = tag.color;
+            const nameInput = DOMUtils.createElement('input', {
+                type: 'text',
+                className: 'tag-name-input form-input',
+                maxlength: this.maxNameLength
+            });
+            nameInput.value = tag.name;
+
+            row.appendChild(colorInput);
+            row.appendChild(nameInput);
+            row.appendChild(DOMUtils.createElement('span', {
+                className: 'tag-manager-count',
+                title: '当前年份使用该标签的记录数'
+            }, `${counts.get(tag.id) || 0}`));
+            row.appendChild(DOMUtils.createElement('button', {
+                type: 'button',
+                className: 'tag-delete-btn btn btn-icon',
+                title: '删除标签'
+            }, '🗑️'));
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * 处理新建标签
+     */
+    handleAddTag() {
+        const nameInput = this.managerModal.querySelector('#tag-new-name');
+        const colorInput = this.managerModal.querySelector('#tag-new-color');
+
+        try {
+            this.createTag(nameInput.value, colorInput.value);
+            nameInput.value = '';
+            colorInput.value = this.defaultColors[this.tags.size % this.defaultColors.length];
+            nameInput.focus();
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * 显示提示消息
+     * @param {string} message - 消息内容
+     * @param {string} type - 消息类型
+     */
+    showMessage(message, type = 'info') {
+        if (window.app) {
+            window.app.showMessage(message, type);
+        }
+    }
+}
+
+// 导出到全局
+window.TagManager = TagManager;
@@ -0,0 +1,546 @@
+/**
+ * 主题管理器 - V1.6新增
+ * 负责圆环画布的主题：内置浅色、深色、高对比度打印主题，以及用户以JSON定义的自定义主题。
+ * 主题通过在画布元素上覆盖CSS变量生效，圆环、日期小点、月份标签、记录卡片和连接线统一切换；
+ * 当前主题随年度数据保存，PNG导出时使用主题的背景色
+ */
+
+class ThemeManager {
+    constructor(canvasElement) {
+        this.canvas = canvasElement;
+
+        // 主题字段与CSS变量的对应关系
+        this.colorVariables = {
+            surface: '--surface-color',
+            background: '--background-color',
+            border: '--border-color',
+            primary: '--primary-color',
+            secondary: '--secondary-color',
+            accent: '--accent-color',
+            textPrimary: '--text-primary',
+            textSecondary: '--text-secondary',
+            textMuted: '--text-muted',
+            cardBorder: '--theme-card-border'
+        };
+        this.lineVariables = {
+            dash: '--connection-line-dash',
+            opacity: '--connection-line-opacity',
+            cardBorderWidth: '--card-border-width'
+        };
+
+        // 内置主题（浅色主题即样式表中的默认值，不覆盖任何变量）
+        this.builtInThemes = new Map([
+            ['light', {
+                id: 'light',
+                name: '浅色',
+                colors: {},
+                lines: {}
+            }],
+            ['dark', {
+                id: 'dark',
+                name: '深色',
+                colors: {
+                    surface: '#2b2d30',
+                    background: '#1f2123',
+                    border: '#4a4e52',
+                    primary: '#9fb1b4',
+                    secondary: '#6f817e',
+                    accent: '#d4b48e',
+                    textPrimary: '#e6e3de',
+                    textSecondary: '#b5b1ab',
+                    textMuted: '#8a8680'
+                },
+                lines: {
+                    opacity: '0.7'
+                }
+            }],
+            ['print', {
+                id: 'print',
+                name: '高对比度打印',
+                colors: {
+                    surface: '#ffffff',
+                    background: '#ffffff',
+                    border: '#000000',
+                    primary: '#000000',
+                    secondary: '#444444',
+                    accent: '#000000',
+                    textPrimary: '#000000',
+                    textSecondary: '#222222',
+                    textMuted: '#444444',
+                    cardBorder: '#000000'
+                },
+                lines: {
+                    dash: 'none',
+                    opacity: '1',
+                    cardBorderWidth: '2px'
+                }
+            }]
+        ]);
+
+        this.defaultThemeId = 'light';
+        this.currentThemeId = this.defaultThemeId;
+
+        // 自定义主题为全局数据；年度数据中另存一份所用自定义主题的定义，便于导入导出
+        this.storageKey = 'year_circle_custom_themes';
+        this.customThemes = new Map();
+
+        this.select = document.getElementById('theme-select');
+        this.modal = document.getElementById('theme-modal');
+
+        this.loadCustomThemes();
+        this.renderThemeSelect();
+        this.setupEventListeners();
+    }
+
+    /**
+     * 从localStorage加载自定义主题
+     */
+    loadCustomThemes() {
+        try {
+            const themes = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            themes.forEach(theme => {
+                try {
+                    const parsed = this.parseThemeDefinition(theme);
+                    this.customThemes.set(theme.id, { ...parsed, id: theme.id });
+                } catch (error) {
+                    console.warn('[ThemeManager] 忽略无效的自定义主题:', error.message);
+                }
+            });
+        } catch (error) {
+            console.error('[ThemeManager] 加载自定义主题失败:', error);
+        }
+    }
+
+    /**
+     * 保存自定义主题到localStorage
+     */
+    saveCustomThemes() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(Array.from(this.customThemes.values())));
+        } catch (error) {
+            console.error('[ThemeManager] 保存自定义主题失败:', error);
+        }
+    }
+
+    /**
+     * 设置事件监听
+     */
+    setupEventListeners() {
+        if (this.select) {
+            this.select.addEventListener('change', () => {
+                this.applyTheme(this.select.value);
+            });
+        }
+
+        document.querySelectorAll('.open-theme-manager').forEach(button => {
+            button.addEventListener('click', () => this.openManager());
+        });
+
+        if (!this.modal) return;
+
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.closeManager());
+        this.modal.querySelector('.cancel-btn').addEventListener('click', () => this.closeManager());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.closeManager();
+            }
+        });
+
+        this.modal.querySelector('#theme-import-btn').addEventListener('click', () => this.handleImport());
+        this.modal.querySelector('#theme-template-btn').addEventListener('click', () => {
+            this.modal.querySelector('#theme-json').value = JSON.stringify(this.getThemeTemplate(), null, 2);
+        });
+        this.modal.querySelector('#theme-file-btn').addEventListener('click', () => {
+            this.modal.querySelector('#theme-file').click();
+        });
+        this.modal.querySelector('#theme-file').addEventListener('change', async (e) => {
+            const file = e.target.files && e.target.files[0];
+            if (file) {
+                this.modal.querySelector('#theme-json').value = await file.text();
+                e.target.value = '';
+            }
+        });
+
+        this.modal.querySelector('.theme-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const themeId = button.closest('.theme-item').dataset.themeId;
+            if (button.dataset.action === 'apply') {
+                this.applyTheme(themeId);
+            } else if (button.dataset.action === 'remove') {
+                const theme = this.customThemes.get(themeId);
+                if (theme && confirm(`确定删除主题"${theme.name}"吗？`)) {
+                    this.removeCustomTheme(themeId);
+                }
+            }
+        });
+    }
+
+    /**
+     * 获取所有主题（内置主题在前）
+     * @returns {Array<Object>}
+     */
+    getThemes() {
+        return [...this.builtInThemes.values(), ...this.customThemes.values()];
+    }
+
+    /**
+     * 获取主题
+     * @param {string} themeId - 主题ID
+     * @returns {Object|null}
+     */
+    getTheme(themeId) {
+        return this.builtInThemes.get(themeId) || this.customThemes.get(themeId) || null;
+    }
+
+    /**
+     * 获取当前主题
+     * @returns {Object}
+     */
+    getCurrentTheme() {
+        return this.getTheme(this.currentThemeId) || this.builtInThemes.get(this.defaultThemeId);
+    }
+
+    /**
+     * 计算主题最终的CSS变量（自定义主题可指定base继承内置主题）
+     * @param {Object} theme - 主题
+     * @returns {Object} key: CSS变量名, value: 值
+     */
+    resolveVariables(theme) {
+        const base = theme.base ? this.builtInThemes.get(theme.base) : null;
+        const colors = { ...(base ? base.colors : {}), ...theme.colors };
+        const lines = { ...(base ? base.lines : {}), ...theme.lines };
+
+        const variables = {};
+        Object.entries(colors).forEach(([key, value]) => {
+            variables[this.colorVariables[key]] = value;
+        });
+        Object.entries(lines).forEach(([key, value]) => {
+            variables[this.lineVariables[key]] = value;
+        });
+        return variables;
+    }
+
+    /**
+     * 应用主题
+     * @param {string} themeId - 主题ID，不存在时回退为浅色主题
+     * @param {boolean} markChanged - 是否触发自动保存（加载数据时为false）
+     */
+    applyTheme(themeId, markChanged = true) {
+        let theme = this.getTheme(themeId);
+        if (!theme) {
+            console.warn(`[ThemeManager] 主题不存在: ${themeId}，使用默认主题`);
+            theme = this.builtInThemes.get(this.defaultThemeId);
+        }
+
+        this.currentThemeId = theme.id;
+
+        if (this.canvas) {
+            this.applyVariables(this.canvas, theme);
+        }
+
+        if (this.select) {
+            this.select.value = theme.id;
+        }
+        if (this.modal && this.modal.classList.contains('active')) {
+            this.renderThemeList();
+        }
+
+        document.dispatchEvent(new CustomEvent('themeChanged', {
+            detail: { themeId: theme.id }
+        }));
+
+        if (markChanged && window.storageManager) {
+            window.storageManager.triggerAutoSave();
+        }
+    }
+
+    /**
+     * 将主题的CSS变量应用到元素上（多年视图等独立画布也使用当前主题）
+     * @param {HTMLElement} element - 目标元素
+     * @param {Object} theme - 主题对象，默认为当前主题
+     */
+    applyVariables(element, theme = this.getCurrentTheme()) {
+        // 先清除上一个主题覆盖的变量
+        [...Object.values(this.colorVariables), ...Object.values(this.lineVariables)].forEach(name => {
+            element.style.removeProperty(name);
+        });
+        Object.entries(this.resolveVariables(theme)).forEach(([name, value]) => {
+            element.style.setProperty(name, value);
+        });
+        element.dataset.theme = theme.id;
+    }
+
+    /**
+     * 从年度数据加载主题
+     * @param {string} themeId - 主题ID
+     * @param {Object} customTheme - 自定义主题定义（年度数据使用自定义主题时携带）
+     */
+    loadTheme(themeId, customTheme = null) {
+        if (customTheme && customTheme.id && !this.getTheme(customTheme.id)) {
+            try {
+                this.customThemes.set(customTheme.id, { ...this.parseThemeDefinition(customTheme), id: customTheme.id });
+                this.saveCustomThemes();
+                this.renderThemeSelect();
+            } catch (error) {
+                console.warn('[ThemeManager] 年度数据中的自定义主题无效:', error.message);
+            }
+        }
+
+        this.applyTheme(themeId || this.defaultThemeId, false);
+    }
+
+    /**
+     * 导出当前主题，随年度数据保存
+     * @returns {Object} {theme, customTheme}
+     */
+    exportThemeData() {
+        const data = { theme: this.currentThemeId };
+        if (this.customThemes.has(this.currentThemeId)) {
+            data.customTheme = { ...this.customThemes.get(this.currentThemeId) };
+        }
+        return data;
+    }
+
+    /**
+     * 获取PNG导出时的背景色
+     * @returns {string|null} 颜色值，未覆盖时返回null
+     */
+    getExportBackground() {
+        const variables = this.resolveVariables(this.getCurrentTheme());
+        return variables['--surface-color'] || null;
+    }
+
+    /**
+     * 解析并校验主题定义
+     * @param {Object|string} definition - 主题定义（对象或JSON字符串）
+     * @returns {Object} {name, base, colors, lines}
+     */
+    parseThemeDefinition(definition) {
+        let theme = definition;
+        if (typeof definition === 'string') {
+            try {
+                theme = JSON.parse(definition);
+            } catch (error) {
+                throw new Error('主题JSON格式错误');
+            }
+        }
+
+        if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+            throw new Error('主题定义必须是JSON对象');
+        }
+
+        const name = typeof theme.name === 'string' ? theme.name.trim() : '';
+        if (!name) {
+            throw new Error('主题缺少名称（name）');
+        }
+
+        if (theme.base !== undefined && !this.builtInThemes.has(theme.base)) {
+            throw new Error(`base只能是${Array.from(this.builtInThemes.keys()).join('、')}之一`);
+        }
+
+        const colors = {};
+        Object.entries(theme.colors || {}).forEach(([key, value]) => {
+            if (!this.colorVariables[key]) {
+                throw new Error(`未知的颜色字段：${key}`);
+            }
+            const normalized = ColorUtils.normalizeHex(value);
+            if (!normalized) {
+                throw new Error(`颜色字段${key}的值无效：${value}`);
+            }
+            colors[key] = normalized;
+        });
+
+        const lines = {};
+        const lineRules = {
+            dash: value => /^(none|\d+(\.\d+)?(\s*,\s*\d+(\.\d+)?)*)$/.test(value),
+            opacity: value => value !== '' && !isNaN(value) && value >= 0 && value <= 1,
+            cardBorderWidth: value => /^\d+(\.\d+)?px$/.test(value) && parseFloat(value) <= 6
+        };
+        Object.entries(theme.lines || {}).forEach(([key, value]) => {
+            if (!lineRules[key]) {
+                throw new Error(`未知的线条字段：${key}`);
+            }
+            const text = String(value).trim();
+            if (!lineRules[key](text)) {
+                throw new Error(`线条字段${key}的值无效：${value}`);
+            }
+            lines[key] = text;
+        });
+
+        const parsed = { name, colors, lines };
+        if (theme.base) {
+            parsed.base = theme.base;
+        }
+        return parsed;
+    }
+
+    /**
+     * 添加自定义主题
+     * @param {Object|string} definition - 主题定义
+     * @returns {string} 主题ID
+     */
+    addCustomTheme(definition) {
+        const theme = { id: generateId('theme'), ...this.parseThemeDefinition(definition) };
+
+        this.customThemes.set(theme.id, theme);
+        this.saveCustomThemes();
+        this.renderThemeSelect();
+
+        return theme.id;
+    }
+
+    /**
+     * 删除自定义主题，正在使用时切换回默认主题
+     * @param {string} themeId - 主题ID
+     */
+    removeCustomTheme(themeId) {
+        if (!this.customThemes.delete(themeId)) {
+            return;
+        }
+
+        this.saveCustomThemes();
+        this.renderThemeSelect();
+
+        if (this.currentThemeId === themeId) {
+            this.applyTheme(this.defaultThemeId);
+        } else if (this.modal && this.modal.classList.contains('active')) {
+            this.renderThemeList();
+        }
+    }
+
+    /**
+     * 以当前主题生成自定义主题模板
+     * @returns {Object}
+     */
+    getThemeTemplate() {
+        const current = this.getCurrentTheme();
+        const styles = getComputedStyle(this.canvas || document.documentElement);
+
+        const colors = {};
+        Object.entries(this.colorVariables).forEach(([key, name]) => {
+            const value = ColorUtils.normalizeHex(styles.getPropertyValue(name));
+            if (value) {
+                colors[key] = value;
+            }
+        });
+        const lines = {};
+        Object.entries(this.lineVariables).forEach(([key, name]) => {
+            const value = styles.getPropertyValue(name).trim();
+            if (value) {
+                lines[key] = value;
+            }
+        });
+
+        return { name: `${current.name}（副本）`, colors, lines };
+    }
+
+    /**
+     * 渲染工具栏中的主题下拉框
+     */
+    renderThemeSelect() {
+        if (!this.select) return;
+
+        this.select.innerHTML = '';
+        this.getThemes().forEach(theme => {
+            this.select.appendChild(DOMUtils.createElement('option', { value: theme.id }, theme.name));
+        });
+        this.select.value = this.getTheme(this.currentThemeId) ? this.currentThemeId : this.defaultThemeId;
+    }
+
+    /**
+     * 打开主题管理模态框
+     */
+    openManager() {
+        if (!this.modal) return;
+
+        this.renderThemeList();
+        this.modal.classList.add('active');
+        document.body.classList.add('modal-open');
+    }
+
+    /**
+     * 关闭主题管理模态框
+     */
+    closeManager() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+
+    /**
+     * 渲染主题列表
+     */
+    renderThemeList() {
+        const list = this.modal?.querySelector('.theme-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.getThemes().forEach(theme => {
+            const isCustom = this.customThemes.has(theme.id);
+            const item = DOMUtils.createElement('li', {
+                className: `theme-item${theme.id === this.currentThemeId ? ' active' : ''}`,
+                'data-theme-id': theme.id
+            });
+
+            // 主题色预览：背景、主色、强调色
+            const variables = this.resolveVariables(theme);
+            const preview = DOMUtils.createElement('span', { className: 'theme-preview' });
+            ['--surface-color', '--primary-color', '--accent-color'].forEach(name => {
+                const swatch = DOMUtils.createElement('span', { className: 'theme-preview-swatch' });
+                swatch.style.backgroundColor = variables[name] || `var(${name})`;
+                preview.appendChild(swatch);
+            });
+
+            item.appendChild(preview);
+            item.appendChild(DOMUtils.createElement('span', { className: 'theme-name' },
+                isCustom ? theme.name : `${theme.name}（内置）`));
+            item.appendChild(DOMUtils.createElement('button', {
+                type: 'button',
+                className: 'btn btn-secondary',
+                'data-action': 'apply'
+            }, '使用'));
+            if (isCustom) {
+                item.appendChild(DOMUtils.createElement('button', {
+                    type: 'button',
+                    className: 'btn btn-icon',
+                    'data-action': 'remove',
+                    title: '删除主题'
+                }, '🗑️'));
+            }
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * 处理导入自定义主题
+     */
+    handleImport() {
+        const textarea = this.modal.querySelector('#theme-json');
+
+        try {
+            const themeId = this.addCustomTheme(textarea.value);
+            this.applyTheme(themeId);
+            textarea.value = '';
+            this.showMessage(`已导入主题"${this.customThemes.get(themeId).name}"`, 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * 显示提示消息
+     * @param {string} message - 消息内容
+     * @param {string} type - 消息类型
+     */
+    showMessage(message, type = 'info') {
+        if (window.app) {
+            window.app.showMessage(message, type);
+        }
+    }
+}
+
+// 导出到全局
+window.ThemeManager = ThemeManager;
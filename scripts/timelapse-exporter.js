@@ -0,0 +1,539 @@
+/**
+ * 年度延时动画导出 - V1.6新增
+ * 按年度周期的顺序（设置了起始日期时从起始日期开始）逐日推进，记录依日期先画出连接线，
+ * 随后卡片淡入。画面由SVGExporter生成的矢量图拆分绘制，与静态导出一致：
+ * 圆环和图例作为底图，每条记录的连接线、多日弧线和卡片单独绘制。
+ * 可录制为WebM视频（依赖浏览器的MediaRecorder），或导出PNG帧序列打包为ZIP
+ */
+
+class TimelapseExporter {
+    constructor(recordManager, circleRenderer) {
+        this.recordManager = recordManager;
+        this.circleRenderer = circleRenderer;
+
+        this.options = {
+            fps: 24,
+            duration: 10,      // 总时长（秒）
+            holdSeconds: 2,    // 结尾停留（秒）
+            drawSeconds: 0.6,  // 单条记录连接线画出的时长（秒）
+            cardPadding: 8     // 卡片截取范围的外扩，保留阴影
+        };
+
+        this.modal = document.getElementById('timelapse-modal');
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * 设置事件监听
+     */
+    setupEventListeners() {
+        const exportBtn = document.getElementById('export-timelapse');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.open());
+        }
+
+        if (!this.modal) return;
+
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        this.modal.querySelector('.cancel-btn').addEventListener('click', () => this.close());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+        this.modal.querySelector('#timelapse-confirm').addEventListener('click', () => this.handleExport());
+    }
+
+    /**
+     * 打开导出对话框
+     */
+    open() {
+        if (!this.modal) return;
+
+        if (this.recordManager.getAllRecords().length === 0) {
+            this.showMessage('当前年份没有可导出的记录', 'warning');
+            return;
+        }
+
+        // 不支持录制视频时只能导出帧序列
+        const videoSupported = !!this.getVideoMimeType();
+        const formatSelect = this.modal.querySelector('#timelapse-format');
+        formatSelect.querySelector('option[value="webm"]').disabled = !videoSupported;
+        if (!videoSupported) {
+            formatSelect.value = 'png';
+        }
+        this.modal.querySelector('.timelapse-unsupported').style.display = videoSupported ? 'none' : '';
+
+        this.modal.classList.add('active');
+        document.body.classList.add('modal-open');
+    }
+
+    /**
+     * 关闭导出对话框
+     */
+    close() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+
+    /**
+     * 处理导出按钮
+     */
+    async handleExport() {
+        const format = this.modal.querySelector('#timelapse-format').value;
+        const duration = parseInt(this.modal.querySelector('#timelapse-duration').value, 10) || this.options.duration;
+
+        this.close();
+        await this.download({ format, duration });
+    }
+
+    /**
+     * 选择浏览器支持的WebM编码
+     * @returns {string|null} MIME类型，不支持录制时返回null
+     */
+    getVideoMimeType() {
+        if (typeof MediaRecorder === 'undefined' || typeof HTMLCanvasElement.prototype.captureStream !== 'function') {
+            return null;
+        }
+
+        return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    /**
+     * 导出并下载延时动画
+     * @param {Object} options - {format: 'webm'|'png', duration}
+     */
+    async download(options = {}) {
+        const exportManager = window.exportManager;
+        if (!exportManager) return;
+        if (exportManager.isExporting || exportManager.isBatchExporting) {
+            this.showMessage('正在导出中，请稍候...', 'warning');
+            return;
+        }
+
+        const settings = { ...this.options, ...options };
+        exportManager.isExporting = true;
+
+        try {
+            exportManager.showExportProgress('正在准备画面...', 0);
+            const scene = await this.prepareScene(settings);
+
+            if (settings.format === 'png') {
+                const zip = await this.renderFrames(scene, settings);
+                FileUtils.downloadFile(zip, exportManager.generateFilename('zip'), 'application/zip');
+            } else {
+                const video = await this.recordVideo(scene, settings);
+                FileUtils.downloadFile(video, exportManager.generateFilename('webm'), 'video/webm');
+            }
+
+            exportManager.hideExportProgress();
+            this.showMessage('延时动画导出成功', 'success');
+        } catch (error) {
+            console.error('[TimelapseExporter] 导出延时动画失败:', error);
+            exportManager.hideExportProgress();
+            this.showMessage(`导出延时动画失败：${error.message}`, 'error');
+        } finally {
+            exportManager.isExporting = false;
+        }
+    }
+
+    /**
+     * 准备动画场景：底图、每条记录的线条和卡片图片
+     * @param {Object} settings - 导出设置
+     * @returns {Promise<Object>} {width, height, background, captionColor, ring, transform, totalDays, items}
+     */
+    async prepareScene(settings) {
+        const canvas = document.getElementById('year-circle-canvas');
+        const exporter = new SVGExporter();
+        const { origin } = exporter.getExportFrame(canvas);
+        const root = exporter.createSVG(canvas);
+        const width = parseFloat(root.getAttribute('width'));
+        const height = parseFloat(root.getAttribute('height'));
+        const background = window.themeManager?.getExportBackground() || window.exportManager.exportOptions.image.backgroundColor;
+
+        const nested = root.querySelector(':scope > svg');
+        const transform = nested ? this.getViewportTransform(nested) : { scale: 1, x: 0, y: 0 };
+
+        // 卡片图片：按卡片在导出图中的范围截取，共用同一份defs（阴影、裁切）
+        const defs = root.querySelector(':scope > defs');
+        const cardGroups = new Map(Array.from(root.querySelectorAll('.records-layer > [data-record-id]'))
+            .map(group => [group.dataset.recordId, group]));
+
+        const items = [];
+        const cards = Array.from(canvas.querySelectorAll('.records-container > .record-card'))
+            .filter(card => cardGroups.has(card.dataset.recordId));
+
+        for (let i = 0; i < cards.length; i++) {
+            window.exportManager.updateExportProgress('正在准备记录...', (i / cards.length) * 30);
+            const item = await this.prepareItem(cards[i], cardGroups.get(cards[i].dataset.recordId), defs, origin, settings);
+            if (item) {
+                items.push(item);
+            }
+        }
+        items.sort((a, b) => a.day - b.day);
+
+        // 底图只保留圆环和图例，记录相关的元素逐帧绘制
+        root.querySelectorAll('.export-background, .records-layer, .connections-group [data-record-id], .ranges-group [data-record-id]')
+            .forEach(element => element.remove());
+        const ring = await this.loadSVGImage(root);
+        if (!ring) {
+            throw new Error('圆环画面生成失败');
+        }
+
+        const { start, end } = this.circleRenderer.getCycleRange();
+        const luminance = ColorUtils.getRelativeLuminance(background);
+
+        return {
+            width,
+            height,
+            background,
+            captionColor: luminance !== null && luminance < 0.4 ? '#f0f0f0' : '#333333',
+            ring,
+            transform,
+            totalDays: this.circleRenderer.getCycleDayIndex(end) + 1,
+            start,
+            items
+        };
+    }
+
+    /**
+     * 准备单条记录的动画素材
+     * @param {HTMLElement} card - 画布中的卡片
+     * @param {SVGGElement} group - 导出图中的卡片
+     * @param {SVGDefsElement|null} defs - 导出图的defs
+     * @param {Object} origin - 导出原点（视口坐标）
+     * @param {Object} settings - 导出设置
+     * @returns {Promise<Object|null>} {day, shapes, image, x, y, width, height}
+     */
+    async prepareItem(card, group, defs, origin, settings) {
+        const recordId = card.dataset.recordId;
+        const record = this.recordManager.getRecord(recordId);
+        if (!record) return null;
+
+        // 按起始日期换算实际年份后确定在周期中的位置
+        const { month, day } = DateUtils.parseDate(record.date);
+        const date = DateUtils.formatDate(this.circleRenderer.calculateActualYear(month, day), month, day);
+
+        const svg = this.circleRenderer.svg;
+        const shapes = [
+            svg?.querySelector(`.ranges-group [data-record-id="${recordId}"]`),
+            svg?.querySelector(`.connections-group [data-record-id="${recordId}"]`)
+        ].map(element => element && this.readShape(element)).filter(Boolean);
+
+        const rect = card.getBoundingClientRect();
+        const padding = settings.cardPadding;
+        const x = rect.left - origin.left - padding;
+        const y = rect.top - origin.top - padding;
+        const width = rect.width + padding * 2;
+        const height = rect.height + padding * 2;
+
+        const cardRoot = DOMUtils.createSVGElement('svg', {
+            version: '1.1',
+            width,
+            height,
+            viewBox: `${x} ${y} ${width} ${height}`
+        });
+        cardRoot.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:xlink', 'http://www.w3.org/1999/xlink');
+        if (defs) {
+            cardRoot.appendChild(defs.cloneNode(true));
+        }
+        cardRoot.appendChild(group.cloneNode(true));
+
+        return {
+            day: Math.max(0, this.circleRenderer.getCycleDayIndex(date)),
+            shapes,
+            image: await this.loadSVGImage(cardRoot),
+            x, y, width, height
+        };
+    }
+
+    /**
+     * 读取线条的路径和绘制样式
+     * @param {SVGPathElement} element - 连接线或多日弧线
+     * @returns {Object|null} {path, length, stroke, width, opacity, linecap, dash}
+     */
+    readShape(element) {
+        const style = getComputedStyle(element);
+        const d = element.getAttribute('d');
+        if (!d || style.display === 'none' || style.visibility === 'hidden' || style.stroke === 'none') {
+            return null;
+        }
+
+        const dash = (style.strokeDasharray || '')
+            .split(/[\s,]+/)
+            .map(value => parseFloat(value))
+            .filter(value => !isNaN(value));
+        const opacity = parseFloat(style.opacity);
+
+        return {
+            path: new Path2D(d),
+            length: typeof element.getTotalLength === 'function' ? element.getTotalLength() : 0,
+            stroke: style.stroke,
+            width: parseFloat(style.strokeWidth) || 1,
+            opacity: isNaN(opacity) ? 1 : opacity,
+            linecap: style.strokeLinecap || 'butt',
+            dash
+        };
+    }
+
+    /**
+     * 计算嵌套SVG的viewBox到导出坐标的变换（preserveAspectRatio默认xMidYMid meet）
+     * @param {SVGSVGElement} nested - 导出图中的圆环SVG
+     * @returns {Object} {scale, x, y}
+     */
+    getViewportTransform(nested) {
+        const x = parseFloat(nested.getAttribute('x')) || 0;
+        const y = parseFloat(nested.getAttribute('y')) || 0;
+        const width = parseFloat(nested.getAttribute('width')) || 0;
+        const height = parseFloat(nested.getAttribute('height')) || 0;
+        const viewBox = (nested.getAttribute('viewBox') || '').split(/[\s,]+/).map(value => parseFloat(value));
+        if (viewBox.length !== 4 || viewBox.some(value => isNaN(value)) || !(viewBox[2] > 0 && viewBox[3] > 0)) {
+            return { scale: 1, x, y };
+        }
+
+        const scale = Math.min(width / viewBox[2], height / viewBox[3]);
+        return {
+            scale,
+            x: x + (width - viewBox[2] * scale) / 2 - viewBox[0] * scale,
+            y: y + (height - viewBox[3] * scale) / 2 - viewBox[1] * scale
+        };
+    }
+
+    /**
+     * 将SVG元素加载为图片
+     * @param {SVGSVGElement} root - SVG根元素
+     * @returns {Promise<HTMLImageElement|null>}
+     */
+    async loadSVGImage(root) {
+        const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(root)], { type: 'image/svg+xml' }));
+        try {
+            return await window.exportManager.loadImage(url);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * 计算动画时间轴
+     * 前段逐日推进，最后一条记录画完后停留；进度单位为天，超过周期天数的部分用于画完最后的记录
+     * @param {Object} scene - 动画场景
+     * @param {Object} settings - 导出设置
+     * @returns {Object} {frameCount, span, getDay(frame)}
+     */
+    getTimeline(scene, settings) {
+        const frameCount = Math.max(2, Math.round(settings.duration * settings.fps));
+        const holdFrames = Math.min(Math.round(settings.holdSeconds * settings.fps), frameCount - 1);
+        const sweepSeconds = Math.max(settings.duration - settings.holdSeconds, 1);
+        const span = scene.totalDays * settings.drawSeconds / sweepSeconds;
+        const sweepFrames = frameCount - holdFrames;
+
+        return {
+            frameCount,
+            span,
+            getDay: frame => Math.min(frame / Math.max(sweepFrames - 1, 1), 1) * (scene.totalDays + span)
+        };
+    }
+
+    /**
+     * 绘制一帧
+     * @param {CanvasRenderingContext2D} context - 画布上下文
+     * @param {Object} scene - 动画场景
+     * @param {number} day - 当前进度（天）
+     * @param {number} span - 单条记录的绘制时长（天）
+     */
+    drawFrame(context, scene, day, span) {
+        context.fillStyle = scene.background;
+        context.fillRect(0, 0, scene.width, scene.height);
+
+        const progress = scene.items.map(item => MathUtils.clamp((day - item.day) / span, 0, 1));
+
+        // 线条在圆环之下，与画布的层级一致
+        context.save();
+        context.translate(scene.transform.x, scene.transform.y);
+        context.scale(scene.transform.scale, scene.transform.scale);
+        scene.items.forEach((item, index) => {
+            if (progress[index] > 0) {
+                item.shapes.forEach(shape => this.drawShape(context, shape, progress[index]));
+            }
+        });
+        context.restore();
+
+        context.drawImage(scene.ring, 0, 0, scene.width, scene.height);
+
+        // 连接线画到一半时卡片开始淡入
+        scene.items.forEach((item, index) => {
+            const alpha = MathUtils.clamp(progress[index] * 2 - 1, 0, 1);
+            if (alpha > 0 && item.image) {
+                context.globalAlpha = alpha;
+                context.drawImage(item.image, item.x, item.y, item.width, item.height);
+            }
+        });
+        context.globalAlpha = 1;
+
+        this.drawCaption(context, scene, day);
+    }
+
+    /**
+     * 绘制线条，未画完时用虚线截取已画出的部分
+     * @param {CanvasRenderingContext2D} context - 画布上下文
+     * @param {Object} shape - 线条
+     * @param {number} progress - 绘制进度 0-1
+     */
+    drawShape(context, shape, progress) {
+        context.save();
+        context.globalAlpha = shape.opacity;
+        context.strokeStyle = shape.stroke;
+        context.lineWidth = shape.width;
+        context.lineCap = shape.linecap;
+        context.setLineDash(progress < 1 ? [shape.length * progress, shape.length + 1] : shape.dash);
+        context.stroke(shape.path);
+        context.restore();
+    }
+
+    /**
+     * 在右下角绘制当前日期
+     * @param {CanvasRenderingContext2D} context - 画布上下文
+     * @param {Object} scene - 动画场景
+     * @param {number} day - 当前进度（天）
+     */
+    drawCaption(context, scene, day) {
+        const { year, month, day: date } = DateUtils.parseDate(scene.start);
+        const current = new Date(year, month - 1, date + Math.min(Math.floor(day), scene.totalDays - 1));
+        const fontSize = Math.max(14, Math.round(Math.min(scene.width, scene.height) / 30));
+
+        context.font = `600 ${fontSize}px sans-serif`;
+        context.fillStyle = scene.captionColor;
+        context.textAlign = 'right';
+        context.textBaseline = 'bottom';
+        context.fillText(
+            `${current.getFullYear()}年${current.getMonth() + 1}月${current.getDate()}日`,
+            scene.width - fontSize,
+            scene.height - fontSize
+        );
+    }
+
+    /**
+     * 创建帧画布，尺寸取偶数以兼容视频编码
+     * @param {Object} scene - 动画场景
+     * @returns {Object} {canvas, context}
+     */
+    createFrameCanvas(scene) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(scene.width / 2) * 2;
+        canvas.height = Math.ceil(scene.height / 2) * 2;
+        return { canvas, context: canvas.getContext('2d') };
+    }
+
+    /**
+     * 导出PNG帧序列，附带帧率说明
+     * @param {Object} scene - 动画场景
+     * @param {Object} settings - 导出设置
+     * @returns {Promise<Blob>} ZIP文件
+     */
+    async renderFrames(scene, settings) {
+        const timeline = this.getTimeline(scene, settings);
+        const { canvas, context } = this.createFrameCanvas(scene);
+        const files = [];
+
+        for (let frame = 0; frame < timeline.frameCount; frame++) {
+            window.exportManager.updateExportProgress(
+                `正在生成第 ${frame + 1}/${timeline.frameCount} 帧...`,
+                30 + (frame / timeline.frameCount) * 65
+            );
+            this.drawFrame(context, scene, timeline.getDay(frame), timeline.span);
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            if (!blob) {
+                throw new Error('帧图片生成失败');
+            }
+            files.push({
+                name: `frames/frame_${String(frame + 1).padStart(4, '0')}.png`,
+                data: new Uint8Array(await blob.arrayBuffer())
+            });
+        }
+
+        const readme = [
+            `${this.circleRenderer.getYearRangeText()} 年度延时动画`,
+            `共${timeline.frameCount}帧，帧率${settings.fps}帧/秒`,
+            '',
+            '使用ffmpeg合成视频：',
+            `ffmpeg -framerate ${settings.fps} -i frames/frame_%04d.png -pix_fmt yuv420p timelapse.mp4`,
+            '',
+            '合成GIF动图：',
+            `ffmpeg -framerate ${settings.fps} -i frames/frame_%04d.png -vf "fps=12,scale=800:-1:flags=lanczos" timelapse.gif`,
+            ''
+        ].join('\n');
+
+        return ZipUtils.createZip([{ name: '说明.txt', data: readme }, ...files]);
+    }
+
+    /**
+     * 录制WebM视频。录制按实际时间进行，导出期间请保持页面在前台
+     * @param {Object} scene - 动画场景
+     * @param {Object} settings - 导出设置
+     * @returns {Promise<Blob>}
+     */
+    async recordVideo(scene, settings) {
+        const mimeType = this.getVideoMimeType();
+        if (!mimeType) {
+            throw new Error('当前浏览器不支持录制视频，请选择PNG帧序列');
+        }
+
+        const timeline = this.getTimeline(scene, settings);
+        const { canvas, context } = this.createFrameCanvas(scene);
+        this.drawFrame(context, scene, 0, timeline.span);
+
+        const stream = canvas.captureStream(settings.fps);
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8000000 });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data && e.data.size > 0) {
+                chunks.push(e.data);
+            }
+        };
+        const stopped = new Promise((resolve, reject) => {
+            recorder.onstop = resolve;
+            recorder.onerror = (e) => reject(e.error || new Error('视频录制失败'));
+        });
+
+        recorder.start();
+        const startTime = performance.now();
+        const interval = 1000 / settings.fps;
+
+        try {
+            for (let frame = 0; frame < timeline.frameCount; frame++) {
+                window.exportManager.updateExportProgress('正在录制视频，请保持页面在前台...', 30 + (frame / timeline.frameCount) * 65);
+                this.drawFrame(context, scene, timeline.getDay(frame), timeline.span);
+
+                const wait = startTime + (frame + 1) * interval - performance.now();
+                if (wait > 0) {
+                    await new Promise(resolve => setTimeout(resolve, wait));
+                }
+            }
+        } finally {
+            recorder.stop();
+            stream.getTracks().forEach(track => track.stop());
+        }
+
+        await stopped;
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    /**
+     * 显示提示消息
+     * @param {string} message - 消息内容
+     * @param {string} type - 消息类型
+     */
+    showMessage(message, type = 'info') {
+        if (window.app) {
+            window.app.showMessage(message, type);
+        }
+    }
+}
+
+// 导出到全局
+window.TimelapseExporter = TimelapseExporter;
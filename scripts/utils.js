@@ -103,6 +103,24 @@ class DateUtils {
         }
     }
 
+    /**
+     * 星期名称，下标与Date.getDay()一致 - V1.6新增
+     * @returns {Array<string>} 星期名称数组
+     */
+    static get WEEKDAYS() {
+        return ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
+    }
+
+    /**
+     * 格式化为带星期的月日，如"3月5日 周四" - V1.6新增
+     * @param {string} dateString - 日期字符串 (YYYY-MM-DD)
+     * @returns {string}
+     */
+    static formatDayWithWeekday(dateString) {
+        const { year, month, day } = this.parseDate(dateString);
+        return `${month}月${day}日 ${this.WEEKDAYS[new Date(year, month - 1, day).getDay()]}`;
+    }
+
     /**
      * 获取一年中某个日期是第几天
      * @param {number} year - 年份
@@ -117,6 +135,38 @@ class DateUtils {
         }
         return dayOfYear + day;
     }
+
+    /**
+     * 获取日期所在的ISO周 - V1.6新增
+     * ISO周从周一开始，每年第1周为包含该年第一个周四的那一周，
+     * 因此年初或年末的几天可能属于相邻年份的周
+     * @param {number} year - 年份
+     * @param {number} month - 月份 (1-12)
+     * @param {number} day - 日期
+     * @returns {Object} {year, week} ISO周所属年份和周序号
+     */
+    static getISOWeek(year, month, day) {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        const weekday = date.getUTCDay() || 7; // 周日记为7
+
+        // 移到同一周的周四，周四所在的年份即为ISO周所属年份
+        date.setUTCDate(date.getUTCDate() + 4 - weekday);
+        const isoYear = date.getUTCFullYear();
+        const yearStart = Date.UTC(isoYear, 0, 1);
+        const week = Math.ceil(((date.getTime() - yearStart) / 86400000 + 1) / 7);
+
+        return { year: isoYear, week };
+    }
+
+    /**
+     * 获取指定年份的ISO周数（52或53） - V1.6新增
+     * @param {number} year - 年份
+     * @returns {number} 该年的ISO周数
+     */
+    static getISOWeeksInYear(year) {
+        // 12月28日总是位于该年的最后一个ISO周
+        return this.getISOWeek(year, 12, 28).week;
+    }
 }
 
 /**
@@ -193,6 +243,96 @@ class MathUtils {
     }
 }
 
+/**
+ * 坐标系工具类 - V1.6新增
+ * 负责画布像素坐标与圆环相对坐标之间的转换
+ * 相对坐标以圆心为原点、以圆环半径为单位，与屏幕分辨率无关
+ */
+class CoordinateUtils {
+    /**
+     * 相对坐标系标识，写入年度数据的coordinateSystem字段
+     * @returns {string} 坐标系名称
+     */
+    static get RELATIVE_SYSTEM() {
+        return 'circle-relative';
+    }
+
+    /**
+     * 根据画布尺寸计算圆环坐标系
+     * @param {number} width - 画布宽度
+     * @param {number} height - 画布高度
+     * @returns {Object} 坐标系 {centerX, centerY, radius}
+     */
+    static getCircleFrame(width, height) {
+        return {
+            centerX: width / 2,
+            centerY: height / 2,
+            radius: Math.min(width, height) * 0.35
+        };
+    }
+
+    /**
+     * 将像素坐标转换为相对坐标
+     * @param {Object} point - 像素坐标 {x, y}
+     * @param {Object} frame - 圆环坐标系
+     * @returns {Object} 相对坐标 {x, y}
+     */
+    static toRelativePoint(point, frame) {
+        return {
+            x: this.round((point.x - frame.centerX) / frame.radius),
+            y: this.round((point.y - frame.centerY) / frame.radius)
+        };
+    }
+
+    /**
+     * 将相对坐标转换为像素坐标
+     * @param {Object} point - 相对坐标 {x, y}
+     * @param {Object} frame - 圆环坐标系
+     * @returns {Object} 像素坐标 {x, y}
+     */
+    static toAbsolutePoint(point, frame) {
+        return {
+            x: frame.centerX + point.x * frame.radius,
+            y: frame.centerY + point.y * frame.radius
+        };
+    }
+
+    /**
+     * 将像素尺寸转换为相对尺寸
+     * @param {Object} size - 像素尺寸 {width, height}
+     * @param {Object} frame - 圆环坐标系
+     * @returns {Object} 相对尺寸 {width, height}
+     */
+    static toRelativeSize(size, frame) {
+        return {
+            width: this.round(size.width / frame.radius),
+            height: this.round(size.height / frame.radius)
+        };
+    }
+
+    /**
+     * 将相对尺寸转换为像素尺寸
+     * @param {Object} size - 相对尺寸 {width, height}
+     * @param {Object} frame - 圆环坐标系
+     * @returns {Object} 像素尺寸 {width, height}
+     */
+    static toAbsoluteSize(size, frame) {
+        return {
+            width: size.width * frame.radius,
+            height: size.height * frame.radius
+        };
+    }
+
+    /**
+     * 保留5位小数，避免序列化后的数据过长
+     * @param {number} value - 数值
+     * @returns {number} 舍入后的数值
+     */
+    static round(value) {
+        return Math.round(value * 100000) / 100000;
+    }
+}
+
 /**
  * DOM工具类
  * 提供DOM操作相关的工具函数
@@ -320,6 +460,55 @@ class ColorUtils {
         }
         return color;
     }
+
+    /**
+     * 规范化十六进制颜色值 - V1.6新增
+     * 支持#RGB和#RRGGBB两种写法（#可省略），统一输出小写的#rrggbb
+     * @param {string} value - 颜色值
+     * @returns {string|null} 规范化后的颜色值，格式无效时返回null
+     */
+    static normalizeHex(value) {
+        const match = /^#?([a-f\d]{3}|[a-f\d]{6})$/i.exec((value || '').trim());
+        if (!match) {
+            return null;
+        }
+        const digits = match[1].length === 3
+            ? match[1].split('').map(digit => digit + digit).join('')
+            : match[1];
+        return `#${digits.toLowerCase()}`;
+    }
+
+    /**
+     * 计算颜色的相对亮度（WCAG 2.x定义） - V1.6新增
+     * @param {string} color - 十六进制颜色值
+     * @returns {number|null} 相对亮度 (0-1)
+     */
+    static getRelativeLuminance(color) {
+        const rgb = this.hexToRgb(color);
+        if (!rgb) {
+            return null;
+        }
+        const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(value => {
+            const channel = value / 255;
+            return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    /**
+     * 计算两种颜色的对比度（WCAG 2.x定义） - V1.6新增
+     * @param {string} color1 - 十六进制颜色值
+     * @param {string} color2 - 十六进制颜色值
+     * @returns {number|null} 对比度 (1-21)
+     */
+    static getContrastRatio(color1, color2) {
+        const l1 = this.getRelativeLuminance(color1);
+        const l2 = this.getRelativeLuminance(color2);
+        if (l1 === null || l2 === null) {
+            return null;
+        }
+        return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    }
 }
 
 /**
@@ -417,6 +606,7 @@ function generateId(prefix = 'id') {
 // 导出工具类和函数
 window.DateUtils = DateUtils;
 window.MathUtils = MathUtils;
+window.CoordinateUtils = CoordinateUtils;
 window.DOMUtils = DOMUtils;
 window.ColorUtils = ColorUtils;
 window.FileUtils = FileUtils;
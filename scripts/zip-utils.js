@@ -0,0 +1,223 @@
+/**
+ * ZIP工具 - V1.6新增
+ * 在浏览器中离线打包多个文件为ZIP压缩包。文件以存储方式（不压缩）写入：
+ * 导出的图片本身已是压缩格式，再压缩收益很小；文件名使用UTF-8编码，可包含中文。
+ * 读取时支持存储和Deflate两种方式（Deflate依赖浏览器的DecompressionStream），并校验CRC-32
+ */
+
+// CRC-32查找表（多项式0xEDB88320），首次使用时生成
+let CRC32_TABLE = null;
+
+class ZipUtils {
+    /**
+     * 计算CRC-32校验值
+     * @param {Uint8Array} bytes - 数据
+     * @returns {number} 无符号32位校验值
+     */
+    static crc32(bytes) {
+        if (!CRC32_TABLE) {
+            CRC32_TABLE = new Uint32Array(256);
+            for (let i = 0; i < 256; i++) {
+                let value = i;
+                for (let bit = 0; bit < 8; bit++) {
+                    value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1;
+                }
+                CRC32_TABLE[i] = value >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * 打包文件为ZIP
+     * @param {Array<Object>} files - [{name, data}]，name为包内路径（用/分隔目录），data为字符串或Uint8Array
+     * @param {Date} date - 写入文件的修改时间，默认为当前时间
+     * @returns {Blob} application/zip
+     */
+    static createZip(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const { time, day } = this.toDosDateTime(date);
+        const parts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = this.crc32(data);
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true); // 本地文件头标识
+            header.setUint16(4, 20, true); // 解压所需版本
+            header.setUint16(6, 0x0800, true); // 文件名为UTF-8
+            header.setUint16(8, 0, true); // 存储方式：不压缩
+            header.setUint16(10, time, true);
+            header.setUint16(12, day, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+            parts.push(new Uint8Array(header.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true); // 中央目录标识
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, day, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true); // 本地文件头偏移，其余字段为0
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true); // 中央目录结束标识
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+    }
+
+    /**
+     * 读取ZIP文件中的所有文件（不含目录）
+     * @param {Blob|ArrayBuffer|Uint8Array} source - ZIP文件
+     * @returns {Promise<Array<Object>>} [{name, data}]，data为Uint8Array
+     */
+    static async readZip(source) {
+        const bytes = source instanceof Uint8Array
+            ? source
+            : new Uint8Array(source instanceof ArrayBuffer ? source : await source.arrayBuffer());
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // 中央目录结束记录位于文件末尾，之后可能有最长65535字节的注释
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('不是有效的ZIP文件');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        const decoder = new TextDecoder();
+        const files = [];
+
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014B50) {
+                throw new Error('ZIP文件目录已损坏');
+            }
+
+            const method = view.getUint16(offset + 10, true);
+            const crc = view.getUint32(offset + 16, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const size = view.getUint32(offset + 24, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue;
+
+            if (localOffset + 30 > bytes.length || view.getUint32(localOffset, true) !== 0x04034B50) {
+                throw new Error(`ZIP文件已损坏：${name}`);
+            }
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+            if (compressed.length !== compressedSize) {
+                throw new Error(`ZIP文件不完整：${name}`);
+            }
+
+            let data;
+            if (method === 0) {
+                data = compressed;
+            } else if (method === 8 && typeof DecompressionStream !== 'undefined') {
+                const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                data = new Uint8Array(await new Response(stream).arrayBuffer());
+            } else {
+                throw new Error(`不支持的压缩方式：${name}`);
+            }
+
+            if (data.length !== size || this.crc32(data) !== crc) {
+                throw new Error(`文件校验失败：${name}`);
+            }
+            files.push({ name, data });
+        }
+
+        return files;
+    }
+
+    /**
+     * 转换为ZIP使用的MS-DOS日期时间（精度2秒，最早1980年）
+     * @param {Date} date - 时间
+     * @returns {Object} {time, day}
+     */
+    static toDosDateTime(date) {
+        const year = Math.max(date.getFullYear(), 1980);
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * 将data URL解码为字节
+     * @param {string} dataURL - data URL
+     * @returns {Object|null} {bytes, mimeType}，不是data URL时返回null
+     */
+    static dataURLToBytes(dataURL) {
+        const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(dataURL || '');
+        if (!match) return null;
+
+        const [, mimeType, isBase64, payload] = match;
+        if (!isBase64) {
+            return { bytes: new TextEncoder().encode(decodeURIComponent(payload)), mimeType: mimeType || 'text/plain' };
+        }
+
+        const binary = atob(payload);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return { bytes, mimeType: mimeType || 'application/octet-stream' };
+    }
+
+    /**
+     * 将字节编码为data URL
+     * @param {Uint8Array} bytes - 数据
+     * @param {string} mimeType - MIME类型
+     * @returns {string}
+     */
+    static bytesToDataURL(bytes, mimeType) {
+        let binary = '';
+        // 分段转换，避免参数过多导致调用栈溢出
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return `data:${mimeType};base64,${btoa(binary)}`;
+    }
+}
+
+// 导出到全局
+window.ZipUtils = ZipUtils;